@@ -1,99 +1,75 @@
 // App.jsx - Version modifiée
-import { useState, useEffect, lazy, Suspense } from 'react';
+import { lazy, Suspense } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import LoadingScreen from './components/ui/LoadingScreen';
+import useTranslation from './hooks/useTranslation';
 import HomePage from './scenes/HomePage';
 import CabinInterior from './scenes/CabinInterior';
-import DatavizEoliennesPage from "./scenes/DatavizEoliennesPage";
-import DatavizSargassesPage from "./scenes/DatavizSargassesPage";
-import TimorneConceptionPage from "./scenes/TimorneConceptionPage";
-import RecifCorallienPage from "./scenes/RecifCorallienPage";
+import { LEGACY_PROJECT_ROUTES, buildProjectPath } from './utils/projectRoutes';
+import { ROUTE_MODULES } from './services/routePrefetch';
 import './App.css';
 import './styles/mobile.css';
 
-// Chargement paresseux des composants lourds
-const Contact = lazy(() => import('./scenes/Contact'));
+// Chargement paresseux des composants lourds (modules partagés avec le préchargement anticipé)
+const Contact = lazy(ROUTE_MODULES.contact);
+const ProjectIndexPage = lazy(ROUTE_MODULES.projectIndex);
+const ProjectPage = lazy(ROUTE_MODULES.project);
 
 function App() {
-  // État de chargement initial
-  const [isInitialLoading, setIsInitialLoading] = useState(false);
-  
-  // Simuler un temps de chargement minimal pour l'interface utilisateur initiale
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      setIsInitialLoading(false);
-    }, 1000);
-    
-    return () => clearTimeout(timer);
-  }, []);
-  
-  // Pendant le chargement initial, afficher l'écran de chargement
-  if (isInitialLoading) {
-    return <LoadingScreen />;
-  }
-  
+  const { t } = useTranslation();
+
   return (
     <Router>
       <div className="app-container">
-        <Suspense fallback={<LoadingScreen message="Chargement..." />}>
+        <Suspense fallback={<LoadingScreen message={t('common.loading')} />}>
           <Routes>
-            {/* Route principale pour la page d'accueil */}
+            {/* Route principale : accueil, suivi du chalet et de sa vidéo d'entrée */}
             <Route 
               path="/" 
               element={<HomePage />} 
             />
             
-            {/* Route pour l'expérience 3D */}
+            {/* Route pour l'expérience 3D (liens profonds: /experience/prestations/data-visualisation) */}
             <Route 
-              path="/experience" 
+              path="/experience/*" 
               element={
-                <Suspense fallback={<LoadingScreen message="Chargement de l'expérience..." />}>
+                <Suspense fallback={<LoadingScreen message={t('common.loadingExperience')} />}>
                   <CabinInterior />
                 </Suspense>
               } 
             />
 
-           {/* Route pour la visualisation des éoliennes */}
-           <Route 
-              path="/dataviz/eoliennes" 
+            {/* Portfolio : index filtrable et pages générées depuis le manifeste */}
+            <Route 
+              path="/projets" 
               element={
-                <Suspense fallback={<LoadingScreen message="Chargement de l'expérience..." />}>
-                  <DatavizEoliennesPage />
+                <Suspense fallback={<LoadingScreen message={t('common.loading')} />}>
+                  <ProjectIndexPage />
                 </Suspense>
               } 
             />
 
-<Route 
-  path="/dataviz/sargasses" 
-  element={
-    <Suspense fallback={<LoadingScreen message="Chargement..." />}>
-      <DatavizSargassesPage />
-    </Suspense>
-  } 
-/>
-
-<Route 
-  path="/conception" 
-  element={
-    <Suspense fallback={<LoadingScreen message="Chargement..." />}>
-      <TimorneConceptionPage />
-    </Suspense>
-  } 
-/>
-
-   {/* Nouvelle route pour le récif corallien */}
-   <Route 
-              path="/recif-corallien" 
+            <Route 
+              path="/projets/:slug" 
               element={
-                <Suspense fallback={<LoadingScreen message="Préparation de la plongée..." />}>
-                  <RecifCorallienPage />
+                <Suspense fallback={<LoadingScreen message={t('common.loading')} />}>
+                  <ProjectPage />
                 </Suspense>
               } 
             />
+
+            {/* Anciennes adresses des projets */}
+            {Object.entries(LEGACY_PROJECT_ROUTES).map(([path, slug]) => (
+              <Route 
+                key={path} 
+                path={path} 
+                element={<Navigate to={buildProjectPath(slug)} replace />} 
+              />
+            ))}
             
             {/* Autres routes */}
             <Route path="/contact" element={<Contact />} />
-            <Route path="*" element={<div>404 - Page non trouvée</div>} />
+            <Route path="*" element={<div>{t('common.notFound')}</div>} />
           </Routes>
         </Suspense>
       </div>
@@ -0,0 +1,275 @@
+/**
+ * Formulaire de contact partagé
+ * Utilisé par la page Contact (thème sombre) et l'overlay de contact (thème clair)
+ */
+import { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import useContactForm from '../../hooks/useContactForm';
+import useTranslation from '../../hooks/useTranslation';
+import {
+  CONTACT_STATUS,
+  HONEYPOT_FIELD,
+  FIELD_LIMITS,
+  MIN_MESSAGE_LENGTH
+} from '../../services/contactService';
+
+// Champs du formulaire (libellés dans le catalogue "contact.fields")
+const FIELDS = [
+  { name: 'name', type: 'text', autoComplete: 'name' },
+  { name: 'email', type: 'email', autoComplete: 'email' },
+  { name: 'subject', type: 'text', autoComplete: 'off' },
+  { name: 'message', type: 'textarea' }
+];
+
+// Styles communs aux deux thèmes
+const baseStyles = {
+  form: {
+    width: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '15px'
+  },
+  label: {
+    display: 'block',
+    marginBottom: '8px',
+    fontSize: '0.9rem',
+    fontWeight: '500'
+  },
+  field: {
+    width: '100%',
+    padding: '12px',
+    fontSize: '1rem',
+    transition: 'border-color 0.2s ease, box-shadow 0.2s ease'
+  },
+  textarea: {
+    minHeight: '150px',
+    resize: 'vertical'
+  },
+  fieldError: {
+    marginTop: '6px',
+    fontSize: '0.85rem',
+    color: '#ef4444'
+  },
+  submitButton: {
+    border: 'none',
+    padding: '12px',
+    fontSize: '1rem',
+    fontWeight: '500',
+    cursor: 'pointer',
+    transition: 'background-color 0.2s ease',
+    marginTop: '10px'
+  },
+  status: {
+    padding: '15px',
+    borderRadius: '8px',
+    marginBottom: '20px',
+    textAlign: 'center'
+  },
+  pendingStatus: {
+    backgroundColor: 'rgba(42, 157, 143, 0.1)',
+    border: '1px solid rgba(42, 157, 143, 0.3)'
+  },
+  successStatus: {
+    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+    border: '1px solid rgba(16, 185, 129, 0.3)',
+    color: '#10b981'
+  },
+  errorStatus: {
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    border: '1px solid rgba(239, 68, 68, 0.3)',
+    color: '#ef4444'
+  },
+  // Champ piège : hors écran mais présent dans le DOM pour les robots
+  honeypot: {
+    position: 'absolute',
+    left: '-10000px',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden'
+  },
+  resetButton: {
+    border: 'none',
+    borderRadius: '4px',
+    padding: '8px 15px',
+    marginTop: '15px',
+    cursor: 'pointer',
+    color: 'white'
+  }
+};
+
+// Variantes de couleurs
+const THEMES = {
+  light: {
+    label: { color: '#555' },
+    field: {
+      borderRadius: '8px',
+      border: '1px solid rgba(42, 157, 143, 0.3)',
+      backgroundColor: 'rgba(255, 255, 255, 0.8)'
+    },
+    focusedField: {
+      borderColor: 'rgba(42, 157, 143, 0.8)',
+      boxShadow: '0 0 0 3px rgba(42, 157, 143, 0.1)'
+    },
+    submitButton: {
+      backgroundColor: '#2A9D8F',
+      color: 'white',
+      borderRadius: '8px'
+    },
+    submitButtonHover: '#45b4a6',
+    resetButton: { backgroundColor: '#2A9D8F' }
+  },
+  dark: {
+    label: { color: 'rgba(255, 255, 255, 0.7)' },
+    field: {
+      borderRadius: '5px',
+      border: '1px solid rgba(59, 130, 246, 0.3)',
+      backgroundColor: 'rgba(15, 23, 42, 0.7)',
+      color: 'white'
+    },
+    focusedField: {
+      borderColor: 'rgba(59, 130, 246, 0.8)',
+      boxShadow: '0 0 0 3px rgba(59, 130, 246, 0.15)'
+    },
+    submitButton: {
+      backgroundColor: 'rgba(59, 130, 246, 0.8)',
+      color: 'white',
+      borderRadius: '5px'
+    },
+    submitButtonHover: 'rgba(37, 99, 235, 0.9)',
+    resetButton: { backgroundColor: 'rgba(59, 130, 246, 0.7)' }
+  }
+};
+
+/**
+ * Formulaire de contact avec validation, anti-spam et gestion hors ligne
+ */
+const ContactForm = ({ variant = 'light' }) => {
+  const theme = THEMES[variant] || THEMES.light;
+  const { t } = useTranslation();
+  const {
+    formData,
+    errors,
+    status,
+    retryAfter,
+    isSending,
+    handleChange,
+    handleSubmit,
+    reset
+  } = useContactForm();
+  const [focusedField, setFocusedField] = useState(null);
+  const [isButtonHovered, setIsButtonHovered] = useState(false);
+
+  const isSent = status === CONTACT_STATUS.SUCCESS || status === CONTACT_STATUS.QUEUED;
+
+  // Message et style du bandeau de statut
+  const statusMessage = status === CONTACT_STATUS.IDLE
+    ? null
+    : t(`contact.status.${status}`, { minutes: Math.ceil((retryAfter || 60) / 60) });
+
+  const statusStyle = status === CONTACT_STATUS.SUCCESS
+    ? baseStyles.successStatus
+    : status === CONTACT_STATUS.SENDING || status === CONTACT_STATUS.QUEUED
+      ? baseStyles.pendingStatus
+      : baseStyles.errorStatus;
+
+  const renderField = ({ name, type, autoComplete }) => {
+    const fieldStyle = {
+      ...baseStyles.field,
+      ...theme.field,
+      ...(type === 'textarea' ? baseStyles.textarea : {}),
+      ...(focusedField === name ? theme.focusedField : {}),
+      ...(errors[name] ? { borderColor: '#ef4444' } : {})
+    };
+    const commonProps = {
+      id: `contact-${name}`,
+      name,
+      value: formData[name],
+      onChange: handleChange,
+      onFocus: () => setFocusedField(name),
+      onBlur: () => setFocusedField(null),
+      required: true,
+      'aria-invalid': Boolean(errors[name]),
+      'aria-describedby': errors[name] ? `contact-${name}-error` : undefined,
+      style: fieldStyle
+    };
+
+    return (
+      <div key={name}>
+        <label style={{ ...baseStyles.label, ...theme.label }} htmlFor={`contact-${name}`}>
+          {t(`contact.fields.${name}`)}
+        </label>
+        {type === 'textarea' ? (
+          <textarea {...commonProps} rows={6} />
+        ) : (
+          <input {...commonProps} type={type} autoComplete={autoComplete} />
+        )}
+        {errors[name] && (
+          <p id={`contact-${name}-error`} style={baseStyles.fieldError}>
+            {t(`contact.errors.${errors[name]}`, { max: FIELD_LIMITS[name], min: MIN_MESSAGE_LENGTH })}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      {/* Affichage du statut */}
+      {statusMessage && (
+        <div role="status" aria-live="polite" style={{ ...baseStyles.status, ...statusStyle }}>
+          <p>{statusMessage}</p>
+          {isSent && (
+            <button
+              type="button"
+              onClick={reset}
+              style={{ ...baseStyles.resetButton, ...theme.resetButton }}
+            >
+              {t('contact.anotherMessage')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {!isSent && (
+        <form style={baseStyles.form} onSubmit={handleSubmit} noValidate>
+          {FIELDS.map(renderField)}
+
+          {/* Champ piège anti-spam, ignoré par les visiteurs */}
+          <div style={baseStyles.honeypot} aria-hidden="true">
+            <label htmlFor={`contact-${HONEYPOT_FIELD}`}>{t('contact.honeypot')}</label>
+            <input
+              type="text"
+              id={`contact-${HONEYPOT_FIELD}`}
+              name={HONEYPOT_FIELD}
+              value={formData[HONEYPOT_FIELD]}
+              onChange={handleChange}
+              tabIndex={-1}
+              autoComplete="off"
+            />
+          </div>
+
+          <button
+            type="submit"
+            style={{
+              ...baseStyles.submitButton,
+              ...theme.submitButton,
+              ...(isButtonHovered && !isSending ? { backgroundColor: theme.submitButtonHover } : {}),
+              ...(isSending ? { opacity: 0.7, cursor: 'wait' } : {})
+            }}
+            onMouseOver={() => setIsButtonHovered(true)}
+            onMouseOut={() => setIsButtonHovered(false)}
+            disabled={isSending}
+          >
+            {isSending ? t('contact.sending') : t('contact.submit')}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+ContactForm.propTypes = {
+  variant: PropTypes.oneOf(['light', 'dark'])
+};
+
+export default memo(ContactForm);
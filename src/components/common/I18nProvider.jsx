@@ -0,0 +1,55 @@
+/**
+ * Fournisseur de langue de l'application
+ * Détecte la langue du visiteur, mémorise son choix et met à jour le document
+ */
+import { useState, useMemo, useCallback, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { I18nContext } from '../../hooks/useTranslation';
+import {
+  SUPPORTED_LOCALES,
+  createTranslator,
+  detectLocale,
+  isSupportedLocale,
+  persistLocale
+} from '../../i18n';
+
+/**
+ * Fournit la langue courante et la fonction de traduction
+ */
+const I18nProvider = ({ initialLocale, children }) => {
+  const [locale, setLocaleState] = useState(() => (
+    isSupportedLocale(initialLocale) ? initialLocale : detectLocale()
+  ));
+
+  // Changer de langue et enregistrer le choix
+  const setLocale = useCallback((nextLocale) => {
+    if (!isSupportedLocale(nextLocale)) return;
+    persistLocale(nextLocale);
+    setLocaleState(nextLocale);
+  }, []);
+
+  // Langue du document pour les lecteurs d'écran et la césure
+  useEffect(() => {
+    document.documentElement.lang = SUPPORTED_LOCALES[locale].htmlLang;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    locale,
+    locales: SUPPORTED_LOCALES,
+    setLocale,
+    t: createTranslator(locale)
+  }), [locale, setLocale]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
+
+I18nProvider.propTypes = {
+  initialLocale: PropTypes.string,
+  children: PropTypes.node.isRequired
+};
+
+export default I18nProvider;
@@ -0,0 +1,59 @@
+/**
+ * Composant d'étiquette de focus clavier
+ * Indique l'objet de la scène sélectionné avec la touche Tab
+ */
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import useTranslation from '../../hooks/useTranslation';
+
+const styles = {
+  container: {
+    position: 'absolute',
+    bottom: '90px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    zIndex: 1000,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '10px 18px',
+    background: 'rgba(255, 255, 255, 0.9)',
+    border: '2px solid #2A9D8F',
+    borderRadius: '8px',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)',
+    color: '#333',
+    fontFamily: '"Reem Kufi", sans-serif',
+    pointerEvents: 'none'
+  },
+  label: {
+    fontSize: '16px',
+    color: '#2A9D8F',
+    textTransform: 'uppercase'
+  },
+  hint: {
+    fontSize: '13px',
+    color: '#555'
+  }
+};
+
+/**
+ * Étiquette affichant l'objet sélectionné au clavier
+ */
+const KeyboardFocusLabel = ({ label }) => {
+  const { t } = useTranslation();
+
+  if (!label) return null;
+
+  return (
+    <div style={styles.container} role="status" aria-live="polite">
+      <span style={styles.label}>{label}</span>
+      <span style={styles.hint}>{t('scene.focusHint')}</span>
+    </div>
+  );
+};
+
+KeyboardFocusLabel.propTypes = {
+  label: PropTypes.string
+};
+
+export default memo(KeyboardFocusLabel);
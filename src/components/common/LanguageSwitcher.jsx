@@ -0,0 +1,84 @@
+/**
+ * Sélecteur de langue
+ * Utilisé dans la barre de navigation desktop et dans le menu mobile
+ */
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import useTranslation from '../../hooks/useTranslation';
+
+const styles = {
+  group: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '2px'
+  },
+  mobileGroup: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '10px',
+    marginTop: '15px'
+  },
+  button: {
+    background: 'transparent',
+    color: '#2A9D8F',
+    border: '1px solid transparent',
+    borderRadius: '4px',
+    padding: '4px 6px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontFamily: '"Reem Kufi", sans-serif',
+    letterSpacing: '1px',
+    opacity: 0.6,
+    transition: 'opacity 0.2s ease, border-color 0.2s ease',
+    WebkitTapHighlightColor: 'transparent'
+  },
+  mobileButton: {
+    fontSize: '14px',
+    padding: '8px 12px'
+  },
+  activeButton: {
+    opacity: 1,
+    borderColor: 'rgba(42, 157, 143, 0.5)'
+  }
+};
+
+/**
+ * Boutons de choix de la langue
+ */
+const LanguageSwitcher = ({ variant = 'toolbar' }) => {
+  const { t, locale, locales, setLocale } = useTranslation();
+  const isMobile = variant === 'mobile';
+
+  return (
+    <div
+      role="group"
+      aria-label={t('language.change')}
+      style={isMobile ? styles.mobileGroup : styles.group}
+    >
+      {Object.entries(locales).map(([code, { label, shortLabel, htmlLang }]) => (
+        <button
+          key={code}
+          type="button"
+          lang={htmlLang}
+          title={label}
+          aria-label={label}
+          aria-pressed={code === locale}
+          onClick={() => setLocale(code)}
+          style={{
+            ...styles.button,
+            ...(isMobile ? styles.mobileButton : {}),
+            ...(code === locale ? styles.activeButton : {})
+          }}
+        >
+          {shortLabel}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+LanguageSwitcher.propTypes = {
+  variant: PropTypes.oneOf(['toolbar', 'mobile'])
+};
+
+export default memo(LanguageSwitcher);
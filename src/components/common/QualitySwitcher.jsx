@@ -0,0 +1,88 @@
+/**
+ * Sélecteur de qualité du rendu 3D
+ * Utilisé dans la barre de navigation desktop et dans le menu mobile
+ */
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import useTranslation from '../../hooks/useTranslation';
+import { QUALITY_AUTO, QUALITY_LEVELS } from '../../constants/quality';
+
+const QUALITY_OPTIONS = [QUALITY_AUTO, ...QUALITY_LEVELS];
+
+const styles = {
+  group: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '2px'
+  },
+  mobileGroup: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '10px',
+    marginTop: '10px'
+  },
+  button: {
+    background: 'transparent',
+    color: '#2A9D8F',
+    border: '1px solid transparent',
+    borderRadius: '4px',
+    padding: '4px 6px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontFamily: '"Reem Kufi", sans-serif',
+    letterSpacing: '1px',
+    opacity: 0.6,
+    transition: 'opacity 0.2s ease, border-color 0.2s ease',
+    WebkitTapHighlightColor: 'transparent'
+  },
+  mobileButton: {
+    fontSize: '14px',
+    padding: '8px 12px'
+  },
+  activeButton: {
+    opacity: 1,
+    borderColor: 'rgba(42, 157, 143, 0.5)'
+  }
+};
+
+/**
+ * Boutons de choix de la qualité (automatique ou niveau imposé)
+ */
+const QualitySwitcher = ({ value, onChange, variant = 'toolbar' }) => {
+  const { t } = useTranslation();
+  const isMobile = variant === 'mobile';
+
+  return (
+    <div
+      role="group"
+      aria-label={t('quality.change')}
+      style={isMobile ? styles.mobileGroup : styles.group}
+    >
+      {QUALITY_OPTIONS.map(option => (
+        <button
+          key={option}
+          type="button"
+          title={t(`quality.${option}`)}
+          aria-label={t(`quality.${option}`)}
+          aria-pressed={option === value}
+          onClick={() => onChange(option)}
+          style={{
+            ...styles.button,
+            ...(isMobile ? styles.mobileButton : {}),
+            ...(option === value ? styles.activeButton : {})
+          }}
+        >
+          {t(`quality.short.${option}`)}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+QualitySwitcher.propTypes = {
+  value: PropTypes.oneOf(QUALITY_OPTIONS).isRequired,
+  onChange: PropTypes.func.isRequired,
+  variant: PropTypes.oneOf(['toolbar', 'mobile'])
+};
+
+export default memo(QualitySwitcher);
@@ -5,6 +5,9 @@
 import React, { useState, useCallback, memo } from 'react';
 import PropTypes from 'prop-types';
 import { navbarStyles } from '../../constants/styles';
+import useTranslation from '../../hooks/useTranslation';
+import LanguageSwitcher from '../common/LanguageSwitcher';
+import QualitySwitcher from '../common/QualitySwitcher';
 
 // Composant pour un élément de menu avec gestion du survol
 const MenuItem = memo(({ item, isActive, onClick }) => {
@@ -67,7 +70,14 @@ SubmenuItem.propTypes = {
 /**
  * Barre de navigation avec menus et sous-menus
  */
-const NavigationToolbar = ({ onNavigate, isCameraControlsDisabled = false }) => {
+const NavigationToolbar = ({
+  onNavigate,
+  onStartTour,
+  isCameraControlsDisabled = false,
+  qualityPreference,
+  onQualityChange
+}) => {
+  const { t } = useTranslation();
   // État pour suivre le menu actif
   const [activeMenu, setActiveMenu] = useState(null);
   
@@ -75,7 +85,7 @@ const NavigationToolbar = ({ onNavigate, isCameraControlsDisabled = false }) =>
   const navItems = [
     {
       id: 'about',
-      label: 'À PROPOS',
+      label: t('nav.about'),
       style: { whiteSpace: 'nowrap' },
       view: 'about',
       hasSubmenu: false,
@@ -83,26 +93,35 @@ const NavigationToolbar = ({ onNavigate, isCameraControlsDisabled = false }) =>
     },
     {
       id: 'prestations',
-      label: 'PRESTATIONS',
+      label: t('nav.prestations'),
       view: 'prestations',
       hasSubmenu: false,
       position: 'left'
     },
+    // Visite guidée, proposée seulement si la scène la prend en charge
+    ...(onStartTour ? [{
+      id: 'tour',
+      label: t('nav.tour'),
+      style: { whiteSpace: 'nowrap' },
+      onSelect: onStartTour,
+      hasSubmenu: false,
+      position: 'left'
+    }] : []),
     {
       id: 'portfolio',
-      label: 'PORTFOLIO',
+      label: t('nav.portfolio'),
       view: 'portfolio',
       hasSubmenu: true,
       position: 'right',
       submenu: [
-        { id: 'dataviz', label: 'DATA VIZ', view: 'dataviz' },
-        { id: '3d', label: '3D', view: 'model3d' },
-        { id: 'site', label: 'SITES EXPERIENTIELS', view: 'site' }
+        { id: 'dataviz', label: t('nav.dataviz'), view: 'dataviz' },
+        { id: '3d', label: t('nav.model3d'), view: 'model3d' },
+        { id: 'site', label: t('nav.sites'), view: 'site' }
       ]
     },
     {
       id: 'contact',
-      label: 'CONTACT',
+      label: t('nav.contact'),
       view: 'contact',
       hasSubmenu: false,
       position: 'right'
@@ -118,6 +137,10 @@ const NavigationToolbar = ({ onNavigate, isCameraControlsDisabled = false }) =>
     // Si l'élément a un sous-menu, afficher ou masquer ce sous-menu
     if (item.hasSubmenu) {
       setActiveMenu(activeMenu === item.id ? null : item.id);
+    } else if (item.onSelect) {
+      // Action sans vue associée (visite guidée)
+      item.onSelect();
+      setActiveMenu(null);
     } else {
       // Sinon, naviguer directement vers la vue correspondante
       onNavigate(item.view);
@@ -235,7 +258,7 @@ const NavigationToolbar = ({ onNavigate, isCameraControlsDisabled = false }) =>
             letterSpacing: '1px' 
           }}>
             <textPath xlinkHref="#circle-text-path" startOffset="5%">
-              SCROLLER POUR AVANCER
+              {t('nav.scrollToMove')}
             </textPath>
           </text>
         </g>
@@ -265,6 +288,10 @@ const NavigationToolbar = ({ onNavigate, isCameraControlsDisabled = false }) =>
         {/* Section droite */}
         <div style={navbarStyles.rightSection}>
           {renderMenuGroup(rightItems)}
+          <LanguageSwitcher />
+          {onQualityChange && (
+            <QualitySwitcher value={qualityPreference} onChange={onQualityChange} />
+          )}
         </div>
       </div>
     </div>
@@ -273,7 +300,10 @@ const NavigationToolbar = ({ onNavigate, isCameraControlsDisabled = false }) =>
 
 NavigationToolbar.propTypes = {
   onNavigate: PropTypes.func.isRequired,
-  isCameraControlsDisabled: PropTypes.bool
+  onStartTour: PropTypes.func,
+  isCameraControlsDisabled: PropTypes.bool,
+  qualityPreference: PropTypes.string,
+  onQualityChange: PropTypes.func
 };
 
 export default memo(NavigationToolbar);
\ No newline at end of file
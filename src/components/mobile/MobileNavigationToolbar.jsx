@@ -4,11 +4,21 @@
  */
 import React, { useState, useCallback, memo } from 'react';
 import PropTypes from 'prop-types';
+import useTranslation from '../../hooks/useTranslation';
+import LanguageSwitcher from '../common/LanguageSwitcher';
+import QualitySwitcher from '../common/QualitySwitcher';
 
 /**
  * Barre de navigation optimisée pour mobile
  */
-const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
+const MobileNavigationToolbar = ({
+  onNavigate,
+  onStartTour,
+  activeButtonId,
+  qualityPreference,
+  onQualityChange
+}) => {
+  const { t } = useTranslation();
   // État pour gérer l'ouverture/fermeture du menu
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   // État pour le sous-menu portfolio
@@ -128,6 +138,13 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
     setShowPortfolioSubmenu(false);
   }, [onNavigate]);
 
+  // Lancement de la visite guidée
+  const handleStartTour = useCallback(() => {
+    setIsMenuOpen(false);
+    setShowPortfolioSubmenu(false);
+    onStartTour();
+  }, [onStartTour]);
+
   return (
     <div style={styles.container}>
       {/* Bouton pour ouvrir/fermer le menu */}
@@ -146,7 +163,7 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
             toggleMenu();
           }
         }}
-        aria-label={isMenuOpen ? 'Fermer le menu' : 'Ouvrir le menu'}
+        aria-label={isMenuOpen ? t('nav.closeMenu') : t('nav.openMenu')}
       >
         {isMenuOpen ? '✕' : '☰'}
       </button>
@@ -165,7 +182,7 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
             handleNavigation('about');
           }}
         >
-          À Propos
+          {t('nav.about')}
         </button>
 
         <button
@@ -175,7 +192,7 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
           }}
           onClick={() => handleNavigation('prestations')}
         >
-          Prestations
+          {t('nav.prestations')}
         </button>
 
         <button
@@ -185,7 +202,7 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
           }}
           onClick={togglePortfolioSubmenu}
         >
-          Portfolio {showPortfolioSubmenu ? '▲' : '▼'}
+          {t('nav.portfolio')} {showPortfolioSubmenu ? '▲' : '▼'}
         </button>
 
         {/* Sous-menu portfolio */}
@@ -194,22 +211,32 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
             style={styles.submenuItem}
             onClick={() => handleNavigation('dataviz')}
           >
-            Data Viz
+            {t('nav.dataviz')}
           </button>
           <button
             style={styles.submenuItem}
             onClick={() => handleNavigation('model3d')}
           >
-            3D
+            {t('nav.model3d')}
           </button>
           <button
             style={styles.submenuItem}
             onClick={() => handleNavigation('site')}
           >
-            Sites Experientiels
+            {t('nav.sites')}
           </button>
         </div>
         
+        {/* Visite guidée */}
+        {onStartTour && (
+          <button
+            style={styles.navItem}
+            onClick={handleStartTour}
+          >
+            {t('nav.tour')}
+          </button>
+        )}
+        
         {/* Bouton de contact */}
         <button
           style={{
@@ -218,8 +245,16 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
           }}
           onClick={() => handleNavigation('contact')}
         >
-          Contact
+          {t('nav.contact')}
         </button>
+
+        {/* Choix de la langue */}
+        <LanguageSwitcher variant="mobile" />
+
+        {/* Choix de la qualité du rendu 3D */}
+        {onQualityChange && (
+          <QualitySwitcher variant="mobile" value={qualityPreference} onChange={onQualityChange} />
+        )}
       </div>
     </div>
   );
@@ -227,7 +262,10 @@ const MobileNavigationToolbar = ({ onNavigate, activeButtonId }) => {
 
 MobileNavigationToolbar.propTypes = {
   onNavigate: PropTypes.func.isRequired,
-  activeButtonId: PropTypes.string
+  onStartTour: PropTypes.func,
+  activeButtonId: PropTypes.string,
+  qualityPreference: PropTypes.string,
+  onQualityChange: PropTypes.func
 };
 
 export default memo(MobileNavigationToolbar);
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Overlay de la visite guidée
+ * Affiche la légende de l'étape courante et les commandes pause, suivant et arrêt
+ */
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { controlStyles } from '../../constants/styles';
+import { TOUR_CONTROLS_ATTRIBUTE } from '../../hooks/useGuidedTour';
+import useTranslation from '../../hooks/useTranslation';
+
+const styles = {
+  container: {
+    position: 'absolute',
+    bottom: '30px',
+    left: '30px',
+    zIndex: 1100,
+    maxWidth: '420px',
+    padding: '18px 22px',
+    background: 'rgba(255, 255, 255, 0.92)',
+    borderLeft: '4px solid #2A9D8F',
+    borderRadius: '12px',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.15)',
+    color: '#333',
+    fontFamily: '"Reem Kufi", sans-serif',
+    boxSizing: 'border-box'
+  },
+  mobileContainer: {
+    left: '12px',
+    right: '12px',
+    bottom: '12px',
+    maxWidth: 'none',
+    padding: '14px 16px'
+  },
+  step: {
+    margin: 0,
+    fontSize: '12px',
+    color: '#777',
+    textTransform: 'uppercase',
+    letterSpacing: '1px'
+  },
+  title: {
+    margin: '4px 0 8px',
+    fontSize: '20px',
+    fontWeight: 400,
+    color: '#2A9D8F',
+    textTransform: 'uppercase'
+  },
+  text: {
+    margin: 0,
+    fontSize: '15px',
+    lineHeight: 1.5
+  },
+  controls: {
+    display: 'flex',
+    gap: '8px',
+    marginTop: '14px'
+  }
+};
+
+/**
+ * Légende et commandes de la visite guidée
+ */
+const GuidedTourOverlay = ({
+  captionKey,
+  stopIndex,
+  stopCount,
+  isPaused,
+  onPause,
+  onResume,
+  onSkip,
+  onStop,
+  isMobile = false
+}) => {
+  const { t } = useTranslation();
+  const controlProps = { [TOUR_CONTROLS_ATTRIBUTE]: true };
+
+  return (
+    <section
+      {...controlProps}
+      style={{ ...styles.container, ...(isMobile ? styles.mobileContainer : {}) }}
+      aria-label={t('tour.label')}
+    >
+      <div role="status" aria-live="polite">
+        <p style={styles.step}>
+          {t('tour.step', { current: stopIndex + 1, total: stopCount })}
+        </p>
+        {captionKey && (
+          <>
+            <h2 style={styles.title}>{t(`${captionKey}.title`)}</h2>
+            <p style={styles.text}>{t(`${captionKey}.text`)}</p>
+          </>
+        )}
+      </div>
+
+      <div style={styles.controls}>
+        <button
+          style={controlStyles.button}
+          onClick={isPaused ? onResume : onPause}
+          aria-pressed={isPaused}
+        >
+          {isPaused ? t('tour.resume') : t('tour.pause')}
+        </button>
+        <button style={controlStyles.button} onClick={onSkip}>
+          {t('tour.next')}
+        </button>
+        <button style={controlStyles.button} onClick={onStop}>
+          {t('tour.stop')}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+GuidedTourOverlay.propTypes = {
+  captionKey: PropTypes.string,
+  stopIndex: PropTypes.number.isRequired,
+  stopCount: PropTypes.number.isRequired,
+  isPaused: PropTypes.bool.isRequired,
+  onPause: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+  onSkip: PropTypes.func.isRequired,
+  onStop: PropTypes.func.isRequired,
+  isMobile: PropTypes.bool
+};
+
+export default memo(GuidedTourOverlay);
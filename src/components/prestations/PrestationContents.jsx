@@ -1,10 +1,12 @@
 /**
  * Contenu des différentes prestations
- * Composants optimisés pour afficher les différentes offres de services
+ * Rendu générique des fichiers src/content/prestations/*.json
  */
 import React, { memo } from 'react';
 import PropTypes from 'prop-types';
 import { prestationStyles } from '../../constants/styles';
+import useTranslation from '../../hooks/useTranslation';
+import { getPrestationContent } from '../../services/prestationContent';
 
 /**
  * Composant de carte réutilisable avec effet de survol
@@ -33,22 +35,73 @@ ServiceCard.propTypes = {
   description: PropTypes.string.isRequired
 };
 
+/**
+ * Indication tarifaire d'une section
+ */
+const PricingHint = memo(({ label, value, note }) => (
+  <div style={prestationStyles.pricing}>
+    <span style={prestationStyles.pricingLabel}>{label}</span>
+    <span style={prestationStyles.pricingValue}>{value}</span>
+    {note && <span style={prestationStyles.pricingNote}>{note}</span>}
+  </div>
+));
+
+PricingHint.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  note: PropTypes.string
+};
+
+/**
+ * Bouton d'action d'une section (contact ou lien)
+ */
+const CallToAction = memo(({ label, action, href, onContact }) => {
+  if (action === 'link') {
+    const isExternal = /^https?:\/\//.test(href);
+
+    return (
+      <a
+        href={href}
+        style={prestationStyles.cta}
+        {...(isExternal ? { target: '_blank', rel: 'noopener noreferrer' } : {})}
+      >
+        {label}
+      </a>
+    );
+  }
+
+  return (
+    <button type="button" style={prestationStyles.cta} onClick={onContact}>
+      {label}
+    </button>
+  );
+});
+
+CallToAction.propTypes = {
+  label: PropTypes.string.isRequired,
+  action: PropTypes.oneOf(['contact', 'link']).isRequired,
+  href: PropTypes.string,
+  onContact: PropTypes.func
+};
+
 /**
  * Composant de section réutilisable
  */
-const ServiceSection = memo(({ title, description, services }) => {
+const ServiceSection = memo(({ title, description, services, pricing, cta, onContact }) => {
   return (
     <div style={prestationStyles.section}>
-      <h2 style={prestationStyles.sectionTitle}>
-        {title}
-      </h2>
+      {title && (
+        <h2 style={prestationStyles.sectionTitle}>
+          {title}
+        </h2>
+      )}
       {Array.isArray(description) ? (
         description.map((paragraph, index) => (
           <p key={index} style={prestationStyles.paragraph}>
             {paragraph}
           </p>
         ))
-      ) : (
+      ) : description && (
         <p style={prestationStyles.paragraph}>
           {description}
         </p>
@@ -65,12 +118,16 @@ const ServiceSection = memo(({ title, description, services }) => {
           ))}
         </div>
       )}
+
+      {pricing && <PricingHint {...pricing} />}
+
+      {cta && <CallToAction {...cta} onContact={onContact} />}
     </div>
   );
 });
 
 ServiceSection.propTypes = {
-  title: PropTypes.string.isRequired,
+  title: PropTypes.string,
   description: PropTypes.oneOfType([
     PropTypes.string,
     PropTypes.arrayOf(PropTypes.string)
@@ -80,149 +137,47 @@ ServiceSection.propTypes = {
       title: PropTypes.string.isRequired,
       description: PropTypes.string.isRequired
     })
-  )
+  ),
+  pricing: PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.string.isRequired,
+    note: PropTypes.string
+  }),
+  cta: PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    action: PropTypes.oneOf(['contact', 'link']).isRequired,
+    href: PropTypes.string
+  }),
+  onContact: PropTypes.func
 };
 
 /**
- * Contenu pour Data Visualisation
+ * Contenu d'une prestation, dans la langue active
+ * @param {String} slug - Slug de la prestation (fichier de contenu)
+ * @param {Function} onContact - Appelé par les boutons d'action "contact"
  */
-export const DataVizContent = memo(() => (
-  <>
-    <ServiceSection
-      title="Data Visualisation Immersive"
-      description={[
-        "Transformez vos données territoriales et environnementales en insights visuels percutants et accessibles. Notre expertise en data visualisation immersive permet de rendre les dynamiques de transition durable visibles et compréhensibles pour tous les publics.",
-        "En conjuguant sensibilité artistique et rigueur scientifique, nous créons des infographies 3D interactives et des représentations visuelles dynamiques qui racontent l'histoire cachée dans vos données, facilitant ainsi la prise de décision et l'engagement citoyen."
-      ]}
-    />
-    
-    <ServiceSection
-      title="Nos services de visualisation"
-      services={[
-        {
-          title: "Tableaux de bord interactifs",
-          description: "Outils de monitoring environnemental en temps réel pour suivre les indicateurs clés de durabilité territoriale"
-        },
-        {
-          title: "Cartographie dynamique",
-          description: "Visualisation géospatiale des données pour une compréhension intuitive des dynamiques territoriales"
-        },
-        {
-          title: "Narration de données",
-          description: "Transformation des données brutes en récits visuels engageants pour sensibiliser le public aux enjeux locaux"
-        }
-      ]}
-    />
-  </>
-));
+const PrestationContent = ({ slug, onContact }) => {
+  const { locale } = useTranslation();
+  const content = getPrestationContent(slug, locale);
 
-/**
- * Contenu pour Search Engine Optimization
- */
-export const SearchEngineContent = memo(() => (
-  <>
-    <ServiceSection
-     description={[
-      "Concrétisez vos projets territoriaux avec nos services de développement d'expériences immersives sur mesure. Nous concevons des sites expérientiels et applications qui favorisent l'exploration active, la compréhension sensible et la co-construction des espaces.",
-      "Notre équipe utilise les technologies les plus récentes pour créer des parcours virtuels interactifs qui transforment la façon dont les citoyens, décideurs et parties prenantes interagissent avec le territoire et ses enjeux de développement durable."
-    ]}
-  />
-  
-  <ServiceSection
-    title="Nos solutions immersives"
-    services={[
-      {
-        title: "Stratégie de contenu territorial",
-        description: "Développement de récits numériques autour de vos projets d'aménagement et initiatives durables"
-      },
-      {
-        title: "Applications de sensibilisation",
-        description: "Expériences mobiles immersives pour découvrir les enjeux environnementaux locaux"
-      },
-      {
-        title: "Scénario digitaux",
-        description: "Répliques virtuelles interactives de territoires permettant simulation et planification durable"
-      }
-      ]}
-    />
-  </>
-));
+  if (!content) return null;
 
-/**
- * Contenu pour 3D Modeling
- */
-export const Model3DContent = memo(() => (
-  <>
-    <ServiceSection
-      title="Modélisation et projection 3D"
-      description={[
-        "Donnez vie aux territoires de demain grâce à notre expertise en modélisation 3D. Nous créons des visualisations détaillées et réalistes pour concevoir, imaginer ou réhabiliter des espaces et projets d'aménagement innovants.",
-        "Notre équipe combine connaissances en aménagement territorial et maîtrise des outils 3D les plus avancés pour produire des projections spatiales qui facilitent la compréhension des enjeux, la participation citoyenne et la prise de décision éclairée."
-      ]}
-    />
-    
-    <ServiceSection
-      title="Nos services 3D"
-      services={[
-        {
-          title: "Visualisation d'aménagements",
-          description: "Modélisation 3D réaliste pour prévisualiser l'impact de projets d'aménagement durable"
-        },
-        {
-          title: "Simulations environnementales",
-          description: "Modélisation des dynamiques naturelles et projection de scénarios d'évolution territoriale"
-        },
-        {
-          title: "Maquettes interactives",
-          description: "Création d'environnements 3D manipulables pour faciliter la concertation et co-construction"
-        }
-      ]}
-    />
-  </>
-));
-
-/**
- * Contenu pour Application Development
- */
-export const AppDevContent = memo(() => (
-  <>
-    <ServiceSection
-      title="Sites expérientiels et applications"
-      description={[
-        "Concrétisez vos projets territoriaux avec nos services de développement d'expériences immersives sur mesure. Nous concevons des sites expérientiels et applications qui favorisent l'exploration active, la compréhension sensible et la co-construction des espaces.",
-        "Notre équipe utilise les technologies les plus récentes pour créer des parcours virtuels interactifs qui transforment la façon dont les citoyens, décideurs et parties prenantes interagissent avec le territoire et ses enjeux de développement durable."
-      ]}
-    />
-    
-    <ServiceSection
-      title="Nos solutions immersives"
-      services={[
-        {
-          title: "Stratégie de contenu territorial",
-          description: "Développement de récits numériques autour de vos projets d'aménagement et initiatives durables"
-        },
-        {
-          title: "Applications de sensibilisation",
-          description: "Expériences mobiles immersives pour découvrir les enjeux environnementaux locaux"
-        },
-        {
-          title: "Scénario digitaux",
-          description: "Répliques virtuelles interactives de territoires permettant simulation et planification durable"
-        }
-      ]}
-    />
-  </>
-));
+  return (
+    <>
+      {content.sections.map((section, index) => (
+        <ServiceSection
+          key={index}
+          {...section}
+          onContact={onContact}
+        />
+      ))}
+    </>
+  );
+};
 
-// Map des contenus pour accès dynamique
-export const PRESTATION_CONTENTS = {
-  DataVizContent,
-  SearchEngineContent,
-  Model3DContent,
-  AppDevContent
+PrestationContent.propTypes = {
+  slug: PropTypes.string.isRequired,
+  onContact: PropTypes.func
 };
 
-// Fonction utilitaire pour obtenir le contenu par type
-export const getPrestationContent = (contentType) => {
-  return PRESTATION_CONTENTS[contentType] || null;
-};
\ No newline at end of file
+export default memo(PrestationContent);
@@ -0,0 +1,60 @@
+/**
+ * Carte de projet
+ * Utilisée par l'index du portfolio et la liste des projets liés
+ */
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { projectStyles } from '../../constants/styles';
+import useTranslation from '../../hooks/useTranslation';
+import { buildProjectPath } from '../../utils/projectRoutes';
+
+const DEFAULT_ACCENT = '#2A9D8F';
+
+/**
+ * Carte cliquable menant à la page d'un projet
+ */
+const ProjectCard = ({ project }) => {
+  const { t } = useTranslation();
+  const accent = project.theme?.accent || DEFAULT_ACCENT;
+
+  return (
+    <Link
+      to={buildProjectPath(project.slug)}
+      style={projectStyles.card}
+      aria-label={`${project.title} — ${t('projects.viewProject')}`}
+      onMouseOver={(e) => {
+        e.currentTarget.style.transform = 'translateY(-5px)';
+        e.currentTarget.style.boxShadow = '0 10px 15px rgba(0, 0, 0, 0.1)';
+      }}
+      onMouseOut={(e) => {
+        e.currentTarget.style.transform = 'translateY(0)';
+        e.currentTarget.style.boxShadow = 'none';
+      }}
+    >
+      <h3 style={{ ...projectStyles.cardTitle, color: accent }}>{project.title}</h3>
+      <p style={projectStyles.cardText}>{project.summary}</p>
+      <div style={projectStyles.tags}>
+        {project.tags.map(tag => (
+          <span key={tag} style={{ ...projectStyles.tag, color: accent, borderColor: accent }}>
+            {t(`projects.tags.${tag}`)}
+          </span>
+        ))}
+      </div>
+    </Link>
+  );
+};
+
+ProjectCard.propTypes = {
+  project: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    summary: PropTypes.string.isRequired,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    theme: PropTypes.shape({
+      accent: PropTypes.string
+    })
+  }).isRequired
+};
+
+export default memo(ProjectCard);
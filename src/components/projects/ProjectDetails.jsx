@@ -0,0 +1,163 @@
+/**
+ * Contenu détaillé d'un projet
+ * Rendu générique d'une entrée du manifeste : présentation, sections,
+ * consignes d'interaction, galerie, crédits et projets liés
+ */
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { projectStyles } from '../../constants/styles';
+import useTranslation from '../../hooks/useTranslation';
+import { getRelatedProjects } from '../../services/projectManifest';
+import ProjectCard from './ProjectCard';
+
+const DEFAULT_ACCENT = '#2A9D8F';
+
+/**
+ * Section libre d'un projet (paragraphes, liste à puces, points forts)
+ */
+const ProjectSection = ({ title, description, items, highlights, accent, isMobile }) => (
+  <section style={{ marginBottom: '40px', width: '100%' }}>
+    <h2 style={projectStyles.sectionTitle}>{title}</h2>
+
+    {description && description.map((paragraph, index) => (
+      <p key={index} style={projectStyles.paragraph}>{paragraph}</p>
+    ))}
+
+    {items && (
+      <ul style={{ ...projectStyles.list, columnCount: isMobile ? 1 : 2, columnGap: '30px' }}>
+        {items.map(item => (
+          <li key={item} style={projectStyles.listItem}>{item}</li>
+        ))}
+      </ul>
+    )}
+
+    {highlights && highlights.map(highlight => (
+      <p key={highlight.title} style={projectStyles.paragraph}>
+        <strong style={{ color: accent }}>{highlight.title}</strong> — {highlight.text}
+      </p>
+    ))}
+  </section>
+);
+
+ProjectSection.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.arrayOf(PropTypes.string),
+  items: PropTypes.arrayOf(PropTypes.string),
+  highlights: PropTypes.arrayOf(PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired
+  })),
+  accent: PropTypes.string.isRequired,
+  isMobile: PropTypes.bool
+};
+
+/**
+ * Détail d'un projet résolu dans la langue active
+ */
+const ProjectDetails = ({ project, isMobile = false, showControls = false }) => {
+  const { t, locale } = useTranslation();
+  const accent = project.theme?.accent || DEFAULT_ACCENT;
+  const relatedProjects = getRelatedProjects(project, locale);
+  const controls = isMobile ? project.controls?.mobile : project.controls?.desktop;
+
+  return (
+    <>
+      <p style={projectStyles.paragraph}>{project.summary}</p>
+
+      <div style={{ ...projectStyles.status, color: accent }}>
+        <div style={{ ...projectStyles.statusDot, background: accent }}></div>
+        <span>{t(`projects.status.${project.status}`)}</span>
+      </div>
+
+      {showControls && controls && (
+        <section style={{ marginBottom: '40px', width: '100%' }}>
+          <h2 style={projectStyles.sectionTitle}>{t('projects.howToTitle')}</h2>
+          <p><strong>{isMobile ? t('projects.onMobile') : t('projects.onDesktop')}</strong></p>
+          <ul style={projectStyles.list}>
+            {controls.map(tip => (
+              <li key={tip} style={projectStyles.listItem}>{tip}</li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {project.sections.map(section => (
+        <ProjectSection key={section.title} {...section} accent={accent} isMobile={isMobile} />
+      ))}
+
+      {project.gallery.length > 0 && (
+        <section style={{ marginBottom: '40px', width: '100%' }}>
+          <h2 style={projectStyles.sectionTitle}>{t('projects.galleryTitle')}</h2>
+          <div style={projectStyles.gallery}>
+            {project.gallery.map(image => (
+              <figure key={image.src} style={{ margin: 0 }}>
+                <img src={image.src} alt={image.alt} loading="lazy" style={projectStyles.galleryImage} />
+                <figcaption style={projectStyles.galleryCaption}>{image.alt}</figcaption>
+              </figure>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {project.credits.length > 0 && (
+        <section style={{ marginBottom: '40px', width: '100%' }}>
+          <h2 style={projectStyles.sectionTitle}>{t('projects.creditsTitle')}</h2>
+          <ul style={projectStyles.list}>
+            {project.credits.map(credit => (
+              <li key={`${credit.name}-${credit.role}`} style={projectStyles.listItem}>
+                {credit.url ? (
+                  <a href={credit.url} target="_blank" rel="noopener noreferrer" style={{ color: accent }}>
+                    {credit.name}
+                  </a>
+                ) : (
+                  <strong style={{ color: accent }}>{credit.name}</strong>
+                )}
+                {' — '}{credit.role}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {relatedProjects.length > 0 && (
+        <section style={{ marginBottom: '40px', width: '100%' }}>
+          <h2 style={projectStyles.sectionTitle}>{t('projects.relatedTitle')}</h2>
+          <div style={projectStyles.cardsContainer}>
+            {relatedProjects.map(related => (
+              <ProjectCard key={related.slug} project={related} />
+            ))}
+          </div>
+        </section>
+      )}
+
+      <style>{`
+        @keyframes pulse {
+          0% { opacity: 0.6; transform: scale(0.95); }
+          50% { opacity: 1; transform: scale(1.05); }
+          100% { opacity: 0.6; transform: scale(0.95); }
+        }
+      `}</style>
+    </>
+  );
+};
+
+ProjectDetails.propTypes = {
+  project: PropTypes.shape({
+    summary: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    theme: PropTypes.shape({
+      accent: PropTypes.string
+    }),
+    controls: PropTypes.shape({
+      mobile: PropTypes.arrayOf(PropTypes.string),
+      desktop: PropTypes.arrayOf(PropTypes.string)
+    }),
+    sections: PropTypes.arrayOf(PropTypes.object).isRequired,
+    gallery: PropTypes.arrayOf(PropTypes.object).isRequired,
+    credits: PropTypes.arrayOf(PropTypes.object).isRequired
+  }).isRequired,
+  isMobile: PropTypes.bool,
+  showControls: PropTypes.bool
+};
+
+export default memo(ProjectDetails);
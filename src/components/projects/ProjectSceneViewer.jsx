@@ -1,15 +1,29 @@
-// DatavizEoliennesPage.jsx - Version simplifiée avec overlay d'orientation
-import React, { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+/**
+ * Visionneuse plein écran d'un projet possédant une scène Spline
+ * Écran de chargement, fiche de présentation et invitation à passer en paysage
+ */
+import { useState, useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
 import Spline from '@splinetool/react-spline';
-import useDeviceDetection from '../hooks/useDeviceDetection';
+import useDeviceDetection from '../../hooks/useDeviceDetection';
+import useTranslation from '../../hooks/useTranslation';
+import { getSceneUrl, getLoadedSceneUrl } from '../../services/sceneAssets';
+import debugUtils from '../../utils/debugUtils';
+import ProjectDetails from './ProjectDetails';
+
+const { logger } = debugUtils;
+
+const DEFAULT_ACCENT = '#2A9D8F';
 
 /**
- * Composant pour l'overlay de présentation du projet
+ * Fiche de présentation du projet, affichée par-dessus la scène
  */
-const ProjectOverlay = ({ onClose, isMobile }) => {
+const ProjectInfoOverlay = ({ project, onClose, isMobile }) => {
+  const { t } = useTranslation();
+  const accent = project.theme?.accent || DEFAULT_ACCENT;
+
   return (
-    <div 
+    <div
       style={{
         position: 'fixed',
         top: 0,
@@ -25,13 +39,16 @@ const ProjectOverlay = ({ onClose, isMobile }) => {
         boxSizing: 'border-box'
       }}
     >
-      <div 
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="project-info-title"
         style={{
           backgroundColor: 'white',
           borderRadius: '10px',
-          padding: '30px',
-          maxWidth: isMobile ? '100%' : '650px',
-          maxHeight: isMobile ? '80vh' : '70vh',
+          padding: isMobile ? '20px' : '30px',
+          maxWidth: '800px',
+          maxHeight: '90%',
           overflowY: 'auto',
           position: 'relative',
           boxShadow: '0 10px 25px rgba(0, 0, 0, 0.5)'
@@ -39,11 +56,12 @@ const ProjectOverlay = ({ onClose, isMobile }) => {
       >
         <button
           onClick={onClose}
+          aria-label={t('common.close')}
           style={{
             position: 'absolute',
             top: '15px',
             right: '15px',
-            background: 'transparent',
+            background: 'none',
             border: 'none',
             fontSize: '24px',
             cursor: 'pointer',
@@ -52,47 +70,16 @@ const ProjectOverlay = ({ onClose, isMobile }) => {
         >
           ×
         </button>
-        
-        <h1 style={{ color: '#2A9D8F', marginTop: 0 }}>Visualisation des données éoliennes</h1>
-        
-        <p>
-          Cette visualisation interactive présente les données relatives aux parcs éoliens, 
-          permettant d'explorer leur distribution, leur production d'énergie et leur impact environnemental.
-        </p>
-        
-        <h2 style={{ color: '#2A9D8F' }}>Comment interagir</h2>
-        
-        {isMobile ? (
-          <div>
-            <p><strong>Sur mobile et tablette :</strong></p>
-            <ul>
-              <li>Pour une meilleure expérience, utilisez votre appareil en mode paysage</li>
-              <li>Glissez horizontalement pour déplacer la vue de côté</li>
-            </ul>
-          </div>
-        ) : (
-          <div>
-            <p><strong>Sur ordinateur :</strong></p>
-            <ul>
-              <li>Cliquez et faites glisser horizontalement pour déplacer la vue</li>
-              <li>Utilisez les flèches directionnelles du clavier pour naviguer</li>
-            </ul>
-          </div>
-        )}
-        
-        <h2 style={{ color: '#2A9D8F' }}>À propos du projet</h2>
-        <p>
-          Ce projet utilise des données réelles sur les parcs éoliens pour illustrer 
-          leur répartition géographique, leur capacité de production et leur contribution 
-          à la réduction des émissions de CO₂. La visualisation 3D permet une compréhension 
-          intuitive des données complexes liées à l'énergie éolienne.
-        </p>
-        
+
+        <h1 id="project-info-title" style={{ color: accent, marginTop: 0 }}>{project.title}</h1>
+
+        <ProjectDetails project={project} isMobile={isMobile} showControls />
+
         <div style={{ marginTop: '30px', textAlign: 'center' }}>
           <button
             onClick={onClose}
             style={{
-              background: '#2A9D8F',
+              background: accent,
               color: 'white',
               border: 'none',
               borderRadius: '5px',
@@ -102,7 +89,7 @@ const ProjectOverlay = ({ onClose, isMobile }) => {
               transition: 'background 0.3s'
             }}
           >
-            Découvrir la visualisation
+            {t('projects.discover')}
           </button>
         </div>
       </div>
@@ -110,12 +97,20 @@ const ProjectOverlay = ({ onClose, isMobile }) => {
   );
 };
 
+ProjectInfoOverlay.propTypes = {
+  project: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired,
+  isMobile: PropTypes.bool
+};
+
 /**
- * Composant pour l'overlay d'orientation
+ * Invitation à passer l'appareil en mode paysage
  */
-const OrientationOverlay = ({ onClose }) => {
+const OrientationOverlay = ({ onClose, accent }) => {
+  const { t } = useTranslation();
+
   return (
-    <div 
+    <div
       style={{
         position: 'fixed',
         top: 0,
@@ -131,7 +126,7 @@ const OrientationOverlay = ({ onClose }) => {
         boxSizing: 'border-box'
       }}
     >
-      <div 
+      <div
         style={{
           backgroundColor: 'white',
           borderRadius: '10px',
@@ -144,7 +139,8 @@ const OrientationOverlay = ({ onClose }) => {
           boxShadow: '0 10px 25px rgba(0, 0, 0, 0.5)'
         }}
       >
-        <div 
+        <div
+          aria-hidden="true"
           style={{
             fontSize: '40px',
             marginBottom: '20px',
@@ -153,19 +149,19 @@ const OrientationOverlay = ({ onClose }) => {
         >
           📱↔️
         </div>
-        
-        <h2 style={{ color: '#2A9D8F', textAlign: 'center', margin: '10px 0' }}>
-          Pour une meilleure expérience
+
+        <h2 style={{ color: accent, textAlign: 'center', margin: '10px 0' }}>
+          {t('common.betterExperience')}
         </h2>
-        
+
         <p style={{ textAlign: 'center', margin: '10px 0 20px', fontSize: '16px' }}>
-          Tournez votre appareil en mode paysage
+          {t('common.rotateDevice')}
         </p>
-        
+
         <button
           onClick={onClose}
           style={{
-            background: '#2A9D8F',
+            background: accent,
             color: 'white',
             border: 'none',
             borderRadius: '5px',
@@ -175,9 +171,9 @@ const OrientationOverlay = ({ onClose }) => {
             marginTop: '10px'
           }}
         >
-          Continuer quand même
+          {t('common.continueAnyway')}
         </button>
-        
+
         <style>{`
           @keyframes rotate {
             0% { transform: rotate(0deg); }
@@ -191,75 +187,52 @@ const OrientationOverlay = ({ onClose }) => {
   );
 };
 
+OrientationOverlay.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  accent: PropTypes.string.isRequired
+};
+
 /**
- * Composant principal pour la page de visualisation des éoliennes
+ * Scène Spline du projet en plein écran
  */
-export default function DatavizEoliennesPage() {
-  const navigate = useNavigate();
+const ProjectSceneViewer = ({ project, onBack }) => {
+  const { t } = useTranslation();
   const { isMobile, isTablet } = useDeviceDetection();
   const [showOverlay, setShowOverlay] = useState(true);
   const [showOrientationOverlay, setShowOrientationOverlay] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isPortrait, setIsPortrait] = useState(false);
-  
-  // Référence à l'instance Spline
-  const splineRef = useRef(null);
-  
+  const isTouchDevice = isMobile || isTablet;
+  const accent = project.theme?.accent || DEFAULT_ACCENT;
+
   // Vérifier l'orientation de l'écran
   useEffect(() => {
     const checkOrientation = () => {
-      if (isMobile || isTablet) {
+      if (isTouchDevice) {
         const isPortraitMode = window.innerHeight > window.innerWidth;
         setIsPortrait(isPortraitMode);
-        
-        // Afficher l'overlay d'orientation seulement si:
-        // 1. On est en mode portrait
-        // 2. L'overlay du projet n'est pas affiché
-        // 3. On n'est pas en train de charger
+
+        // L'invitation n'apparaît qu'en portrait, fiche fermée et scène chargée
         setShowOrientationOverlay(isPortraitMode && !showOverlay && !isLoading);
       } else {
         setIsPortrait(false);
         setShowOrientationOverlay(false);
       }
     };
-    
-    // Vérifier l'orientation initiale
+
     checkOrientation();
-    
-    // Ajouter un écouteur pour les changements d'orientation
     window.addEventListener('resize', checkOrientation);
-    
-    // Nettoyer l'écouteur
+
     return () => {
       window.removeEventListener('resize', checkOrientation);
     };
-  }, [isMobile, isTablet, showOverlay, isLoading]);
-  
-  // Simuler un chargement
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      setIsLoading(false);
-      
-      // Vérifier si on doit afficher l'overlay d'orientation
-      if ((isMobile || isTablet) && isPortrait && !showOverlay) {
-        setShowOrientationOverlay(true);
-      }
-    }, 3000);
-    
-    return () => clearTimeout(timer);
-  }, [isMobile, isTablet, isPortrait, showOverlay]);
+  }, [isTouchDevice, showOverlay, isLoading]);
 
   /**
    * Fonction appelée lorsque Spline est chargé
    */
-  const onSplineLoad = (spline) => {
-    console.log('Spline chargé');
-    splineRef.current = spline;
-    
-    // Exposer l'instance pour le debugging
-    window.splineInstance = spline;
-    
-    // Terminer le chargement
+  const onSplineLoad = () => {
+    logger.log(`Scène du projet ${project.slug} chargée`);
     setIsLoading(false);
   };
 
@@ -273,7 +246,7 @@ export default function DatavizEoliennesPage() {
           left: 0,
           width: '100%',
           height: '100%',
-          backgroundColor: '#f5f5f5',
+          backgroundColor: project.theme?.background || '#f5f5f5',
           display: 'flex',
           flexDirection: 'column',
           justifyContent: 'center',
@@ -291,17 +264,19 @@ export default function DatavizEoliennesPage() {
               width: '100%',
               height: '100%',
               border: '4px solid transparent',
-              borderTopColor: '#2A9D8F',
+              borderTopColor: accent,
               borderRadius: '50%',
               animation: 'spin 1.5s linear infinite'
             }}></div>
           </div>
-          <h2 style={{ color: '#2A9D8F', marginBottom: '10px' }}>
-            Chargement de la visualisation
+          <h2 style={{ color: accent, marginBottom: '10px' }}>
+            {t('projects.loadingTitle')}
           </h2>
-          <p style={{ color: '#555' }}>
-            Préparation des données éoliennes...
-          </p>
+          {project.loadingText && (
+            <p style={{ color: '#555' }}>
+              {project.loadingText}
+            </p>
+          )}
           <style>{`
             @keyframes spin {
               0% { transform: rotate(0deg); }
@@ -312,25 +287,26 @@ export default function DatavizEoliennesPage() {
       )}
 
       {/* Composant Spline */}
-      <div style={{ 
-        width: '100%', 
+      <div style={{
+        width: '100%',
         height: '100%'
       }}>
         <Spline
-          scene="https://prod.spline.design/ooNVOtiTDHs2dVTp/scene.splinecode"
+          // Scène déjà en mémoire si elle a été préparée depuis le chalet
+          scene={getLoadedSceneUrl(project.scene) || getSceneUrl(project.scene)}
           onLoad={onSplineLoad}
-          style={{ 
-            width: '100%', 
+          style={{
+            width: '100%',
             height: '100%',
             opacity: isLoading ? 0 : 1,
             transition: 'opacity 0.5s ease-in-out'
           }}
         />
       </div>
-      
+
       {/* Bouton de retour */}
-      <button 
-        onClick={() => navigate(-1)}
+      <button
+        onClick={onBack}
         style={{
           position: 'absolute',
           top: '20px',
@@ -347,11 +323,11 @@ export default function DatavizEoliennesPage() {
           gap: '5px'
         }}
       >
-        <span style={{ fontSize: '16px' }}>←</span> Retour
+        <span style={{ fontSize: '16px' }}>←</span> {t('common.back')}
       </button>
-      
+
       {/* Bouton d'aide */}
-      <button 
+      <button
         onClick={() => setShowOverlay(true)}
         style={{
           position: 'absolute',
@@ -366,13 +342,14 @@ export default function DatavizEoliennesPage() {
           cursor: 'pointer'
         }}
       >
-        Aide
+        {t('common.help')}
       </button>
-      
+
       {/* Bouton de rotation (apparaît uniquement en mode portrait sur mobile) */}
-      {(isMobile || isTablet) && isPortrait && !showOverlay && !showOrientationOverlay && !isLoading && (
-        <button 
+      {isTouchDevice && isPortrait && !showOverlay && !showOrientationOverlay && !isLoading && (
+        <button
           onClick={() => setShowOrientationOverlay(true)}
+          aria-label={t('common.rotateDevice')}
           style={{
             position: 'absolute',
             bottom: '20px',
@@ -394,25 +371,40 @@ export default function DatavizEoliennesPage() {
           📱↔️
         </button>
       )}
-      
-      {/* Overlay de présentation du projet */}
+
+      {/* Fiche de présentation du projet */}
       {showOverlay && (
-        <ProjectOverlay 
+        <ProjectInfoOverlay
+          project={project}
           onClose={() => {
             setShowOverlay(false);
-            // Vérifier si on doit afficher l'overlay d'orientation après
-            if ((isMobile || isTablet) && isPortrait) {
+            if (isTouchDevice && isPortrait) {
               setShowOrientationOverlay(true);
             }
-          }} 
-          isMobile={isMobile || isTablet}
+          }}
+          isMobile={isTouchDevice}
         />
       )}
-      
-      {/* Overlay d'orientation */}
+
+      {/* Invitation à passer en paysage */}
       {showOrientationOverlay && (
-        <OrientationOverlay onClose={() => setShowOrientationOverlay(false)} />
+        <OrientationOverlay accent={accent} onClose={() => setShowOrientationOverlay(false)} />
       )}
     </div>
   );
-}
\ No newline at end of file
+};
+
+ProjectSceneViewer.propTypes = {
+  project: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    scene: PropTypes.string.isRequired,
+    loadingText: PropTypes.string,
+    theme: PropTypes.shape({
+      accent: PropTypes.string,
+      background: PropTypes.string
+    })
+  }).isRequired,
+  onBack: PropTypes.func.isRequired
+};
+
+export default memo(ProjectSceneViewer);
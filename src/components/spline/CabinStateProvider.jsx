@@ -0,0 +1,33 @@
+/**
+ * Fournisseur de l'état d'interaction du chalet
+ * Rend la machine à états accessible à la scène, aux contrôles et à l'interface
+ */
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { CabinStateContext } from '../../hooks/useCabinState';
+import { createCabinStateMachine } from '../../services/cabinStateMachine';
+
+/**
+ * Fournit une machine à états du chalet à l'arbre de composants
+ * Une instance existante peut être passée pour être partagée
+ */
+const CabinStateProvider = ({ machine, children }) => {
+  const [ownMachine] = useState(() => machine || createCabinStateMachine());
+
+  return (
+    <CabinStateContext.Provider value={machine || ownMachine}>
+      {children}
+    </CabinStateContext.Provider>
+  );
+};
+
+CabinStateProvider.propTypes = {
+  machine: PropTypes.shape({
+    send: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired
+  }),
+  children: PropTypes.node.isRequired
+};
+
+export default CabinStateProvider;
@@ -0,0 +1,191 @@
+/**
+ * Composant SceneAccessibilityLayer
+ * Miroir DOM, visuellement masqué, des objets interactifs de la scène Spline
+ * pour les lecteurs d'écran, avec annonce des changements de vue
+ */
+import { useState, useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
+import { useCabinMachine } from '../../hooks/useCabinState';
+import useTranslation from '../../hooks/useTranslation';
+import { CABIN_STATES, DOOR_STATES } from '../../services/cabinStateMachine';
+import {
+  VIEW_MAPPINGS,
+  DRAWER_MAPPINGS,
+  getFocusableInteractions,
+  getInteractionDescriptionKey
+} from '../../constants/viewMappings';
+
+// Masquage visuel sans retirer le contenu de l'arbre d'accessibilité
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+const styles = {
+  // Liste rendue visible lorsqu'un de ses boutons reçoit le focus clavier
+  focusedNav: {
+    position: 'absolute',
+    top: '80px',
+    left: '20px',
+    zIndex: 1100,
+    maxWidth: '320px',
+    padding: '12px',
+    background: 'rgba(255, 255, 255, 0.95)',
+    borderRadius: '8px',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)'
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0
+  },
+  button: {
+    display: 'block',
+    width: '100%',
+    margin: '4px 0',
+    padding: '6px 10px',
+    textAlign: 'left',
+    background: 'transparent',
+    border: '1px solid rgba(42, 157, 143, 0.4)',
+    borderRadius: '4px',
+    color: '#333',
+    cursor: 'pointer'
+  }
+};
+
+// Objets interactifs issus du registre (ordre de lecture)
+const INTERACTIONS = getFocusableInteractions();
+
+/**
+ * Détermine le message à annoncer entre deux instantanés de la machine
+ * @param {Object} previous - Instantané précédent { state, context }
+ * @param {Object} next - Nouvel instantané { state, context }
+ * @param {Function} t - Fonction de traduction
+ * @returns {String|null} - Message à annoncer ou null
+ */
+const getAnnouncement = (previous, next, t) => {
+  const { state, context } = next;
+
+  // Libellé traduit d'une vue de caméra (VIEW_MAPPINGS)
+  const getViewLabel = (view) => (VIEW_MAPPINGS[view] ? t(`scene.objects.${view}`) : view);
+
+  if (context.doorOpen && !previous.context.doorOpen) {
+    return t('scene.announcements.doorOpening');
+  }
+
+  if (context.doorState === DOOR_STATES.CLOSING && previous.context.doorState !== DOOR_STATES.CLOSING) {
+    return t('scene.announcements.doorClosing');
+  }
+
+  const hasChanged = state !== previous.state ||
+    context.view !== previous.context.view ||
+    context.overlay !== previous.context.overlay;
+  if (!hasChanged) return null;
+
+  switch (state) {
+    case CABIN_STATES.FOCUSED_VIEW:
+      return previous.state === CABIN_STATES.OVERLAY_OPEN && context.view === previous.context.view
+        ? t('scene.announcements.overlayClosed')
+        : t('scene.announcements.view', { label: getViewLabel(context.view) });
+
+    case CABIN_STATES.OVERLAY_OPEN: {
+      if (context.overlay === 'prestation') {
+        const drawer = DRAWER_MAPPINGS[context.drawerId];
+        return t('scene.announcements.prestationOpened', {
+          label: drawer ? t(`scene.objects.${drawer.slug}`) : ''
+        });
+      }
+      return t('scene.announcements.overlayOpened', { label: getViewLabel(context.overlay) });
+    }
+
+    case CABIN_STATES.PORTFOLIO:
+      return t('scene.announcements.portfolio');
+
+    case CABIN_STATES.INTERIOR:
+      return previous.state === CABIN_STATES.TERRACE || previous.state === CABIN_STATES.ENTERING
+        ? t('scene.announcements.entering')
+        : t('scene.announcements.freeRoam');
+
+    case CABIN_STATES.TERRACE:
+      return previous.state === CABIN_STATES.INTERIOR
+        ? t('scene.announcements.terrace')
+        : t('scene.announcements.freeRoam');
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Couche accessible de la scène : liste des objets et région d'annonces
+ */
+const SceneAccessibilityLayer = ({ onActivate }) => {
+  const machine = useCabinMachine();
+  const { t } = useTranslation();
+  const [announcement, setAnnouncement] = useState('');
+  const [hasFocus, setHasFocus] = useState(false);
+
+  // Annoncer les changements de vue et l'ouverture des overlays
+  useEffect(() => {
+    let previous = machine.getSnapshot();
+
+    return machine.subscribe((snapshot) => {
+      const message = getAnnouncement(previous, snapshot, t);
+      previous = snapshot;
+
+      if (message) {
+        setAnnouncement(message);
+      }
+    });
+  }, [machine, t]);
+
+  return (
+    <>
+      <nav
+        aria-label={t('scene.objectsNav')}
+        style={hasFocus ? styles.focusedNav : visuallyHidden}
+        onFocus={() => setHasFocus(true)}
+        onBlur={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) {
+            setHasFocus(false);
+          }
+        }}
+      >
+        <ul style={styles.list}>
+          {INTERACTIONS.map((interaction) => (
+            <li key={interaction.buttonId}>
+              <button
+                type="button"
+                style={styles.button}
+                aria-describedby={`scene-object-${interaction.buttonId}`}
+                onClick={() => onActivate(interaction.buttonId)}
+              >
+                {t(interaction.labelKey)}
+              </button>
+              <span id={`scene-object-${interaction.buttonId}`} style={visuallyHidden}>
+                {t(getInteractionDescriptionKey(interaction))}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </nav>
+
+      <div role="status" aria-live="polite" aria-atomic="true" style={visuallyHidden}>
+        {announcement}
+      </div>
+    </>
+  );
+};
+
+SceneAccessibilityLayer.propTypes = {
+  onActivate: PropTypes.func.isRequired
+};
+
+export default memo(SceneAccessibilityLayer);
@@ -2,26 +2,42 @@
  * Composant SplineScene
  * Gère le rendu et les interactions avec la scène Spline
  */
-import React, { useRef, useImperativeHandle, forwardRef, useEffect } from 'react';
+import React, { useRef, useEffect, useImperativeHandle, forwardRef } from 'react';
 import PropTypes from 'prop-types';
 import Spline from '@splinetool/react-spline';
 import useCameraControls from './useCameraControls';
+import { useCabinMachine } from '../../hooks/useCabinState';
 import useAnimation from '../../hooks/useAnimation';
 import cameraUtils from '../../utils/cameraUtils';
 import splineHelpers from '../../utils/splineHelpers';
 import debugUtils from '../../utils/debugUtils';
 import { getObjectId, isPortfolioDoor } from '../../utils/objectUtils';
 import { BUTTON_IDS } from '../../constants/ids';
+import { hasInteraction } from '../../constants/viewMappings';
 
 const { logger } = debugUtils;
 
 /**
  * Composant de scène Spline avec contrôles de caméra améliorés
  */
-const SplineScene = forwardRef(({ scenePath, onObjectClick, onLoad: propsOnLoad, qualityLevel, useCustomTouchControls }, ref) => {
+const SplineScene = forwardRef(({ 
+  scenePath, 
+  onObjectClick, 
+  onObjectHover,
+  onLoad: propsOnLoad, 
+  qualityLevel, 
+  pixelRatio,
+  useCustomTouchControls, 
+  touchSensitivity = 1.0,
+  sceneConfig,
+  entry
+}, ref) => {
+  const machine = useCabinMachine();
   const splineRef = useRef(null);
   const cameraRef = useRef(null);
   const lastClickedButtonRef = useRef(null);
+  // Un survol Spline a été signalé depuis le dernier mouvement du pointeur
+  const hoverSeenRef = useRef(false);
   
   
   // Utiliser les hooks personnalisés
@@ -35,44 +51,61 @@ const SplineScene = forwardRef(({ scenePath, onObjectClick, onLoad: propsOnLoad,
     handleButtonClick,
     restorePreviousCameraState,
     moveCamera,
+    rotateCamera,
     directCameraMovement,
     toggleControls,
     restoreControlsOnly,
     isControlsEnabled,
-    hasPreviousState
-  } = useCameraControls(cameraRef, splineRef);
+    hasPreviousState,
+    getDistanceToWaypoint,
+    getWaypointPose,
+    getSceneConfig,
+    getCameraContinuity,
+    registerProximityTrigger
+  } = useCameraControls(cameraRef, splineRef, { machine, touchSensitivity, sceneConfig, entry });
   
   const { animateCamera } = useAnimation();
+
+  // Qualité ajustée en cours de visite (qualité adaptative ou choix du visiteur)
+  useEffect(() => {
+    splineHelpers.applyRenderQuality(splineRef.current, { qualityLevel, pixelRatio });
+  }, [qualityLevel, pixelRatio]);
   
   /**
    * Anime la caméra vers une position et rotation cibles
    * @param {Object} options - Options d'animation
    * @param {Object} options.position - Position cible {x, y, z}
    * @param {Object} options.rotation - Rotation cible en degrés {x, y, z}
+   * @param {Object} options.lookAt - Point à regarder {x, y, z}, à la place de rotation
    * @param {Number} options.duration - Durée de l'animation en ms
    * @param {Boolean} options.preventAutoReset - Si true, empêche tout retour automatique
+   * @param {Function} options.onComplete - Callback à la fin de l'animation
+   * @returns {Function|null} - Fonction pour annuler l'animation
    */
-  const handleAnimateCamera = ({ position, rotation, duration = 2000, preventAutoReset = false }) => {
+  const handleAnimateCamera = ({ position, rotation, lookAt, duration = 2000, preventAutoReset = false, onComplete }) => {
     if (!cameraRef.current) {
       logger.warn("Impossible d'animer la caméra: référence caméra manquante");
-      return;
+      return null;
     }
     
     logger.log("Animation de la caméra:", {
       positionCible: position,
       rotationCible: rotation,
+      regardCible: lookAt,
       durée: duration,
       preventAutoReset: preventAutoReset
     });
     
     // Utiliser le hook d'animation pour l'animation fluide
-    animateCamera(cameraRef.current, {
+    return animateCamera(cameraRef.current, {
       position,
       rotation,
+      lookAt,
       duration,
       easing: 'easeOutCubic',
       onComplete: () => {
         logger.log("Animation de caméra terminée");
+        if (onComplete) onComplete();
       }
     });
   };
@@ -175,7 +208,7 @@ const allButtonsHistoryRef = useRef({}); // Stockage de tous les boutons (scène
 
             
       // Si des contrôles tactiles personnalisés sont actifs, ne rien faire
-      if (useCustomTouchControls || window.__advancedTouchControlsActive) {
+      if (useCustomTouchControls) {
         return;
       }
       
@@ -212,6 +245,36 @@ const allButtonsHistoryRef = useRef({}); // Stockage de tous les boutons (scène
   );
 },
     
+    // Activer un objet de la scène comme s'il avait été cliqué (navigation clavier)
+    activateObject: (objectId) => {
+      if (!splineRef.current || !objectId) return false;
+      
+      const sceneObject = splineRef.current.findObjectById(objectId);
+      if (!sceneObject) {
+        logger.warn(`Objet introuvable pour l'activation: ${objectId}`);
+        return false;
+      }
+      
+      processObjectClick(sceneObject.name || '', objectId);
+      return true;
+    },
+    
+    // Rotation horizontale de la caméra (navigation clavier)
+    rotateCamera,
+    
+    // Position de la caméra sur les rails, relative à un point de passage
+    getDistanceToWaypoint,
+    getWaypointPose,
+
+    // Limites, zones et points de retour de la scène (variables Spline ou valeurs par défaut)
+    getSceneConfig,
+
+    // Regard courant, transmis à la pièce suivante au passage d'une porte
+    getCameraContinuity,
+
+    // Volumes de proximité évalués dans la boucle d'animation de la caméra
+    registerProximityTrigger,
+    
     // Exposer moveCamera pour permettre le déplacement direct
     moveCamera: (distance) => {
       if (typeof moveCamera === 'function') {
@@ -293,15 +356,8 @@ const allButtonsHistoryRef = useRef({}); // Stockage de tous les boutons (scène
     // Analyser l'instance Spline pour le débogage
     splineHelpers.analyzeSplineInstance(splineApp);
     
-    // Appliquer la qualité visuelle si spécifiée
-    if (qualityLevel && splineApp.setQuality) {
-      try {
-        logger.log(`Application du niveau de qualité: ${qualityLevel}`);
-        splineApp.setQuality(qualityLevel);
-      } catch (error) {
-        logger.error("Erreur lors de l'application du niveau de qualité:", error);
-      }
-    }
+    // Appliquer la qualité visuelle si spécifiée (puis à chaque changement, voir plus bas)
+    splineHelpers.applyRenderQuality(splineApp, { qualityLevel, pixelRatio });
     
     // Appeler la fonction onLoad des props si elle existe
     if (propsOnLoad) {
@@ -309,6 +365,29 @@ const allButtonsHistoryRef = useRef({}); // Stockage de tous les boutons (scène
     }
   };
   
+  /**
+   * Gestionnaire pour le survol des objets Spline
+   * @param {Object} e - Événement de survol
+   */
+  const onSplineMouseHover = (e) => {
+    hoverSeenRef.current = true;
+    onObjectHover(e.target?.uuid || e.target?.id || null);
+  };
+
+  /**
+   * Spline ne signale pas la fin d'un survol : un mouvement du pointeur sans
+   * survol signalé depuis le précédent, ou sa sortie de la scène, y met fin
+   */
+  const handlePointerMove = () => {
+    if (!hoverSeenRef.current) onObjectHover(null);
+    hoverSeenRef.current = false;
+  };
+
+  const handlePointerLeave = () => {
+    hoverSeenRef.current = false;
+    onObjectHover(null);
+  };
+
   /**
    * Gestionnaire pour les clics sur les objets Spline
    * @param {Object} e - Événement de clic
@@ -322,14 +401,8 @@ const allButtonsHistoryRef = useRef({}); // Stockage de tous les boutons (scène
  * @param {Object} e - Événement de clic
  */
 const onSplineMouseUp = (e) => {
-  // Ignorer l'événement si les flags d'interaction tactile sont actifs
-  if (window.__isSwiping === true) {
-    logger.log('Clic bloqué: flag __isSwiping actif');
-    return;
-  }
-  
-  // Ne pas traiter si l'événement ne contient pas de cible ou si le swipe est actif
-  if (!e.target || window.__isSwipingActive === true) {
+  // Ne pas traiter si l'événement ne contient pas de cible ou si un swipe est en cours
+  if (!e.target || machine.getContext().swiping) {
     logger.log("Clic ignoré: cible manquante ou swipe actif");
     
     // Arrêter la propagation pour éviter d'autres traitements
@@ -338,16 +411,22 @@ const onSplineMouseUp = (e) => {
     return;
   }
   
-  const objectName = e.target.name || '';
-  const objectUuid = e.target.uuid;
-  
+  processObjectClick(e.target.name || '', e.target.uuid);
+};
+
+/**
+ * Traite l'activation d'un objet de la scène (clic, toucher ou clavier)
+ * @param {String} objectName - Nom de l'objet
+ * @param {String} objectUuid - UUID de l'objet
+ */
+const processObjectClick = (objectName, objectUuid) => {
   // Obtenir l'ID de l'objet
   const objectId = getObjectId(objectName, objectUuid);
   
   logger.log('Objet cliqué:', objectName, "UUID:", objectUuid, "ID:", objectId);
   
   // Cas particuliers où nous ne voulons pas désactiver les contrôles
-  const isAutomaticDoorOpening = window.__automaticDoorOpening === true;
+  // (l'ouverture automatique de la porte émet un mouseUp sur la porte elle-même)
   const isPortfolioDoorObj = isPortfolioDoor(objectId, objectName);
   const isPortfolioButton = objectId === BUTTON_IDS.PORTFOLIO && 
                          (objectName === 'BUTTON_PORTFOLIO' || objectName.includes('BUTTON_PORTFOLIO'));
@@ -358,7 +437,7 @@ const onSplineMouseUp = (e) => {
   ];
       
   const isButton = 
-    Object.values(BUTTON_IDS).includes(objectId) || 
+    hasInteraction(objectId) || 
     buttonPatterns.some(pattern => pattern.test(objectName) || pattern.test(objectUuid));
 
   // Stocker le bouton dans l'historique si c'est un bouton
@@ -382,7 +461,7 @@ const onSplineMouseUp = (e) => {
     logger.log("Bouton portfolio détecté - pas de désactivation des contrôles");
   }
   // Si ce n'est pas le bouton portfolio, gérer normalement
-  else if (!isAutomaticDoorOpening && !isPortfolioDoorObj) {
+  else if (!isPortfolioDoorObj) {
     // Vérification des boutons comme avant
     if (isButton) {
       logger.log("Bouton cliqué, désactivation des contrôles");
@@ -398,27 +477,12 @@ const onSplineMouseUp = (e) => {
     lastClickedButtonRef.current = objectId;
   }
   
-  // IMPORTANT: Forcer la désactivation du flag de swipe pour permettre
-  // le traitement du clic actuel sans être bloqué
-  window.__isSwipingActive = false;
-  
   // Transmettre l'événement au parent avec l'ID en plus
   if (onObjectClick) {
     onObjectClick(objectName, splineRef.current, objectId);
   }
 };
   
-  // Effet pour initialiser/nettoyer les variables globales
-  useEffect(() => {
-    // Initialiser la variable globale au démarrage
-    window.__automaticDoorOpening = false;
-    
-    // Nettoyer la variable globale au démontage
-    return () => {
-      delete window.__automaticDoorOpening;
-    };
-  }, []);
-  
   return (
     <div
       style={{
@@ -429,6 +493,8 @@ const onSplineMouseUp = (e) => {
       }}
       onWheel={handleWheel}
     onMouseMove={handleMouseMove}
+    onPointerMove={onObjectHover ? handlePointerMove : undefined}
+    onPointerLeave={onObjectHover ? handlePointerLeave : undefined}
         onTouchMove={(e) => {
       // Transmettre tous les événements tactiles à handleTouchMove
       if (e.touches) {
@@ -450,6 +516,7 @@ const onSplineMouseUp = (e) => {
       scene={scenePath}
       onLoad={onLoad}
       onSplineMouseUp={onSplineMouseUp}
+      onSplineMouseHover={onObjectHover ? onSplineMouseHover : undefined}
     />
   </div>
 );
@@ -459,9 +526,21 @@ const onSplineMouseUp = (e) => {
 SplineScene.propTypes = {
   scenePath: PropTypes.string.isRequired,
   onObjectClick: PropTypes.func,
+  onObjectHover: PropTypes.func,
   onLoad: PropTypes.func,
   qualityLevel: PropTypes.string,
-  useCustomTouchControls: PropTypes.bool
+  pixelRatio: PropTypes.number,
+  useCustomTouchControls: PropTypes.bool,
+  touchSensitivity: PropTypes.number,
+  sceneConfig: PropTypes.object,
+  entry: PropTypes.shape({
+    arrival: PropTypes.shape({
+      railId: PropTypes.string.isRequired,
+      waypoint: PropTypes.string.isRequired
+    }),
+    lookOffset: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
+    movementDirection: PropTypes.number
+  })
 };
 
 export default SplineScene;
\ No newline at end of file
@@ -1,13 +1,21 @@
 /**
  * Hook personnalisé pour les contrôles de caméra
  * Gère les mouvements, rotations et limites de la caméra
+ * Le défilement fait avancer la caméra le long des rails (constants/cameraRails) ;
+ * souris, toucher et clavier ajoutent un décalage de regard autour du rail
  */
 import { useRef, useState, useCallback, useEffect } from 'react';
 import cameraUtils from '../../utils/cameraUtils';
 import debugUtils from '../../utils/debugUtils';
 import animationUtils from '../../utils/animation';
-import splineHelpers from '../../utils/splineHelpers';
-import { BUTTON_IDS, OBJECT_IDS } from '../../constants/ids';
+import { BUTTON_IDS } from '../../constants/ids';
+import { CABIN_EVENTS } from '../../services/cabinStateMachine';
+import { createRailNetwork } from '../../utils/cameraRail';
+import { createWalkableArea } from '../../utils/walkableArea';
+import { loadSceneConfig } from '../../utils/sceneConfig';
+import { createProximityTriggers } from '../../utils/proximityTriggers';
+import { RAIL_ZONES } from '../../constants/cameraRails';
+import { CABIN_SCENE_CONFIG } from '../../constants/sceneConfig';
 
 const { logger } = debugUtils;
 
@@ -15,11 +23,28 @@ const { logger } = debugUtils;
  * Hook pour les contrôles de caméra dans l'environnement Spline
  * @param {React.RefObject} cameraRef - Référence à l'objet caméra
  * @param {React.RefObject} splineRef - Référence à l'instance Spline
+ * @param {Object} options - Options des contrôles
+ * @param {Object} options.machine - Machine à états du chalet (cabinStateMachine)
+ * @param {Number} options.touchSensitivity - Sensibilité des gestes tactiles
+ * @param {Object} options.sceneConfig - Configuration par défaut de la pièce (constants/sceneConfig)
+ * @param {Object} options.entry - Arrivée par une porte { arrival: { railId, waypoint }, lookOffset, movementDirection }
+ * (voir getCameraContinuity), à défaut le départ du rail de la scène
  * @returns {Object} - Fonctions et états pour la gestion de la caméra
  */
-export default function useCameraControls(cameraRef, splineRef) {
+export default function useCameraControls(cameraRef, splineRef, {
+  machine,
+  touchSensitivity = 1.0,
+  sceneConfig = CABIN_SCENE_CONFIG,
+  entry = null
+}) {
   // État pour activer/désactiver les contButton_rôles
   const [controlsEnabled, setControlsEnabled] = useState(true);
+  // Lu par la boucle d'animation, qui survit aux rendus
+  const controlsEnabledRef = useRef(controlsEnabled);
+
+  useEffect(() => {
+    controlsEnabledRef.current = controlsEnabled;
+  }, [controlsEnabled]);
   
   // Références pour les positions et rotations
   const targetPosition = useRef({ x: 0, y: 0, z: 0 });
@@ -27,6 +52,29 @@ export default function useCameraControls(cameraRef, splineRef) {
   const targetRotation = useRef({ x: 0, y: 0, z: 0 });
   const initialRotation = useRef({ x: 0, y: 0, z: 0 });
 
+  // Réseau de rails et position visée sur ce réseau
+  const railNetworkRef = useRef(null);
+  const railPositionRef = useRef({ railId: sceneConfig.railStart.railId, distance: 0 });
+
+  // Configuration de la scène (rails, limites, zones, points de retour), lue dans Spline au chargement
+  const sceneConfigRef = useRef(sceneConfig);
+
+  // Arrivée par une porte, lue une seule fois à l'initialisation de la caméra
+  const entryRef = useRef(entry);
+
+  // Zones praticables (terrasse, intérieur) qui bornent la position visée
+  const walkableAreaRef = useRef(null);
+
+  // Déclencheurs de proximité (portes, objets), évalués à chaque image de la boucle d'animation
+  const proximityTriggersRef = useRef(null);
+  if (!proximityTriggersRef.current) {
+    proximityTriggersRef.current = createProximityTriggers();
+  }
+
+  // Décalages appliqués autour du rail par la souris, le toucher et le clavier
+  const positionOffset = useRef({ x: 0, y: 0 });
+  const lookOffset = useRef({ x: 0, y: 0 });
+
   // Référence pour les états de contrôle tactile
   const touchSwipeActiveRef = useRef(false);
   const touchSwipeTimerRef = useRef(null);
@@ -59,11 +107,6 @@ export default function useCameraControls(cameraRef, splineRef) {
   
   // Flag pour la zone terrasse (sans rotation)
   const isOnTerrace = useRef(true);
-  const doorOpenedRecently = useRef(false);
-
-  // Variables globales pour la gestion du swipe
-  window.__isSwiping = false;
-  window.__isSwipingActive = false;
   
   // Configuration du mouvement de la caméra
   const config = {
@@ -74,10 +117,65 @@ export default function useCameraControls(cameraRef, splineRef) {
     centerWidthZone: 0.5,      // Zone centrale horizontale où le mouvement vertical est permis
     maxSideRotation: 1.2,      // Rotation horizontale maximale (environ 69 degrés)
     maxVerticalAngle: 0.3,     // Rotation verticale maximale (environ 17 degrés)
-    terraceSpeedMultiplier: 3.0,
+    keyboardRotationStep: 0.06, // Rotation appliquée à chaque appui sur une flèche latérale
     inertiaEnabled: false      // Désactivation complète de l'inertie
   };
 
+  /**
+   * Lacet de référence au point visé du rail, selon le sens de marche
+   * @returns {Number} - Lacet en radians
+   */
+  const getRailYaw = useCallback(() => {
+    const network = railNetworkRef.current;
+    if (!network) return movementDirection.current > 0 ? 0 : Math.PI;
+
+    const { railId, distance } = railPositionRef.current;
+    return network.getRail(railId).getOrientationAt(distance, movementDirection.current).y;
+  }, []);
+
+  /**
+   * Zone praticable de la position visée, à défaut celle du rail courant
+   * @returns {Object} - Zone { id, speedMultiplier }
+   */
+  const getCurrentZone = useCallback(() => {
+    const zone = walkableAreaRef.current?.getZoneAt(targetPosition.current);
+    if (zone) return zone;
+
+    const network = railNetworkRef.current;
+    const railZone = network ? network.getRail(railPositionRef.current.railId).zone : RAIL_ZONES.TERRACE;
+    return sceneConfigRef.current.walkableZones.find(candidate => candidate.id === railZone)
+      || { id: railZone, speedMultiplier: 1 };
+  }, []);
+
+  /**
+   * Recalcule la position et la rotation cibles à partir du rail et des décalages
+   * Le tangage reste piloté par la souris et le toucher, les rails étant horizontaux
+   * La position visée reste dans les zones praticables et glisse le long de leurs bords
+   */
+  const applyRailTarget = useCallback(() => {
+    const network = railNetworkRef.current;
+    if (!network) return;
+
+    const { railId, distance } = railPositionRef.current;
+    const point = network.getRail(railId).getPointAt(distance);
+
+    const desired = { x: point.x + positionOffset.current.x, z: point.z };
+    const walkable = walkableAreaRef.current
+      ? walkableAreaRef.current.constrainMove(targetPosition.current, desired)
+      : desired;
+
+    targetPosition.current = {
+      x: walkable.x,
+      y: point.y + positionOffset.current.y,
+      z: walkable.z
+    };
+    targetRotation.current = {
+      x: lookOffset.current.x,
+      y: getRailYaw() + lookOffset.current.y,
+      z: 0
+    };
+  }, [getRailYaw]);
+
   const handlePortfolioButtonClick = useCallback(() => {
     // Ne pas sauvegarder l'état complet, juste marquer que les contrôles sont désactivés
     setControlsEnabled(false);
@@ -104,15 +202,24 @@ export default function useCameraControls(cameraRef, splineRef) {
       z: camera.position.z
     };
     
-    // Positionner la caméra plus en arrière initialement
-    const limits = cameraUtils.getCameraLimits();
-    camera.position.z = limits.maxZ - 200; // Position initiale reculée
-    
-    targetPosition.current = {
-      x: initialPosition.current.x,
-      y: initialPosition.current.y,
-      z: camera.position.z
+    // Construire les rails autour de la position initiale de la caméra
+    sceneConfigRef.current = loadSceneConfig(splineRef.current, sceneConfigRef.current);
+    const { rails, railStart } = sceneConfigRef.current;
+    railNetworkRef.current = createRailNetwork(rails, initialPosition.current);
+    walkableAreaRef.current = createWalkableArea(sceneConfigRef.current.walkableZones, initialPosition.current);
+
+    // Arrivée par une porte : point d'arrivée de la porte, sinon départ de la scène
+    const entryState = entryRef.current;
+    const start = entryState?.arrival || railStart;
+    const startRail = railNetworkRef.current.getRail(start.railId);
+    railPositionRef.current = {
+      railId: startRail.id,
+      distance: startRail.getWaypointDistance(start.waypoint)
     };
+    movementDirection.current = entryState?.movementDirection || 1;
+    
+    // Positionner la caméra au départ du rail (en retrait sur la terrasse)
+    camera.position.z = startRail.getPointAt(railPositionRef.current.distance).z;
     
     initialRotation.current = {
       x: camera.rotation.x,
@@ -120,107 +227,95 @@ export default function useCameraControls(cameraRef, splineRef) {
       z: 0 // Toujours maintenir z à 0
     };
     
-    // Initialiser les valeurs cibles
-    targetRotation.current = { ...initialRotation.current };
+    // Initialiser les valeurs cibles en conservant l'orientation de la scène,
+    // ou le regard porté avant de franchir la porte
+    positionOffset.current = { x: 0, y: 0 };
+    lookOffset.current = entryState?.lookOffset
+      ? { ...entryState.lookOffset }
+      : {
+        x: camera.rotation.x,
+        y: cameraUtils.normalizeAngle(camera.rotation.y - getRailYaw())
+      };
+    targetPosition.current = { ...targetPosition.current, ...startRail.getPointAt(railPositionRef.current.distance) };
+    applyRailTarget();
+
+    if (entryState) {
+      // Caméra placée directement à l'arrivée, sans glissement depuis l'origine de la scène
+      camera.position.x = targetPosition.current.x;
+      camera.position.y = targetPosition.current.y;
+      camera.position.z = targetPosition.current.z;
+      camera.rotation.x = targetRotation.current.x;
+      camera.rotation.y = targetRotation.current.y;
+    }
     
-    // Commencer sur la terrasse par défaut
-    isOnTerrace.current = true;
+    // Commencer sur la terrasse par défaut, sauf arrivée dans une autre zone
+    isOnTerrace.current = getCurrentZone().id === RAIL_ZONES.TERRACE;
     
-    logger.log("Caméra initialisée sur la terrasse:", {
+    logger.log("Caméra initialisée:", {
       position: camera.position,
       isOnTerrace: isOnTerrace.current
     });
     
     // Démarrer la boucle d'animation
     startAnimationLoop();
-  }, []);
+  }, [splineRef, getRailYaw, applyRailTarget, getCurrentZone]);
   
   /**
    * Démarre la boucle d'animation pour les mouvements fluides
    */
   const startAnimationLoop = useCallback(() => {
     if (!cameraRef.current) return;
+
+    // Une seule boucle à la fois : chaque initialisation (changement de pièce) la relance
+    if (animationFrameRef.current) {
+      cancelAnimationFrame(animationFrameRef.current);
+    }
     
     const animate = () => {
-      if (cameraRef.current && controlsEnabled && !isAfterButtonClick.current) {
+      // Déclencheurs de proximité, y compris pendant les animations de caméra
+      if (cameraRef.current) {
+        proximityTriggersRef.current.update(cameraRef.current.position, {
+          splineApp: splineRef.current,
+          direction: movementDirection.current,
+          zone: getCurrentZone().id
+        });
+      }
+
+      if (cameraRef.current && controlsEnabledRef.current && !isAfterButtonClick.current) {
         // Position actuelle de la caméra
         const currentPos = cameraRef.current.position;
         const currentRot = cameraRef.current.rotation;
         
-        // Limites de la pièce
-        const limits = cameraUtils.getCameraLimits();
-        
-        // Définir un seuil avancé pour l'ouverture de la porte
-        const doorOpeningThreshold = limits.doorTrigger + 500; // Ajustez cette valeur selon vos besoins
-
-        // Vérification pour l'ouverture anticipée de la porte
-        if (isOnTerrace.current && 
-          currentPos.z <= doorOpeningThreshold && 
-          currentPos.z > limits.doorThreshold &&
-          !doorOpenedRecently.current &&
-          !window.__doorIsOpen && 
-          !window.__doorThresholdTriggered) {
-
-          // Ouvrir la porte en avance
-          if (splineRef.current) {
-            // Marquer l'ouverture comme automatique (si ce n'est pas déjà fait)
-            if (!window.__automaticDoorOpening) {
-              window.__automaticDoorOpening = true;
-              window.__doorThresholdTriggered = true;
-              doorOpenedRecently.current = true;
-              window.__doorIsOpen = true;
-              
-              // Émettre l'événement mouseUp sur l'objet PORTE_OUVERT (pas le bouton)
-              try {
-                splineHelpers.emitEvent(splineRef.current, 'mouseUp', OBJECT_IDS.PORTE_OUVERT);
-                logger.log("Ouverture anticipée de la porte avant le passage du seuil");
-              } catch (error) {
-                logger.error("Erreur lors de l'ouverture anticipée:", error);
-              }
-              
-              // Réinitialiser les flags après un délai
-              setTimeout(() => {
-                window.__automaticDoorOpening = false;
-                window.__doorThresholdTriggered = false;
-              
-                // Ajouter un délai supplémentaire avant de permettre une nouvelle ouverture
-                setTimeout(() => {
-                  doorOpenedRecently.current = false;
-                }, 3000);
-              }, 1000);
-            }
-          }
-        }
-
         // Détecter si c'est un appareil tactile
         const isTouchDevice = window.matchMedia('(pointer: coarse)').matches;
 
-        // Vérification de la position Z pour détecter le passage de la porte
+        // Changement de zone praticable pour détecter le passage de la porte
+        const zoneId = getCurrentZone().id;
         if (isOnTerrace.current) {
           // Passage de la terrasse à l'intérieur
-          if (currentPos.z <= limits.doorThreshold) {
+          if (zoneId === RAIL_ZONES.INTERIOR) {
             isOnTerrace.current = false;
+            machine.send(CABIN_EVENTS.CROSS_THRESHOLD_IN);
             logger.log("Entrée dans le chalet - rotation activée");
           }
-        } else if (!isOnTerrace.current && currentPos.z > limits.doorThreshold) {
+        } else if (!isOnTerrace.current && zoneId === RAIL_ZONES.TERRACE) {
           // Passage de l'intérieur à la terrasse
           isOnTerrace.current = true;
+          machine.send(CABIN_EVENTS.CROSS_THRESHOLD_OUT);
           
           // Ajouter un log ici pour voir l'état quand on retourne sur la terrasse
           logger.log("Retour sur la terrasse - hasPerformedFirstTurn:", hasPerformedFirstTurn.current, "isTouchDevice:", isTouchDevice);
 
           // Sur desktop, définir la rotation neutre comme cible si aucun demi-tour n'a été fait
           if (!isTouchDevice && !hasPerformedFirstTurn.current) {
-            const baseAngle = movementDirection.current > 0 ? 0 : Math.PI;
-            targetRotation.current.y = baseAngle;
-            targetRotation.current.x = 0;
-            targetPosition.current.x = initialPosition.current.x;
-            targetPosition.current.y = initialPosition.current.y;
+            lookOffset.current = { x: 0, y: 0 };
+            positionOffset.current = { x: 0, y: 0 };
+            applyRailTarget();
             logger.log("Sortie sur la terrasse - rotation désactivée pour desktop (avant premier demi-tour)");
           }
         }
         
-        // Appliquer un mouvement fluide à la position Z (avancer/reculer)
+        // Appliquer un mouvement fluide le long du rail (avancer/reculer)
         const dz = targetPosition.current.z - currentPos.z;
         currentPos.z += dz * config.smoothFactor;
 
@@ -233,7 +328,8 @@ export default function useCameraControls(cameraRef, splineRef) {
         
         // Appliquer les rotations de manière fluide
         const drx = targetRotation.current.x - currentRot.x;
-        const dry = targetRotation.current.y - currentRot.y;
+        // Le lacet des rails est ramené au plus court chemin (pas de tour complet à ±π)
+        const dry = cameraUtils.normalizeAngle(targetRotation.current.y - currentRot.y);
         
         currentRot.x += drx * config.smoothFactor;
         currentRot.y += dry * config.smoothFactor;
@@ -277,7 +373,7 @@ export default function useCameraControls(cameraRef, splineRef) {
     };
     
     animationFrameRef.current = requestAnimationFrame(animate);
-  }, [controlsEnabled]);
+  }, [machine, applyRailTarget, getCurrentZone]);
   
   /**
    * Inverse la direction de déplacement
@@ -294,38 +390,56 @@ export default function useCameraControls(cameraRef, splineRef) {
     
     // Position actuelle de la caméra
     if (cameraRef.current) {
-      // Stopper momentanément le mouvement en Z en synchronisant la cible avec la position actuelle
-      targetPosition.current.z = cameraRef.current.position.z;
+      // Pivoter la caméra à 180° lorsqu'on change de direction :
+      // le regard suit désormais le rail dans l'autre sens
+      lookOffset.current.y = 0;
+      applyRailTarget();
       
-      // Pivoter la caméra à 180° lorsqu'on change de direction
-      if (movementDirection.current < 0) {
-        // Vers l'arrière (rotation à 180° autour de Y)
-        targetRotation.current.y = Math.PI;
-      } else {
-        // Vers l'avant (rotation à 0° autour de Y)
-        targetRotation.current.y = 0;
-      }
+      // Stopper momentanément le mouvement en synchronisant la cible avec la position actuelle
+      const railTarget = { ...targetPosition.current };
+      targetPosition.current.z = cameraRef.current.position.z;
       
       // Si ce demi-tour est effectué au fond du chalet, marquer qu'on a réalisé le premier demi-tour
-      const limits = cameraUtils.getCameraLimits();
-      if (!isOnTerrace.current && cameraRef.current.position.z <= limits.minZ + 500) {
+      const { railId, distance } = railPositionRef.current;
+      const rail = railNetworkRef.current?.getRail(railId);
+      if (!isOnTerrace.current && rail && rail.length - distance <= 500) {
         hasPerformedFirstTurn.current = true;
         logger.log("Premier demi-tour effectué au fond du chalet - demi-tour sur terrasse débloqué");
       }
-    
-      // Ajouter une brève "pause" dans le mouvement pour accentuer le demi-tour
-      const currentPosition = { ...targetPosition.current };
       
       // Définir un petit délai pour permettre à la rotation de s'effectuer avant de reprendre le mouvement
       setTimeout(() => {
         // Après la rotation, reprendre le mouvement dans la nouvelle direction
         // mais uniquement si les contrôles sont toujours activés
-        if (controlsEnabled && !isAfterButtonClick.current) {
-          targetPosition.current = currentPosition;
+        if (controlsEnabledRef.current && !isAfterButtonClick.current) {
+          targetPosition.current = railTarget;
         }
       }, 300); // Délai de 300ms pour la rotation
     }
-  }, [controlsEnabled]);
+  }, [applyRailTarget]);
+  
+  /**
+   * Avance la caméra le long des rails
+   * Aux embranchements, la branche suivie est celle vers laquelle la caméra regarde
+   * @param {Number} railDelta - Distance à parcourir (positive vers le fond du chalet)
+   * @returns {String|null} - 'start' ou 'end' si une extrémité du réseau est atteinte
+   */
+  const moveAlongRail = useCallback((railDelta) => {
+    const network = railNetworkRef.current;
+    if (!network) return null;
+    
+    const yaw = cameraRef.current ? cameraRef.current.rotation.y : getRailYaw();
+    const next = network.advance(railPositionRef.current, railDelta, yaw);
+    
+    if (next.railId !== railPositionRef.current.railId) {
+      logger.log(`Changement de rail: ${railPositionRef.current.railId} -> ${next.railId}`);
+    }
+    
+    railPositionRef.current = { railId: next.railId, distance: next.distance };
+    applyRailTarget();
+    
+    return next.boundary;
+  }, [cameraRef, getRailYaw, applyRailTarget]);
   
   /**
    * Gère le défilement de la souris pour avancer/reculer
@@ -334,58 +448,32 @@ export default function useCameraControls(cameraRef, splineRef) {
   const handleWheel = useCallback((e) => {
     if (!cameraRef.current || !controlsEnabled || isAfterButtonClick.current) return;
     
-    // Position actuelle
-    const currentZ = cameraRef.current.position.z;
-    
-    // Limites de la pièce
-    const limits = cameraUtils.getCameraLimits();
-    
-    // Déterminer si on est sur la terrasse
-    const onTerrace = currentZ > limits.doorThreshold;
-    
-    // Sensibilité du défilement adaptée selon la position
-    // Augmenter la sensibilité sur la terrasse
-    let sensitivityMultiplier = onTerrace ? 1.8 : 1.0;
+    // Sensibilité du défilement propre à la zone praticable (plus rapide sur la terrasse)
+    const { speedMultiplier } = getCurrentZone();
     
     // Calcul du delta avec sensibilité adaptée
-    let delta = e.deltaY * 0.05 * config.scrollSpeed * sensitivityMultiplier;
+    let delta = e.deltaY * 0.05 * config.scrollSpeed * speedMultiplier;
     
-    // Limiter la vitesse maximale (augmentée sur la terrasse)
-    const maxSpeed = onTerrace ? 500 : 500;
+    // Limiter la vitesse maximale
+    const maxSpeed = 500;
     delta = cameraUtils.clamp(delta, -maxSpeed, maxSpeed);
     
-    // Appliquer la direction de mouvement actuelle
-    delta *= movementDirection.current;
+    // Appliquer la direction de mouvement actuelle (un delta négatif avance vers le fond)
+    const railDelta = -delta * movementDirection.current;
+    const boundary = moveAlongRail(railDelta);
     
-    // Nouvelle position potentielle
-    const newZ = currentZ + delta;
-    
-    // Vérifier les limites et inverser la direction si nécessaire
-    if (newZ <= limits.minZ) {
-      targetPosition.current.z = limits.minZ;
-      
-      // Inverser la direction à la limite avant
-      if (delta < 0) {
+    // Inverser la direction au bout du rail
+    if (boundary === 'end' && railDelta > 0) {
+      invertMovementDirection();
+    } else if (boundary === 'start' && railDelta < 0) {
+      // Au début du rail (bord de la terrasse), seulement si on a déjà fait le premier demi-tour
+      if (!isOnTerrace.current || hasPerformedFirstTurn.current) {
         invertMovementDirection();
+      } else {
+        logger.log("Limite arrière atteinte sur la terrasse - effectuez d'abord un demi-tour au fond du chalet");
       }
-    } else if (newZ >= limits.maxZ) {
-      targetPosition.current.z = limits.maxZ;
-      
-      // Inverser la direction à la limite arrière seulement si on a déjà fait le premier demi-tour
-      // ou si on est sur la terrasse
-      if (delta > 0) {
-        // Si on est sur la terrasse, ne rien faire si on n'a pas encore fait le premier demi-tour
-        if (!isOnTerrace.current || hasPerformedFirstTurn.current) {
-          invertMovementDirection();
-        } else {
-          logger.log("Limite arrière atteinte sur la terrasse - effectuez d'abord un demi-tour au fond du chalet");
-        }
-      }
-    } else {
-      // Déplacement normal dans les limites
-      targetPosition.current.z = newZ;
     }
-  }, [controlsEnabled, invertMovementDirection]);
+  }, [controlsEnabled, invertMovementDirection, moveAlongRail, getCurrentZone]);
   
   /**
    * Gère uniquement les mouvements de souris - ne doit jamais traiter d'événements tactiles
@@ -420,26 +508,18 @@ export default function useCameraControls(cameraRef, splineRef) {
     const verticalFactor = Math.max(0, 1 - (distanceFromCenterX / config.centerWidthZone));
     const posOffsetY = -yModified * config.maxPositionOffset * 0.4 * verticalFactor;
     
-    // Appliquer ces offsets à la position cible
-    targetPosition.current.x = initialPosition.current.x + posOffsetX;
-    targetPosition.current.y = initialPosition.current.y + posOffsetY;
-    
-    // Base de rotation selon la direction du mouvement
-    const baseAngle = movementDirection.current > 0 ? 0 : Math.PI;
+    // Appliquer ces offsets autour du rail
+    positionOffset.current = { x: posOffsetX, y: posOffsetY };
     
     // Pour la souris, standard: inversion du mouvement
-    targetRotation.current.y = baseAngle + (-xModified * config.maxSideRotation);
-    
     // Rotation verticale (X) adaptée à la direction
-    if (movementDirection.current > 0) {
-      targetRotation.current.x = -yModified * config.maxVerticalAngle * verticalFactor;
-    } else {
-      targetRotation.current.x = yModified * config.maxVerticalAngle * verticalFactor;
-    }
+    lookOffset.current = {
+      x: movementDirection.current * -yModified * config.maxVerticalAngle * verticalFactor,
+      y: -xModified * config.maxSideRotation
+    };
     
-    // Assurer que la rotation Z reste à 0
-    targetRotation.current.z = 0;
-  }, [controlsEnabled, config.maxPositionOffset, config.centerWidthZone, config.maxSideRotation, config.maxVerticalAngle]);
+    applyRailTarget();
+  }, [controlsEnabled, applyRailTarget, config.maxPositionOffset, config.centerWidthZone, config.maxSideRotation, config.maxVerticalAngle]);
 
   /**
    * Gère les événements tactiles sans inertie
@@ -484,8 +564,7 @@ const handleTouchMove = useCallback((e) => {
                   Math.abs(deltaYFromStart) > state.minSwipeDistance;
   
   if (isSwipe) {
-    window.__isSwipingActive = true;
-    window.__isSwiping = true;
+    machine.send(CABIN_EVENTS.SWIPE_START);
     touchSwipeActiveRef.current = true;
     
     if (touchSwipeTimerRef.current) {
@@ -493,17 +572,12 @@ const handleTouchMove = useCallback((e) => {
     }
   }
   
-  // Base de rotation selon la direction
-  const baseAngle = movementDirection.current > 0 ? 0 : Math.PI;
-  
   // Sensibilité réduite
-  const sensitivity = (window.__touchSensitivity || 1.0) * 0.6;
+  const sensitivity = touchSensitivity * 0.6;
   
   // Calculer la rotation depuis le début du toucher
   const rotationOffset = deltaXFromStart * 0.002 * sensitivity;
   
-  targetRotation.current.y = state.initialRotationY + rotationOffset;
-  
   // Normaliser les positions
   const normalizedX = (touch.clientX / window.innerWidth) * 2 - 1;
   const normalizedY = (touch.clientY / window.innerHeight) * 2 - 1;
@@ -520,18 +594,15 @@ const handleTouchMove = useCallback((e) => {
   const easedVerticalFactor = verticalFactor * 0.6;
   const posOffsetY = -yModified * config.maxPositionOffset * 0.3 * easedVerticalFactor;
   
-  targetPosition.current.x = initialPosition.current.x + posOffsetX;
-  targetPosition.current.y = initialPosition.current.y + posOffsetY;
+  positionOffset.current = { x: posOffsetX, y: posOffsetY };
   
   // Rotation verticale adaptée à la direction
-  if (movementDirection.current > 0) {
-    targetRotation.current.x = -yModified * config.maxVerticalAngle * easedVerticalFactor * 0.6;
-  } else {
-    targetRotation.current.x = yModified * config.maxVerticalAngle * easedVerticalFactor * 0.6;
-  }
+  lookOffset.current = {
+    x: movementDirection.current * -yModified * config.maxVerticalAngle * easedVerticalFactor * 0.6,
+    y: state.initialRotationY + rotationOffset
+  };
   
-  // Toujours maintenir Z à 0
-  targetRotation.current.z = 0;
+  applyRailTarget();
   
   // Mettre à jour pour le prochain événement
   state.lastX = touch.clientX;
@@ -544,11 +615,10 @@ const handleTouchMove = useCallback((e) => {
   }
   
   touchSwipeTimerRef.current = setTimeout(() => {
-    window.__isSwipingActive = false;
-    window.__isSwiping = false;
+    machine.send(CABIN_EVENTS.SWIPE_END);
     touchSwipeActiveRef.current = false;
   }, 150);
-}, [controlsEnabled, isAfterButtonClick]);
+}, [controlsEnabled, isAfterButtonClick, machine, touchSensitivity, applyRailTarget]);
 
   /**
    * Gère le début d'un événement tactile
@@ -563,9 +633,8 @@ const handleTouchMove = useCallback((e) => {
     const touch = e.touches[0];
     const state = touchStateRef.current;
     
-    // Réinitialiser les flags de swipe
-    window.__isSwipingActive = false;
-    window.__isSwiping = false; 
+    // Réinitialiser l'état de swipe
+    machine.send(CABIN_EVENTS.SWIPE_END);
     touchSwipeActiveRef.current = false;
     
     // Initialiser l'état du toucher
@@ -576,9 +645,9 @@ const handleTouchMove = useCallback((e) => {
     state.isDragging = true;
     state.timestamp = Date.now();
     
-    // Stocker la rotation initiale
+    // Stocker la rotation initiale, relative au rail
     if (cameraRef.current) {
-      state.initialRotationY = cameraRef.current.rotation.y;
+      state.initialRotationY = cameraUtils.normalizeAngle(cameraRef.current.rotation.y - getRailYaw());
     }
     
     // Nettoyer le timer existant si présent
@@ -586,7 +655,7 @@ const handleTouchMove = useCallback((e) => {
       clearTimeout(touchSwipeTimerRef.current);
       touchSwipeTimerRef.current = null;
     }
-  }, [controlsEnabled, isAfterButtonClick]);
+  }, [controlsEnabled, isAfterButtonClick, machine, getRailYaw]);
 
   /**
    * Gère la fin d'un toucher
@@ -605,7 +674,7 @@ const handleTouchMove = useCallback((e) => {
         
         // Appliquer une légère inertie en rotation Y (horizontal)
         const inertiaRotationY = state.velocityX * 0.01 * velocityDampening;
-        const currentRotationY = cameraRef.current.rotation.y;
+        const currentRotationY = cameraUtils.normalizeAngle(cameraRef.current.rotation.y - getRailYaw());
         
         // L'inertie ne doit s'appliquer que pendant un temps très court
         const maxInertiaDistance = 0.2; // Limite la distance parcourue par l'inertie
@@ -615,11 +684,14 @@ const handleTouchMove = useCallback((e) => {
                                 Math.min(Math.abs(inertiaRotationY), maxInertiaDistance);
         
         // Appliquer cette légère inertie à la rotation cible
-        targetRotation.current.y = currentRotationY + boundedInertiaY;
+        lookOffset.current.y = currentRotationY + boundedInertiaY;
         
         // Conserver la position actuelle en X/Y pour éviter les dérives
-        targetPosition.current.x = cameraRef.current.position.x;
-        targetPosition.current.y = cameraRef.current.position.y;
+        positionOffset.current = {
+          x: cameraRef.current.position.x - (targetPosition.current.x - positionOffset.current.x),
+          y: cameraRef.current.position.y - (targetPosition.current.y - positionOffset.current.y)
+        };
+        applyRailTarget();
         
         // Réinitialiser les vélocités après l'application
         state.velocityX = 0;
@@ -629,8 +701,11 @@ const handleTouchMove = useCallback((e) => {
         setTimeout(() => {
           if (cameraRef.current) {
             // Synchroniser complètement pour arrêter tout mouvement
-            targetRotation.current.y = cameraRef.current.rotation.y;
-            targetRotation.current.x = cameraRef.current.rotation.x;
+            lookOffset.current = {
+              x: cameraRef.current.rotation.x,
+              y: cameraUtils.normalizeAngle(cameraRef.current.rotation.y - getRailYaw())
+            };
+            applyRailTarget();
           }
         }, 200); // Très court délai pour l'inertie (100ms)
       }
@@ -639,8 +714,7 @@ const handleTouchMove = useCallback((e) => {
     // Désactiver le flag de swipe après un court délai
     // pour permettre aux boutons d'être cliqués rapidement
     setTimeout(() => {
-      window.__isSwiping = false;
-      window.__isSwipingActive = false;
+      machine.send(CABIN_EVENTS.SWIPE_END);
       touchSwipeActiveRef.current = false;
     }, 50); // Délai réduit pour une meilleure réactivité des boutons
     
@@ -649,7 +723,7 @@ const handleTouchMove = useCallback((e) => {
       clearTimeout(touchSwipeTimerRef.current);
       touchSwipeTimerRef.current = null;
     }
-  }, []);
+  }, [machine, getRailYaw, applyRailTarget]);
 
   /**
    * Sauvegarde l'état actuel de la caméra
@@ -674,6 +748,9 @@ const handleTouchMove = useCallback((e) => {
       initialRotation: { ...initialRotation.current },
       targetPosition: { ...targetPosition.current },
       targetRotation: { ...targetRotation.current },
+      railPosition: { ...railPositionRef.current },
+      positionOffset: { ...positionOffset.current },
+      lookOffset: { ...lookOffset.current },
       movementDirection: movementDirection.current,
       isOnTerrace: isOnTerrace.current
     };
@@ -730,6 +807,13 @@ const handleTouchMove = useCallback((e) => {
       z: camera.rotation.z
     };
     
+    // Orientation interpolée par slerp, sans roulis à l'arrivée
+    const rotationPath = cameraUtils.createRotationInterpolator(
+      startRotation,
+      { x: prevState.rotation.x, y: prevState.rotation.y, z: 0 },
+      camera.rotation.order
+    );
+    
     const startTime = Date.now();
     
     const animateReturn = () => {
@@ -745,10 +829,11 @@ const handleTouchMove = useCallback((e) => {
       camera.position.y = startPosition.y + (prevState.position.y - startPosition.y) * easedProgress;
       camera.position.z = startPosition.z + (prevState.position.z - startPosition.z) * easedProgress;
       
-      // Interpoler la rotation
-      camera.rotation.x = startRotation.x + (prevState.rotation.x - startRotation.x) * easedProgress;
-      camera.rotation.y = startRotation.y + (prevState.rotation.y - startRotation.y) * easedProgress;
-      camera.rotation.z = 0; // Toujours garder Z à 0
+      // Interpoler la rotation par le plus court chemin
+      const rotation = rotationPath.at(easedProgress);
+      camera.rotation.x = rotation.x;
+      camera.rotation.y = rotation.y;
+      camera.rotation.z = rotation.z;
       
       // Vérifier si l'animation continue
       if (progress < 1) {
@@ -759,6 +844,9 @@ const handleTouchMove = useCallback((e) => {
         initialRotation.current = { ...prevState.initialRotation };
         targetPosition.current = { ...prevState.targetPosition };
         targetRotation.current = { ...prevState.targetRotation };
+        railPositionRef.current = { ...prevState.railPosition };
+        positionOffset.current = { ...prevState.positionOffset };
+        lookOffset.current = { ...prevState.lookOffset };
         movementDirection.current = prevState.movementDirection;
         isOnTerrace.current = prevState.isOnTerrace;
         
@@ -781,45 +869,41 @@ const handleTouchMove = useCallback((e) => {
   const moveCamera = useCallback((distance) => {
     if (!cameraRef.current || !controlsEnabled || isAfterButtonClick.current) return;
     
-    // Position actuelle
-    const currentZ = cameraRef.current.position.z;
+    // Ajuster la distance selon la zone praticable (terrasse ou intérieur)
+    const adjustedDistance = distance * getCurrentZone().speedMultiplier;
     
-    // Limites de la pièce
-    const limits = cameraUtils.getCameraLimits();
+    // Appliquer la direction de mouvement actuelle (une distance négative avance vers le fond)
+    const railDelta = -adjustedDistance * movementDirection.current;
+    const boundary = moveAlongRail(railDelta);
     
-    // Déterminer si on est sur la terrasse
-    const onTerrace = currentZ > limits.doorThreshold;
-    
-    // Ajuster la distance selon la position (terrasse ou intérieur)
-    const terraceMultiplier = 1.8;
-    const adjustedDistance = onTerrace ? distance * terraceMultiplier : distance;
+    // Inverser la direction aux extrémités du réseau
+    if ((boundary === 'end' && railDelta > 0) || (boundary === 'start' && railDelta < 0)) {
+      invertMovementDirection();
+    }
+  }, [controlsEnabled, invertMovementDirection, moveAlongRail, getCurrentZone]);
+  
+  /**
+   * Fait pivoter la caméra horizontalement (contrôles clavier)
+   * La rotation reste limitée à maxSideRotation autour de la direction de marche
+   * @param {Number} direction - 1 pour tourner à gauche, -1 pour tourner à droite
+   */
+  const rotateCamera = useCallback((direction) => {
+    if (!cameraRef.current || !controlsEnabled || isAfterButtonClick.current) return;
     
-    // Appliquer la direction de mouvement actuelle
-    const finalDistance = adjustedDistance * movementDirection.current;
+    // Même règle que pour la souris : pas de rotation sur la terrasse avant le premier demi-tour
+    if (isOnTerrace.current && !hasPerformedFirstTurn.current) {
+      return;
+    }
     
-    // Nouvelle position potentielle
-    const newZ = currentZ + finalDistance;
+    // Décalage limité autour de la direction du rail
+    lookOffset.current.y = cameraUtils.clamp(
+      lookOffset.current.y + direction * config.keyboardRotationStep,
+      -config.maxSideRotation,
+      config.maxSideRotation
+    );
     
-    // Vérifier les limites et inverser la direction si nécessaire
-    if (newZ <= limits.minZ) {
-      targetPosition.current.z = limits.minZ;
-      
-      // Inverser la direction à la limite avant
-      if (finalDistance < 0) {
-        invertMovementDirection();
-      }
-    } else if (newZ >= limits.maxZ) {
-      targetPosition.current.z = limits.maxZ;
-      
-      // Inverser la direction à la limite arrière
-      if (finalDistance > 0) {
-        invertMovementDirection();
-      }
-    } else {
-      // Déplacement normal dans les limites
-      targetPosition.current.z = newZ;
-    }
-  }, [controlsEnabled, invertMovementDirection]);
+    applyRailTarget();
+  }, [cameraRef, controlsEnabled, applyRailTarget, config.keyboardRotationStep, config.maxSideRotation]);
   
   /**
    * Déplace la caméra vers une position sans sauvegarder l'état actuel
@@ -852,6 +936,13 @@ const handleTouchMove = useCallback((e) => {
       z: cameraRef.current.rotation.z
     };
     
+    // Orientation interpolée par slerp, sans roulis à l'arrivée
+    const rotationPath = cameraUtils.createRotationInterpolator(
+      startRotation,
+      { x: rotation.x, y: rotation.y, z: 0 },
+      cameraRef.current.rotation.order
+    );
+    
     // Animation fluide vers la position cible
     const startTime = Date.now();
     const duration = 2000; // 2 secondes
@@ -871,10 +962,11 @@ const handleTouchMove = useCallback((e) => {
       cameraRef.current.position.y = startPosition.y + (position.y - startPosition.y) * easedProgress;
       cameraRef.current.position.z = startPosition.z + (position.z - startPosition.z) * easedProgress;
       
-      // Interpoler la rotation
-      cameraRef.current.rotation.x = startRotation.x + (rotation.x - startRotation.x) * easedProgress;
-      cameraRef.current.rotation.y = startRotation.y + (rotation.y - startRotation.y) * easedProgress;
-      cameraRef.current.rotation.z = 0; // Toujours garder Z à 0
+      // Interpoler la rotation par le plus court chemin
+      const interpolatedRotation = rotationPath.at(easedProgress);
+      cameraRef.current.rotation.x = interpolatedRotation.x;
+      cameraRef.current.rotation.y = interpolatedRotation.y;
+      cameraRef.current.rotation.z = interpolatedRotation.z;
       
       // Mettre à jour également les positions/rotations cibles
       targetPosition.current = {
@@ -931,6 +1023,65 @@ const handleTouchMove = useCallback((e) => {
     return true;
   }, []);
 
+  /**
+   * Distance le long du rail courant jusqu'à un point de passage
+   * @param {String} name - Nom du point de passage (voir RAIL_WAYPOINTS)
+   * @returns {Object|null} - { railId, distance } (distance positive si le point est
+   * devant, vers la fin du rail) ou null si le point n'est pas sur le rail courant
+   */
+  const getDistanceToWaypoint = useCallback((name) => {
+    const network = railNetworkRef.current;
+    if (!network) return null;
+    
+    const { railId, distance } = railPositionRef.current;
+    const waypointDistance = network.getRail(railId).getWaypointDistance(name);
+    
+    return waypointDistance === null ? null : { railId, distance: waypointDistance - distance };
+  }, []);
+
+  /**
+   * Position et orientation de la caméra sur un point de passage, en marche avant
+   * @param {String} railId - Identifiant du rail (voir RAIL_IDS)
+   * @param {String} name - Nom du point de passage (voir RAIL_WAYPOINTS)
+   * @returns {Object|null} - { position, rotation } avec une rotation en degrés
+   * (format attendu par animateCamera) ou null si le point est inconnu
+   */
+  const getWaypointPose = useCallback((railId, name) => {
+    const rail = railNetworkRef.current?.getRail(railId);
+    const distance = rail ? rail.getWaypointDistance(name) : null;
+    if (distance === null) return null;
+
+    const orientation = rail.getOrientationAt(distance, 1);
+
+    return {
+      position: rail.getPointAt(distance),
+      rotation: {
+        x: orientation.x * 180 / Math.PI,
+        y: orientation.y * 180 / Math.PI,
+        z: 0
+      }
+    };
+  }, []);
+
+  /**
+   * Enregistre un déclencheur de proximité en coordonnées de scène
+   * (voir utils/proximityTriggers pour la forme du déclencheur)
+   * @param {Object} trigger - Déclencheur { id, volume, hysteresis, once, cooldown, condition, onEnter, onExit, splineEvent }
+   * @returns {Function} - Retire le déclencheur
+   */
+  const registerProximityTrigger = useCallback((trigger) => (
+    proximityTriggersRef.current.register(trigger)
+  ), []);
+
+  /**
+   * État du regard à transmettre à la pièce suivante lors du passage d'une porte
+   * @returns {Object} - { lookOffset, movementDirection } (à passer dans options.entry)
+   */
+  const getCameraContinuity = useCallback(() => ({
+    lookOffset: { ...lookOffset.current },
+    movementDirection: movementDirection.current
+  }), []);
+
   // Nettoyer la boucle d'animation quand le composant est démonté
   useEffect(() => {
     return () => {
@@ -952,11 +1103,17 @@ const handleTouchMove = useCallback((e) => {
     handleButtonClick,
     restorePreviousCameraState,
     moveCamera,
+    rotateCamera,
     directCameraMovement,
     toggleControls,
     restoreControlsOnly,
     isControlsEnabled: controlsEnabled,
     hasPreviousState: () => !!previousCameraState.current,
-    isOnTerrace: () => isOnTerrace.current
+    isOnTerrace: () => isOnTerrace.current,
+    getDistanceToWaypoint,
+    getWaypointPose,
+    getSceneConfig: () => sceneConfigRef.current,
+    getCameraContinuity,
+    registerProximityTrigger
   };
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Vidéo de transition plein écran
+ * Joue la vidéo d'entrée posée sur le chalet en cours de chargement : sa fin est
+ * rejouée en boucle tant que la scène n'est pas prête, puis la dernière image,
+ * figée, se fond dans la scène 3D. Le visiteur peut la passer (bouton ou touche
+ * Échap) ; une lecture refusée par le navigateur ou une vidéo illisible termine
+ * directement la transition
+ */
+import { useState, useEffect, useRef, useCallback, memo } from 'react';
+import PropTypes from 'prop-types';
+import useTranslation from '../../hooks/useTranslation';
+import { INTRO_HANDOFF } from '../../constants/resources';
+import debugUtils from '../../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+const styles = {
+  container: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    zIndex: 2000,
+    backgroundColor: '#000',
+    transition: 'opacity 0.5s ease-in'
+  },
+  video: {
+    width: '100%',
+    height: '100%',
+    objectFit: 'cover'
+  },
+  skipButton: {
+    position: 'absolute',
+    bottom: '30px',
+    right: '30px',
+    background: 'rgba(0, 0, 0, 0.4)',
+    color: 'white',
+    border: '1px solid rgba(255, 255, 255, 0.5)',
+    borderRadius: '20px',
+    padding: '8px 20px',
+    fontSize: '14px',
+    fontFamily: '"Reem Kufi", sans-serif',
+    letterSpacing: '1px',
+    cursor: 'pointer',
+    transition: 'opacity 0.5s ease'
+  }
+};
+
+/**
+ * Lecture de la vidéo d'entrée avec commande pour la passer
+ */
+const VideoTransition = ({
+  videoSrc,
+  onComplete,
+  skipDelay = 1000,
+  isTargetReady = false,
+  tailDuration = INTRO_HANDOFF.tailDuration,
+  crossfadeDuration = INTRO_HANDOFF.crossfadeDuration
+}) => {
+  const { t } = useTranslation();
+  const videoRef = useRef(null);
+  const completedRef = useRef(false);
+  const isLoopingRef = useRef(false);
+  const [canSkip, setCanSkip] = useState(false);
+  const [isCrossfading, setIsCrossfading] = useState(false);
+
+  // Lu à la fin de chaque passage, sans relancer la lecture
+  const isTargetReadyRef = useRef(isTargetReady);
+  isTargetReadyRef.current = isTargetReady;
+
+  // La transition ne se termine qu'une fois (fin, erreur ou passage)
+  const complete = useCallback((reason) => {
+    if (completedRef.current) return;
+    completedRef.current = true;
+    logger.log(`Vidéo d'entrée terminée (${reason})`);
+    onComplete(reason);
+  }, [onComplete]);
+
+  // Lancer la lecture au montage
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    video.currentTime = 0;
+    video.play()?.catch((error) => {
+      logger.warn('Lecture de la vidéo refusée:', error);
+      complete('refus');
+    });
+  }, [complete]);
+
+  // Le bouton pour passer apparaît après un court délai
+  useEffect(() => {
+    const timer = setTimeout(() => setCanSkip(true), skipDelay);
+    return () => clearTimeout(timer);
+  }, [skipDelay]);
+
+  // Échap passe la vidéo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') complete('passée');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [complete]);
+
+  // Fondu de la dernière image vers la scène, puis fin de la transition
+  useEffect(() => {
+    if (!isCrossfading) return undefined;
+
+    const timer = setTimeout(() => complete('fondu'), crossfadeDuration);
+    return () => clearTimeout(timer);
+  }, [isCrossfading, crossfadeDuration, complete]);
+
+  /**
+   * Fin de la vidéo : la dernière image reste affichée pour le fondu si la scène
+   * est prête, sinon la fin de la vidéo est rejouée
+   */
+  const handleEnded = () => {
+    if (isTargetReadyRef.current) {
+      setIsCrossfading(true);
+      return;
+    }
+
+    const video = videoRef.current;
+    if (!video) return;
+
+    if (!isLoopingRef.current) {
+      isLoopingRef.current = true;
+      logger.log("Scène pas encore prête : la fin de la vidéo d'entrée est rejouée");
+    }
+
+    video.currentTime = Math.max(0, video.duration - tailDuration);
+    video.play()?.catch((error) => {
+      logger.warn('Reprise de la vidéo refusée:', error);
+      complete('refus');
+    });
+  };
+
+  const handleSkip = () => {
+    videoRef.current?.pause();
+    complete('passée');
+  };
+
+  return (
+    <div
+      style={{
+        ...styles.container,
+        // Opaque d'emblée : le chalet en cours de chargement est juste dessous
+        opacity: isCrossfading ? 0 : 1,
+        transition: isCrossfading ? `opacity ${crossfadeDuration}ms ease-in-out` : styles.container.transition,
+        pointerEvents: isCrossfading ? 'none' : 'auto'
+      }}
+    >
+      <video
+        ref={videoRef}
+        src={videoSrc}
+        preload="auto"
+        muted
+        playsInline
+        style={styles.video}
+        onEnded={handleEnded}
+        onError={() => complete('erreur')}
+      />
+
+      <button
+        type="button"
+        onClick={handleSkip}
+        style={{
+          ...styles.skipButton,
+          opacity: canSkip && !isCrossfading ? 1 : 0,
+          pointerEvents: canSkip && !isCrossfading ? 'auto' : 'none'
+        }}
+      >
+        {t('intro.skipVideo')}
+      </button>
+    </div>
+  );
+};
+
+VideoTransition.propTypes = {
+  videoSrc: PropTypes.string.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  skipDelay: PropTypes.number,
+  isTargetReady: PropTypes.bool,
+  tailDuration: PropTypes.number,
+  crossfadeDuration: PropTypes.number
+};
+
+export default memo(VideoTransition);
@@ -1,16 +1,30 @@
 /**
  * Composant d'écran de chargement personnalisable
- * Affiche une animation de chargement avec une barre de progression
+ * Affiche une animation de chargement avec une barre de progression, l'étape
+ * en cours et, en cas d'erreur, les actions de reprise
  */
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { useTransition } from '../transitions/TransitionManager';
+import useTranslation from '../../hooks/useTranslation';
+
+// Boutons de reprise après une erreur
+const buttonStyle = {
+  background: 'transparent',
+  color: '#ffffff',
+  border: '1px solid',
+  borderRadius: '4px',
+  padding: '8px 16px',
+  cursor: 'pointer',
+  fontSize: '0.9rem',
+  fontFamily: '"Reem Kufi", sans-serif'
+};
 
 /**
  * Écran de chargement avec animation et progression
  */
 const LoadingScreen = ({
-  message = 'Chargement...',
+  message,
   showProgress = true,
   overrideProgress = null,
   minDuration = 1000,
@@ -18,8 +32,16 @@ const LoadingScreen = ({
   textColor = '#ffffff',
   accentColor = '#2A9D8F',
   logo = null, // chemin vers un logo (optionnel)
-  loaderType = 'bar' // 'bar', 'spinner', 'dots'
+  loaderType = 'bar', // 'bar', 'spinner', 'dots'
+  backgroundImage = null, // image affichée derrière le chargement (optionnel)
+  stageLabel = null, // étape en cours (téléchargement, initialisation...)
+  error = null, // message d'erreur : remplace la progression
+  onRetry = null,
+  onFallback = null,
+  onHidden = null // appelée une fois l'écran masqué
 }) => {
+  const { t } = useTranslation();
+
   // Obtenir la progression depuis le contexte de transition
   const { loadingProgress } = useTransition();
   
@@ -33,6 +55,13 @@ const LoadingScreen = ({
   
   // Animation fluide de la barre de progression
   useEffect(() => {
+    // Nouvelle tentative : la progression repart de zéro
+    if (progress < displayProgress) {
+      setDisplayProgress(progress);
+      return undefined;
+    }
+
+
     // Si la progression fournie est supérieure, mettre à jour progressivement
     if (progress > displayProgress) {
       const increment = Math.max(1, (progress - displayProgress) * 0.05);
@@ -44,14 +73,22 @@ const LoadingScreen = ({
     }
     
     // Si la progression est complète, attendre un délai minimal avant de masquer
-    if (progress >= 100 && mountComplete) {
+    if (progress >= 100 && mountComplete && !error) {
       const timer = setTimeout(() => {
         setIsVisible(false);
       }, minDuration);
       
       return () => clearTimeout(timer);
     }
-  }, [progress, displayProgress, minDuration, mountComplete]);
+  }, [progress, displayProgress, minDuration, mountComplete, error]);
+
+  // Prévenir le parent à la fin du fondu de sortie
+  useEffect(() => {
+    if (isVisible || !onHidden) return undefined;
+
+    const timer = setTimeout(onHidden, 500);
+    return () => clearTimeout(timer);
+  }, [isVisible, onHidden]);
   
   // Marquer le montage comme terminé après un court délai
   useEffect(() => {
@@ -156,6 +193,9 @@ const LoadingScreen = ({
         width: '100%',
         height: '100%',
         backgroundColor: backgroundColor,
+        backgroundImage: backgroundImage ? `url('${backgroundImage}')` : 'none',
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
         display: 'flex',
         flexDirection: 'column',
         justifyContent: 'center',
@@ -175,7 +215,7 @@ const LoadingScreen = ({
           flexDirection: 'column',
           alignItems: 'center',
           gap: '24px',
-          animation: 'pulseEffect 2s infinite ease-in-out'
+          animation: error ? 'none' : 'pulseEffect 2s infinite ease-in-out'
         }}
       >
         {/* Logo (si fourni) */}
@@ -202,14 +242,58 @@ const LoadingScreen = ({
             textAlign: 'center'
           }}
         >
-          {message}
+          {message || t('common.loading')}
         </h1>
         
+        {/* Erreur et actions de reprise */}
+        {error && (
+          <div
+            role="alert"
+            style={{
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              gap: '16px'
+            }}
+          >
+            <p style={{ color: textColor, margin: 0, textAlign: 'center', opacity: 0.85 }}>
+              {error}
+            </p>
+            <div style={{ display: 'flex', gap: '12px' }}>
+              {onRetry && (
+                <button
+                  type="button"
+                  onClick={onRetry}
+                  style={{ ...buttonStyle, backgroundColor: accentColor, borderColor: accentColor }}
+                >
+                  {t('sceneLoader.retry')}
+                </button>
+              )}
+              {onFallback && (
+                <button
+                  type="button"
+                  onClick={onFallback}
+                  style={{ ...buttonStyle, color: textColor, borderColor: textColor }}
+                >
+                  {t('sceneLoader.liteVersion')}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Barre de progression ou animation */}
-        {showProgress && renderLoader()}
+        {showProgress && !error && renderLoader()}
+
+        {/* Étape en cours */}
+        {stageLabel && !error && (
+          <div style={{ color: textColor, fontSize: '0.9rem', opacity: 0.7 }}>
+            {stageLabel}
+          </div>
+        )}
         
         {/* Affichage numérique de la progression */}
-        {showProgress && loaderType === 'bar' && (
+        {showProgress && !error && loaderType === 'bar' && (
           <div 
             style={{
               color: textColor,
@@ -235,7 +319,13 @@ LoadingScreen.propTypes = {
   textColor: PropTypes.string,
   accentColor: PropTypes.string,
   logo: PropTypes.string,
-  loaderType: PropTypes.oneOf(['bar', 'spinner', 'dots'])
+  loaderType: PropTypes.oneOf(['bar', 'spinner', 'dots']),
+  backgroundImage: PropTypes.string,
+  stageLabel: PropTypes.string,
+  error: PropTypes.string,
+  onRetry: PropTypes.func,
+  onFallback: PropTypes.func,
+  onHidden: PropTypes.func
 };
 
 export default LoadingScreen;
\ No newline at end of file
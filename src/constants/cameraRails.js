@@ -0,0 +1,88 @@
+/**
+ * Rails de caméra du chalet
+ * Le défilement fait avancer la caméra le long de ces courbes : le couloir réel
+ * de la scène, de la terrasse jusqu'au fond du chalet en passant par la porte.
+ * Un rail peut se diviser en branches (voir utils/cameraRail) ; toute nouvelle
+ * branche doit suivre des positions relevées dans la scène Spline
+ *
+ * Coordonnées : x et y relatifs à la position initiale de la caméra,
+ * z absolu (mêmes repères que cameraUtils.getCameraLimits)
+ */
+
+// Identifiants des rails
+export const RAIL_IDS = {
+  TERRACE: 'terrasse',
+  INTERIOR: 'interieur'
+};
+
+// Zones traversées : la rotation libre n'est active qu'à l'intérieur
+export const RAIL_ZONES = {
+  TERRACE: 'terrace',
+  INTERIOR: 'interior'
+};
+
+// Points de passage utilisés par la logique de la caméra et des portes
+export const RAIL_WAYPOINTS = {
+  START: 'depart',
+  DOOR: 'porte',
+  BACK: 'fond'
+};
+
+export const CAMERA_RAILS = {
+  [RAIL_IDS.TERRACE]: {
+    zone: RAIL_ZONES.TERRACE,
+    waypoints: [
+      { name: 'bord', position: { x: 0, y: 0, z: 1200 } },
+      { name: RAIL_WAYPOINTS.START, position: { x: 0, y: 0, z: 1000 } },
+      { name: 'approche', position: { x: 0, y: 0, z: 100 } },
+      { name: RAIL_WAYPOINTS.DOOR, position: { x: 0, y: 0, z: -800 } }
+    ],
+    branches: [RAIL_IDS.INTERIOR],
+    defaultBranch: RAIL_IDS.INTERIOR
+  },
+
+  // Traversée du chalet dans l'axe de la porte, jusqu'au mur du fond
+  [RAIL_IDS.INTERIOR]: {
+    zone: RAIL_ZONES.INTERIOR,
+    waypoints: [
+      { name: RAIL_WAYPOINTS.DOOR, position: { x: 0, y: 0, z: -800 } },
+      { name: 'entree', position: { x: 0, y: 0, z: -1200 } },
+      { name: RAIL_WAYPOINTS.BACK, position: { x: 0, y: 0, z: -3000 }, lookAt: { x: 0, y: 0, z: -3400 } }
+    ]
+  }
+};
+
+// Position de départ de la caméra
+export const CAMERA_RAIL_START = {
+  railId: RAIL_IDS.TERRACE,
+  waypoint: RAIL_WAYPOINTS.START
+};
+
+// Pose de la caméra filmée sur la dernière image de la vidéo d'entrée : départ de la
+// terrasse, regard dans l'axe du rail (même forme que l'arrivée par une porte)
+export const INTRO_HANDOFF_ENTRY = {
+  arrival: CAMERA_RAIL_START,
+  lookOffset: { x: 0, y: 0 },
+  movementDirection: 1
+};
+
+// Distance (le long du rail) à laquelle la porte s'ouvre avant d'être atteinte
+export const DOOR_APPROACH_DISTANCE = 900;
+
+// Distance (depuis la porte) au-delà de laquelle la porte se referme derrière le visiteur revenu sur la terrasse
+export const DOOR_CLOSE_DISTANCE = 1500;
+
+// Durée des animations d'ouverture et de fermeture de la porte dans Spline (ms)
+export const DOOR_ANIMATION_DURATION = 1200;
+
+export default {
+  RAIL_IDS,
+  RAIL_ZONES,
+  RAIL_WAYPOINTS,
+  CAMERA_RAILS,
+  CAMERA_RAIL_START,
+  INTRO_HANDOFF_ENTRY,
+  DOOR_APPROACH_DISTANCE,
+  DOOR_CLOSE_DISTANCE,
+  DOOR_ANIMATION_DURATION
+};
@@ -0,0 +1,66 @@
+/**
+ * Étapes de la visite guidée du chalet
+ * Chaque étape rejoint soit un point de passage des rails (terrasse, porte),
+ * soit une vue de VIEW_MAPPINGS, puis affiche sa légende pendant `dwell` ms
+ */
+import { RAIL_IDS, RAIL_WAYPOINTS } from './cameraRails';
+
+// Durée par défaut d'un déplacement entre deux étapes (ms)
+export const TOUR_TRANSITION_DURATION = 2500;
+
+// Durée d'arrêt par défaut sur une étape (ms)
+export const TOUR_DEFAULT_DWELL = 6000;
+
+// Paramètre d'URL lançant la visite en boucle au chargement (?visite=kiosque)
+export const TOUR_URL_PARAM = 'visite';
+export const TOUR_KIOSK_MODE = 'kiosque';
+
+// Inactivité après laquelle le mode kiosque relance la visite (ms)
+export const TOUR_KIOSK_IDLE_DELAY = 45000;
+
+export const GUIDED_TOUR_STOPS = [
+  {
+    id: 'terrace',
+    waypoint: { railId: RAIL_IDS.TERRACE, name: RAIL_WAYPOINTS.START },
+    captionKey: 'tour.stops.terrace',
+    dwell: 5000
+  },
+  {
+    id: 'door',
+    waypoint: { railId: RAIL_IDS.TERRACE, name: RAIL_WAYPOINTS.DOOR },
+    captionKey: 'tour.stops.door',
+    opensDoor: true,
+    dwell: 4000
+  },
+  {
+    id: 'about',
+    view: 'about',
+    captionKey: 'tour.stops.about',
+    dwell: 9000
+  },
+  {
+    id: 'prestations',
+    view: 'prestations',
+    captionKey: 'tour.stops.prestations'
+  },
+  {
+    id: 'portfolio',
+    view: 'portfolio',
+    captionKey: 'tour.stops.portfolio'
+  },
+  {
+    id: 'contact',
+    view: 'contact',
+    captionKey: 'tour.stops.contact',
+    dwell: 7000
+  }
+];
+
+export default {
+  TOUR_TRANSITION_DURATION,
+  TOUR_DEFAULT_DWELL,
+  TOUR_URL_PARAM,
+  TOUR_KIOSK_MODE,
+  TOUR_KIOSK_IDLE_DELAY,
+  GUIDED_TOUR_STOPS
+};
@@ -0,0 +1,37 @@
+/**
+ * Niveaux de qualité du rendu 3D et réglages de la qualité adaptative
+ */
+
+// Niveaux de qualité, du plus léger au plus riche
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+// Mode automatique : le niveau suit la fréquence d'images mesurée
+export const QUALITY_AUTO = 'auto';
+
+// Résolution de rendu par niveau (plafonnée par la densité de pixels de l'écran)
+export const QUALITY_PIXEL_RATIOS = {
+  low: 0.75,
+  medium: 1,
+  high: 2
+};
+
+// Préférence du visiteur (auto ou niveau forcé), conservée sur l'appareil
+export const QUALITY_STORAGE_KEY = 'qualityPreference';
+
+export const ADAPTIVE_QUALITY = {
+  targetFps: 45,         // En dessous, la qualité baisse
+  headroomFps: 57,       // Au-dessus, la qualité peut remonter
+  sampleDuration: 1000,  // Durée d'une fenêtre de mesure (ms)
+  downgradeSamples: 3,   // Fenêtres consécutives sous la cible avant de baisser
+  upgradeSamples: 8,     // Fenêtres consécutives avec de la marge avant de remonter
+  warmupDuration: 3000,  // Mesures ignorées après un changement (compilation des shaders)
+  maxFrameTime: 250      // Image plus longue ignorée (onglet en arrière-plan)
+};
+
+export default {
+  QUALITY_LEVELS,
+  QUALITY_AUTO,
+  QUALITY_PIXEL_RATIOS,
+  QUALITY_STORAGE_KEY,
+  ADAPTIVE_QUALITY
+};
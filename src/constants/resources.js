@@ -0,0 +1,71 @@
+/**
+ * Priorités et réglages du gestionnaire de ressources (services/resourceManager)
+ */
+
+// Niveaux de priorité, du plus urgent au moins urgent
+export const RESOURCE_PRIORITIES = {
+  CRITICAL: 'critical',      // Nécessaire à l'affichage de la vue courante
+  NEXT_ROUTE: 'next-route',  // Vue que le visiteur va probablement ouvrir
+  IDLE: 'idle'               // Confort : chargé quand le navigateur est inactif
+};
+
+// Ordre de passage des priorités dans la file
+export const RESOURCE_PRIORITY_ORDER = [
+  RESOURCE_PRIORITIES.CRITICAL,
+  RESOURCE_PRIORITIES.NEXT_ROUTE,
+  RESOURCE_PRIORITIES.IDLE
+];
+
+// Nombre maximal de chargements simultanés pour démarrer une ressource de chaque priorité
+export const RESOURCE_CONCURRENCY = {
+  [RESOURCE_PRIORITIES.CRITICAL]: 6,
+  [RESOURCE_PRIORITIES.NEXT_ROUTE]: 3,
+  [RESOURCE_PRIORITIES.IDLE]: 1
+};
+
+// Connexions jugées lentes (navigator.connection.effectiveType)
+export const SLOW_CONNECTION_TYPES = ['slow-2g', '2g'];
+
+// Débit estimé sous lequel les ressources lourdes sont ignorées (Mb/s)
+export const MIN_DOWNLINK_FOR_HEAVY = 1.5;
+
+// Vidéo d'entrée, ignorée en mode économie de données ou sur connexion lente
+export const ENTRANCE_VIDEO = {
+  type: 'video',
+  src: '/videos/ENTRANCE_TM.mp4',
+  heavy: true
+};
+
+// Ressources de la page d'accueil
+export const HOME_RESOURCES = [
+  { type: 'image', src: '/images/home-background.png' },
+  { type: 'image', src: '/images/scene-preview.png' },
+  ENTRANCE_VIDEO
+];
+
+// Passage de la vidéo d'entrée au chalet : la dernière image se fond dans la scène 3D
+export const INTRO_HANDOFF = {
+  tailDuration: 2,          // Fin de vidéo rejouée en boucle tant que la scène n'est pas prête (s)
+  crossfadeDuration: 1200   // Fondu de la dernière image vers la scène (ms)
+};
+
+// Préchargement anticipé des pages projet depuis le chalet (services/routePrefetch)
+export const ROUTE_PREFETCH = {
+  maxTargets: 2,          // Pages préparées en même temps ; la plus ancienne est abandonnée au-delà
+  maxRetainedScenes: 2,   // Scènes anticipées gardées en mémoire ; la plus ancienne est libérée au-delà
+  hoverDelay: 150,        // Survol minimal avant de préparer une page (ms)
+  proximityRadius: 600,   // Rayon autour du bouton dans lequel la caméra prépare la page
+  proximityHysteresis: 300
+};
+
+export default {
+  RESOURCE_PRIORITIES,
+  RESOURCE_PRIORITY_ORDER,
+  RESOURCE_CONCURRENCY,
+  SLOW_CONNECTION_TYPES,
+  MIN_DOWNLINK_FOR_HEAVY,
+  ENTRANCE_VIDEO,
+  HOME_RESOURCES,
+  INTRO_HANDOFF,
+  ROUTE_PREFETCH
+};
@@ -0,0 +1,56 @@
+/**
+ * Pièces de l'expérience et portes qui les relient
+ * Chaque pièce est une scène Spline avec sa propre configuration (rails, limites,
+ * zones, points de retour : voir constants/sceneConfig). Les portes sont les arêtes
+ * du graphe : activer l'objet d'une porte précharge la pièce suivante puis y
+ * passe en fondu enchaîné, le regard de la caméra étant conservé.
+ *
+ * Pour ajouter une pièce (atelier, galerie...) :
+ * 1. déclarer sa scène dans src/assets/scenes/scenes.json (puis npm run scenes:update
+ *    pour relever son empreinte) et dans SCENE_IDS ;
+ * 2. lui donner une configuration de scène (au minimum ses rails et son départ) ;
+ * 3. la relier par une porte, par exemple :
+ *    {
+ *      id: 'chalet-atelier',
+ *      from: ROOM_IDS.CABIN,
+ *      to: 'atelier',
+ *      objectId: '<uuid de la porte dans la scène du chalet>',
+ *      arrival: { railId: 'atelier', waypoint: 'entree' },
+ *      twoWay: true,
+ *      returnObjectId: '<uuid de la porte dans la scène de l\'atelier>',
+ *      returnArrival: { railId: RAIL_IDS.INTERIOR, waypoint: RAIL_WAYPOINTS.BACK }
+ *    }
+ */
+import { SCENE_IDS } from '../services/sceneAssets';
+import { CABIN_SCENE_CONFIG } from './sceneConfig';
+
+// Identifiants des pièces
+export const ROOM_IDS = {
+  CABIN: 'chalet'
+};
+
+// Pièce affichée à l'arrivée dans l'expérience
+export const DEFAULT_ROOM_ID = ROOM_IDS.CABIN;
+
+// Durée du fondu enchaîné entre deux pièces (ms)
+export const ROOM_CROSSFADE_DURATION = 800;
+
+export const ROOMS = {
+  [ROOM_IDS.CABIN]: {
+    id: ROOM_IDS.CABIN,
+    sceneId: SCENE_IDS.CABIN,
+    sceneConfig: CABIN_SCENE_CONFIG
+  }
+};
+
+// Portes entre pièces : { id, from, to, objectId, arrival: { railId, waypoint },
+// twoWay, returnObjectId, returnArrival }
+export const ROOM_DOORS = [];
+
+export default {
+  ROOM_IDS,
+  DEFAULT_ROOM_ID,
+  ROOM_CROSSFADE_DURATION,
+  ROOMS,
+  ROOM_DOORS
+};
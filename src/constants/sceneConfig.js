@@ -0,0 +1,81 @@
+/**
+ * Configuration de la scène du chalet
+ * Rails, limites de la caméra, seuils de la porte, zones praticables et points de retour.
+ * Ces valeurs servent par défaut : une variable Spline du même rôle les remplace
+ * au chargement (voir utils/sceneConfig), si bien qu'une scène redessinée
+ * n'exige aucune modification du code.
+ */
+import {
+  CAMERA_RAILS,
+  CAMERA_RAIL_START,
+  DOOR_APPROACH_DISTANCE,
+  DOOR_CLOSE_DISTANCE
+} from './cameraRails';
+import { WALKABLE_ZONES } from './walkableAreas';
+
+// Variables Spline lues pour les limites et les seuils (valeurs numériques, z absolu)
+export const SCENE_VARIABLES = {
+  LIMIT_MIN_Z: 'cameraLimitMinZ',
+  LIMIT_MAX_Z: 'cameraLimitMaxZ',
+  DOOR_THRESHOLD_Z: 'doorThresholdZ',
+  DOOR_TRIGGER_Z: 'doorTriggerZ',
+  DOOR_APPROACH_DISTANCE: 'doorApproachDistance',
+  DOOR_CLOSE_DISTANCE: 'doorCloseDistance'
+};
+
+// Zones praticables dans Spline : `${zoneId}SpeedMultiplier` et, pour chaque boîte n (à partir de 1),
+// `${zoneId}Box${n}MinX`, `MaxX`, `MinZ`, `MaxZ` ; des boîtes trouvées remplacent celles de la zone
+export const WALKABLE_BOX_SUFFIXES = ['MinX', 'MaxX', 'MinZ', 'MaxZ'];
+
+// Points de retour de la caméra après un overlay ou le portfolio
+export const RETURN_ANCHORS = {
+  PRESTATIONS: 'prestations',
+  CONTACT: 'contact',
+  NEUTRAL: 'neutral',
+  LINE: 'line'
+};
+
+export const CABIN_SCENE_CONFIG = {
+  rails: CAMERA_RAILS,
+  railStart: CAMERA_RAIL_START,
+  limits: {
+    minZ: -3200,         // Limite avant (fond du chalet)
+    maxZ: 1200,          // Limite arrière (extérieur de la terrasse)
+    doorThreshold: -800, // Seuil de la porte
+    doorTrigger: -400    // Position de déclenchement de la porte
+  },
+  doorApproachDistance: DOOR_APPROACH_DISTANCE,
+  doorCloseDistance: DOOR_CLOSE_DISTANCE,
+  walkableZones: WALKABLE_ZONES,
+
+  // Chaque point lit les variables `${variablePrefix}CameraPositionX`... (rotation en degrés)
+  returnAnchors: {
+    [RETURN_ANCHORS.PRESTATIONS]: {
+      variablePrefix: 'returnPrestations',
+      position: { x: -200, y: 300, z: 800 },
+      rotation: { x: 0, y: 0, z: 0 }
+    },
+    [RETURN_ANCHORS.CONTACT]: {
+      variablePrefix: 'returnContact',
+      position: { x: 0, y: 300, z: -1500 },
+      rotation: { x: 0, y: 0, z: 0 }
+    },
+    [RETURN_ANCHORS.NEUTRAL]: {
+      variablePrefix: 'returnNeutral',
+      position: { x: 0, y: 0, z: 900 },
+      rotation: { x: 0, y: 0, z: 0 }
+    },
+    [RETURN_ANCHORS.LINE]: {
+      variablePrefix: 'returnLine',
+      position: { x: -200, y: 300, z: 200 },
+      rotation: { x: 0, y: 0, z: 0 }
+    }
+  }
+};
+
+export default {
+  SCENE_VARIABLES,
+  WALKABLE_BOX_SUFFIXES,
+  RETURN_ANCHORS,
+  CABIN_SCENE_CONFIG
+};
@@ -224,5 +224,230 @@ export const overlayStyles = {
       margin: 0, 
       fontSize: '0.9rem', 
       color: '#555'
+    },
+    pricing: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'baseline',
+      gap: '10px',
+      marginTop: '20px',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      background: 'rgba(196, 154, 108, 0.1)',
+      border: '1px solid rgba(196, 154, 108, 0.3)'
+    },
+    pricingLabel: {
+      fontSize: '0.9rem',
+      color: '#555',
+      textTransform: 'uppercase',
+      letterSpacing: '1px'
+    },
+    pricingValue: {
+      fontSize: '1.2rem',
+      fontFamily: '"Reem Kufi", sans-serif',
+      color: '#C49A6C'
+    },
+    pricingNote: {
+      flexBasis: '100%',
+      fontSize: '0.85rem',
+      color: '#777'
+    },
+    cta: {
+      display: 'inline-block',
+      marginTop: '25px',
+      padding: '12px 25px',
+      border: 'none',
+      borderRadius: '25px',
+      background: '#2A9D8F',
+      color: 'white',
+      fontSize: '1rem',
+      textDecoration: 'none',
+      textTransform: 'uppercase',
+      letterSpacing: '1px',
+      cursor: 'pointer',
+      boxShadow: '0 2px 5px rgba(0, 0, 0, 0.2)'
+    }
+  };
+  // Styles des pages du portfolio (la couleur d'accent vient du manifeste)
+  export const projectStyles = {
+    page: {
+      width: '100%',
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      color: '#333',
+      fontFamily: '"Reem Kufi", "Open Sans", sans-serif',
+      position: 'relative'
+    },
+    backButton: {
+      position: 'absolute',
+      top: '20px',
+      left: '20px',
+      zIndex: 1000,
+      background: 'rgba(255, 255, 255, 0.8)',
+      border: '1px solid',
+      borderRadius: '30px',
+      padding: '8px 16px',
+      cursor: 'pointer',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '14px',
+      transition: 'all 0.2s ease'
+    },
+    header: {
+      width: '100%',
+      display: 'flex',
+      justifyContent: 'center',
+      marginTop: '40px',
+      marginBottom: '30px'
+    },
+    headerArc: {
+      background: 'white',
+      borderBottomLeftRadius: '260px',
+      borderBottomRightRadius: '260px',
+      boxShadow: '0 4px 20px rgba(0, 0, 0, 0.1)',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      padding: '0 30px 10px',
+      border: '1px solid rgba(42, 157, 143, 0.1)',
+      borderTop: 'none'
+    },
+    title: {
+      fontWeight: '500',
+      margin: 0,
+      textAlign: 'center',
+      textTransform: 'uppercase'
+    },
+    content: {
+      width: '100%',
+      maxWidth: '800px',
+      boxSizing: 'border-box',
+      display: 'flex',
+      flexDirection: 'column'
+    },
+    subtitle: {
+      color: '#C8963E',
+      fontSize: '1.8rem',
+      marginBottom: '30px',
+      fontWeight: '400',
+      textAlign: 'center',
+      textTransform: 'uppercase'
+    },
+    paragraph: {
+      fontSize: '1.1rem',
+      lineHeight: '1.7',
+      color: '#333',
+      marginBottom: '20px',
+      textAlign: 'justify'
+    },
+    sectionTitle: {
+      color: '#C8963E',
+      fontSize: '1.5rem',
+      margin: '20px 0',
+      fontWeight: '400',
+      textTransform: 'uppercase'
+    },
+    list: {
+      paddingLeft: '20px',
+      margin: '0 0 20px 0'
+    },
+    listItem: {
+      marginBottom: '15px',
+      color: '#333',
+      fontSize: '1.05rem',
+      breakInside: 'avoid'
+    },
+    status: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      margin: '10px 0 30px',
+      fontSize: '1rem',
+      fontWeight: '500'
+    },
+    statusDot: {
+      width: '12px',
+      height: '12px',
+      borderRadius: '50%',
+      animation: 'pulse 2s infinite'
+    },
+    tags: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '8px'
+    },
+    tag: {
+      padding: '4px 10px',
+      borderRadius: '20px',
+      fontSize: '0.8rem',
+      border: '1px solid',
+      textTransform: 'uppercase',
+      letterSpacing: '1px'
+    },
+    gallery: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+      gap: '15px',
+      marginBottom: '20px'
+    },
+    galleryImage: {
+      width: '100%',
+      borderRadius: '10px',
+      objectFit: 'cover',
+      aspectRatio: '16 / 10',
+      boxShadow: '0 2px 10px rgba(0, 0, 0, 0.1)'
+    },
+    galleryCaption: {
+      fontSize: '0.85rem',
+      color: '#777',
+      marginTop: '6px'
+    },
+    cardsContainer: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))',
+      gap: '20px',
+      width: '100%'
+    },
+    card: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px',
+      padding: '20px',
+      borderRadius: '12px',
+      background: 'rgba(240, 240, 240, 0.7)',
+      border: '1px solid rgba(42, 157, 143, 0.3)',
+      color: '#333',
+      textDecoration: 'none',
+      transition: 'transform 0.3s ease, box-shadow 0.3s ease'
+    },
+    cardTitle: {
+      margin: 0,
+      fontSize: '1.2rem',
+      textTransform: 'uppercase'
+    },
+    cardText: {
+      margin: 0,
+      fontSize: '0.9rem',
+      color: '#555',
+      lineHeight: '1.5'
+    },
+    filterButton: {
+      background: 'transparent',
+      border: '1px solid',
+      borderRadius: '20px',
+      padding: '6px 16px',
+      cursor: 'pointer',
+      fontSize: '0.9rem',
+      textTransform: 'uppercase',
+      letterSpacing: '1px'
+    },
+    footer: {
+      marginTop: '40px',
+      textAlign: 'center',
+      fontSize: '0.85rem',
+      color: '#777'
     }
-  };
\ No newline at end of file
+  };
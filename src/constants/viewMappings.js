@@ -1,44 +1,52 @@
 /**
  * Mappages des vues et comportements associés
  */
-import { BUTTON_IDS } from './ids';
+import { BUTTON_IDS, OBJECT_IDS } from './ids';
 import { getObjectId } from '../utils/objectUtils';
+import { buildProjectPath } from '../utils/projectRoutes';
 
 // Configuration des vues principales
 export const VIEW_MAPPINGS = {
   dataviz: {
+    label: "Data visualisation",
     buttonId: BUTTON_IDS.DATAVIZ,
     cameraVariablePrefix: 'dataviz',
     timeout: 2000
   },
   model3d: {
+    label: "Modélisation 3D",
     buttonId: BUTTON_IDS.MODEL3D,
     cameraVariablePrefix: 'model3d',
     timeout: 2000
   },
   site: {
+    label: "Sites expérientiels",
     buttonId: BUTTON_IDS.SITE,
     cameraVariablePrefix: 'site',
     timeout: 2000
   },
   prestations: {
+    label: "Prestations",
     buttonId: BUTTON_IDS.PRESTATIONS,
     cameraVariablePrefix: 'prestations',
     timeout: 2000
   },
   about: {
+    label: "À propos",
     buttonId: BUTTON_IDS.ABOUT,
     cameraVariablePrefix: 'about',
     showOverlay: true,
     timeout: 2000
   },
   portfolio: {
+    label: "Portfolio",
     buttonId: BUTTON_IDS.PORTFOLIO,
     cameraVariablePrefix: 'portfolio',
     specialBehavior: 'portfolio',
     timeout: 2000
   },
   contact: {
+    label: "Contact",
     buttonId: BUTTON_IDS.MAIL,
     cameraVariablePrefix: 'contact', // Si une position de caméra spécifique existe
     timeout: 2000
@@ -48,30 +56,183 @@ export const VIEW_MAPPINGS = {
 };
 
 // Configuration des tiroirs de prestation
+// Le contenu affiché est lu dans src/content/prestations/<slug>.json
 export const DRAWER_MAPPINGS = {
   [BUTTON_IDS.PRESTA_DV]: {
     id: BUTTON_IDS.PRESTA_DV,
     title: "Data Visualisation",
-    contentType: "DataVizContent"
+    slug: "data-visualisation"
   },
   [BUTTON_IDS.PRESTA_SE]: {
     id: BUTTON_IDS.PRESTA_SE,
     title: "Sites expérientiels",
-    contentType: "SearchEngineContent"
+    slug: "sites-experientiels"
   },
   [BUTTON_IDS.PRESTA_M3]: {
     id: BUTTON_IDS.PRESTA_M3,
     title: "Modélisation 3D",
-    contentType: "Model3DContent"
+    slug: "modelisation-3d"
   },
   [BUTTON_IDS.PRESTA_APP]: {
     id: BUTTON_IDS.PRESTA_APP,
     title: "Développement d'Applications",
-    contentType: "AppDevContent"
+    slug: "developpement-applications"
   }
   
 };
 
+// Types d'interaction possibles pour un objet de la scène
+export const INTERACTION_TYPES = {
+  ROUTE: 'route',       // Navigation vers une autre page
+  VIEW: 'view',         // Animation de caméra vers une vue (VIEW_MAPPINGS)
+  OVERLAY: 'overlay',   // Ouverture d'un overlay sans mouvement de caméra
+  DRAWER: 'drawer',     // Ouverture d'un tiroir de prestation (DRAWER_MAPPINGS)
+  CUSTOM: 'custom'      // Comportement spécifique géré par un handler nommé
+};
+
+// Clé de catalogue décrivant l'action de chaque type d'interaction
+// (lue par les technologies d'assistance)
+const INTERACTION_DESCRIPTIONS = {
+  [INTERACTION_TYPES.ROUTE]: 'scene.descriptions.route',
+  [INTERACTION_TYPES.VIEW]: 'scene.descriptions.view',
+  [INTERACTION_TYPES.OVERLAY]: 'scene.descriptions.overlay',
+  [INTERACTION_TYPES.DRAWER]: 'scene.descriptions.drawer',
+  [INTERACTION_TYPES.CUSTOM]: 'scene.descriptions.custom'
+};
+
+// Configuration des objets menant vers une page projet (manifeste src/content/projects)
+export const ROUTE_MAPPINGS = {
+  [BUTTON_IDS.EOL]: { route: buildProjectPath('eoliennes'), label: "Projet éoliennes", labelKey: 'scene.objects.eoliennes' },
+  [BUTTON_IDS.SARGASSES]: { route: buildProjectPath('sargasses'), label: "Projet sargasses", labelKey: 'scene.objects.sargasses' },
+  [BUTTON_IDS.TIMORNE]: { route: buildProjectPath('conception'), label: "Conception Ti Morne", labelKey: 'scene.objects.conception' },
+  [BUTTON_IDS.RECIF]: { route: buildProjectPath('recif-corallien'), label: "Projet récif corallien", labelKey: 'scene.objects.recif' }
+};
+
+// Interactions qui ne se déduisent pas des vues ou des tiroirs
+// Ces entrées sont prioritaires sur celles générées automatiquement
+const SPECIAL_INTERACTIONS = {
+  // Le bouton mail ouvre directement l'overlay de contact
+  [BUTTON_IDS.MAIL]: {
+    type: INTERACTION_TYPES.OVERLAY,
+    overlay: 'contact',
+    label: "Contact",
+    labelKey: 'scene.objects.contact',
+    descriptionKey: 'scene.descriptions.contact',
+    buttonId: BUTTON_IDS.MAIL
+  },
+  // Le bouton portfolio et la porte partagent parfois le même ID
+  [BUTTON_IDS.PORTFOLIO]: {
+    type: INTERACTION_TYPES.CUSTOM,
+    handler: 'portfolio',
+    label: "Portfolio",
+    labelKey: 'scene.objects.portfolio',
+    descriptionKey: 'scene.descriptions.portfolio',
+    buttonId: BUTTON_IDS.PORTFOLIO
+  },
+  [OBJECT_IDS.PORTE_OUVERT]: {
+    type: INTERACTION_TYPES.CUSTOM,
+    handler: 'portfolioDoor',
+    label: "Porte du portfolio",
+    labelKey: 'scene.objects.portfolioDoor',
+    descriptionKey: 'scene.descriptions.portfolioDoor',
+    buttonId: OBJECT_IDS.PORTE_OUVERT
+  }
+};
+
+/**
+ * Construit le registre des interactions à partir des mappages
+ * Un nouvel objet cliquable ne nécessite qu'une entrée dans l'un des mappages
+ * @returns {Object} - Registre indexé par ID d'objet
+ */
+const buildInteractionRegistry = () => {
+  const registry = {};
+
+  Object.entries(VIEW_MAPPINGS).forEach(([viewName, config]) => {
+    registry[config.buttonId] = {
+      type: INTERACTION_TYPES.VIEW,
+      viewName,
+      labelKey: `scene.objects.${viewName}`,
+      ...config
+    };
+  });
+
+  Object.values(DRAWER_MAPPINGS).forEach((drawer) => {
+    registry[drawer.id] = {
+      type: INTERACTION_TYPES.DRAWER,
+      buttonId: drawer.id,
+      label: drawer.title,
+      labelKey: `scene.objects.${drawer.slug}`,
+      ...drawer
+    };
+  });
+
+  Object.entries(ROUTE_MAPPINGS).forEach(([objectId, config]) => {
+    registry[objectId] = {
+      type: INTERACTION_TYPES.ROUTE,
+      buttonId: objectId,
+      ...config
+    };
+  });
+
+  return { ...registry, ...SPECIAL_INTERACTIONS };
+};
+
+// Registre unique des interactions de la scène
+export const INTERACTION_REGISTRY = Object.freeze(buildInteractionRegistry());
+
+/**
+ * Détermine l'interaction associée à un ID d'objet
+ * @param {String} objectId - ID de l'objet
+ * @returns {Object|null} - Entrée du registre ou null
+ */
+export function getInteractionForObjectId(objectId) {
+  return INTERACTION_REGISTRY[objectId] || null;
+}
+
+/**
+ * Détermine l'interaction associée à un nom d'objet (compatibilité)
+ * @param {String} objectName - Nom de l'objet
+ * @returns {Object|null} - Entrée du registre ou null
+ */
+export function getInteractionForObjectName(objectName) {
+  const objectId = getObjectId(objectName);
+  return getInteractionForObjectId(objectId);
+}
+
+/**
+ * Vérifie si un objet possède une interaction déclarée
+ * @param {String} objectId - ID de l'objet
+ * @returns {Boolean} - true si l'objet est interactif
+ */
+export function hasInteraction(objectId) {
+  return Boolean(INTERACTION_REGISTRY[objectId]);
+}
+
+/**
+ * Liste les interactions atteignables au clavier, dans l'ordre de tabulation
+ * @returns {Array<Object>} - Entrées du registre possédant un libellé
+ */
+export function getFocusableInteractions() {
+  return Object.values(INTERACTION_REGISTRY).filter(interaction => Boolean(interaction.label));
+}
+
+/**
+ * Clé de catalogue décrivant l'action déclenchée par une interaction
+ * @param {Object} interaction - Entrée du registre
+ * @returns {String|null} - Clé de la description (catalogue "scene.descriptions") ou null
+ */
+export function getInteractionDescriptionKey(interaction) {
+  if (interaction.descriptionKey) {
+    return interaction.descriptionKey;
+  }
+
+  if (interaction.type === INTERACTION_TYPES.VIEW && interaction.showOverlay) {
+    return 'scene.descriptions.viewWithOverlay';
+  }
+
+  return INTERACTION_DESCRIPTIONS[interaction.type] || null;
+}
+
 /**
  * Détermine la vue pour un ID d'objet
  * @param {String} objectId - ID de l'objet
@@ -105,6 +266,15 @@ export function getDrawerForObjectId(objectId) {
   return DRAWER_MAPPINGS[objectId] || null;
 }
 
+/**
+ * Détermine le tiroir correspondant à un slug d'URL
+ * @param {String} slug - Slug du tiroir (ex: "data-visualisation")
+ * @returns {Object|null} - Configuration du tiroir ou null
+ */
+export function getDrawerBySlug(slug) {
+  return Object.values(DRAWER_MAPPINGS).find(drawer => drawer.slug === slug) || null;
+}
+
 /**
  * Détermine le tiroir pour un nom d'objet (compatibilité)
  * @param {String} objectName - Nom de l'objet
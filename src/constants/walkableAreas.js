@@ -0,0 +1,34 @@
+/**
+ * Zones praticables du chalet
+ * Chaque zone (terrasse, intérieur) est une union de boîtes alignées sur les axes,
+ * dans le plan horizontal XZ, et porte son propre multiplicateur de vitesse.
+ * La caméra glisse le long des bords au lieu de s'y arrêter.
+ *
+ * Coordonnées : mêmes repères que constants/cameraRails
+ * (x relatif à la position initiale de la caméra, z absolu)
+ */
+import { RAIL_ZONES } from './cameraRails';
+
+// Zones par ordre de priorité : sur un recouvrement, la première l'emporte
+export const WALKABLE_ZONES = [
+  {
+    id: RAIL_ZONES.TERRACE,
+    speedMultiplier: 1.8,
+    boxes: [
+      { name: 'terrasse', minX: -400, maxX: 400, minZ: -800, maxZ: 1250 }
+    ]
+  },
+  {
+    id: RAIL_ZONES.INTERIOR,
+    speedMultiplier: 1.0,
+    boxes: [
+      { name: 'entree', minX: -250, maxX: 250, minZ: -1400, maxZ: -800 },
+      { name: 'salon', minX: -400, maxX: 300, minZ: -2200, maxZ: -1400 },
+      { name: 'atelier', minX: -300, maxX: 400, minZ: -3100, maxZ: -2200 }
+    ]
+  }
+];
+
+export default {
+  WALKABLE_ZONES
+};
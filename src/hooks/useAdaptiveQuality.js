@@ -0,0 +1,132 @@
+/**
+ * Hook de qualité adaptative
+ * Mesure la durée des images en continu et ajuste le niveau de qualité et la
+ * résolution de rendu (services/adaptiveQuality) ; le visiteur peut imposer
+ * un niveau depuis la barre de navigation, préférence conservée sur l'appareil
+ */
+import { useRef, useState, useEffect, useCallback } from 'react';
+import { createQualityController } from '../services/adaptiveQuality';
+import {
+  QUALITY_LEVELS,
+  QUALITY_AUTO,
+  QUALITY_PIXEL_RATIOS,
+  QUALITY_STORAGE_KEY
+} from '../constants/quality';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+/**
+ * Lit la préférence enregistrée sur l'appareil
+ * @returns {String} - QUALITY_AUTO ou un niveau de QUALITY_LEVELS
+ */
+const readPreference = () => {
+  try {
+    const stored = localStorage.getItem(QUALITY_STORAGE_KEY);
+    return QUALITY_LEVELS.includes(stored) ? stored : QUALITY_AUTO;
+  } catch (error) {
+    logger.warn("Préférence de qualité illisible:", error);
+    return QUALITY_AUTO;
+  }
+};
+
+/**
+ * Résolution de rendu d'un niveau, plafonnée par la densité de pixels de l'écran
+ * @param {String} level - Niveau de qualité
+ * @returns {Number}
+ */
+const getPixelRatio = (level) => Math.min(QUALITY_PIXEL_RATIOS[level], window.devicePixelRatio || 1);
+
+/**
+ * Hook pour la qualité adaptative
+ * @param {Object} options - Options de configuration
+ * @param {String} options.initialLevel - Niveau de départ en mode automatique
+ * @param {Boolean} options.enabled - true quand la scène est affichée (les mesures tournent alors)
+ * @returns {Object} - { qualityLevel, pixelRatio, preference, setPreference, startFrom, getFps }
+ */
+export default function useAdaptiveQuality({ initialLevel = 'high', enabled = true } = {}) {
+  const [preference, setPreferenceState] = useState(readPreference);
+  const [autoLevel, setAutoLevel] = useState(initialLevel);
+
+  const controllerRef = useRef(null);
+  if (!controllerRef.current) {
+    controllerRef.current = createQualityController({
+      initialLevel,
+      onChange: (level, fps) => {
+        logger.log(`Qualité adaptative: ${level} (${fps ? fps.toFixed(1) : '?'} i/s)`);
+        setAutoLevel(level);
+      }
+    });
+  }
+
+  const isAuto = preference === QUALITY_AUTO;
+  const qualityLevel = isAuto ? autoLevel : preference;
+
+  // Mesure des images, seulement en mode automatique
+  useEffect(() => {
+    if (!enabled || !isAuto) return undefined;
+
+    const controller = controllerRef.current;
+    let frameId = null;
+    let lastTime = null;
+
+    controller.reset(performance.now());
+
+    const sample = (time) => {
+      if (lastTime !== null) {
+        controller.addFrame(time - lastTime, time);
+      }
+      lastTime = time;
+      frameId = requestAnimationFrame(sample);
+    };
+    frameId = requestAnimationFrame(sample);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [enabled, isAuto]);
+
+  /**
+   * Choisit le mode automatique ou impose un niveau
+   * @param {String} mode - QUALITY_AUTO ou un niveau de QUALITY_LEVELS
+   */
+  const setPreference = useCallback((mode) => {
+    if (mode !== QUALITY_AUTO && !QUALITY_LEVELS.includes(mode)) return;
+
+    setPreferenceState(mode);
+    try {
+      if (mode === QUALITY_AUTO) {
+        localStorage.removeItem(QUALITY_STORAGE_KEY);
+      } else {
+        localStorage.setItem(QUALITY_STORAGE_KEY, mode);
+      }
+    } catch (error) {
+      logger.warn("Préférence de qualité non enregistrée:", error);
+    }
+
+    // Le mode automatique repart du niveau choisi en dernier
+    if (mode !== QUALITY_AUTO) {
+      controllerRef.current.setLevel(mode);
+      setAutoLevel(mode);
+    }
+  }, []);
+
+  /**
+   * Repart d'un niveau en mode automatique (appareil détecté comme peu puissant...)
+   * @param {String} level - Niveau de QUALITY_LEVELS
+   */
+  const startFrom = useCallback((level) => {
+    if (!QUALITY_LEVELS.includes(level)) return;
+    controllerRef.current.setLevel(level, performance.now());
+    setAutoLevel(level);
+  }, []);
+
+  const getFps = useCallback(() => controllerRef.current.getFps(), []);
+
+  return {
+    qualityLevel,
+    pixelRatio: getPixelRatio(qualityLevel),
+    preference,
+    setPreference,
+    startFrom,
+    getFps
+  };
+}
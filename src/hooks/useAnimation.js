@@ -4,6 +4,7 @@
  */
 import { useRef, useEffect, useCallback } from 'react';
 import animationUtils from '../utils/animation';
+import cameraUtils from '../utils/cameraUtils';
 import debugUtils from '../utils/debugUtils';
 
 const { logger } = debugUtils;
@@ -13,51 +14,55 @@ const { logger } = debugUtils;
  * @returns {Object} - Fonctions d'animation
  */
 export default function useAnimation() {
-  // Référence pour stocker les IDs d'animation actifs
+  // Fonctions d'annulation des animations et timelines actives
   const activeAnimationsRef = useRef(new Set());
-  
+
   /**
    * Annule toutes les animations actives
    */
   const cancelAllAnimations = useCallback(() => {
-    activeAnimationsRef.current.forEach(id => {
-      animationUtils.cancelAnimation(id);
-    });
+    activeAnimationsRef.current.forEach(cancel => cancel());
     activeAnimationsRef.current.clear();
   }, []);
-  
+
+  /**
+   * Timeline suivie pour le nettoyage : annulée au démontage du composant
+   * @param {Object} options - Options de la timeline (voir animationUtils.createTimeline)
+   * @returns {Object} - API de la timeline (add, play, pause, resume, seek, cancel, finished...)
+   */
+  const timeline = useCallback((options = {}) => {
+    const created = animationUtils.createTimeline(options);
+    activeAnimationsRef.current.add(created.cancel);
+    created.finished.then(() => activeAnimationsRef.current.delete(created.cancel));
+    return created;
+  }, []);
+
   /**
    * Animation avec suivi automatique pour le nettoyage
    * @param {Object} options - Options d'animation (voir animationUtils.animate)
    * @returns {Number} - ID d'animation
    */
   const animate = useCallback((options) => {
-    const originalOnComplete = options.onComplete;
-    
+    const cancel = () => animationUtils.cancelAnimation(animationId);
+
     // Wrapper onComplete pour nettoyer l'animation
     const wrappedOptions = {
       ...options,
       onComplete: () => {
-        if (originalOnComplete) originalOnComplete();
-        
-        // Supprimer l'animation de la liste des animations actives
-        if (animationId) {
-          activeAnimationsRef.current.delete(animationId);
-        }
+        if (options.onComplete) options.onComplete();
+        activeAnimationsRef.current.delete(cancel);
       }
     };
-    
+
     // Lancer l'animation
     const animationId = animationUtils.animate(wrappedOptions);
-    
-    // Ajouter l'animation à la liste des animations actives
     if (animationId) {
-      activeAnimationsRef.current.add(animationId);
+      activeAnimationsRef.current.add(cancel);
     }
-    
+
     return animationId;
   }, []);
-  
+
   /**
    * Animation de plusieurs propriétés avec suivi
    * @param {Array} animations - Tableau d'options d'animation
@@ -69,82 +74,63 @@ export default function useAnimation() {
       if (onAllComplete) onAllComplete();
       return () => {};
     }
-    
-    // IDs d'animation pour le suivi
-    const animationIds = [];
-    
-    // Wrapper chaque animation pour le suivi
-    const wrappedAnimations = animations.map(options => {
-      const originalOnComplete = options.onComplete;
-      
-      return {
-        ...options,
-        onComplete: () => {
-          if (originalOnComplete) originalOnComplete();
-          
-          // Supprimer l'animation de la liste des animations actives
-          const animId = animationIds.shift();
-          if (animId) {
-            activeAnimationsRef.current.delete(animId);
-          }
-        }
-      };
-    });
-    
-    // Fonction de nettoyage retournée par animateMultiple
-    const cancelFunc = animationUtils.animateMultiple(wrappedAnimations, onAllComplete);
-    
-    // Ajouter toutes les animations à la liste des animations actives
-    animationIds.forEach(id => {
-      if (id) {
-        activeAnimationsRef.current.add(id);
-      }
+
+    const cancelFunc = animationUtils.animateMultiple(animations, () => {
+      activeAnimationsRef.current.delete(cancel);
+      if (onAllComplete) onAllComplete();
     });
-    
-    // Retourner une fonction améliorée qui nettoie également notre liste
-    return () => {
+
+    // Fonction d'annulation qui nettoie également notre liste
+    const cancel = () => {
       cancelFunc();
-      animationIds.forEach(id => {
-        if (id) {
-          activeAnimationsRef.current.delete(id);
-        }
-      });
+      activeAnimationsRef.current.delete(cancel);
     };
+    activeAnimationsRef.current.add(cancel);
+
+    return cancel;
   }, []);
-  
+
   /**
-   * Animation d'une transition fluide entre deux positions de caméra
+   * Animation d'une transition fluide entre deux positions de caméra.
+   * L'orientation est interpolée par quaternions (slerp). Lancée pendant une autre
+   * animation de la caméra, elle en reprend la vitesse au lieu de repartir de l'arrêt.
    * @param {Object} camera - Référence à l'objet caméra
    * @param {Object} options - Options de l'animation
    * @param {Object} options.position - Position cible {x, y, z}
-   * @param {Object} options.rotation - Rotation cible {x, y, z}
+   * @param {Object} options.rotation - Rotation cible en degrés {x, y, z}
+   * @param {Object} options.lookAt - Point à regarder {x, y, z}, à la place de rotation
    * @param {Number} options.duration - Durée de l'animation en ms
-   * @param {String} options.easing - Fonction d'easing à utiliser
+   * @param {String|Function|Array} options.easing - Easing : nom, fonction ou points de Bézier
+   * @param {Boolean|Object} options.spring - Ressort { stiffness, damping, mass } à la place de l'easing
    * @param {Function} options.onComplete - Callback à la fin de l'animation
    * @returns {Function} - Fonction pour annuler l'animation
    */
-  const animateCamera = useCallback((camera, { position, rotation, duration = 2000, easing = 'easeOutCubic', onComplete }) => {
+  const animateCamera = useCallback((camera, {
+    position,
+    rotation,
+    lookAt,
+    duration = 2000,
+    easing = 'easeOutCubic',
+    spring = null,
+    onComplete
+  }) => {
     if (!camera) {
       logger.warn('Impossible d\'animer la caméra: référence camera manquante');
       return null;
     }
-    
+
     // Position et rotation actuelles
     const startPosition = {
       x: camera.position.x,
       y: camera.position.y,
       z: camera.position.z
     };
-    
-    const startRotation = {
-      x: camera.rotation.x,
-      y: camera.rotation.y,
-      z: camera.rotation.z
-    };
-    
+
+    const startRotation = cameraUtils.createCameraState(camera).rotation;
+
     // Animations à exécuter
     const animations = [];
-    
+
     // Animation de position si fournie
     if (position) {
       animations.push({
@@ -153,44 +139,66 @@ export default function useAnimation() {
         from: startPosition,
         to: position,
         duration,
-        easingFn: easing
+        easing,
+        spring
       });
     }
-    
-    // Animation de rotation si fournie
+
+    // Orientation cible : rotation explicite (degrés) ou point regardé depuis la position d'arrivée
+    let targetRotation = null;
     if (rotation) {
-      // Conversion des degrés en radians
-      const targetRotation = {
-        x: (rotation.x || 0) * Math.PI / 180,
-        y: (rotation.y || 0) * Math.PI / 180,
-        z: (rotation.z || 0) * Math.PI / 180
+      targetRotation = {
+        x: cameraUtils.degreesToRadians(rotation.x || 0),
+        y: cameraUtils.degreesToRadians(rotation.y || 0),
+        z: cameraUtils.degreesToRadians(rotation.z || 0)
       };
-      
+    } else if (lookAt) {
+      targetRotation = { ...cameraUtils.getLookRotation(position || startPosition, lookAt), z: 0 };
+    }
+
+    // Animation de l'orientation par slerp : la piste anime une progression de 0 à 1
+    if (targetRotation) {
+      const interpolator = cameraUtils.createRotationInterpolator(
+        startRotation,
+        targetRotation,
+        camera.rotation.order
+      );
+
       animations.push({
         object: camera,
         property: 'rotation',
-        from: startRotation,
-        to: targetRotation,
+        from: 0,
+        to: 1,
         duration,
-        easingFn: easing
+        easing,
+        spring,
+        // Une unité de progression vaut l'angle total : la vitesse angulaire est conservée à l'interruption
+        velocityUnit: interpolator.angle,
+        apply: (progress) => {
+          const { x, y, z } = interpolator.at(progress);
+          camera.rotation.x = x;
+          camera.rotation.y = y;
+          camera.rotation.z = z;
+        }
       });
     }
-    
+
     // Lancer les animations
     return animateMultiple(animations, onComplete);
   }, [animateMultiple]);
-  
+
   // Nettoyer toutes les animations lors du démontage
   useEffect(() => {
     return () => {
       cancelAllAnimations();
     };
   }, [cancelAllAnimations]);
-  
+
   return {
     animate,
     animateMultiple,
     animateCamera,
+    timeline,
     cancelAllAnimations
   };
-}
\ No newline at end of file
+}
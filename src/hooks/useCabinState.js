@@ -0,0 +1,31 @@
+/**
+ * Hooks d'accès à l'état d'interaction du chalet
+ * La machine à états est fournie par CabinStateProvider
+ */
+import { createContext, useContext, useSyncExternalStore } from 'react';
+
+// Contexte contenant l'instance de la machine (cabinStateMachine)
+export const CabinStateContext = createContext(null);
+
+/**
+ * Hook pour accéder à l'instance de la machine (send, can, getContext...)
+ * Ne provoque pas de re-rendu lors des transitions
+ * @returns {Object} - Instance de la machine à états
+ */
+export function useCabinMachine() {
+  const machine = useContext(CabinStateContext);
+  if (!machine) {
+    throw new Error('useCabinMachine doit être utilisé dans un CabinStateProvider');
+  }
+  return machine;
+}
+
+/**
+ * Hook pour lire l'état courant de la machine
+ * Le composant est re-rendu à chaque transition
+ * @returns {Object} - Instantané { state, context }
+ */
+export default function useCabinState() {
+  const machine = useCabinMachine();
+  return useSyncExternalStore(machine.subscribe, machine.getSnapshot);
+}
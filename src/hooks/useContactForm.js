@@ -0,0 +1,109 @@
+/**
+ * Hook personnalisé pour le formulaire de contact
+ * Gère les champs, la validation et l'état d'envoi via le service de contact
+ */
+import { useState, useRef, useCallback, useEffect } from 'react';
+import {
+  CONTACT_STATUS,
+  HONEYPOT_FIELD,
+  initContactQueue,
+  submitContactMessage
+} from '../services/contactService';
+
+// Valeurs initiales des champs (champ piège inclus)
+const INITIAL_FORM_DATA = {
+  name: '',
+  email: '',
+  subject: '',
+  message: '',
+  [HONEYPOT_FIELD]: ''
+};
+
+/**
+ * Hook pour le formulaire de contact
+ * @returns {Object} - Champs, erreurs, statut et gestionnaires du formulaire
+ */
+export default function useContactForm() {
+  const [formData, setFormData] = useState(INITIAL_FORM_DATA);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState(CONTACT_STATUS.IDLE);
+  const [retryAfter, setRetryAfter] = useState(null);
+
+  // Horodatage d'affichage du formulaire (piège temporel anti-spam)
+  const startedAtRef = useRef(Date.now());
+  const isMountedRef = useRef(true);
+
+  // Envoyer les éventuels messages restés en attente hors ligne
+  useEffect(() => {
+    isMountedRef.current = true;
+    initContactQueue();
+
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  /**
+   * Met à jour un champ et efface son erreur
+   * @param {Event} e - Événement de changement
+   */
+  const handleChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prevData => ({
+      ...prevData,
+      [name]: value
+    }));
+    setErrors(prevErrors => {
+      if (!prevErrors[name]) return prevErrors;
+      const nextErrors = { ...prevErrors };
+      delete nextErrors[name];
+      return nextErrors;
+    });
+  }, []);
+
+  /**
+   * Soumet le formulaire via le service de contact
+   * @param {Event} e - Événement de soumission
+   */
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setStatus(CONTACT_STATUS.SENDING);
+
+    const result = await submitContactMessage(formData, {
+      startedAt: startedAtRef.current
+    });
+
+    if (!isMountedRef.current) return;
+
+    setStatus(result.status);
+    setErrors(result.errors || {});
+    setRetryAfter(result.retryAfter || null);
+
+    // Vider le formulaire une fois le message envoyé ou mis en attente
+    if (result.status === CONTACT_STATUS.SUCCESS || result.status === CONTACT_STATUS.QUEUED) {
+      setFormData(INITIAL_FORM_DATA);
+    }
+  }, [formData]);
+
+  /**
+   * Réinitialise le formulaire pour un nouveau message
+   */
+  const reset = useCallback(() => {
+    setFormData(INITIAL_FORM_DATA);
+    setErrors({});
+    setStatus(CONTACT_STATUS.IDLE);
+    setRetryAfter(null);
+    startedAtRef.current = Date.now();
+  }, []);
+
+  return {
+    formData,
+    errors,
+    status,
+    retryAfter,
+    isSending: status === CONTACT_STATUS.SENDING,
+    handleChange,
+    handleSubmit,
+    reset
+  };
+}
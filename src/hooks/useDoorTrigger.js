@@ -1,22 +1,58 @@
 /**
  * Hook personnalisé pour gérer le déclenchement automatique des portes
  * Détecte l'approche de la caméra et déclenche l'ouverture des portes
+ * L'approche est un déclencheur de proximité (utils/proximityTriggers) évalué
+ * dans la boucle d'animation de la caméra
+ * Chaque porte passe par les états fermée, en ouverture, ouverte et en fermeture
+ * (DOOR_STATES) ; celui de la porte portfolio est porté par la machine à états
  */
 import { useState, useRef, useCallback, useEffect } from 'react';
 import splineHelpers from '../utils/splineHelpers';
-import cameraUtils from '../utils/cameraUtils';
 import debugUtils from '../utils/debugUtils';
 import { BUTTON_IDS, OBJECT_IDS } from '../constants/ids';
+import { CABIN_EVENTS, DOOR_STATES } from '../services/cabinStateMachine';
+import { DOOR_ANIMATION_DURATION } from '../constants/cameraRails';
 
 const { logger } = debugUtils;
 
+// Délai pendant lequel un clic sur une porte est l'écho d'un événement émis par le hook (ms)
+const OWN_EVENT_WINDOW = 500;
+
+/**
+ * Indique si une porte est portée par la machine à états (porte portfolio)
+ * @param {String} doorId - ID de la porte
+ * @returns {Boolean}
+ */
+const isMachineDoor = (doorId) => doorId === BUTTON_IDS.PORTFOLIO || doorId === OBJECT_IDS.PORTE_OUVERT;
+
+/**
+ * Indique si un état correspond à une porte ouverte ou en ouverture
+ * @param {String} state - État de la porte (DOOR_STATES)
+ * @returns {Boolean}
+ */
+const isOpenState = (state) => state === DOOR_STATES.OPEN || state === DOOR_STATES.OPENING;
+
+/**
+ * Événement de la machine à états qui ouvre ou ferme la porte portfolio
+ * @param {Boolean} open - true pour ouvrir, false pour fermer
+ * @param {Boolean} isAutomatic - Une ouverture automatique passe par APPROACH_DOOR
+ * @returns {Object} - { event, payload }
+ */
+const getDoorTransition = (open, isAutomatic) => (
+  open
+    ? { event: isAutomatic ? CABIN_EVENTS.APPROACH_DOOR : CABIN_EVENTS.OPEN_DOOR, payload: {} }
+    : { event: CABIN_EVENTS.CLOSE_DOOR, payload: { by: isAutomatic ? 'proximity' : 'manual' } }
+);
+
 /**
  * Hook pour gérer le déclenchement automatique des portes
  * @param {Object} options - Options de configuration
- * @param {React.RefObject} options.splineRef - Référence à l'instance Spline
+ * @param {React.RefObject} options.splineRef - Référence au composant SplineScene ou à l'instance Spline
+ * @param {Object} options.machine - Machine à états du chalet (cabinStateMachine)
+ * @param {Number} options.animationDuration - Durée des animations d'ouverture et de fermeture (ms)
  * @returns {Object} - Fonctions et état pour la gestion des portes
  */
-export default function useDoorTrigger({ splineRef }) {
+export default function useDoorTrigger({ splineRef, machine, animationDuration = DOOR_ANIMATION_DURATION }) {
   // État pour suivre les portes déjà déclenchées
   const [triggeredDoors, setTriggeredDoors] = useState(new Set());
   
@@ -25,7 +61,92 @@ export default function useDoorTrigger({ splineRef }) {
   
   // Référence pour stocker les timeouts de réinitialisation
   const timeoutsRef = useRef([]);
+
+  // États des portes hors machine à états, et fin de leur animation en cours
+  const doorStatesRef = useRef({});
+  const settleTimersRef = useRef({});
+
+  // Horodatage des événements émis par le hook, par porte
+  const ownEventsRef = useRef({});
+
+  /**
+   * Instance Spline, exposée par SplineScene ou référencée directement
+   * @returns {Object|null}
+   */
+  const getSplineApp = useCallback(() => {
+    const target = splineRef?.current;
+    if (!target) return null;
+    return typeof target.getSplineInstance === 'function' ? target.getSplineInstance() : target;
+  }, [splineRef]);
   
+  /**
+   * État courant d'une porte
+   * @param {String} doorId - ID de la porte
+   * @returns {String} - État (DOOR_STATES)
+   */
+  const getDoorState = useCallback((doorId) => {
+    if (isMachineDoor(doorId) && machine) {
+      return machine.getContext().doorState;
+    }
+    return doorStatesRef.current[doorId] || DOOR_STATES.CLOSED;
+  }, [machine]);
+
+  const isDoorOpen = useCallback((doorId) => isOpenState(getDoorState(doorId)), [getDoorState]);
+
+  /**
+   * Indique si une porte peut changer d'état, sans rien modifier
+   * @param {String} doorId - ID de la porte
+   * @param {Boolean} open - true pour ouvrir, false pour fermer
+   * @param {Object} options - { isAutomatic }
+   * @returns {Boolean}
+   */
+  const canUpdateDoorState = useCallback((doorId, open, { isAutomatic = false } = {}) => {
+    if (isMachineDoor(doorId) && machine) {
+      const { event, payload } = getDoorTransition(open, isAutomatic);
+      return machine.can(event, payload);
+    }
+    return isOpenState(getDoorState(doorId)) !== open;
+  }, [machine, getDoorState]);
+
+  /**
+   * Change l'état d'une porte : machine à états pour la porte portfolio, état local sinon
+   * Une ouverture ou fermeture locale se termine après la durée de l'animation
+   * @param {String} doorId - ID de la porte
+   * @param {Boolean} open - true pour ouvrir, false pour fermer
+   * @param {Object} options - { isAutomatic } ; une ouverture automatique passe par APPROACH_DOOR
+   * @returns {Boolean} - false si la porte est déjà dans cet état
+   */
+  const updateDoorState = useCallback((doorId, open, { isAutomatic = false } = {}) => {
+    if (isMachineDoor(doorId) && machine) {
+      const { event, payload } = getDoorTransition(open, isAutomatic);
+      return machine.send(event, payload);
+    }
+
+    if (isOpenState(getDoorState(doorId)) === open) return false;
+
+    doorStatesRef.current[doorId] = open ? DOOR_STATES.OPENING : DOOR_STATES.CLOSING;
+    clearTimeout(settleTimersRef.current[doorId]);
+    settleTimersRef.current[doorId] = setTimeout(() => {
+      doorStatesRef.current[doorId] = open ? DOOR_STATES.OPEN : DOOR_STATES.CLOSED;
+    }, animationDuration);
+    return true;
+  }, [machine, getDoorState, animationDuration]);
+
+  /**
+   * Émet l'événement de la porte dans Spline en le marquant comme émis par le hook
+   * @param {Object} splineApp - L'instance Spline
+   * @param {String} doorId - ID de la porte
+   * @param {Boolean} reverse - true pour l'événement inverse (fermeture)
+   */
+  const emitDoorEvent = useCallback((splineApp, doorId, reverse) => {
+    ownEventsRef.current[doorId] = Date.now();
+    if (reverse) {
+      splineHelpers.emitEventReverse(splineApp, 'mouseUp', doorId);
+    } else {
+      splineHelpers.emitEvent(splineApp, 'mouseUp', doorId);
+    }
+  }, []);
+
   /**
    * Déclenche l'ouverture d'une porte
    * @param {String} doorId - ID de la porte à ouvrir
@@ -34,7 +155,14 @@ export default function useDoorTrigger({ splineRef }) {
    * @returns {Boolean} - true si la porte a été déclenchée
    */
   const triggerDoor = useCallback((doorId, cooldownTime = 5000, isAutomatic = true) => {
-    if (!splineRef || !splineRef.current || !doorId) {
+    const splineApp = getSplineApp();
+    if (!splineApp || !doorId) {
+      return false;
+    }
+    
+    // La machine à états (porte portfolio) ou l'état local refuse une double ouverture
+    if (!canUpdateDoorState(doorId, true, { isAutomatic })) {
+      logger.log(`Porte ${doorId} déjà ouverte, ignorée`);
       return false;
     }
     
@@ -45,17 +173,12 @@ export default function useDoorTrigger({ splineRef }) {
     }
     
     try {
-      const splineApp = splineRef.current;
-      
-      // Marquer globalement si c'est une ouverture automatique
-      if (isAutomatic) {
-        window.__automaticDoorOpening = true;
-      }
-      
       logger.log(`Déclenchement porte ${doorId} (auto: ${isAutomatic})`);
       
-      // Émettre l'événement d'ouverture
-      splineHelpers.emitEvent(splineApp, 'mouseUp', doorId);
+      // Émettre l'événement d'ouverture avant de changer l'état : en cas d'erreur,
+      // la scène et l'état restent d'accord
+      emitDoorEvent(splineApp, doorId, false);
+      updateDoorState(doorId, true, { isAutomatic });
       
       // Marquer la porte comme déclenchée
       setTriggeredDoors(prev => {
@@ -70,11 +193,6 @@ export default function useDoorTrigger({ splineRef }) {
       // Réinitialiser le cooldown après le délai
       const timeout = setTimeout(() => {
         cooldownRef.current[doorId] = false;
-        
-        // Réinitialiser le marqueur global également
-        if (isAutomatic) {
-          window.__automaticDoorOpening = false;
-        }
       }, cooldownTime);
       
       // Stocker le timeout pour le nettoyage
@@ -83,86 +201,36 @@ export default function useDoorTrigger({ splineRef }) {
       return true;
     } catch (error) {
       logger.error(`Erreur lors du déclenchement de la porte ${doorId}:`, error);
-      
-      // Réinitialiser le marqueur global en cas d'erreur
-      if (isAutomatic) {
-        window.__automaticDoorOpening = false;
-      }
-      
-      return false;
-    }
-  }, [splineRef]);
-  
-  /**
-   * Vérifie si la caméra approche d'une porte et déclenche son ouverture
-   * Séparé des comportements liés aux boutons comme Portfolio
-   * @param {Object} camera - Référence à l'objet caméra
-   * @param {String} doorId - ID de la porte à vérifier
-   * @param {Number} direction - Direction du mouvement (1 = avant, -1 = arrière)
-   * @returns {Boolean} - true si la porte a été déclenchée
-   */
-  const checkDoorProximity = useCallback((camera, doorId, direction = 1) => {
-    if (!camera || !doorId || direction === 0) {
       return false;
     }
-    
-    const limits = cameraUtils.getCameraLimits();
-    const posZ = camera.position.z;
-    
-    // Si c'est la porte Portfolio, marquer spécifiquement qu'il s'agit d'une ouverture automatique
-    const isPortfolioDoor = doorId === BUTTON_IDS.PORTFOLIO || doorId === OBJECT_IDS.PORTE_OUVERT;
-    
-    if (isPortfolioDoor) {
-      // Ajouter un flag global pour indiquer que c'est une ouverture automatique de la porte portfolio
-      window.__portfolioDoorAutoOpening = true;
-      
-      // Utiliser un timeout pour réinitialiser ce flag après un court délai
-      setTimeout(() => {
-        window.__portfolioDoorAutoOpening = false;
-      }, 1000);
-    }
-    
-    // Si on se déplace vers l'avant et qu'on approche du seuil de la porte
-    if (direction > 0 && 
-        cameraUtils.isOnTerrace(posZ) && 
-        posZ <= limits.doorTrigger && 
-        posZ > limits.doorThreshold) {
-      
-      // Marquer spécifiquement qu'il s'agit d'une ouverture automatique par seuil
-      window.__doorThresholdTriggered = true;
-      setTimeout(() => {
-        window.__doorThresholdTriggered = false;
-      }, 1000);
-      
-      // Déclencher l'ouverture de la porte
-      const result = triggerDoor(doorId, 5000, true);
-      
-      // Pour déboguer
-      logger.log(`Déclenchement auto de la porte ${doorId} au seuil: ${result ? 'succès' : 'échec'}`);
-      
-      return result;
-    }
-    
-    return false;
-  }, [triggerDoor]);
+  }, [getSplineApp, canUpdateDoorState, updateDoorState, emitDoorEvent]);
   
   /**
    * Ferme une porte précédemment ouverte
    * @param {String} doorId - ID de la porte à fermer
+   * @param {Boolean} isAutomatic - Indique si la fermeture est automatique
    * @returns {Boolean} - true si la fermeture a été déclenchée
    */
-  const closeDoor = useCallback((doorId) => {
-    if (!splineRef || !splineRef.current || !doorId) {
+  const closeDoor = useCallback((doorId, isAutomatic = false) => {
+    const splineApp = getSplineApp();
+    if (!splineApp || !doorId) {
+      return false;
+    }
+
+    if (!canUpdateDoorState(doorId, false, { isAutomatic })) {
+      logger.log(`Porte ${doorId} déjà fermée, ignorée`);
       return false;
     }
     
     try {
-      const splineApp = splineRef.current;
-      
-      logger.log(`Fermeture porte ${doorId}`);
+      logger.log(`Fermeture porte ${doorId} (auto: ${isAutomatic})`);
       
-      // Émettre l'événement inverse pour fermer la porte
-      splineHelpers.emitEventReverse(splineApp, 'mouseUp', doorId);
+      // Émettre l'événement inverse pour fermer la porte, puis changer l'état
+      emitDoorEvent(splineApp, doorId, true);
+      updateDoorState(doorId, false, { isAutomatic });
+
+      // La porte refermée peut se rouvrir dès la prochaine approche
+      cooldownRef.current[doorId] = false;
       
       // Marquer la porte comme non déclenchée
       setTriggeredDoors(prev => {
@@ -176,7 +244,93 @@ export default function useDoorTrigger({ splineRef }) {
       logger.error(`Erreur lors de la fermeture de la porte ${doorId}:`, error);
       return false;
     }
-  }, [splineRef]);
+  }, [getSplineApp, canUpdateDoorState, updateDoorState, emitDoorEvent]);
+
+  /**
+   * Ouvre ou ferme une porte selon son état
+   * @param {String} doorId - ID de la porte
+   * @returns {Boolean} - true si la porte a changé d'état
+   */
+  const toggleDoor = useCallback((doorId) => (
+    isDoorOpen(doorId) ? closeDoor(doorId, false) : triggerDoor(doorId, 0, false)
+  ), [isDoorOpen, closeDoor, triggerDoor]);
+
+  /**
+   * Clic sur une porte dans la scène : Spline joue déjà l'animation, seul l'état bascule
+   * L'écho d'un événement émis par le hook (ouverture ou fermeture automatique) est ignoré
+   * @param {String} doorId - ID de la porte cliquée
+   * @returns {Boolean} - true si le clic a fait basculer la porte
+   */
+  const handleDoorClick = useCallback((doorId) => {
+    const emittedAt = ownEventsRef.current[doorId];
+    if (emittedAt && Date.now() - emittedAt < OWN_EVENT_WINDOW) {
+      delete ownEventsRef.current[doorId];
+      return false;
+    }
+
+    const open = !isDoorOpen(doorId);
+    if (!updateDoorState(doorId, open)) return false;
+
+    // Une porte refermée à la main se rouvre dès la prochaine approche
+    if (!open) cooldownRef.current[doorId] = false;
+
+    setTriggeredDoors(prev => {
+      const newSet = new Set(prev);
+      if (open) {
+        newSet.add(doorId);
+      } else {
+        newSet.delete(doorId);
+      }
+      return newSet;
+    });
+    logger.log(`Clic sur la porte ${doorId}: ${open ? 'ouverture' : 'fermeture'}`);
+    return true;
+  }, [isDoorOpen, updateDoorState]);
+
+  /**
+   * Ouvre une porte à l'entrée de la caméra dans un volume de proximité
+   * et, si autoClose, la referme quand la caméra s'en éloigne au-delà de l'hystérésis
+   * Nécessite que splineRef pointe sur SplineScene (registerProximityTrigger)
+   * @param {Object} options - Options du déclencheur
+   * @param {String} options.doorId - ID de la porte à ouvrir
+   * @param {Object} options.volume - Sphère { center, radius } ou boîte { minX, maxX, minZ, maxZ } en coordonnées de scène
+   * @param {Number} options.hysteresis - Marge de sortie du volume avant réarmement (et fermeture)
+   * @param {Number} options.cooldownTime - Temps de recharge de la porte en ms (défaut: 5000)
+   * @param {Function} options.condition - (context) => Boolean, condition à l'entrée comme à la fermeture
+   * @param {Boolean} options.autoClose - Referme la porte à la sortie du volume
+   * @returns {Function} - Retire le déclencheur
+   */
+  const registerDoorProximity = useCallback(({
+    doorId,
+    volume,
+    hysteresis,
+    cooldownTime = 5000,
+    condition,
+    autoClose = false
+  }) => {
+    const register = splineRef?.current?.registerProximityTrigger;
+    if (typeof register !== 'function' || !doorId || !volume) {
+      logger.warn(`Déclencheur de proximité de la porte ${doorId} non enregistré`);
+      return () => {};
+    }
+
+    return register({
+      id: `porte:${doorId}`,
+      volume,
+      hysteresis,
+      condition,
+      onEnter: () => {
+        const result = triggerDoor(doorId, cooldownTime, true);
+        logger.log(`Déclenchement auto de la porte ${doorId} par proximité: ${result ? 'succès' : 'échec'}`);
+      },
+      onExit: (context) => {
+        if (!autoClose || (condition && !condition(context))) return;
+        if (closeDoor(doorId, true)) {
+          logger.log(`Fermeture auto de la porte ${doorId} en s'éloignant`);
+        }
+      }
+    });
+  }, [splineRef, triggerDoor, closeDoor]);
   
   /**
    * Vérifie si une porte est actuellement déclenchée
@@ -187,25 +341,47 @@ export default function useDoorTrigger({ splineRef }) {
     return triggeredDoors.has(doorId);
   }, [triggeredDoors]);
   
+  // Fin des animations de la porte portfolio : la machine passe à ouverte ou fermée
+  useEffect(() => {
+    if (!machine) return undefined;
+
+    let settleTimer = null;
+    const unsubscribe = machine.subscribe((snapshot, event, previous) => {
+      const { doorState } = snapshot.context;
+      if (doorState === previous.context.doorState) return;
+
+      clearTimeout(settleTimer);
+      if (doorState === DOOR_STATES.OPENING || doorState === DOOR_STATES.CLOSING) {
+        settleTimer = setTimeout(() => machine.send(CABIN_EVENTS.DOOR_SETTLED), animationDuration);
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(settleTimer);
+    };
+  }, [machine, animationDuration]);
+  
   // Nettoyer les timeouts lors du démontage
   useEffect(() => {
+    const settleTimers = settleTimersRef.current;
     return () => {
       timeoutsRef.current.forEach(timeout => {
         clearTimeout(timeout);
       });
       timeoutsRef.current = [];
-      
-      // Réinitialiser les marqueurs globaux
-      window.__automaticDoorOpening = false;
-      window.__portfolioDoorAutoOpening = false;
-      window.__doorThresholdTriggered = false;
+      Object.values(settleTimers).forEach(timeout => clearTimeout(timeout));
     };
   }, []);
   
   return {
     triggerDoor,
     closeDoor,
-    checkDoorProximity,
+    toggleDoor,
+    handleDoorClick,
+    getDoorState,
+    isDoorOpen,
+    registerDoorProximity,
     isDoorTriggered,
     triggeredDoors
   };
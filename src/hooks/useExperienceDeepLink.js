@@ -0,0 +1,121 @@
+/**
+ * Hook de synchronisation entre l'URL et la vue de caméra du chalet
+ * Permet de partager un lien vers une vue ou un tiroir de prestation
+ * et de naviguer entre les vues avec les boutons précédent/suivant du navigateur
+ */
+import { useRef, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  buildExperiencePath,
+  parseExperienceLocation,
+  getExperiencePathForSnapshot,
+  getIntermediatePaths
+} from '../utils/experienceRoutes';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+/**
+ * Hook pour les liens profonds de l'expérience
+ * @param {Object} options - Options de configuration
+ * @param {Object} options.machine - Machine à états du chalet (cabinStateMachine)
+ * @param {Boolean} options.isReady - true quand la scène peut animer la caméra
+ * @param {Function} options.onApplyTarget - Reçoit la cible { view, drawerId } à afficher
+ * @param {Boolean} options.suspended - Suspend la synchronisation (visite guidée en cours)
+ */
+export default function useExperienceDeepLink({ machine, isReady, onApplyTarget, suspended = false }) {
+  const { pathname, search } = useLocation();
+  const navigate = useNavigate();
+  const locationPath = `${pathname}${search}`;
+
+  // Chemin actuellement affiché dans la barre d'adresse
+  const locationPathRef = useRef(locationPath);
+  // Cible en cours d'application { path, intermediates }
+  const pendingTargetRef = useRef(null);
+  // La synchronisation démarre une fois le lien initial appliqué
+  const isSyncingRef = useRef(false);
+  const onApplyTargetRef = useRef(onApplyTarget);
+  const suspendedRef = useRef(suspended);
+  // La synchronisation vient de reprendre après une suspension
+  const wasSuspendedRef = useRef(false);
+
+  useEffect(() => {
+    onApplyTargetRef.current = onApplyTarget;
+  }, [onApplyTarget]);
+
+  useEffect(() => {
+    suspendedRef.current = suspended;
+  }, [suspended]);
+
+  // URL -> caméra : lien initial et navigation précédent/suivant
+  useEffect(() => {
+    locationPathRef.current = locationPath;
+    if (!isReady) return;
+
+    if (suspended) {
+      wasSuspendedRef.current = true;
+      return;
+    }
+
+    isSyncingRef.current = true;
+
+    const target = parseExperienceLocation({ pathname, search });
+    const targetPath = buildExperiencePath(target);
+    const currentPath = getExperiencePathForSnapshot(machine.getSnapshot());
+
+    // Après une suspension, l'URL rejoint la vue atteinte par la caméra
+    if (wasSuspendedRef.current) {
+      wasSuspendedRef.current = false;
+      if (locationPath !== currentPath) {
+        navigate(currentPath);
+      }
+      return;
+    }
+
+    if (targetPath === currentPath) {
+      // Normaliser les formes alternatives (?view=about) ou inconnues
+      if (locationPath !== targetPath) {
+        navigate(targetPath, { replace: true });
+      }
+      return;
+    }
+
+    logger.log(`Lien profond: application de ${targetPath}`);
+    pendingTargetRef.current = {
+      path: targetPath,
+      intermediates: getIntermediatePaths(target)
+    };
+    onApplyTargetRef.current(target);
+  }, [isReady, suspended, pathname, search, locationPath, machine, navigate]);
+
+  // Caméra -> URL : chaque changement de vue crée une entrée d'historique
+  useEffect(() => {
+    return machine.subscribe((snapshot) => {
+      // Les étapes de la visite guidée ne créent pas d'entrées d'historique
+      if (!isSyncingRef.current || suspendedRef.current) return;
+
+      const path = getExperiencePathForSnapshot(snapshot);
+      const pending = pendingTargetRef.current;
+
+      if (pending) {
+        if (path === pending.path) {
+          pendingTargetRef.current = null;
+          if (locationPathRef.current !== path) {
+            navigate(path, { replace: true });
+          }
+          return;
+        }
+
+        // Étape attendue avant d'atteindre la cible
+        if (pending.intermediates.includes(path)) return;
+
+        // Le visiteur a pris la main avant la fin de l'application
+        pendingTargetRef.current = null;
+      }
+
+      if (path !== locationPathRef.current) {
+        navigate(path);
+      }
+    });
+  }, [machine, navigate]);
+}
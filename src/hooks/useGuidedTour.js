@@ -0,0 +1,221 @@
+/**
+ * Hook de la visite guidée du chalet
+ * Enchaîne les étapes de GUIDED_TOUR_STOPS avec l'animation de caméra de la scène
+ * et rend la main au visiteur dès qu'il utilise la molette, le toucher ou le clavier
+ */
+import { useRef, useEffect, useCallback, useSyncExternalStore } from 'react';
+import { VIEW_MAPPINGS } from '../constants/viewMappings';
+import {
+  GUIDED_TOUR_STOPS,
+  TOUR_TRANSITION_DURATION,
+  TOUR_KIOSK_IDLE_DELAY
+} from '../constants/guidedTour';
+import { createGuidedTour, TOUR_STATUS, TOUR_END_REASONS } from '../services/guidedTour';
+import { CABIN_EVENTS } from '../services/cabinStateMachine';
+import cameraUtils from '../utils/cameraUtils';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Attribut des commandes de la visite : les interagir ne l'interrompt pas
+export const TOUR_CONTROLS_ATTRIBUTE = 'data-guided-tour-controls';
+
+// Événements par lesquels le visiteur reprend la main
+const TAKEOVER_EVENTS = ['wheel', 'touchstart', 'keydown'];
+
+// Activité qui repousse la relance automatique en mode kiosque
+const ACTIVITY_EVENTS = ['wheel', 'touchstart', 'keydown', 'mousemove', 'mousedown'];
+
+// Touches seules qui ne signalent pas une reprise en main
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+/**
+ * Position et rotation de caméra d'une étape
+ * @param {Object} scene - Méthodes exposées par SplineScene
+ * @param {Object} stop - Étape de la visite
+ * @returns {Object|null} - { position, rotation } (rotation en degrés) ou null
+ */
+const resolveStopPose = (scene, stop) => {
+  if (stop.waypoint) {
+    return scene.getWaypointPose(stop.waypoint.railId, stop.waypoint.name);
+  }
+
+  const viewConfig = VIEW_MAPPINGS[stop.view];
+  if (!viewConfig) return null;
+
+  return cameraUtils.extractCameraParameters(
+    scene.getSplineInstance(),
+    viewConfig.cameraVariablePrefix || stop.view
+  );
+};
+
+/**
+ * Hook pour la visite guidée
+ * @param {Object} options - Options de configuration
+ * @param {React.RefObject} options.splineSceneRef - Référence au composant SplineScene
+ * @param {Object} options.machine - Machine à états du chalet (cabinStateMachine)
+ * @param {Array<Object>} options.stops - Étapes de la visite
+ * @param {Function} options.onArrive - Appelée à l'arrivée sur chaque étape
+ * @param {Boolean} options.kiosk - Lance la visite en boucle et la relance après inactivité
+ * @param {Boolean} options.enabled - true quand la scène est prête
+ * @returns {Object} - État de la visite et commandes (start, pause, resume, skip, stop, handOver)
+ */
+export default function useGuidedTour({
+  splineSceneRef,
+  machine,
+  stops = GUIDED_TOUR_STOPS,
+  onArrive,
+  kiosk = false,
+  enabled = true
+}) {
+  const onArriveRef = useRef(onArrive);
+
+  useEffect(() => {
+    onArriveRef.current = onArrive;
+  }, [onArrive]);
+
+  // Moteur de la visite, créé une seule fois
+  const tourRef = useRef(null);
+  if (!tourRef.current) {
+    tourRef.current = createGuidedTour({
+      stops,
+
+      // Verrouille la machine sur la vue de l'étape puis anime la caméra
+      moveToStop: (stop, done) => {
+        const scene = splineSceneRef.current;
+        const viewConfig = VIEW_MAPPINGS[stop.view];
+
+        if (viewConfig) {
+          machine.send(CABIN_EVENTS.FOCUS_VIEW, { view: stop.view, buttonId: viewConfig.buttonId });
+        } else if (!machine.isWalking()) {
+          machine.send(CABIN_EVENTS.RETURN);
+        }
+
+        const pose = scene ? resolveStopPose(scene, stop) : null;
+        if (!pose) {
+          logger.warn(`Position de caméra introuvable pour l'étape de visite: ${stop.id}`);
+          done();
+          return null;
+        }
+
+        const cancel = scene.animateCamera({
+          position: pose.position,
+          rotation: pose.rotation,
+          duration: stop.transitionDuration ?? TOUR_TRANSITION_DURATION,
+          onComplete: done
+        });
+        if (!cancel) done();
+        return cancel;
+      },
+
+      // Ouvre l'overlay de la vue (about) comme un clic sur son bouton
+      onArrive: (stop) => {
+        const viewConfig = VIEW_MAPPINGS[stop.view];
+        if (viewConfig?.showOverlay && machine.getContext().view === stop.view) {
+          machine.send(CABIN_EVENTS.OPEN_OVERLAY, { overlay: stop.view, buttonId: viewConfig.buttonId });
+        }
+
+        logger.log(`Visite guidée: étape ${stop.id}`);
+        if (onArriveRef.current) onArriveRef.current(stop);
+      },
+
+      // Rend la caméra au visiteur à l'endroit où il l'avait laissée
+      onEnd: (reason) => {
+        logger.log(`Fin de la visite guidée (${reason})`);
+        if (reason === TOUR_END_REASONS.HANDED_OVER) return;
+
+        if (!machine.isWalking()) {
+          machine.send(CABIN_EVENTS.RETURN);
+        }
+        splineSceneRef.current?.restorePreviousCameraState();
+      }
+    });
+  }
+
+  const tour = tourRef.current;
+  const snapshot = useSyncExternalStore(tour.subscribe, tour.getSnapshot);
+  const isActive = snapshot.status !== TOUR_STATUS.IDLE;
+
+  /**
+   * Lance la visite depuis la position courante
+   * @param {Object} options - { loop } pour enchaîner les étapes sans fin
+   * @returns {Boolean} - true si la visite a démarré
+   */
+  const start = useCallback((options = {}) => {
+    const scene = splineSceneRef.current;
+    if (!scene || tour.isActive()) return false;
+
+    if (!machine.isWalking()) {
+      machine.send(CABIN_EVENTS.RETURN);
+    }
+
+    // Sauvegarder la position du visiteur et suspendre ses contrôles
+    scene.handleButtonClick();
+    return tour.start(options);
+  }, [splineSceneRef, machine, tour]);
+
+  // Arrêt depuis les commandes de la visite : la caméra revient au visiteur
+  const stop = useCallback(() => tour.stop(TOUR_END_REASONS.STOPPED), [tour]);
+
+  // Fin de visite laissant la caméra à l'interaction qui prend le relais
+  const handOver = useCallback(() => tour.stop(TOUR_END_REASONS.HANDED_OVER), [tour]);
+
+  // Reprise en main par le visiteur
+  useEffect(() => {
+    if (!isActive) return;
+
+    const handleTakeover = (e) => {
+      if (e.target?.closest?.(`[${TOUR_CONTROLS_ATTRIBUTE}]`)) return;
+      if (e.type === 'keydown' && MODIFIER_KEYS.includes(e.key)) return;
+
+      logger.log(`Visite guidée interrompue par le visiteur (${e.type})`);
+      tour.stop(TOUR_END_REASONS.INTERRUPTED);
+    };
+
+    // Phase de capture : certains contrôles stoppent la propagation de leurs événements
+    TAKEOVER_EVENTS.forEach(type => window.addEventListener(type, handleTakeover, { capture: true, passive: true }));
+    return () => {
+      TAKEOVER_EVENTS.forEach(type => window.removeEventListener(type, handleTakeover, { capture: true }));
+    };
+  }, [isActive, tour]);
+
+  // Mode kiosque : lancement au chargement puis relance après inactivité
+  const hasAutoStartedRef = useRef(false);
+  useEffect(() => {
+    if (!kiosk || !enabled || isActive) return;
+
+    let idleTimer = null;
+    const schedule = (delay) => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => start({ loop: true }), delay);
+    };
+    const handleActivity = () => schedule(TOUR_KIOSK_IDLE_DELAY);
+
+    schedule(hasAutoStartedRef.current ? TOUR_KIOSK_IDLE_DELAY : 0);
+    hasAutoStartedRef.current = true;
+
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleActivity, { passive: true }));
+    return () => {
+      clearTimeout(idleTimer);
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleActivity));
+    };
+  }, [kiosk, enabled, isActive, start]);
+
+  // Libérer les minuteries au démontage, sans toucher à la caméra
+  useEffect(() => () => tour.destroy(), [tour]);
+
+  return {
+    status: snapshot.status,
+    isActive,
+    isPaused: snapshot.status === TOUR_STATUS.PAUSED,
+    stopIndex: snapshot.stopIndex,
+    stopCount: stops.length,
+    currentStop: snapshot.stopIndex >= 0 ? stops[snapshot.stopIndex] : null,
+    start,
+    pause: tour.pause,
+    resume: tour.resume,
+    skip: tour.skip,
+    stop,
+    handOver
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Hook de navigation au clavier dans le chalet
+ * Flèches ou WASD (ZQSD sur clavier AZERTY) pour se déplacer,
+ * Tab pour parcourir les objets interactifs, Entrée pour les activer
+ * et Échap pour revenir à la position précédente
+ */
+import { useRef, useState, useCallback, useEffect } from 'react';
+import { getFocusableInteractions } from '../constants/viewMappings';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Touches de déplacement (event.code désigne la position physique de la touche)
+const MOVEMENT_KEYS = {
+  ArrowUp: 'forward',
+  KeyW: 'forward',
+  ArrowDown: 'backward',
+  KeyS: 'backward',
+  ArrowLeft: 'left',
+  KeyA: 'left',
+  ArrowRight: 'right',
+  KeyD: 'right'
+};
+
+// Distance parcourue à chaque appui sur une touche d'avance ou de recul
+const KEYBOARD_MOVE_STEP = 150;
+
+/**
+ * Vérifie si l'élément reçoit une saisie de texte
+ * @param {Element} element - Élément ciblé par l'événement clavier
+ * @returns {Boolean} - true pour les champs de formulaire et zones éditables
+ */
+const isEditableElement = (element) => {
+  if (!element) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable;
+};
+
+/**
+ * Hook pour la navigation clavier
+ * @param {Object} options - Options de configuration
+ * @param {React.RefObject} options.splineSceneRef - Référence au composant SplineScene
+ * @param {Object} options.machine - Machine à états du chalet (cabinStateMachine)
+ * @param {Function} options.onEscape - Appelée par Échap hors navigation libre
+ * @param {Boolean} options.enabled - Active ou non les raccourcis
+ * @returns {Object} - Référence du conteneur focalisable et objet sélectionné
+ */
+export default function useKeyboardNavigation({ splineSceneRef, machine, onEscape, enabled = true }) {
+  // Conteneur de la scène : Tab et Entrée ne sont interceptés que lorsqu'il a le focus
+  const containerRef = useRef(null);
+  const [focusedInteraction, setFocusedInteraction] = useState(null);
+  const focusedIndexRef = useRef(-1);
+
+  /**
+   * Liste les objets interactifs présents dans la scène chargée
+   * @returns {Array<Object>} - Entrées du registre d'interactions
+   */
+  const getAvailableInteractions = useCallback(() => {
+    const splineApp = splineSceneRef.current?.getSplineInstance();
+    if (!splineApp) return [];
+
+    return getFocusableInteractions().filter(
+      interaction => Boolean(splineApp.findObjectById(interaction.buttonId))
+    );
+  }, [splineSceneRef]);
+
+  /**
+   * Efface la sélection courante
+   */
+  const clearFocus = useCallback(() => {
+    focusedIndexRef.current = -1;
+    setFocusedInteraction(null);
+  }, []);
+
+  /**
+   * Sélectionne l'objet suivant ou précédent
+   * @param {Number} step - 1 pour avancer, -1 pour reculer
+   * @returns {Boolean} - false si la sélection sort de la liste (le focus quitte la scène)
+   */
+  const cycleFocus = useCallback((step) => {
+    const interactions = getAvailableInteractions();
+    const nextIndex = focusedIndexRef.current === -1 && step < 0
+      ? interactions.length - 1
+      : focusedIndexRef.current + step;
+
+    if (nextIndex < 0 || nextIndex >= interactions.length) {
+      clearFocus();
+      return false;
+    }
+
+    focusedIndexRef.current = nextIndex;
+    setFocusedInteraction(interactions[nextIndex]);
+    return true;
+  }, [getAvailableInteractions, clearFocus]);
+
+  /**
+   * Applique un déplacement clavier à la caméra
+   * @param {String} action - 'forward', 'backward', 'left' ou 'right'
+   */
+  const applyMovement = useCallback((action) => {
+    const scene = splineSceneRef.current;
+    if (!scene) return;
+
+    switch (action) {
+      case 'forward':
+        scene.moveCamera(-KEYBOARD_MOVE_STEP);
+        break;
+      case 'backward':
+        scene.moveCamera(KEYBOARD_MOVE_STEP);
+        break;
+      case 'left':
+        scene.rotateCamera(1);
+        break;
+      case 'right':
+        scene.rotateCamera(-1);
+        break;
+      default:
+        break;
+    }
+  }, [splineSceneRef]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+      if (e.key === 'Escape') {
+        // Échap ramène à la navigation libre depuis une vue, un overlay ou le portfolio
+        if (!machine.isWalking()) {
+          e.preventDefault();
+          clearFocus();
+          onEscape();
+        }
+        return;
+      }
+
+      if (isEditableElement(e.target)) return;
+
+      const isSceneFocused = e.target === containerRef.current;
+
+      if (e.key === 'Tab' && isSceneFocused) {
+        // En fin de liste, laisser le navigateur sortir le focus de la scène
+        if (cycleFocus(e.shiftKey ? -1 : 1)) {
+          e.preventDefault();
+        }
+        return;
+      }
+
+      if ((e.key === 'Enter' || e.key === ' ') && isSceneFocused) {
+        const interactions = getAvailableInteractions();
+        const interaction = interactions[focusedIndexRef.current];
+        if (interaction) {
+          e.preventDefault();
+          logger.log(`Activation clavier de l'objet: ${interaction.label}`);
+          splineSceneRef.current?.activateObject(interaction.buttonId);
+          clearFocus();
+        }
+        return;
+      }
+
+      const action = MOVEMENT_KEYS[e.code];
+      if (action && machine.isWalking()) {
+        e.preventDefault();
+        applyMovement(action);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, machine, onEscape, cycleFocus, clearFocus, getAvailableInteractions, applyMovement, splineSceneRef]);
+
+  return {
+    containerRef,
+    focusedInteraction,
+    clearFocus
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Hook de préchargement de ressources
+ * Confie un groupe de ressources au gestionnaire partagé (services/preloadService)
+ * et expose sa progression ainsi que l'état de la file ; le groupe est abandonné
+ * au démontage de la vue, c'est-à-dire à la navigation
+ */
+import { useRef, useState, useEffect } from 'react';
+import { resourceManager } from '../services/preloadService';
+import { isAbortError } from '../services/resourceManager';
+import { RESOURCE_PRIORITIES } from '../constants/resources';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+/**
+ * Hook pour précharger un groupe de ressources
+ * @param {Array<Object>} resources - Ressources ({ type, src, heavy })
+ * @param {Object} options - Options de configuration
+ * @param {String} options.priority - Priorité du groupe (RESOURCE_PRIORITIES)
+ * @param {Boolean} options.enabled - false pour différer le préchargement
+ * @returns {Object} - { progress, isComplete, skipped, failed, queue }
+ */
+export default function useResourcePreload(resources = [], {
+  priority = RESOURCE_PRIORITIES.CRITICAL,
+  enabled = true
+} = {}) {
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [queue, setQueue] = useState(() => resourceManager.getState());
+
+  // Le groupe est identifié par ses adresses : un nouveau tableau identique ne relance rien
+  const resourcesRef = useRef(resources);
+  resourcesRef.current = resources;
+  const groupKey = resources.map(resource => resource.src).join('|');
+
+  // État de la file partagée
+  useEffect(() => (
+    resourceManager.subscribe(() => setQueue(resourceManager.getState()))
+  ), []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    setProgress(0);
+    setResult(null);
+
+    resourceManager.preloadGroup(resourcesRef.current, {
+      priority,
+      signal: controller.signal,
+      onProgress: setProgress
+    })
+      .then((groupResult) => {
+        if (groupResult.failed.length > 0) {
+          logger.warn('Ressources non préchargées:', groupResult.failed);
+        }
+        setResult(groupResult);
+      })
+      .catch((error) => {
+        if (!isAbortError(error)) {
+          logger.error('Erreur lors du préchargement:', error);
+        }
+      });
+
+    return () => controller.abort();
+  }, [groupKey, priority, enabled]);
+
+  return {
+    progress,
+    isComplete: result !== null,
+    skipped: result?.skipped || [],
+    failed: result?.failed || [],
+    queue
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Hook de navigation entre les pièces
+ * Chaque pièce est une scène Spline distincte (constants/rooms) : franchir une porte
+ * précharge la pièce suivante, la monte sous la pièce courante puis passe de l'une
+ * à l'autre en fondu enchaîné, la caméra arrivant avec le même regard
+ */
+import { useRef, useState, useEffect, useCallback, useMemo } from 'react';
+import { ROOMS, ROOM_DOORS, DEFAULT_ROOM_ID, ROOM_CROSSFADE_DURATION } from '../constants/rooms';
+import { createRoomGraph } from '../services/roomGraph';
+import { preloadScene } from '../services/sceneAssets';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Étapes d'un passage de porte
+export const ROOM_TRANSITION_PHASES = {
+  IDLE: 'idle',
+  PRELOADING: 'preloading',   // Téléchargement de la scène suivante
+  LOADING: 'loading',         // Scène suivante montée, en attente de son chargement Spline
+  CROSSFADING: 'crossfading'  // Fondu enchaîné entre les deux scènes
+};
+
+/**
+ * Hook pour la navigation entre les pièces
+ * @param {Object} options - Options de configuration
+ * @param {React.RefObject} options.splineSceneRef - Référence au composant SplineScene de la pièce active
+ * @param {String} options.initialRoomId - Pièce affichée au départ
+ * @param {Boolean} options.enabled - true quand la pièce courante est prête (précharge alors les voisines)
+ * @param {Object} options.rooms - Pièces indexées par identifiant
+ * @param {Array<Object>} options.doors - Portes entre les pièces
+ * @returns {Object} - { room, scenes, phase, isTransitioning, crossfadeDuration,
+ * findDoorForObject, goThroughDoor, handleSceneLoad }
+ */
+export default function useRoomNavigation({
+  splineSceneRef,
+  initialRoomId = DEFAULT_ROOM_ID,
+  enabled = true,
+  rooms = ROOMS,
+  doors = ROOM_DOORS
+}) {
+  const graph = useMemo(() => createRoomGraph(rooms, doors), [rooms, doors]);
+
+  const [roomId, setRoomId] = useState(initialRoomId);
+  const [phase, setPhase] = useState(ROOM_TRANSITION_PHASES.IDLE);
+
+  // Scènes montées : la pièce courante et, pendant un passage, la pièce suivante (en dernier)
+  const [scenes, setScenes] = useState(() => [
+    { key: `${initialRoomId}-0`, room: graph.getRoom(initialRoomId), entry: null, visible: true }
+  ]);
+
+  const sceneCounterRef = useRef(1);
+  const transitionRef = useRef(null);
+  const crossfadeTimerRef = useRef(null);
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+      clearTimeout(crossfadeTimerRef.current);
+    };
+  }, []);
+
+  // Précharger les pièces voisines une fois la pièce courante prête
+  useEffect(() => {
+    if (!enabled || phase !== ROOM_TRANSITION_PHASES.IDLE) return;
+
+    graph.getNeighbours(roomId).forEach((room) => {
+      preloadScene(room.sceneId);
+    });
+  }, [graph, roomId, enabled, phase]);
+
+  /**
+   * Porte de la pièce courante associée à un objet de la scène
+   * @param {String} objectId - Identifiant de l'objet activé
+   * @returns {Object|null} - Porte ou null
+   */
+  const findDoorForObject = useCallback((objectId) => (
+    graph.findDoor(roomId, objectId)
+  ), [graph, roomId]);
+
+  /**
+   * Franchit une porte : préchargement, montage de la pièce suivante puis fondu enchaîné
+   * @param {Object} door - Porte renvoyée par findDoorForObject
+   * @returns {Promise<Boolean>} - false si le passage n'a pas pu commencer
+   */
+  const goThroughDoor = useCallback(async (door) => {
+    if (!door || transitionRef.current) return false;
+
+    const room = graph.getRoom(door.to);
+    if (!room) return false;
+
+    transitionRef.current = { door };
+    setPhase(ROOM_TRANSITION_PHASES.PRELOADING);
+    logger.log(`Passage de la porte ${door.id}: ${door.from} -> ${door.to}`);
+
+    // Regard courant, repris par la caméra de la pièce suivante
+    const continuity = splineSceneRef.current?.getCameraContinuity?.() || {};
+
+    const isAvailable = await preloadScene(room.sceneId);
+    if (!isMountedRef.current) return false;
+
+    if (!isAvailable) {
+      logger.warn(`Pièce ${room.id} indisponible, passage annulé`);
+      transitionRef.current = null;
+      setPhase(ROOM_TRANSITION_PHASES.IDLE);
+      return false;
+    }
+
+    const key = `${room.id}-${sceneCounterRef.current++}`;
+    transitionRef.current = { door, key };
+
+    setScenes(current => [
+      ...current,
+      {
+        key,
+        room,
+        entry: door.arrival ? { ...continuity, arrival: door.arrival } : null,
+        visible: false
+      }
+    ]);
+    setPhase(ROOM_TRANSITION_PHASES.LOADING);
+    return true;
+  }, [graph, splineSceneRef]);
+
+  /**
+   * Chargement d'une scène montée : lance le fondu si c'est la pièce suivante
+   * @param {String} key - Clé de la scène chargée
+   */
+  const handleSceneLoad = useCallback((key) => {
+    const transition = transitionRef.current;
+    if (!transition || transition.key !== key) return;
+
+    setScenes(current => current.map(scene => (
+      scene.key === key ? { ...scene, visible: true } : scene
+    )));
+    setPhase(ROOM_TRANSITION_PHASES.CROSSFADING);
+
+    crossfadeTimerRef.current = setTimeout(() => {
+      if (!isMountedRef.current) return;
+
+      // Démonter la pièce quittée une fois le fondu terminé
+      setScenes(current => current.filter(scene => scene.key === key));
+      setRoomId(transition.door.to);
+      setPhase(ROOM_TRANSITION_PHASES.IDLE);
+      transitionRef.current = null;
+      logger.log(`Arrivée dans la pièce ${transition.door.to}`);
+    }, ROOM_CROSSFADE_DURATION);
+  }, []);
+
+  return {
+    room: graph.getRoom(roomId),
+    scenes,
+    phase,
+    isTransitioning: phase !== ROOM_TRANSITION_PHASES.IDLE,
+    crossfadeDuration: ROOM_CROSSFADE_DURATION,
+    findDoorForObject,
+    goThroughDoor,
+    handleSceneLoad
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Hook de préchargement anticipé des pages projet depuis le chalet
+ * Une page est préparée (code et scène Spline, voir services/routePrefetch) quand
+ * la caméra approche du bouton qui y mène, ou quand le pointeur ou le focus
+ * clavier s'y attarde ; la préparation est abandonnée quand le visiteur s'éloigne
+ */
+import { useRef, useEffect, useCallback } from 'react';
+import { ROUTE_MAPPINGS } from '../constants/viewMappings';
+import { ROUTE_PREFETCH } from '../constants/resources';
+import { routePrefetcher } from '../services/routePrefetch';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Raisons de garder une page en préparation
+const PREFETCH_SOURCES = {
+  HOVER: 'hover',
+  PROXIMITY: 'proximity'
+};
+
+/**
+ * Hook pour le préchargement anticipé
+ * @param {Object} options - Options de configuration
+ * @param {React.RefObject} options.splineSceneRef - Référence au composant SplineScene
+ * @param {Boolean} options.enabled - true quand la scène est prête
+ * @param {Object} options.prefetcher - Gestionnaire de préparation (routePrefetcher par défaut)
+ * @returns {Object} - { handleObjectHover }
+ */
+export default function useRoutePrefetch({ splineSceneRef, enabled = true, prefetcher = routePrefetcher }) {
+  // Sources actives par route : la préparation s'arrête quand il n'en reste aucune
+  const sourcesRef = useRef(new Map());
+  const hoveredRouteRef = useRef(null);
+  const hoverTimerRef = useRef(null);
+
+  const addSource = useCallback((route, source) => {
+    const sources = sourcesRef.current.get(route) || new Set();
+    sources.add(source);
+    sourcesRef.current.set(route, sources);
+    prefetcher.prefetch(route);
+  }, [prefetcher]);
+
+  const removeSource = useCallback((route, source) => {
+    const sources = sourcesRef.current.get(route);
+    if (!sources) return;
+
+    sources.delete(source);
+    if (sources.size === 0) {
+      sourcesRef.current.delete(route);
+      prefetcher.cancel(route);
+    }
+  }, [prefetcher]);
+
+  /**
+   * Objet survolé par le pointeur ou sélectionné au clavier
+   * @param {String|null} objectId - Identifiant de l'objet, null quand plus rien n'est survolé
+   */
+  const handleObjectHover = useCallback((objectId) => {
+    const route = ROUTE_MAPPINGS[objectId]?.route || null;
+    if (route === hoveredRouteRef.current) return;
+
+    clearTimeout(hoverTimerRef.current);
+    if (hoveredRouteRef.current) {
+      removeSource(hoveredRouteRef.current, PREFETCH_SOURCES.HOVER);
+    }
+
+    hoveredRouteRef.current = route;
+    if (!route || !enabled) return;
+
+    // Un simple passage du pointeur ne déclenche rien
+    hoverTimerRef.current = setTimeout(() => {
+      if (hoveredRouteRef.current === route) {
+        addSource(route, PREFETCH_SOURCES.HOVER);
+      }
+    }, ROUTE_PREFETCH.hoverDelay);
+  }, [enabled, addSource, removeSource]);
+
+  // Proximité de la caméra avec chaque bouton projet présent dans la scène
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const sources = sourcesRef.current;
+    const splineScene = splineSceneRef.current;
+    const splineApp = splineScene?.getSplineInstance?.();
+    if (!splineApp || typeof splineScene.registerProximityTrigger !== 'function') return undefined;
+
+    const unregisters = Object.entries(ROUTE_MAPPINGS).map(([buttonId, { route }]) => {
+      const buttonObject = splineApp.findObjectById(buttonId);
+      if (!buttonObject) return null;
+
+      const { x, y, z } = buttonObject.position;
+      return splineScene.registerProximityTrigger({
+        id: `prechargement:${buttonId}`,
+        volume: { center: { x, y, z }, radius: ROUTE_PREFETCH.proximityRadius },
+        hysteresis: ROUTE_PREFETCH.proximityHysteresis,
+        onEnter: () => addSource(route, PREFETCH_SOURCES.PROXIMITY),
+        onExit: () => removeSource(route, PREFETCH_SOURCES.PROXIMITY)
+      });
+    }).filter(Boolean);
+
+    logger.log(`${unregisters.length} déclencheur(s) de préchargement anticipé enregistré(s)`);
+
+    return () => {
+      unregisters.forEach(unregister => unregister());
+      Array.from(sources.keys()).forEach(route => removeSource(route, PREFETCH_SOURCES.PROXIMITY));
+    };
+  }, [enabled, splineSceneRef, addSource, removeSource]);
+
+  // En quittant le chalet, seule la page vers laquelle le visiteur navigue reste en préparation
+  useEffect(() => {
+    const sources = sourcesRef.current;
+
+    return () => {
+      clearTimeout(hoverTimerRef.current);
+      sources.clear();
+      prefetcher.cancelAll(window.location.pathname);
+    };
+  }, [prefetcher]);
+
+  return {
+    handleObjectHover
+  };
+}
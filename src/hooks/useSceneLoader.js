@@ -0,0 +1,135 @@
+/**
+ * Hook de chargement d'une scène Spline
+ * Suit la progression réelle du téléchargement du fichier .splinecode puis
+ * l'initialisation du runtime, jusqu'au premier onLoad de la scène ; une erreur
+ * ou une initialisation trop longue peut être relancée un nombre limité de fois
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { loadScene, releaseScene } from '../services/sceneAssets';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Étapes du chargement d'une scène
+export const SCENE_LOAD_STAGES = {
+  DOWNLOADING: 'downloading',     // Téléchargement du fichier .splinecode
+  INITIALIZING: 'initializing',   // Fichier en mémoire, runtime Spline en cours d'initialisation
+  READY: 'ready',                 // Scène affichée (onLoad reçu)
+  ERROR: 'error'
+};
+
+// Erreurs remontées par le chargeur
+export const SCENE_LOAD_ERRORS = {
+  DOWNLOAD: 'download',   // Fichier introuvable ou réseau indisponible
+  TIMEOUT: 'timeout'      // Le runtime n'a pas signalé la scène prête à temps
+};
+
+// Part de la barre de progression occupée par le téléchargement, le reste revenant à l'initialisation
+const DOWNLOAD_SHARE = 85;
+
+/**
+ * Hook pour le chargement d'une scène
+ * @param {Object} options - Options de configuration
+ * @param {String} options.sceneId - Identifiant de la scène (clé de scenes.json)
+ * @param {Number} options.initTimeout - Délai maximal d'initialisation du runtime (ms)
+ * @param {Number} options.maxAttempts - Nombre total de tentatives autorisées
+ * @returns {Object} - { stage, progress, sceneUrl, error, attempt, canRetry, retry, markReady }
+ */
+export default function useSceneLoader({ sceneId, initTimeout = 20000, maxAttempts = 3 }) {
+  const [stage, setStage] = useState(SCENE_LOAD_STAGES.DOWNLOADING);
+  // null tant que la taille du fichier est inconnue (progression indéterminée)
+  const [progress, setProgress] = useState(0);
+  const [sceneUrl, setSceneUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(1);
+
+  const stageRef = useRef(stage);
+  stageRef.current = stage;
+
+  // Téléchargement du fichier, relancé à chaque tentative
+  useEffect(() => {
+    const controller = new AbortController();
+
+    setStage(SCENE_LOAD_STAGES.DOWNLOADING);
+    setProgress(0);
+    setError(null);
+
+    loadScene(sceneId, {
+      signal: controller.signal,
+      onProgress: (loaded, total) => {
+        // Content-Length porte la taille compressée : la part reçue est plafonnée
+        setProgress(total ? Math.min(loaded / total, 1) * DOWNLOAD_SHARE : null);
+      }
+    })
+      .then((url) => {
+        if (controller.signal.aborted) return;
+        setSceneUrl(url);
+        setProgress(DOWNLOAD_SHARE);
+        setStage(SCENE_LOAD_STAGES.INITIALIZING);
+      })
+      .catch((loadError) => {
+        if (controller.signal.aborted) return;
+        logger.error(`Chargement de la scène ${sceneId} impossible:`, loadError);
+        setError(SCENE_LOAD_ERRORS.DOWNLOAD);
+        setStage(SCENE_LOAD_STAGES.ERROR);
+      });
+
+    return () => controller.abort();
+  }, [sceneId, attempt]);
+
+  // Initialisation du runtime : la barre avance vers 100 % sans l'atteindre avant onLoad
+  useEffect(() => {
+    if (stage !== SCENE_LOAD_STAGES.INITIALIZING) return undefined;
+
+    const interval = setInterval(() => {
+      setProgress(prev => prev + (99 - prev) * 0.05);
+    }, 200);
+
+    const timeout = setTimeout(() => {
+      logger.warn(`La scène ${sceneId} ne s'est pas initialisée après ${initTimeout} ms`);
+      setError(SCENE_LOAD_ERRORS.TIMEOUT);
+      setStage(SCENE_LOAD_STAGES.ERROR);
+    }, initTimeout);
+
+    return () => {
+      clearInterval(interval);
+      clearTimeout(timeout);
+    };
+  }, [stage, sceneId, initTimeout]);
+
+  /**
+   * Signale la scène affichée (onLoad du runtime Spline)
+   * Accepté aussi après un dépassement de délai : la scène a fini par arriver
+   */
+  const markReady = useCallback(() => {
+    if (stageRef.current === SCENE_LOAD_STAGES.READY) return;
+    setError(null);
+    setProgress(100);
+    setStage(SCENE_LOAD_STAGES.READY);
+  }, []);
+
+  const canRetry = stage === SCENE_LOAD_STAGES.ERROR && attempt < maxAttempts;
+
+  /**
+   * Relance le chargement après une erreur
+   * Le fichier gardé en mémoire est libéré : il a pu être reçu incomplet
+   */
+  const retry = useCallback(() => {
+    if (!canRetry) return;
+    logger.log(`Nouvelle tentative de chargement de la scène ${sceneId} (${attempt + 1}/${maxAttempts})`);
+    releaseScene(sceneId);
+    setSceneUrl(null);
+    setAttempt(prev => prev + 1);
+  }, [canRetry, sceneId, attempt, maxAttempts]);
+
+  return {
+    stage,
+    progress,
+    sceneUrl,
+    error,
+    attempt,
+    canRetry,
+    retry,
+    markReady
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Hook d'accès aux traductions
+ * La langue courante est fournie par I18nProvider
+ */
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, createTranslator } from '../i18n';
+
+// Contexte de langue ; hors fournisseur, la langue par défaut est utilisée
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  locales: SUPPORTED_LOCALES,
+  setLocale: () => {},
+  t: createTranslator(DEFAULT_LOCALE)
+});
+
+/**
+ * Hook pour traduire les textes de l'interface
+ * @returns {Object} - { t, locale, locales, setLocale }
+ */
+export default function useTranslation() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,160 @@
+/**
+ * Système d'internationalisation
+ * Catalogues de messages, détection de la langue du visiteur,
+ * persistance du choix et chaînes de repli entre langues
+ */
+import fr from './locales/fr';
+import en from './locales/en';
+import gcf from './locales/gcf';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Langues disponibles au lancement
+export const SUPPORTED_LOCALES = {
+  fr: { label: 'Français', shortLabel: 'FR', htmlLang: 'fr' },
+  en: { label: 'English', shortLabel: 'EN', htmlLang: 'en' },
+  gcf: { label: 'Kréyòl', shortLabel: 'KR', htmlLang: 'gcf' }
+};
+
+export const DEFAULT_LOCALE = 'fr';
+
+// Clé de stockage du choix de langue
+export const LOCALE_STORAGE_KEY = 'locale';
+
+// Langues consultées, dans l'ordre, lorsqu'un message manque
+// (le créole se replie sur le français, langue que ses locuteurs lisent tous)
+export const LOCALE_FALLBACKS = {
+  fr: [],
+  en: ['fr'],
+  gcf: ['fr']
+};
+
+const CATALOGUES = { fr, en, gcf };
+
+/**
+ * Vérifie qu'une langue est prise en charge
+ * @param {String} locale - Code de langue
+ * @returns {Boolean} - true si un catalogue existe
+ */
+export const isSupportedLocale = (locale) => Boolean(locale && SUPPORTED_LOCALES[locale]);
+
+/**
+ * Convertit une balise de langue du navigateur en langue prise en charge
+ * @param {String} tag - Balise BCP 47 (ex: "en-GB", "fr-MQ", "gcf")
+ * @returns {String|null} - Code de langue ou null
+ */
+const matchLanguageTag = (tag) => {
+  if (!tag) return null;
+  const language = tag.toLowerCase().split('-')[0];
+  return isSupportedLocale(language) ? language : null;
+};
+
+/**
+ * Lit le choix de langue enregistré
+ * @returns {String|null} - Code de langue ou null
+ */
+export const getStoredLocale = () => {
+  try {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return isSupportedLocale(stored) ? stored : null;
+  } catch (e) {
+    logger.warn("Impossible de lire la langue enregistrée:", e);
+    return null;
+  }
+};
+
+/**
+ * Enregistre le choix de langue du visiteur
+ * @param {String} locale - Code de langue
+ */
+export const persistLocale = (locale) => {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (e) {
+    logger.warn("Impossible d'enregistrer la langue:", e);
+  }
+};
+
+/**
+ * Détermine la langue initiale : choix enregistré, puis langues du navigateur
+ * @returns {String} - Code de langue
+ */
+export const detectLocale = () => {
+  const stored = getStoredLocale();
+  if (stored) return stored;
+
+  if (typeof navigator !== 'undefined') {
+    const tags = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const tag of tags) {
+      const locale = matchLanguageTag(tag);
+      if (locale) return locale;
+    }
+  }
+
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Lit une valeur par chemin pointé dans un catalogue
+ * @param {Object} catalogue - Catalogue de messages
+ * @param {String} key - Clé (ex: "nav.about")
+ * @returns {*} - Valeur trouvée ou undefined
+ */
+const lookup = (catalogue, key) => (
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogue)
+);
+
+/**
+ * Remplace les paramètres {nom} d'un message
+ * @param {String} message - Message avec paramètres
+ * @param {Object} params - Valeurs des paramètres
+ * @returns {String} - Message interpolé
+ */
+const interpolate = (message, params) => (
+  message.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined ? String(params[name]) : match
+  ))
+);
+
+/**
+ * Traduit une clé dans la langue demandée, avec repli sur les langues voisines
+ * Les valeurs non textuelles (listes, objets) sont renvoyées telles quelles
+ * @param {String} locale - Code de langue
+ * @param {String} key - Clé du message
+ * @param {Object} params - Paramètres d'interpolation
+ * @returns {*} - Message traduit, ou la clé si elle est introuvable
+ */
+export const translate = (locale, key, params = {}) => {
+  const chain = [locale, ...(LOCALE_FALLBACKS[locale] || []), DEFAULT_LOCALE];
+
+  for (const candidate of chain) {
+    const value = lookup(CATALOGUES[candidate], key);
+    if (value !== undefined) {
+      return typeof value === 'string' ? interpolate(value, params) : value;
+    }
+  }
+
+  logger.warn(`Message introuvable: ${key} (${locale})`);
+  return key;
+};
+
+/**
+ * Crée une fonction de traduction liée à une langue
+ * @param {String} locale - Code de langue
+ * @returns {Function} - t(key, params)
+ */
+export const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+export default {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_STORAGE_KEY,
+  LOCALE_FALLBACKS,
+  isSupportedLocale,
+  getStoredLocale,
+  persistLocale,
+  detectLocale,
+  translate,
+  createTranslator
+};
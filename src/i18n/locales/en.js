@@ -0,0 +1,245 @@
+/**
+ * Catalogue de messages anglais
+ * Les clés absentes se replient sur le catalogue français
+ */
+export default {
+  common: {
+    loading: "Loading...",
+    loadingExperience: "Loading the experience...",
+    loadingScene: "Loading the 3D scene...",
+    back: "Back",
+    backToStudio: "Back to the studio",
+    help: "Help",
+    close: "Close",
+    notFound: "404 - Page not found",
+    betterExperience: "For a better experience",
+    rotateDevice: "Turn your device to landscape mode",
+    continueAnyway: "Continue anyway"
+  },
+
+  intro: {
+    skipVideo: "Skip video",
+    skipIntro: "Go straight to the cabin",
+    backgroundAlt: "Background",
+    welcome: "Welcome to our creative world, where digital innovation meets immersive experience. A unique place where technology and imagination come together to create memorable experiences.",
+    enter: "Enter",
+    preloading: "Loading {progress}%"
+  },
+
+  sceneLoader: {
+    downloading: "Downloading the scene",
+    initializing: "Preparing the scene",
+    downloadError: "The 3D scene could not be downloaded.",
+    timeoutError: "The 3D scene is taking too long to start.",
+    retry: "Try again",
+    liteVersion: "Lite version"
+  },
+
+  language: {
+    label: "Language",
+    change: "Change language"
+  },
+
+  quality: {
+    label: "Quality",
+    change: "Change 3D quality",
+    auto: "Automatic quality",
+    low: "Low quality",
+    medium: "Medium quality",
+    high: "High quality",
+    short: {
+      auto: "Auto",
+      low: "L",
+      medium: "M",
+      high: "H"
+    }
+  },
+
+  nav: {
+    about: "About",
+    prestations: "Services",
+    portfolio: "Portfolio",
+    contact: "Contact",
+    dataviz: "Data viz",
+    model3d: "3D",
+    sites: "Experiential sites",
+    scrollToMove: "SCROLL TO MOVE FORWARD",
+    openMenu: "Open menu",
+    closeMenu: "Close menu",
+    tour: "Guided tour"
+  },
+
+  tour: {
+    label: "Guided tour",
+    step: "Stop {current} of {total}",
+    pause: "Pause",
+    resume: "Resume",
+    next: "Next",
+    stop: "Leave the tour",
+    stops: {
+      terrace: {
+        title: "The terrace",
+        text: "Welcome to Studio Ti Morne. From the terrace, the cabin opens onto the Martinique landscape that inspires our projects."
+      },
+      door: {
+        title: "The entrance",
+        text: "The door opens onto the workshop: every object in the cabin leads to a part of our work."
+      },
+      about: {
+        title: "About",
+        text: "Digital design and landscape engineering: find out who we are and how we see the territory."
+      },
+      prestations: {
+        title: "Services",
+        text: "Data visualisation, 3D modelling, experiential websites and applications: the drawers detail each offer."
+      },
+      portfolio: {
+        title: "Portfolio",
+        text: "Behind the portfolio door, our finished projects are waiting for you."
+      },
+      contact: {
+        title: "Contact",
+        text: "Have a project in mind? Use the contact button to write to us. Touch the screen or scroll to explore freely."
+      }
+    }
+  },
+
+  cabin: {
+    mobileGuideLook: "Swipe horizontally to look around",
+    mobileGuideMove: "Use the arrows to move"
+  },
+
+  about: {
+    title: "ABOUT",
+    whoTitle: "WHO AM I?",
+    who: [
+      "A digital graphic designer and landscape engineer, I combine expertise in land-use planning and visual design to create immersive digital experiences. This dual background brings a unique perspective where scientific rigour and artistic sensibility meet to showcase the Martinican territory.",
+      "My speciality is building solutions that turn complex data into accessible, engaging and meaningful visual experiences. Through 3D modelling, data visualization and interactive interfaces, I develop innovative tools to explore, understand and co-imagine the territories of tomorrow."
+    ],
+    visionTitle: "COMPANY VISION",
+    vision: [
+      "Studio Ti Morne reinvents the way the Martinican territory is showcased by combining technological innovation, environmental awareness and creative power. Our mission is to make sustainable transition dynamics visible by turning them into immersive stories that go beyond traditional expectations.",
+      "We believe the future of territorial visualization is spatial and interactive. Drawing on artificial intelligence, 3D modelling and mixed reality, we build experiences that foster not only an understanding of environmental issues but also active engagement in shaping sustainable futures."
+    ],
+    skillsTitle: "SKILLS",
+    skills: [
+      { title: "3D Design & Data Viz", description: "Spline, Blender, D3.js, Interactive visualizations" },
+      { title: "Land-use Planning", description: "Mapping, Environmental modelling, Spatial projections" },
+      { title: "Web Development", description: "React, Three.js, Immersive interfaces" }
+    ]
+  },
+
+  contact: {
+    title: "CONTACT",
+    overlaySubtitle: "We're here to listen! Use this form to reach us about your projects, quote requests or any question.",
+    pageTitle: "Contact us",
+    infoTitle: "Contact details",
+    phone: "Phone",
+    email: "Email",
+    fields: {
+      name: "Full name",
+      email: "Email",
+      subject: "Subject",
+      message: "Message"
+    },
+    honeypot: "Leave this field empty",
+    submit: "Send message",
+    sending: "Sending...",
+    anotherMessage: "Send another message",
+    status: {
+      sending: "Sending your message...",
+      success: "Your message has been sent! We will get back to you as soon as possible.",
+      queued: "You seem to be offline: your message has been saved and will be sent automatically once you are back online.",
+      invalid: "Some fields are incomplete. Please check the form.",
+      error: "Something went wrong while sending. Please try again or contact us directly.",
+      rateLimited: "You have sent several messages in a short time. Please try again in {minutes} minute(s)."
+    },
+    errors: {
+      nameRequired: "Please enter your name.",
+      nameTooLong: "Your name must not exceed {max} characters.",
+      emailRequired: "Please enter your email address.",
+      emailInvalid: "This email address is not valid.",
+      subjectRequired: "Please enter the subject of your message.",
+      subjectTooLong: "The subject must not exceed {max} characters.",
+      messageTooShort: "Your message must be at least {min} characters long.",
+      messageTooLong: "Your message must not exceed {max} characters."
+    }
+  },
+
+  scene: {
+    label: "Ti Morne cabin in 3D. Arrow keys to move, Tab to browse objects, Enter to open them, Escape to go back.",
+    focusHint: "Enter to open · Tab to switch",
+    objectsNav: "Interactive objects in the cabin",
+    objects: {
+      dataviz: "Data visualization",
+      model3d: "3D modelling",
+      site: "Experiential sites",
+      prestations: "Services",
+      about: "About",
+      portfolio: "Portfolio",
+      contact: "Contact",
+      portfolioDoor: "Portfolio door",
+      eoliennes: "Wind farm project",
+      sargasses: "Sargassum project",
+      conception: "Ti Morne design",
+      recif: "Coral reef project",
+      "data-visualisation": "Data Visualization",
+      "sites-experientiels": "Experiential sites",
+      "modelisation-3d": "3D Modelling",
+      "developpement-applications": "Application Development"
+    },
+    descriptions: {
+      route: "Opens the project page",
+      view: "Moves the camera to this part of the cabin",
+      viewWithOverlay: "Moves the camera and shows the presentation",
+      overlay: "Opens an information panel",
+      drawer: "Shows the service details",
+      custom: "Activates the object",
+      contact: "Opens the contact form",
+      portfolio: "Goes to the portfolio area",
+      portfolioDoor: "Opens the portfolio door"
+    },
+    announcements: {
+      doorOpening: "The cabin door is opening",
+      doorClosing: "The cabin door is closing",
+      view: "{label} view",
+      overlayClosed: "Panel closed",
+      overlayOpened: "{label} panel opened",
+      prestationOpened: "{label} service opened",
+      portfolio: "Portfolio area",
+      entering: "You are entering the cabin",
+      freeRoam: "Back to free navigation",
+      terrace: "You are on the terrace"
+    }
+  },
+
+  projects: {
+    indexTitle: "Portfolio",
+    indexIntro: "Data visualizations, 3D models and immersive experiences made by the studio.",
+    filterLabel: "Filter projects by theme",
+    allTags: "All",
+    tags: {
+      dataviz: "Data viz",
+      "3d": "3D",
+      site: "Experiential sites"
+    },
+    status: {
+      live: "Live",
+      inDevelopment: "In development - Coming soon",
+      ongoing: "Continuously evolving"
+    },
+    empty: "No project for this theme yet.",
+    notFound: "This project does not exist or is no longer online.",
+    viewProject: "View project",
+    allProjects: "All projects",
+    howToTitle: "How to interact",
+    onMobile: "On mobile and tablet:",
+    onDesktop: "On desktop:",
+    discover: "Explore the visualization",
+    loadingTitle: "Loading the project",
+    galleryTitle: "Gallery",
+    creditsTitle: "Credits",
+    relatedTitle: "Related projects",
+    copyright: "© {year} Studio Ti Morne - All rights reserved"
+  }
+};
@@ -0,0 +1,245 @@
+/**
+ * Catalogue de messages français (langue de référence)
+ * Toute nouvelle clé doit d'abord être ajoutée ici
+ */
+export default {
+  common: {
+    loading: "Chargement...",
+    loadingExperience: "Chargement de l'expérience...",
+    loadingScene: "Chargement de la scène 3D...",
+    back: "Retour",
+    backToStudio: "Retour au studio",
+    help: "Aide",
+    close: "Fermer",
+    notFound: "404 - Page non trouvée",
+    betterExperience: "Pour une meilleure expérience",
+    rotateDevice: "Tournez votre appareil en mode paysage",
+    continueAnyway: "Continuer quand même"
+  },
+
+  intro: {
+    skipVideo: "Passer la vidéo",
+    skipIntro: "Entrer directement dans le chalet",
+    backgroundAlt: "Fond",
+    welcome: "Bienvenue dans notre univers créatif où l'innovation digitale rencontre l'expérience immersive. Un lieu unique où technologie et imagination fusionnent pour créer des expériences mémorables.",
+    enter: "Entrer",
+    preloading: "Chargement {progress}%"
+  },
+
+  sceneLoader: {
+    downloading: "Téléchargement de la scène",
+    initializing: "Préparation de la scène",
+    downloadError: "La scène 3D n'a pas pu être téléchargée.",
+    timeoutError: "La scène 3D met trop de temps à démarrer.",
+    retry: "Réessayer",
+    liteVersion: "Version allégée"
+  },
+
+  language: {
+    label: "Langue",
+    change: "Changer de langue"
+  },
+
+  quality: {
+    label: "Qualité",
+    change: "Changer la qualité 3D",
+    auto: "Qualité automatique",
+    low: "Qualité basse",
+    medium: "Qualité moyenne",
+    high: "Qualité haute",
+    short: {
+      auto: "Auto",
+      low: "B",
+      medium: "M",
+      high: "H"
+    }
+  },
+
+  nav: {
+    about: "À propos",
+    prestations: "Prestations",
+    portfolio: "Portfolio",
+    contact: "Contact",
+    dataviz: "Data viz",
+    model3d: "3D",
+    sites: "Sites expérientiels",
+    scrollToMove: "SCROLLER POUR AVANCER",
+    openMenu: "Ouvrir le menu",
+    closeMenu: "Fermer le menu",
+    tour: "Visite guidée"
+  },
+
+  tour: {
+    label: "Visite guidée",
+    step: "Étape {current} sur {total}",
+    pause: "Pause",
+    resume: "Reprendre",
+    next: "Suivant",
+    stop: "Quitter la visite",
+    stops: {
+      terrace: {
+        title: "La terrasse",
+        text: "Bienvenue au Studio Ti Morne. Depuis la terrasse, le chalet s'ouvre sur le paysage martiniquais qui inspire nos projets."
+      },
+      door: {
+        title: "L'entrée",
+        text: "La porte s'ouvre sur l'atelier : chaque objet du chalet mène à une partie de notre travail."
+      },
+      about: {
+        title: "À propos",
+        text: "Graphisme digital et ingénierie paysagère : découvrez qui nous sommes et notre vision du territoire."
+      },
+      prestations: {
+        title: "Prestations",
+        text: "Data visualisation, modélisation 3D, sites expérientiels et applications : les tiroirs détaillent chaque offre."
+      },
+      portfolio: {
+        title: "Portfolio",
+        text: "Derrière la porte du portfolio, nos projets réalisés vous attendent."
+      },
+      contact: {
+        title: "Contact",
+        text: "Un projet en tête ? Utilisez le bouton contact pour nous écrire. Touchez l'écran ou utilisez la molette pour explorer librement."
+      }
+    }
+  },
+
+  cabin: {
+    mobileGuideLook: "Glissez horizontalement pour regarder autour de vous",
+    mobileGuideMove: "Utilisez les flèches pour vous déplacer"
+  },
+
+  about: {
+    title: "À PROPOS",
+    whoTitle: "QUI SUIS-JE ?",
+    who: [
+      "Graphiste digitale et ingénieure paysagiste, je conjugue expertise en aménagement du territoire et conception visuelle pour créer des expériences numériques immersives. Cette double compétence me permet d'apporter une perspective unique où rigueur scientifique et sensibilité artistique se rencontrent pour valoriser le territoire martiniquais.",
+      "Ma spécialité est la création de solutions qui traduisent des données complexes en expériences visuelles accessibles, engageantes et porteuses de sens. À travers la modélisation 3D, la data visualisation et les interfaces interactives, je développe des outils innovants pour explorer, comprendre et co-imaginer les territoires de demain."
+    ],
+    visionTitle: "VISION DE L'ENTREPRISE",
+    vision: [
+      "Studio Ti Morne réinvente la manière de valoriser le territoire martiniquais en conjuguant innovation technologique, sensibilité environnementale et puissance créative. Notre mission est de rendre visibles les dynamiques de transition durable, en les transformant en récits immersifs qui transcendent les attentes traditionnelles.",
+      "Nous croyons que le futur de la visualisation territoriale est spatial et interactif. En mobilisant l'intelligence artificielle, la modélisation 3D et la réalité mixte, nous développons des expériences qui favorisent non seulement la compréhension des enjeux environnementaux, mais aussi l'engagement actif dans la construction d'avenirs durables."
+    ],
+    skillsTitle: "COMPÉTENCES",
+    skills: [
+      { title: "Design 3D & Data Viz", description: "Spline, Blender, D3.js, Visualisations interactives" },
+      { title: "Aménagement Territorial", description: "Cartographie, Modélisation environnementale, Projections spatiales" },
+      { title: "Développement Web", description: "React, Three.js, Interfaces immersives" }
+    ]
+  },
+
+  contact: {
+    title: "CONTACT",
+    overlaySubtitle: "Nous sommes à votre écoute ! Utilisez ce formulaire pour nous contacter à propos de vos projets, demandes de devis ou toute question.",
+    pageTitle: "Contactez-nous",
+    infoTitle: "Informations de contact",
+    phone: "Téléphone",
+    email: "Email",
+    fields: {
+      name: "Nom complet",
+      email: "Email",
+      subject: "Sujet",
+      message: "Message"
+    },
+    honeypot: "Ne pas remplir ce champ",
+    submit: "Envoyer le message",
+    sending: "Envoi en cours...",
+    anotherMessage: "Envoyer un autre message",
+    status: {
+      sending: "Envoi de votre message en cours...",
+      success: "Votre message a été envoyé avec succès ! Nous vous répondrons dans les plus brefs délais.",
+      queued: "Vous semblez hors ligne : votre message est enregistré et sera envoyé automatiquement dès le retour de la connexion.",
+      invalid: "Certains champs sont incomplets. Merci de vérifier le formulaire.",
+      error: "Une erreur est survenue lors de l'envoi. Veuillez réessayer ou nous contacter directement.",
+      rateLimited: "Vous avez envoyé plusieurs messages en peu de temps. Merci de réessayer dans {minutes} minute(s)."
+    },
+    errors: {
+      nameRequired: "Veuillez indiquer votre nom.",
+      nameTooLong: "Le nom ne doit pas dépasser {max} caractères.",
+      emailRequired: "Veuillez indiquer votre adresse email.",
+      emailInvalid: "L'adresse email n'est pas valide.",
+      subjectRequired: "Veuillez indiquer le sujet de votre message.",
+      subjectTooLong: "Le sujet ne doit pas dépasser {max} caractères.",
+      messageTooShort: "Votre message doit contenir au moins {min} caractères.",
+      messageTooLong: "Le message ne doit pas dépasser {max} caractères."
+    }
+  },
+
+  scene: {
+    label: "Chalet Ti Morne en 3D. Flèches pour se déplacer, Tab pour parcourir les objets, Entrée pour les ouvrir, Échap pour revenir.",
+    focusHint: "Entrée pour ouvrir · Tab pour changer",
+    objectsNav: "Objets interactifs du chalet",
+    objects: {
+      dataviz: "Data visualisation",
+      model3d: "Modélisation 3D",
+      site: "Sites expérientiels",
+      prestations: "Prestations",
+      about: "À propos",
+      portfolio: "Portfolio",
+      contact: "Contact",
+      portfolioDoor: "Porte du portfolio",
+      eoliennes: "Projet éoliennes",
+      sargasses: "Projet sargasses",
+      conception: "Conception Ti Morne",
+      recif: "Projet récif corallien",
+      "data-visualisation": "Data Visualisation",
+      "sites-experientiels": "Sites expérientiels",
+      "modelisation-3d": "Modélisation 3D",
+      "developpement-applications": "Développement d'Applications"
+    },
+    descriptions: {
+      route: "Ouvre la page du projet",
+      view: "Déplace la caméra vers cette partie du chalet",
+      viewWithOverlay: "Déplace la caméra et affiche la présentation",
+      overlay: "Ouvre une fenêtre d'information",
+      drawer: "Affiche le détail de la prestation",
+      custom: "Active l'objet",
+      contact: "Ouvre le formulaire de contact",
+      portfolio: "Rejoint l'espace portfolio",
+      portfolioDoor: "Ouvre la porte de l'espace portfolio"
+    },
+    announcements: {
+      doorOpening: "La porte du chalet s'ouvre",
+      doorClosing: "La porte du chalet se referme",
+      view: "Vue {label}",
+      overlayClosed: "Fenêtre fermée",
+      overlayOpened: "Fenêtre {label} ouverte",
+      prestationOpened: "Prestation {label} ouverte",
+      portfolio: "Espace portfolio",
+      entering: "Vous entrez dans le chalet",
+      freeRoam: "Retour à la navigation libre",
+      terrace: "Vous êtes sur la terrasse"
+    }
+  },
+
+  projects: {
+    indexTitle: "Portfolio",
+    indexIntro: "Visualisations de données, modélisations 3D et expériences immersives réalisées par le studio.",
+    filterLabel: "Filtrer les projets par thème",
+    allTags: "Tous",
+    tags: {
+      dataviz: "Data viz",
+      "3d": "3D",
+      site: "Sites expérientiels"
+    },
+    status: {
+      live: "En ligne",
+      inDevelopment: "En développement - Bientôt disponible",
+      ongoing: "En développement continu"
+    },
+    empty: "Aucun projet pour ce thème pour le moment.",
+    notFound: "Ce projet n'existe pas ou n'est plus en ligne.",
+    viewProject: "Voir le projet",
+    allProjects: "Tous les projets",
+    howToTitle: "Comment interagir",
+    onMobile: "Sur mobile et tablette :",
+    onDesktop: "Sur ordinateur :",
+    discover: "Découvrir la visualisation",
+    loadingTitle: "Chargement du projet",
+    galleryTitle: "Galerie",
+    creditsTitle: "Crédits",
+    relatedTitle: "Projets liés",
+    copyright: "© {year} Studio Ti Morne - Tous droits réservés"
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * Catalogue de messages en créole antillais
+ * Couvre l'interface ; les textes de présentation longs non traduits
+ * se replient sur le catalogue français
+ */
+export default {
+  common: {
+    loading: "I ka chajé...",
+    loadingExperience: "Lèspérians-lan ka chajé...",
+    loadingScene: "Sèn 3D-a ka chajé...",
+    back: "Viré",
+    backToStudio: "Viré nan stidjo-a",
+    help: "Èd",
+    close: "Fèmen",
+    notFound: "404 - Paj-la pa la",
+    betterExperience: "Pou ou pé pwofité pli bien",
+    rotateDevice: "Touné aparèy-ou an mòd péyizaj",
+    continueAnyway: "Kontinyé kanmenm"
+  },
+
+  intro: {
+    skipVideo: "Pasé vidéyo-a",
+    skipIntro: "Antré dirèk an kaz-la",
+    backgroundAlt: "Fon",
+    welcome: "Byenvini an linivè kréyatif nou, koté inovasyon nimérik ka kontré lèspérians imèwsiv. On koté apa koté teknoloji é imajinasyon ka mété ansanm pou kréyé lèspérians ou pé ké obliyé.",
+    enter: "Antré",
+    preloading: "I ka chajé {progress}%"
+  },
+
+  sceneLoader: {
+    downloading: "Sèn-lan ka téléchajé",
+    initializing: "Sèn-lan ka paré",
+    downloadError: "Sèn 3D-a pa rivé téléchajé.",
+    timeoutError: "Sèn 3D-a ka pran twòp tan pou démaré.",
+    retry: "Eséyé ankò",
+    liteVersion: "Vèsyon lèjè"
+  },
+
+  language: {
+    label: "Lang",
+    change: "Chanjé lang"
+  },
+
+  quality: {
+    label: "Kalité",
+    change: "Chanjé kalité 3D-la",
+    auto: "Kalité otomatik",
+    low: "Kalité ba",
+    medium: "Kalité mwayen",
+    high: "Kalité wo",
+    short: {
+      auto: "Oto",
+      low: "B",
+      medium: "M",
+      high: "W"
+    }
+  },
+
+  nav: {
+    about: "Sa nou yé",
+    prestations: "Sèvis",
+    portfolio: "Pòtfolyo",
+    contact: "Kontak",
+    dataviz: "Data viz",
+    model3d: "3D",
+    sites: "Sit lèspérians",
+    scrollToMove: "WOULÉ POU AVANSÉ",
+    openMenu: "Louvè menu-a",
+    closeMenu: "Fèmen menu-a",
+    tour: "Vizit gidé"
+  },
+
+  tour: {
+    label: "Vizit gidé",
+    step: "Létap {current} asi {total}",
+    pause: "Poz",
+    resume: "Kontinyé",
+    next: "Swivan",
+    stop: "Kité vizit-la",
+    stops: {
+      terrace: {
+        title: "Téras-la",
+        text: "Byenvini o Studio Ti Morne. Dépi téras-la, chalé-a ka ouvè asi péyizaj Matinik ki ka ba nou lidé."
+      },
+      door: {
+        title: "Lantré-a",
+        text: "Pòt-la ka ouvè asi latelyé-a : chak biten adan chalé-a ka mennen-w vè an pati di travay nou."
+      },
+      about: {
+        title: "Sa nou yé",
+        text: "Grafis dijital èvè lenjényri péyizaj : vin konnèt kimoun nou yé èvè ki jan nou ka wè téritwa-a."
+      },
+      prestations: {
+        title: "Sèvis",
+        text: "Data viz, modélizasyon 3D, sit lèspérians èvè aplikasyon : tiwa-a ka ba-w détay chak sèvis."
+      },
+      portfolio: {
+        title: "Pòtfolyo",
+        text: "Dèyè pòt pòtfolyo-a, sé pwojè nou ja fè-a ka atann-ou."
+      },
+      contact: {
+        title: "Kontak",
+        text: "Ou ni an pwojè an tèt-ou ? Sèvi èvè bouton kontak-la pou ékri nou. Touché lékran-an oben woulé pou ou vizité lib."
+      }
+    }
+  },
+
+  cabin: {
+    mobileGuideLook: "Glisé dwèt-ou pou gadé toupatou",
+    mobileGuideMove: "Sèvi èvè flèch-la pou déplasé"
+  },
+
+  about: {
+    title: "SA NOU YÉ",
+    whoTitle: "KI MOUN MWEN YÉ ?",
+    visionTitle: "VIZYON LANTRÉPRIZ-LA",
+    skillsTitle: "SA MWEN SAV FÈ"
+  },
+
+  contact: {
+    title: "KONTAK",
+    overlaySubtitle: "Nou la pou kouté-w ! Sèvi èvè fòmilè-tala pou palé ba nou di pwojè-ou, an dimann dévi oben nenpòt kèsyon.",
+    pageTitle: "Kontakté-nou",
+    infoTitle: "Enfòmasyon kontak",
+    phone: "Téléfòn",
+    email: "Imèl",
+    fields: {
+      name: "Non é tinon",
+      email: "Imèl",
+      subject: "Sijè",
+      message: "Mésaj"
+    },
+    honeypot: "Pa maké ayen la",
+    submit: "Voyé mésaj-la",
+    sending: "I ka pati...",
+    anotherMessage: "Voyé an lòt mésaj",
+    status: {
+      sending: "Mésaj-ou ka pati...",
+      success: "Mésaj-ou pati ! Nou ké réponn-ou lè nou pé.",
+      queued: "Ou pa sanblé konnèkté : mésaj-ou anrèjistré é i ké pati tousèl lè rézo-a viré.",
+      invalid: "Ni dé chan ki pa ranpli byen. Souplé, véyé fòmilè-a.",
+      error: "Ni an pwoblèm ki rivé lè mésaj-la té ka pati. Éséyé ankò oben kontakté-nou dirèk.",
+      rateLimited: "Ou voyé twop mésaj an ti bwen tan. Souplé éséyé ankò adan {minutes} minit."
+    },
+    errors: {
+      nameRequired: "Souplé, maké non-ou.",
+      nameTooLong: "Non-an pa dwèt dépasé {max} lèt.",
+      emailRequired: "Souplé, maké adrès imèl-ou.",
+      emailInvalid: "Adrès imèl-la pa bon.",
+      subjectRequired: "Souplé, maké sijè mésaj-ou.",
+      subjectTooLong: "Sijè-a pa dwèt dépasé {max} lèt.",
+      messageTooShort: "Mésaj-ou dwèt ni omwen {min} lèt.",
+      messageTooLong: "Mésaj-la pa dwèt dépasé {max} lèt."
+    }
+  },
+
+  scene: {
+    label: "Kaz Ti Morne an 3D. Flèch pou déplasé, Tab pou pasé asou sé bagay-la, Antré pou louvè yo, Échap pou viré.",
+    focusHint: "Antré pou louvè · Tab pou chanjé",
+    objectsNav: "Bagay ki ka réyaji an kaz-la",
+    objects: {
+      prestations: "Sèvis",
+      about: "Sa nou yé",
+      portfolio: "Pòtfolyo",
+      contact: "Kontak",
+      portfolioDoor: "Pòt pòtfolyo-a",
+      eoliennes: "Pwojè éolyèn",
+      sargasses: "Pwojè sagas",
+      recif: "Pwojè koray"
+    },
+    descriptions: {
+      route: "Ka louvè paj pwojè-a",
+      view: "Ka mennen kamera-a an bò tala an kaz-la",
+      viewWithOverlay: "Ka mennen kamera-a é ka moutré prézantasyon-an",
+      overlay: "Ka louvè an fennèt enfòmasyon",
+      drawer: "Ka moutré détay sèvis-la",
+      custom: "Ka fè bagay-la maché",
+      contact: "Ka louvè fòmilè kontak-la",
+      portfolio: "Ka mennen-w an pòtfolyo-a",
+      portfolioDoor: "Ka louvè pòt pòtfolyo-a"
+    },
+    announcements: {
+      doorOpening: "Pòt kaz-la ka louvè",
+      doorClosing: "Pòt kaz-la ka fèmen",
+      view: "Bò {label}",
+      overlayClosed: "Fennèt-la fèmen",
+      overlayOpened: "Fennèt {label} louvè",
+      prestationOpened: "Sèvis {label} louvè",
+      portfolio: "Pòtfolyo",
+      entering: "Ou ka antré an kaz-la",
+      freeRoam: "Ou pé maché lib ankò",
+      terrace: "Ou asou téras-la"
+    }
+  },
+
+  projects: {
+    indexTitle: "Pòtfolyo",
+    filterLabel: "Chwazi pwojè-a pa tèm",
+    allTags: "Tout",
+    tags: {
+      dataviz: "Data viz",
+      "3d": "3D",
+      site: "Sit lèspérians"
+    },
+    status: {
+      live: "An liy",
+      inDevelopment: "Nou ka travay asou'y - I ké la talè",
+      ongoing: "Nou ka toujou travay asou'y"
+    },
+    empty: "Poko ni pwojè pou tèm-tala.",
+    notFound: "Pwojè-tala pa ka egzisté.",
+    viewProject: "Gadé pwojè-a",
+    allProjects: "Tout pwojè-a",
+    howToTitle: "Kijan pou sèvi",
+    onMobile: "Asou téléfòn é tablèt :",
+    onDesktop: "Asou òdinatè :",
+    discover: "Dékouvè vizyalizasyon-an",
+    loadingTitle: "Pwojè-a ka chajé",
+    galleryTitle: "Foto",
+    creditsTitle: "Kréyé pa",
+    relatedTitle: "Pwojè ki sanblé"
+  }
+};
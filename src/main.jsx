@@ -4,6 +4,8 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import I18nProvider from './components/common/I18nProvider';
+import { registerServiceWorker } from './services/serviceWorkerService';
 import './index.css';
 
 // Désactiver les logs en production
@@ -16,6 +18,11 @@ if (process.env.NODE_ENV === 'production') {
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </React.StrictMode>,
-);
\ No newline at end of file
+);
+
+// Mise en cache hors ligne (build de production uniquement)
+registerServiceWorker();
\ No newline at end of file
@@ -3,38 +3,55 @@
  * Optimisé pour desktop et mobile avec contrôles tactiles améliorés
  */
 import React, { useRef, useState, useCallback, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import SplineScene from '../components/spline/SplineScene';
+import CabinStateProvider from '../components/spline/CabinStateProvider';
+import SceneAccessibilityLayer from '../components/spline/SceneAccessibilityLayer';
 import AboutOverlay from '../components/overlays/AboutOverlay';
 import PrestationOverlay from '../components/overlays/PrestationOverlay';
 import NavigationToolbar from '../components/layout/NavigationToolbar';
 import ReturnButton from '../components/common/ReturnButton';
+import KeyboardFocusLabel from '../components/common/KeyboardFocusLabel';
 import MobileControls from '../components/mobile/MobileControls';
 import MobileNavigationToolbar from '../components/mobile/MobileNavigationToolbar';
 import LiteExperience from '../components/mobile/LiteExperience';
+import VideoTransition from '../components/transitions/VideoTransition';
 import { BUTTON_IDS, OBJECT_IDS } from '../constants/ids';
 import ContactOverlay from '../components/overlays/ContactOverlay';
+import GuidedTourOverlay from '../components/overlays/GuidedTourOverlay';
 import { 
   VIEW_MAPPINGS, 
-  getViewForObjectId,
+  INTERACTION_TYPES,
+  getInteractionForObjectId,
   getDrawerForObjectId
 } from '../constants/viewMappings';
 import { 
   getObjectId, 
-  getObjectType, 
   isPortfolioDoor 
 } from '../utils/objectUtils';
 import useDeviceDetection from '../hooks/useDeviceDetection';
 import useDoorTrigger from '../hooks/useDoorTrigger';
+import useCabinState, { useCabinMachine } from '../hooks/useCabinState';
+import useExperienceDeepLink from '../hooks/useExperienceDeepLink';
+import useKeyboardNavigation from '../hooks/useKeyboardNavigation';
+import useGuidedTour from '../hooks/useGuidedTour';
+import useRoomNavigation from '../hooks/useRoomNavigation';
+import useRoutePrefetch from '../hooks/useRoutePrefetch';
+import useAdaptiveQuality from '../hooks/useAdaptiveQuality';
+import useSceneLoader, { SCENE_LOAD_STAGES, SCENE_LOAD_ERRORS } from '../hooks/useSceneLoader';
+import useTranslation from '../hooks/useTranslation';
 import splineHelpers from '../utils/splineHelpers';
+import { CABIN_STATES, CABIN_EVENTS } from '../services/cabinStateMachine';
 import cameraUtils from '../utils/cameraUtils';
 import debugUtils from '../utils/debugUtils';
-import { 
-  DataVizContent, 
-  SearchEngineContent, 
-  Model3DContent, 
-  AppDevContent
-} from '../components/prestations/PrestationContents';
+import PrestationContent from '../components/prestations/PrestationContents';
+import { getPrestationContent } from '../services/prestationContent';
+import { getSceneUrl, getLoadedSceneUrl } from '../services/sceneAssets';
+import { RAIL_IDS, RAIL_WAYPOINTS, RAIL_ZONES, INTRO_HANDOFF_ENTRY } from '../constants/cameraRails';
+import { CABIN_SCENE_CONFIG, RETURN_ANCHORS } from '../constants/sceneConfig';
+import { ROOMS, DEFAULT_ROOM_ID } from '../constants/rooms';
+import LoadingScreen from '../components/ui/LoadingScreen';
+import { TOUR_URL_PARAM, TOUR_KIOSK_MODE } from '../constants/guidedTour';
 
 const { logger } = debugUtils;
 
@@ -42,10 +59,21 @@ const { logger } = debugUtils;
  * Composant de l'intérieur du chalet avec interactions 3D
  * Adaptation responsive pour mobile et desktop
  */
-export default function CabinInterior() {
+function CabinInteriorContent() {
   const navigate = useNavigate();
+  const { search, state: locationState } = useLocation();
+  const { t, locale } = useTranslation();
   const splineSceneRef = useRef(null);
   
+  // Mode kiosque (?visite=kiosque) : lu au chargement, le lien profond normalisant ensuite l'URL
+  const [isKioskMode] = useState(
+    () => new URLSearchParams(search).get(TOUR_URL_PARAM) === TOUR_KIOSK_MODE
+  );
+  
+  // Machine à états de l'expérience (porte, vues, overlays)
+  const machine = useCabinMachine();
+  const { state: cabinState, context: cabinContext } = useCabinState();
+  
   // Détection de l'appareil
   const { 
     isMobile, 
@@ -59,198 +87,126 @@ export default function CabinInterior() {
   const [activeButtonId, setActiveButtonId] = useState(null);
   const [showMobileGuide, setShowMobileGuide] = useState(true);
   const [lastCameraPosition, setLastCameraPosition] = useState(null);
-  const [isSplineLoading, setIsSplineLoading] = useState(true);
+  const [isSceneReady, setIsSceneReady] = useState(false);
+  const [isLoaderHidden, setIsLoaderHidden] = useState(false);
+  const [isLiteFallback, setIsLiteFallback] = useState(false);
+
+  // Chargement réel de la scène de départ : téléchargement puis initialisation du runtime
+  const sceneLoader = useSceneLoader({ sceneId: ROOMS[DEFAULT_ROOM_ID].sceneId });
+  const isSplineLoading = sceneLoader.stage !== SCENE_LOAD_STAGES.READY;
+  const hideLoader = useCallback(() => setIsLoaderHidden(true), []);
+
+  // Vidéo d'entrée posée sur la scène (mode passage de l'introduction) : elle se fond
+  // dans la scène une fois la première image rendue depuis la pose de sa dernière image
+  const [introHandoff, setIntroHandoff] = useState(() => locationState?.introHandoff || null);
+  const [hasFirstFrame, setHasFirstFrame] = useState(false);
+
+  const endIntroHandoff = useCallback(() => {
+    setIntroHandoff(null);
+    // La scène déjà affichée n'a plus besoin de l'écran de chargement
+    if (hasFirstFrame) setIsLoaderHidden(true);
+    // Un rechargement de la page ne rejoue pas la vidéo
+    navigate(`${window.location.pathname}${window.location.search}`, { replace: true });
+  }, [hasFirstFrame, navigate]);
+
+  // Scène en erreur : la vidéo laisse place à l'écran de chargement et à ses reprises
+  useEffect(() => {
+    if (introHandoff && sceneLoader.error) {
+      logger.warn("Passage vidéo interrompu, la scène n'a pas pu être chargée");
+      endIntroHandoff();
+    }
+  }, [introHandoff, sceneLoader.error, endIntroHandoff]);
   
-  // États pour les overlays
-  const [showAboutOverlay, setShowAboutOverlay] = useState(false);
-  const [showPrestationOverlay, setShowPrestationOverlay] = useState(false);
-  const [prestationContent, setPrestationContent] = useState(null);
-  const [prestationTitle, setPrestationTitle] = useState('');
-  const [showContactOverlay, setShowContactOverlay] = useState(false);
+  // États pour les overlays (la visibilité est portée par la machine à états)
+  const [prestationSlug, setPrestationSlug] = useState(null);
+  const isOverlayOpen = cabinState === CABIN_STATES.OVERLAY_OPEN;
+  const showAboutOverlay = isOverlayOpen && cabinContext.overlay === 'about';
+  const showPrestationOverlay = isOverlayOpen && cabinContext.overlay === 'prestation';
+  const showContactOverlay = isOverlayOpen && cabinContext.overlay === 'contact';
 
-  // État pour la qualité visuelle
-  const [qualityLevel, setQualityLevel] = useState(
-    isLowPerformance ? 'low' : isMobile ? 'medium' : 'high'
-  );
+  // Qualité visuelle adaptée à la fréquence d'images mesurée, ou imposée depuis la barre de navigation
+  const defaultQualityLevel = isLowPerformance ? 'low' : isMobile ? 'medium' : 'high';
+  const quality = useAdaptiveQuality({
+    initialLevel: defaultQualityLevel,
+    enabled: isSceneReady && !isSplineLoading
+  });
+  const { startFrom: startQualityFrom } = quality;
+
+  // La détection de l'appareil aboutit après le premier rendu
+  useEffect(() => {
+    startQualityFrom(defaultQualityLevel);
+  }, [defaultQualityLevel, startQualityFrom]);
   
   // Références
-  const portfolioButtonClickedRef = useRef(false);
-  const doorHasBeenOpenedOnce = useRef(false);
-  const doorIsOpenRef = useRef(false);
-  const proximityCheckRef = useRef(null);
-  const prestationContext = useRef(false);
-  const contactContext = useRef(false);
   const preventMailTriggerRef = useRef(false);
   const touchControlsRef = useRef(null);
 
-  // Utiliser le hook de déclenchement de porte
-  const { triggerDoor } = useDoorTrigger({ splineRef: splineSceneRef });
+  // Utiliser le hook de déclenchement de porte (ouverture, fermeture, état de la porte)
+  const {
+    triggerDoor,
+    registerDoorProximity,
+    handleDoorClick
+  } = useDoorTrigger({ splineRef: splineSceneRef, machine });
 
-  // Fonction pour ouvrir la porte une seule fois
-  const openDoorOnce = useCallback(() => {
-    // Vérifier si la porte a déjà été ouverte
-    if (doorHasBeenOpenedOnce.current) {
-      console.log("Porte déjà ouverte, émission bloquée");
-      return false;
-    }
-    
-    // Marquer que la porte a été ouverte
-    doorHasBeenOpenedOnce.current = true;
-    doorIsOpenRef.current = true;
-    
-    // Récupérer l'instance Spline
-    if (!splineSceneRef.current || !splineSceneRef.current.getSplineInstance) {
-      return false;
-    }
-    
-    const splineApp = splineSceneRef.current.getSplineInstance();
-    if (!splineApp) {
-      return false;
-    }
-    
-    try {
-      // Émettre l'événement directement
-      splineApp.emitEvent('mouseUp', OBJECT_IDS.PORTE_OUVERT);
-      console.log("Porte ouverte avec succès (une seule fois)");
-      // Définir la variable globale
-      window.__doorIsOpen = true;
-      return true;
-    } catch (error) {
-      logger.error("Erreur lors de l'ouverture de la porte:", error);
-      return false;
-    }
-  }, []);
+  // Ouvre la porte portfolio ; refusé si elle est déjà ouverte ou en ouverture
+  const openPortfolioDoor = useCallback(() => (
+    triggerDoor(OBJECT_IDS.PORTE_OUVERT)
+  ), [triggerDoor]);
   
-  // Fonction pour vérifier la proximité de la porte et déclencher l'ouverture
-  const checkAndTriggerDoor = useCallback((doorId, camera, direction) => {
-    // Vérifier d'abord si la porte a déjà été ouverte
-    if (doorHasBeenOpenedOnce.current || window.__doorIsOpen === true) {
-      console.log("Vérification: porte déjà ouverte, ouverture ignorée");
-      return false;
-    }
-
-    // Si le bouton portfolio a été récemment cliqué, ne pas déclencher l'ouverture automatique
-    if (portfolioButtonClickedRef.current && doorId === OBJECT_IDS.PORTE_OUVERT) {
-      return false;
+  /**
+   * Arrivée sur une étape de la visite guidée
+   * @param {Object} stop - Étape atteinte (constants/guidedTour)
+   */
+  const handleTourArrive = useCallback((stop) => {
+    if (showMobileGuide) {
+      setShowMobileGuide(false);
     }
     
-    if (!camera) return false;
-    
-    const limits = cameraUtils.getCameraLimits();
-    const posZ = camera.position.z;
-    
-    // Vérifier si on est dans la zone de déclenchement
-    if (direction > 0 && 
-        cameraUtils.isOnTerrace(posZ) && 
-        posZ <= limits.doorTrigger && 
-        posZ > limits.doorThreshold) {
-      
-      // Utiliser la fonction dédiée pour ouvrir la porte une seule fois
-      if (openDoorOnce()) {
-        // Marquer explicitement qu'il s'agit d'une ouverture automatique par proximité
-        window.__doorThresholdTriggered = true;
-        window.__automaticDoorOpening = true;
-        
-        // Réinitialiser les flags après un court délai
-        setTimeout(() => {
-          window.__doorThresholdTriggered = false;
-          window.__automaticDoorOpening = false;
-        }, 1000);
-        
-        logger.log("Ouverture automatique de la porte déclenchée par proximité");
-        return true;
-      }
+    if (stop.opensDoor) {
+      openPortfolioDoor();
     }
-    
-    return false;
-  }, [openDoorOnce]);
+  }, [openPortfolioDoor, showMobileGuide]);
 
-  // Initialiser les variables globales
-  useEffect(() => {
-    window.__automaticDoorOpening = false;
-    window.__doorThresholdTriggered = false;
-    window.__portfolioDoorLocked = false;
-    window.__manualPortfolioButtonClick = false;
-    window.__portfolioMode = false;
-    window.__doorIsOpen = false;
-    window.__blockCameraEvents = false;
-    
-    // Réinitialiser notre référence de protection
-    preventMailTriggerRef.current = false;
-    
-    return () => {
-      delete window.__automaticDoorOpening;
-      delete window.__doorThresholdTriggered;
-      delete window.__portfolioDoorLocked;
-      delete window.__manualPortfolioButtonClick;
-      delete window.__portfolioMode;
-      delete window.__doorIsOpen;
-      delete window.__blockCameraEvents;
-    };
-  }, []);
+  // Visite guidée des vues du chalet
+  const guidedTour = useGuidedTour({
+    splineSceneRef,
+    machine,
+    onArrive: handleTourArrive,
+    kiosk: isKioskMode,
+    enabled: isSceneReady && !isSplineLoading
+  });
+  const { handOver: handOverTour } = guidedTour;
 
-  // Initialiser les contrôles tactiles sur mobile/tablette
-  useEffect(() => {
-    if (!isMobile && !isTablet) return;
-    
-    // Attendre que Spline soit chargé
-    if (!splineSceneRef.current || !splineSceneRef.current.getSplineInstance) {
-      return;
-    }
-    
-    window.__touchSensitivity = isMobile ? 2.0 : 1.8;
-  
-    logger.log("Utilisation des contrôles tactiles basiques via handleTouchMove");
-    
-    return () => {
-      // Nettoyer les variables si nécessaires
-      delete window.__touchSensitivity;
-    };
-  }, [isMobile, isTablet]);
+  // Pièces de l'expérience et passages de porte entre leurs scènes
+  const roomNavigation = useRoomNavigation({
+    splineSceneRef,
+    enabled: isSceneReady && !isSplineLoading
+  });
+  const { findDoorForObject, goThroughDoor } = roomNavigation;
 
+  // Sensibilité des contrôles tactiles sur mobile/tablette
+  const touchSensitivity = isMobile ? 2.0 : isTablet ? 1.8 : 1.0;
 
-  // Effet pour vérifier régulièrement la proximité de la porte
+
+  // Ouverture anticipée de la porte à l'approche sur la terrasse et fermeture quand le
+  // visiteur s'en éloigne sur la terrasse, évaluées dans la boucle d'animation de la caméra
   useEffect(() => {
-    const checkProximity = () => {
-      // Vérifier si la porte est déjà ouverte
-      if (doorHasBeenOpenedOnce.current || doorIsOpenRef.current === true || window.__doorIsOpen === true) {
-        console.log("Vérification périodique: porte déjà ouverte, skip");
-        return;
-      }
+    if (!isSceneReady) return undefined;
 
-      // Si le bouton portfolio a été récemment cliqué, ne pas vérifier la proximité
-      if (portfolioButtonClickedRef.current) {
-        return;
-      }
-      
-      if (!splineSceneRef.current || !splineSceneRef.current.getSplineInstance) return;
-      
-      const splineApp = splineSceneRef.current.getSplineInstance();
-      if (!splineApp || !splineApp.camera) return;
-      
-      // Vérifier la proximité avec la porte portfolio
-      checkAndTriggerDoor(OBJECT_IDS.PORTE_OUVERT, splineApp.camera, 1);
-    };
-    
-    // Mettre en place un intervalle pour vérifier la proximité
-    proximityCheckRef.current = setInterval(checkProximity, 500);
-    
-    // Nettoyer l'intervalle lors du démontage
-    return () => {
-      if (proximityCheckRef.current) {
-        clearInterval(proximityCheckRef.current);
-      }
-    };
-  }, [checkAndTriggerDoor]);
+    const scene = splineSceneRef.current;
+    const doorPose = scene?.getWaypointPose?.(RAIL_IDS.TERRACE, RAIL_WAYPOINTS.DOOR);
+    if (!doorPose) return undefined;
 
-  // Afficher l'écran de chargement pendant 5 secondes
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      setIsSplineLoading(false);
-    }, 5000);
-    
-    return () => clearTimeout(timer);
-  }, []);
+    const sceneConfig = scene.getSceneConfig?.() || CABIN_SCENE_CONFIG;
+
+    return registerDoorProximity({
+      doorId: OBJECT_IDS.PORTE_OUVERT,
+      volume: { center: doorPose.position, radius: sceneConfig.doorApproachDistance },
+      hysteresis: Math.max(sceneConfig.doorCloseDistance - sceneConfig.doorApproachDistance, 0),
+      condition: ({ zone }) => zone === RAIL_ZONES.TERRACE,
+      autoClose: true
+    });
+  }, [isSceneReady, roomNavigation.room, registerDoorProximity]);
 
   /**
    * Gestion du défilement pour avancer/reculer
@@ -308,57 +264,55 @@ export default function CabinInterior() {
   /**
    * Gestion des overlays
    */
+  // La fermeture d'un overlay laisse la caméra en place ; la machine conserve
+  // l'overlay fermé (lastOverlay) pour adapter le retour
   const handleClosePrestationOverlay = useCallback(() => {
-    // Marquer que nous sommes dans un contexte de prestation
-    prestationContext.current = true;
-    
-    // Fermer simplement l'overlay sans animation ni autre action
-    setShowPrestationOverlay(false);
-   
-  }, []);
+    machine.send(CABIN_EVENTS.CLOSE_OVERLAY);
+  }, [machine]);
   
   const handleCloseAboutOverlay = useCallback(() => {
-    setShowAboutOverlay(false);
-  }, []);
+    machine.send(CABIN_EVENTS.CLOSE_OVERLAY);
+  }, [machine]);
 
   const handleCloseContactOverlay = useCallback(() => {
-    // Marquer que nous sommes dans un contexte de contact
-    contactContext.current = true;
-    
-    // Fermer simplement l'overlay sans déclencher d'autres actions
-    setShowContactOverlay(false);
-  }, []);
+    machine.send(CABIN_EVENTS.CLOSE_OVERLAY);
+  }, [machine]);
   
+  /**
+   * Point de retour de la caméra, lu dans la configuration de la scène
+   * @param {String} name - Nom du point (voir RETURN_ANCHORS)
+   * @returns {Object} - { position, rotation } (rotation en degrés)
+   */
+  const getReturnAnchor = useCallback((name) => {
+    const sceneConfig = splineSceneRef.current?.getSceneConfig?.() || CABIN_SCENE_CONFIG;
+    return sceneConfig.returnAnchors[name];
+  }, []);
+
   /**
    * Retourne à la position précédente de la caméra
    */
   const handleReturnToLastPosition = useCallback(() => {
-    // Fermer tous les overlays
-    setShowAboutOverlay(false);
-    setShowContactOverlay(false);
+    // Contexte de retour : overlay ouvert ou récemment fermé, ou mode portfolio
+    const { overlay, lastOverlay } = machine.getContext();
+    const returnContext = overlay || lastOverlay;
+    const isInPortfolioMode = machine.matches(CABIN_STATES.PORTFOLIO);
+    
+    // Fermer tous les overlays et revenir à la navigation libre
+    machine.send(CABIN_EVENTS.RETURN);
     
     // Cas 1: Si un overlay de prestation était récemment ouvert (même s'il a été fermé via la croix)
-    // On utilise une variable pour savoir si on était dans un contexte de prestation
-    if (showPrestationOverlay || prestationContext.current) {
-      // Réinitialiser le contexte de prestation
-      prestationContext.current = false;
-      
-      if (showPrestationOverlay) {
-        handleClosePrestationOverlay();
-      }
-      
+    if (returnContext === 'prestation') {
       // Pour les prestations, utiliser une position prédéfinie
       if (splineSceneRef.current && splineSceneRef.current.getSplineInstance) {
         const splineInstance = splineSceneRef.current.getSplineInstance();
         if (splineInstance) {
-          // Position prédéfinie pour la vue "prestations"
-          const prestationsPosition = { x: -200, y: 300, z: 800 };
-          const prestationsRotation = { x: 0, y: 0, z: 0 };
+          // Point de retour de la vue "prestations" (configuration de la scène)
+          const prestationsAnchor = getReturnAnchor(RETURN_ANCHORS.PRESTATIONS);
           
           // Animation directe vers la position prestations
           splineSceneRef.current.animateCamera({
-            position: prestationsPosition,
-            rotation: prestationsRotation,
+            position: prestationsAnchor.position,
+            rotation: prestationsAnchor.rotation,
             duration: 1500
           });
           
@@ -395,28 +349,19 @@ export default function CabinInterior() {
     }
   
     // Cas 2: Si un overlay de contact était récemment ouvert (même s'il a été fermé via la croix)
-    if (showContactOverlay || contactContext.current) {
-      // Réinitialiser le contexte de contact
-      contactContext.current = false;
-      
-      if (showContactOverlay) {
-        handleCloseContactOverlay();
-      }
-  
+    if (returnContext === 'contact') {
       preventMailTriggerRef.current = true;
       
-      // Pour le contact, utiliser une position FIXE prédéfinie directement ici
+      // Pour le contact, utiliser le point de retour de la configuration de scène
       if (splineSceneRef.current) {
-        logger.log("Retour depuis l'overlay de contact - utilisation d'une position fixe");
+        logger.log("Retour depuis l'overlay de contact - utilisation du point de retour de la scène");
         
-        // Position fixe pour la vue contact
-        const contactPosition = { x: 0, y: 300, z: -1500 };
-        const contactRotation = { x: 0, y: 0, z: 0 };
+        const contactAnchor = getReturnAnchor(RETURN_ANCHORS.CONTACT);
         
         // Animation directe vers la position contact
         splineSceneRef.current.animateCamera({
-          position: contactPosition,
-          rotation: contactRotation,
+          position: contactAnchor.position,
+          rotation: contactAnchor.rotation,
           duration: 1500
         });
         
@@ -434,11 +379,7 @@ export default function CabinInterior() {
               setTimeout(() => {
                 logger.log(`Émission de l'événement start sur l'objet ${activeButtonId}`);
                 try {
-                  window.__blockCameraEvents = true;
                   splineHelpers.emitEvent(splineInstance, 'start', activeButtonId);
-                  setTimeout(() => {
-                    window.__blockCameraEvents = false;
-                  }, 100);
                 } catch (e) {
                   logger.error("Erreur lors de la réinitialisation du bouton:", e);
                 }
@@ -464,7 +405,6 @@ export default function CabinInterior() {
     }
     
     // Cas 3: Vérifier si nous sommes en mode portfolio
-    const isInPortfolioMode = window.__portfolioMode === true;
     logger.log("Retour à la position précédente, mode portfolio:", isInPortfolioMode);
     
     if (splineSceneRef.current) {
@@ -472,26 +412,16 @@ export default function CabinInterior() {
       if (isInPortfolioMode) {
         logger.log("Mode portfolio détecté lors du retour - traitement spécial");
         
-        // Réinitialiser le mode portfolio
-        window.__portfolioMode = false;
-        window.__preventCameraReset = false;
-        
-        if (window.__portfolioTimeout) {
-          clearTimeout(window.__portfolioTimeout);
-          window.__portfolioTimeout = null;
-        }
-        
         if (splineSceneRef.current.getSplineInstance) {
           const splineInstance = splineSceneRef.current.getSplineInstance();
           if (splineInstance) {
             // Position neutre
-            const neutralPosition = { x: 0, y: 0, z: 900 };
-            const neutralRotation = { x: 0, y: 0, z: 0 };
+            const neutralAnchor = getReturnAnchor(RETURN_ANCHORS.NEUTRAL);
             
             // Animation directe vers la position neutre
             splineSceneRef.current.animateCamera({
-              position: neutralPosition,
-              rotation: neutralRotation,
+              position: neutralAnchor.position,
+              rotation: neutralAnchor.rotation,
               duration: 2000
             });
             
@@ -551,14 +481,13 @@ export default function CabinInterior() {
         // Navigation depuis la toolbar - retour direct à la ligne
         logger.log("Navigation depuis toolbar - retour direct à la ligne");
         
-        // Position sur la ligne (à adapter selon votre scène)
-        const linePosition = { x: -200, y: 300, z: 200 };
-        const lineRotation = { x: 0, y: 0, z: 0 };
+        // Position sur la ligne (configuration de la scène)
+        const lineAnchor = getReturnAnchor(RETURN_ANCHORS.LINE);
         
         // Animation directe vers la ligne
         splineSceneRef.current.animateCamera({
-          position: linePosition,
-          rotation: lineRotation,
+          position: lineAnchor.position,
+          rotation: lineAnchor.rotation,
           duration: 1500,
           preventAutoReset: true
         });
@@ -623,7 +552,7 @@ export default function CabinInterior() {
       setActiveButtonId(null);
     }
   }
-}, [showPrestationOverlay, handleClosePrestationOverlay, activeButtonId, showContactOverlay, handleCloseContactOverlay]);
+}, [activeButtonId, machine, getReturnAnchor]);
   /**
    * Gère les clics sur les tiroirs de prestation
    */
@@ -632,7 +561,6 @@ export default function CabinInterior() {
     const prestaConfig = getDrawerForObjectId(objectId);
     
     if (prestaConfig) {
-      prestationContext.current = true;
       // Stocker explicitement les coordonnées actuelles de la caméra
       if (splineSceneRef.current) {
         const camera = splineSceneRef.current.getSplineInstance().camera;
@@ -652,18 +580,13 @@ export default function CabinInterior() {
         }
       }
       
-      // Associer le contenu de prestation au type
-      const contentComponents = {
-        "DataVizContent": <DataVizContent />,
-        "SearchEngineContent": <SearchEngineContent />,
-        "Model3DContent": <Model3DContent />,
-        "AppDevContent": <AppDevContent />
-      };
-      
-      // Définir le contenu et le titre
-      setPrestationTitle(prestaConfig.title);
-      setPrestationContent(contentComponents[prestaConfig.contentType] || null);
-      setShowPrestationOverlay(true);
+      // Le contenu et le titre sont lus dans le fichier de la prestation
+      setPrestationSlug(prestaConfig.slug);
+      machine.send(CABIN_EVENTS.OPEN_OVERLAY, {
+        overlay: 'prestation',
+        drawerId: objectId,
+        buttonId: objectId
+      });
       
       // Afficher le bouton de retour
       setShowReturnButton(true);
@@ -672,7 +595,7 @@ export default function CabinInterior() {
     }
     
     return false;
-  }, []);
+  }, [machine]);
   
   /**
    * Animation de la caméra vers une position spécifique
@@ -705,6 +628,9 @@ export default function CabinInterior() {
           setShowMobileGuide(false);
         }
         
+        // Verrouiller l'expérience sur la vue ciblée
+        machine.send(CABIN_EVENTS.FOCUS_VIEW, { view: viewName, buttonId });
+        
         // Animer la caméra
         splineSceneRef.current.animateCamera({
           position: cameraParams.position,
@@ -727,21 +653,30 @@ export default function CabinInterior() {
     } catch (error) {
       logger.error(`Erreur lors de l'animation de la caméra pour ${viewName}:`, error);
     }
-  }, [isMobile, showMobileGuide]);
+  }, [isMobile, showMobileGuide, machine]);
+  
+  /**
+   * Ouvre l'overlay associé à une vue une fois l'animation de caméra terminée
+   * L'overlay n'est pas ouvert si le visiteur a quitté la vue entre-temps
+   */
+  const openOverlayAfterView = useCallback((viewName) => {
+    setTimeout(() => {
+      if (machine.getContext().view === viewName) {
+        machine.send(CABIN_EVENTS.OPEN_OVERLAY, {
+          overlay: viewName,
+          buttonId: VIEW_MAPPINGS[viewName]?.buttonId
+        });
+      }
+    }, isMobile ? 1500 : 2000);
+  }, [machine, isMobile]);
   
   /**
    * Gère la navigation depuis la barre d'outils
+   * Les overlays ouverts sont fermés par la transition vers la nouvelle vue
    */
   const handleToolbarNavigation = useCallback((view) => {
   logger.log(`Navigation vers la vue: ${view}`);
   
-  // Fermer les overlays
-  setShowAboutOverlay(false);
-  if (showPrestationOverlay) {
-    handleClosePrestationOverlay();
-  }
-  setShowContactOverlay(false);
-  
   // Obtenir l'instance Spline
   if (splineSceneRef.current) {
     // Capturer les positions actuelles de la caméra
@@ -787,12 +722,9 @@ export default function CabinInterior() {
       // Animer la caméra vers la position cible
       animateCameraToView(view, viewConfig.buttonId);
       
-      // Actions spéciales pour certaines vues
-      if (view === 'about') {
-        // Afficher l'overlay About après l'animation
-        setTimeout(() => {
-          setShowAboutOverlay(true);
-        }, isMobile ? 1500 : 2000);
+      // Afficher l'overlay associé à la vue après l'animation
+      if (viewConfig.showOverlay) {
+        openOverlayAfterView(view);
       }
 
       if (view === 'contact') {
@@ -804,189 +736,252 @@ export default function CabinInterior() {
       }
     }
   }
-}, [showPrestationOverlay, handleClosePrestationOverlay, animateCameraToView, isMobile]);
+}, [animateCameraToView, openOverlayAfterView]);
 
   
   /**
-   * Gère les clics sur les objets de la scène
+   * Ouvre l'overlay de contact depuis la scène
    */
-  const handleObjectClick = useCallback((objectName, splineApp, objectId = null) => {
-    // Obtenir l'ID de l'objet
-    const resolvedObjectId = objectId || getObjectId(objectName);
-       
-    // Vérifier si c'est l'un de vos boutons
-    if (resolvedObjectId === BUTTON_IDS.EOL) {
-      console.log("Tentative de navigation vers /dataviz/eoliennes");
-      navigate('/dataviz/eoliennes');
+  const openContactOverlay = useCallback(() => {
+    if (preventMailTriggerRef.current) {
+      logger.log("Clic sur bouton mail ignoré (protection anti-boucle active)");
       return;
     }
-  
-    if (resolvedObjectId === BUTTON_IDS.SARGASSES) {
-      console.log("Tentative de navigation vers /dataviz/sargasses");
-      navigate('/dataviz/sargasses');
-      return;
+    logger.log("Bouton mail cliqué, affichage de l'overlay de contact");
+    
+    // Sauvegarder la position actuelle de la caméra si nécessaire
+    if (splineSceneRef.current) {
+      const camera = splineSceneRef.current.getSplineInstance().camera;
+      if (camera) {
+        setLastCameraPosition({
+          position: {
+            x: camera.position.x,
+            y: camera.position.y,
+            z: camera.position.z
+          },
+          rotation: {
+            x: camera.rotation.x,
+            y: camera.rotation.y,
+            z: camera.rotation.z
+          }
+        });
+      }
     }
-  
-    if (resolvedObjectId === BUTTON_IDS.TIMORNE) {
-      console.log("Tentative de navigation vers /conception");
-      navigate('/conception');
+    
+    // Afficher l'overlay de contact
+    machine.send(CABIN_EVENTS.OPEN_OVERLAY, { overlay: 'contact', buttonId: BUTTON_IDS.MAIL });
+    
+    // Afficher le bouton de retour
+    setShowReturnButton(true);
+
+    // Fixer l'ID du bouton actif
+    setActiveButtonId(BUTTON_IDS.MAIL);
+  }, [machine]);
+
+  /**
+   * Gère le clic manuel sur la porte portfolio : ouvre ou referme la porte
+   * Le mouseUp émis par une ouverture ou fermeture automatique est ignoré
+   */
+  const handlePortfolioDoorClick = useCallback(() => {
+    handleDoorClick(OBJECT_IDS.PORTE_OUVERT);
+  }, [handleDoorClick]);
+
+  /**
+   * Gère le clic sur le bouton portfolio (ou la porte qui partage son ID)
+   */
+  const handlePortfolioClick = useCallback((objectName, splineApp, objectId) => {
+    if (isPortfolioDoor(objectId, objectName)) {
+      handlePortfolioDoorClick();
       return;
     }
 
-  if (resolvedObjectId === BUTTON_IDS.RECIF) {
-    console.log("Tentative de navigation vers /recif-corallien");
-    navigate('/recif-corallien');
-    return;
-  }
+    logger.log("Traitement spécial pour le bouton portfolio");
     
-    // Identifier les types d'objets spéciaux
-    const isPortfolioButton = (objectName === 'BUTTON_PORTFOLIO' || 
-      objectName.includes('BUTTON_PORTFOLIO')) && 
-      resolvedObjectId === BUTTON_IDS.PORTFOLIO;
+    // Passer en mode portfolio (la porte est considérée comme ouverte)
+    machine.send(CABIN_EVENTS.ENTER_PORTFOLIO);
+    
+    // Animer la caméra sans sauvegarder l'état précédent
+    if (splineSceneRef.current) {
+      const portfolioParams = cameraUtils.extractCameraParameters(splineApp, 'portfolio');
+      
+      if (portfolioParams) {
+        const success = splineSceneRef.current.moveToPortfolioView(portfolioParams);
+        
+        if (success) {
+          setActiveButtonId(BUTTON_IDS.PORTFOLIO);
+          setShowReturnButton(false);
+        }
+      }
+    }
+  }, [handlePortfolioDoorClick, machine]);
 
-    const isPortfolioDoorObj = objectName === 'PORTE_OUVERT' || 
-      objectName.includes('PORTE_OUVERT');
+  /**
+   * Gère les clics sur les objets de la scène
+   * Le comportement de chaque objet est décrit dans INTERACTION_REGISTRY
+   */
+  const handleObjectClick = useCallback((objectName, splineApp, objectId = null) => {
+    // Obtenir l'ID de l'objet
+    const resolvedObjectId = objectId || getObjectId(objectName);
+    const interaction = getInteractionForObjectId(resolvedObjectId);
 
     logger.log("Objet cliqué:", objectName, "ID:", resolvedObjectId);
+
+    // Porte vers une autre pièce (voir constants/rooms)
+    const roomDoor = findDoorForObject(resolvedObjectId);
+    if (roomDoor) {
+      handOverTour();
+      goThroughDoor(roomDoor);
+      return;
+    }
+
+    if (!interaction) {
+      logger.log(`Aucune interaction déclarée pour l'objet ${objectName}`);
+      return;
+    }
+    
+    // Un objet activé pendant la visite guidée prend le relais de la caméra
+    // (l'ouverture de la porte par la visite émet elle aussi un clic sur la porte)
+    if (!isPortfolioDoor(resolvedObjectId, objectName)) {
+      handOverTour();
+    }
     
     // Masquer le guide mobile après la première interaction
     if (showMobileGuide) {
       setShowMobileGuide(false);
     }
-      
-    // Déterminer le type d'objet
-    const objectType = getObjectType(resolvedObjectId, objectName);
-    
-    // Gérer les clics sur les tiroirs de prestation
-    const isPrestaDrawer = handlePrestaButtonClick(resolvedObjectId, splineApp);
-    if (isPrestaDrawer) return;
 
-    // Vérification spécifique pour le bouton mail avant la vérification de vue
-    if (objectId === BUTTON_IDS.MAIL || objectName === 'BUTTON_MAIL') {
-      if (preventMailTriggerRef.current) {
-        logger.log("Clic sur bouton mail ignoré (protection anti-boucle active)");
-        return true;
-      }
-      logger.log("Bouton mail cliqué, affichage de l'overlay de contact");
-      
-      // Définir le contexte de contact
-      contactContext.current = true;
-      
-      // Sauvegarder la position actuelle de la caméra si nécessaire
-      if (splineSceneRef.current) {
-        const camera = splineSceneRef.current.getSplineInstance().camera;
-        if (camera) {
-          setLastCameraPosition({
-            position: {
-              x: camera.position.x,
-              y: camera.position.y,
-              z: camera.position.z
-            },
-            rotation: {
-              x: camera.rotation.x,
-              y: camera.rotation.y,
-              z: camera.rotation.z
-            }
-          });
-        }
-      }
-      
-      // Afficher l'overlay de contact
-      setShowContactOverlay(true);
-      
-      // Afficher le bouton de retour
-      setShowReturnButton(true);
+    // Handlers nommés pour les interactions de type CUSTOM
+    const customHandlers = {
+      portfolio: handlePortfolioClick,
+      portfolioDoor: handlePortfolioDoorClick
+    };
 
-      // Fixer l'ID du bouton actif
-      setActiveButtonId(BUTTON_IDS.MAIL);
-      
-      return; // Important: arrêter le traitement ici
-    }
-    
-    
-    // Déterminer la vue cible
-    const viewConfig = getViewForObjectId(resolvedObjectId);
-    
-    // S'il y a une configuration de vue
-    if (viewConfig) {
-      logger.log("Configuration de vue trouvée:", viewConfig);
-      
-      // Traitement spécial pour certaines vues
-      if (viewConfig.viewName === 'about') {
-        // Afficher l'overlay About après l'animation
-        setTimeout(() => {
-          setShowAboutOverlay(true);
-        }, isMobile ? 1500 : 2000);
-      }
-      
-      // Gestion spéciale pour le portfolio
-      if (viewConfig.viewName === 'portfolio') {
-        if (isPortfolioButton) {
-          logger.log("Traitement spécial pour le bouton portfolio");
-          
-          // Marquer que le bouton portfolio a été cliqué
-          portfolioButtonClickedRef.current = true;
-          window.__manualPortfolioButtonClick = true;
+    // Overlays ouverts directement depuis la scène
+    const overlayOpeners = {
+      contact: openContactOverlay
+    };
+
+    switch (interaction.type) {
+      case INTERACTION_TYPES.ROUTE:
+        logger.log(`Navigation vers ${interaction.route}`);
+        navigate(interaction.route);
+        break;
+
+      case INTERACTION_TYPES.DRAWER:
+        handlePrestaButtonClick(resolvedObjectId, splineApp);
+        break;
+
+      case INTERACTION_TYPES.OVERLAY:
+        overlayOpeners[interaction.overlay]?.();
+        break;
+
+      case INTERACTION_TYPES.VIEW:
+        logger.log("Configuration de vue trouvée:", interaction);
 
-          doorHasBeenOpenedOnce.current = true;
-          window.__doorIsOpen = true; 
-          
-          // Réinitialiser le flag après un délai
-          setTimeout(() => {
-            portfolioButtonClickedRef.current = false;
-          }, 5000);
-          
-          // Animer la caméra sans sauvegarder l'état précédent
-          if (splineSceneRef.current) {
-            const portfolioParams = cameraUtils.extractCameraParameters(splineApp, 'portfolio');
-            
-            if (portfolioParams) {
-              const success = splineSceneRef.current.moveToPortfolioView(portfolioParams);
-              
-              if (success) {
-                setActiveButtonId(BUTTON_IDS.PORTFOLIO);
-                setShowReturnButton(false);
-              }
-            }
-          }
-          return;
-        } 
-        // Gestion de la porte portfolio (clic manuel)
-        else if (isPortfolioDoorObj) {
-          // Vérifier si la porte est déjà ouverte
-          if (window.__doorIsOpen === true || doorHasBeenOpenedOnce.current) {
-            logger.log("La porte est déjà ouverte, le clic est ignoré");
-            return;
-          }
-          
-          // Si ce n'est pas un déclenchement automatique, marquer la porte comme ouverte
-          if (!window.__automaticDoorOpening && !window.__doorThresholdTriggered) {
-            window.__doorIsOpen = true;
-            doorHasBeenOpenedOnce.current = true;
-            doorIsOpenRef.current = true;
-            console.log("FLAG PORTE OUVERTE ACTIVÉ (clic manuel)");
-            logger.log("Clic manuel sur la porte portfolio");
-          }
-          
-          return;
-        }
-      } else {
-        // Cas standard pour les autres vues
         if (splineSceneRef.current) {
           splineSceneRef.current.handleButtonClick();
         }
-        animateCameraToView(viewConfig.viewName, viewConfig.buttonId, true);
+        animateCameraToView(interaction.viewName, interaction.buttonId, true);
+
+        // Afficher l'overlay associé après l'animation
+        if (interaction.showOverlay) {
+          openOverlayAfterView(interaction.viewName);
+        }
+        break;
+
+      case INTERACTION_TYPES.CUSTOM: {
+        const handler = customHandlers[interaction.handler];
+        if (handler) {
+          handler(objectName, splineApp, resolvedObjectId);
+        } else {
+          logger.warn(`Handler d'interaction inconnu: ${interaction.handler}`);
+        }
+        break;
       }
+
+      default:
+        logger.warn(`Type d'interaction inconnu: ${interaction.type}`);
+    }
+  }, [
+    handlePrestaButtonClick, 
+    handlePortfolioClick, 
+    handlePortfolioDoorClick, 
+    openContactOverlay, 
+    openOverlayAfterView,
+    animateCameraToView, 
+    handOverTour,
+    findDoorForObject,
+    goThroughDoor,
+    showMobileGuide, 
+    navigate
+  ]);
+
+  /**
+   * Affiche la cible d'un lien profond (vue ou tiroir de prestation)
+   * @param {Object} target - Cible { view, drawerId } issue de l'URL
+   */
+  const applyExperienceTarget = useCallback(({ view, drawerId }) => {
+    if (drawerId) {
+      // Le tiroir s'ouvre une fois la caméra arrivée sur la vue prestations
+      handleToolbarNavigation(view);
+      setTimeout(() => {
+        if (machine.getContext().view === view && splineSceneRef.current) {
+          handlePrestaButtonClick(drawerId, splineSceneRef.current.getSplineInstance());
+        }
+      }, isMobile ? 1500 : 2000);
+      return;
+    }
+    
+    if (view) {
+      handleToolbarNavigation(view);
+      return;
+    }
+    
+    // Retour à la navigation libre (bouton précédent du navigateur)
+    if (!machine.isWalking()) {
+      handleReturnToLastPosition();
     }
-  }, [handlePrestaButtonClick, animateCameraToView, isMobile, showMobileGuide, navigate]);
+  }, [handleToolbarNavigation, handlePrestaButtonClick, handleReturnToLastPosition, machine, isMobile]);
+
+  // Synchroniser l'URL avec la vue de caméra
+  useExperienceDeepLink({
+    machine,
+    isReady: isSceneReady && !isSplineLoading,
+    onApplyTarget: applyExperienceTarget,
+    suspended: guidedTour.isActive
+  });
 
   /**
-   * Modifie le niveau de qualité
+   * Active un objet de la scène depuis l'interface accessible
+   * Passe par le même traitement qu'un clic dans la scène
    */
-  const handleQualityChange = useCallback((level) => {
-    setQualityLevel(level);
+  const handleSceneObjectActivate = useCallback((objectId) => {
+    splineSceneRef.current?.activateObject(objectId);
   }, []);
-  
+
+  // Navigation clavier : déplacements, parcours des objets et retour
+  const {
+    containerRef: keyboardContainerRef,
+    focusedInteraction,
+    clearFocus: clearKeyboardFocus
+  } = useKeyboardNavigation({
+    splineSceneRef,
+    machine,
+    onEscape: handleReturnToLastPosition,
+    enabled: isSceneReady && !guidedTour.isActive
+  });
+
+  // Préparation des pages projet à l'approche ou au survol de leur bouton
+  const { handleObjectHover } = useRoutePrefetch({
+    splineSceneRef,
+    enabled: isSceneReady && !isSplineLoading
+  });
+
+  // Le focus clavier sur un bouton projet compte comme un survol
+  useEffect(() => {
+    handleObjectHover(focusedInteraction?.buttonId || null);
+  }, [focusedInteraction, handleObjectHover]);
+
   // Effet pour cacher le guide mobile après un délai
   useEffect(() => {
     if (isMobile && showMobileGuide) {
@@ -1000,13 +995,13 @@ export default function CabinInterior() {
   
   // Si l'appareil est trop peu puissant, afficher l'expérience allégée
   const preferFullExperience = localStorage.getItem('preferFullExperience') === 'true';
-  if (isLowPerformance && !preferFullExperience) {
+  if ((isLowPerformance && !preferFullExperience) || isLiteFallback) {
     return (
       <LiteExperience 
         onNavigate={handleToolbarNavigation}
         onEnterFullExperience={() => {
           // Définir un niveau de qualité bas et forcer l'expérience complète
-          setQualityLevel('low');
+          startQualityFrom('low');
           
           try {
             localStorage.setItem('preferFullExperience', 'true');
@@ -1026,29 +1021,85 @@ export default function CabinInterior() {
   
   return (
     <div 
+      ref={keyboardContainerRef}
+      tabIndex={0}
+      role="application"
+      aria-label={t('scene.label')}
       style={{ position: 'relative', width: '100%', height: '100vh' }}
       onWheel={isMobile || isTablet ? null : handleWheel}
       onMouseMove={isMobile || isTablet ? null : handleMouseMove}
+      onBlur={clearKeyboardFocus}
           >
-      <SplineScene
-        ref={splineSceneRef}
-        scenePath="https://prod.spline.design/caI3XJc8z6B-FFGA/scene.splinecode"
-        onObjectClick={handleObjectClick}
-        qualityLevel={qualityLevel}
-        // Ajouter une prop pour indiquer que nous utilisons des contrôles tactiles personnalisés
-        useCustomTouchControls={isMobile || isTablet}
-      />
+      {/* Pièces montées une fois le fichier de la scène de départ téléchargé : la pièce courante
+          et, pendant un passage de porte, la suivante en fondu */}
+      {sceneLoader.sceneUrl && roomNavigation.scenes.map((scene, index) => (
+        <div
+          key={scene.key}
+          style={{
+            position: 'absolute',
+            inset: 0,
+            opacity: scene.visible ? 1 : 0,
+            transition: `opacity ${roomNavigation.crossfadeDuration}ms ease-in-out`,
+            pointerEvents: index === roomNavigation.scenes.length - 1 ? 'auto' : 'none'
+          }}
+        >
+          <SplineScene
+            // La référence suit la dernière pièce montée, qui reçoit les commandes
+            ref={index === roomNavigation.scenes.length - 1 ? splineSceneRef : undefined}
+            scenePath={getLoadedSceneUrl(scene.room.sceneId) || getSceneUrl(scene.room.sceneId)}
+            sceneConfig={scene.room.sceneConfig}
+            entry={scene.entry || (introHandoff ? INTRO_HANDOFF_ENTRY : null)}
+            onObjectClick={handleObjectClick}
+            onObjectHover={isMobile || isTablet ? undefined : handleObjectHover}
+            onLoad={() => {
+              roomNavigation.handleSceneLoad(scene.key);
+              sceneLoader.markReady();
+              setIsSceneReady(true);
+              // Première image dessinée avec la caméra en place
+              requestAnimationFrame(() => requestAnimationFrame(() => setHasFirstFrame(true)));
+            }}
+            qualityLevel={quality.qualityLevel}
+            pixelRatio={quality.pixelRatio}
+            // Ajouter une prop pour indiquer que nous utilisons des contrôles tactiles personnalisés
+            useCustomTouchControls={isMobile || isTablet}
+            touchSensitivity={touchSensitivity}
+          />
+        </div>
+      ))}
+      
+      {/* Miroir accessible des objets de la scène */}
+      {isSceneReady && (
+        <SceneAccessibilityLayer onActivate={handleSceneObjectActivate} />
+      )}
       
-      {/* Navigation adaptative */}
-      {isMobile || isTablet ? (
+      {/* Navigation adaptative, remplacée par les commandes de la visite guidée */}
+      {guidedTour.isActive ? (
+        <GuidedTourOverlay
+          captionKey={guidedTour.currentStop?.captionKey}
+          stopIndex={guidedTour.stopIndex}
+          stopCount={guidedTour.stopCount}
+          isPaused={guidedTour.isPaused}
+          onPause={guidedTour.pause}
+          onResume={guidedTour.resume}
+          onSkip={guidedTour.skip}
+          onStop={guidedTour.stop}
+          isMobile={isMobile}
+        />
+      ) : isMobile || isTablet ? (
         <MobileNavigationToolbar 
           onNavigate={handleToolbarNavigation} 
+          onStartTour={guidedTour.start}
           activeButtonId={activeButtonId}
+          qualityPreference={quality.preference}
+          onQualityChange={quality.setPreference}
         />
       ) : (
         <NavigationToolbar 
           onNavigate={handleToolbarNavigation}
+          onStartTour={guidedTour.start}
           isCameraControlsDisabled={!splineSceneRef.current?.isControlsEnabled}
+          qualityPreference={quality.preference}
+          onQualityChange={quality.setPreference}
         />
       )}
       
@@ -1060,6 +1111,9 @@ export default function CabinInterior() {
         />
       )}
       
+      {/* Objet sélectionné au clavier */}
+      <KeyboardFocusLabel label={focusedInteraction ? t(focusedInteraction.labelKey) : null} />
+      
       {/* Overlays */}
       {showAboutOverlay && (
         <AboutOverlay 
@@ -1068,10 +1122,10 @@ export default function CabinInterior() {
         />
       )}
       
-      {showPrestationOverlay && (
+      {showPrestationOverlay && prestationSlug && (
         <PrestationOverlay 
-          title={prestationTitle}
-          content={prestationContent}
+          title={getPrestationContent(prestationSlug, locale)?.title || ''}
+          content={<PrestationContent slug={prestationSlug} onContact={openContactOverlay} />}
           onClose={handleClosePrestationOverlay}
           isMobile={isMobile}
         />
@@ -1085,20 +1139,17 @@ export default function CabinInterior() {
       )}
         
       {/* Guide de swipe sur mobile */}
-      {(isMobile || isTablet) && showMobileGuide && (
+      {(isMobile || isTablet) && showMobileGuide && !guidedTour.isActive && (
         <div className="mobile-guide">
           <div className="mobile-guide-content">
-            <p>Glissez horizontalement pour regarder autour de vous</p>
-            <p>Utilisez les flèches pour vous déplacer</p>
+            <p>{t('cabin.mobileGuideLook')}</p>
+            <p>{t('cabin.mobileGuideMove')}</p>
           </div>
         </div>
       )}
       
       {/* Contrôles de mouvement sur mobile - masqués quand un overlay est affiché */}
-      {(isMobile || isTablet) && 
-        !showAboutOverlay && 
-        !showPrestationOverlay && 
-        !showContactOverlay && (
+      {(isMobile || isTablet) && !isOverlayOpen && (
           <MobileControls
             onMoveForward={handleMoveForward}
             onMoveBackward={handleMoveBackward}
@@ -1107,62 +1158,49 @@ export default function CabinInterior() {
       }
         
       
-      {/* Écran de chargement personnalisé */}
-      {isSplineLoading && (
-        <div style={{
-          position: 'fixed',
-          top: 0,
-          left: 0,
-          width: '100%',
-          height: '100%',
-          backgroundImage: `url('./images/scene-preview.png')`,
-          backgroundSize: 'cover',
-          backgroundPosition: 'center',
-          display: 'flex',
-          flexDirection: 'column',
-          justifyContent: 'center',
-          alignItems: 'center',
-          zIndex: 1500 // Au-dessus de tout sauf des overlays
-        }}>
-          <div style={{
-            position: 'absolute',
-            bottom: '50px',
-            width: '300px',
-            textAlign: 'center'
-          }}>
-            <p style={{
-              color: 'white',
-              fontSize: '16px',
-              marginBottom: '15px',
-              textShadow: '0 1px 3px rgba(0,0,0,0.7)'
-            }}>
-              Chargement de la scène 3D...
-            </p>
-            <div style={{
-              width: '100%',
-              height: '4px',
-              backgroundColor: 'rgba(255,255,255,0.3)',
-              borderRadius: '2px',
-              overflow: 'hidden'
-            }}>
-              <div style={{
-                height: '100%',
-                width: '30%',
-                backgroundColor: '#2A9D8F',
-                borderRadius: '2px',
-                animation: 'loading-progress 1.5s infinite ease-in-out'
-              }}/>
-            </div>
-          </div>
-          <style>{`
-            @keyframes loading-progress {
-              0% { width: 0%; margin-left: 0; }
-              50% { width: 70%; margin-left: 0; }
-              100% { width: 30%; margin-left: 70%; }
-            }
-          `}</style>
-        </div>
+      {/* Vidéo d'entrée, fondue dans la scène à sa dernière image */}
+      {introHandoff && (
+        <VideoTransition
+          videoSrc={introHandoff.videoSrc}
+          onComplete={endIntroHandoff}
+          isTargetReady={hasFirstFrame}
+        />
+      )}
+      
+      {/* Écran de chargement : progression réelle de la scène, reprise en cas d'erreur */}
+      {!isLoaderHidden && !introHandoff && (
+        <LoadingScreen
+          message={t('common.loadingScene')}
+          overrideProgress={sceneLoader.progress ?? 0}
+          loaderType={sceneLoader.progress === null ? 'spinner' : 'bar'}
+          minDuration={300}
+          backgroundImage="/images/scene-preview.png"
+          stageLabel={
+            sceneLoader.stage === SCENE_LOAD_STAGES.DOWNLOADING ? t('sceneLoader.downloading')
+              : sceneLoader.stage === SCENE_LOAD_STAGES.INITIALIZING ? t('sceneLoader.initializing')
+                : null
+          }
+          error={
+            sceneLoader.error === SCENE_LOAD_ERRORS.TIMEOUT ? t('sceneLoader.timeoutError')
+              : sceneLoader.error ? t('sceneLoader.downloadError')
+                : null
+          }
+          onRetry={sceneLoader.canRetry ? sceneLoader.retry : null}
+          onFallback={() => setIsLiteFallback(true)}
+          onHidden={hideLoader}
+        />
       )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Intérieur du chalet entouré de sa machine à états
+ */
+export default function CabinInterior() {
+  return (
+    <CabinStateProvider>
+      <CabinInteriorContent />
+    </CabinStateProvider>
+  );
+}
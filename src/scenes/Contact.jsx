@@ -1,40 +1,15 @@
-import React, { useState } from 'react';
+/**
+ * Page de contact autonome
+ * Utilise le formulaire de contact partagé avec l'overlay
+ */
+import React from 'react';
 import { useNavigate } from 'react-router-dom';
+import ContactForm from '../components/common/ContactForm';
+import useTranslation from '../hooks/useTranslation';
 
 export default function Contact() {
   const navigate = useNavigate();
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    subject: '',
-    message: ''
-  });
-  const [submitStatus, setSubmitStatus] = useState(null);
-
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prevData => ({
-      ...prevData,
-      [name]: value
-    }));
-  };
-
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    console.log("Données du formulaire soumises:", formData);
-    
-    // Simuler l'envoi d'un message (à remplacer par votre logique d'envoi réelle)
-    setTimeout(() => {
-      setSubmitStatus('success');
-      // Réinitialiser le formulaire après succès
-      setFormData({
-        name: '',
-        email: '',
-        subject: '',
-        message: ''
-      });
-    }, 1000);
-  };
+  const { t } = useTranslation();
 
   return (
     <div style={{
@@ -68,7 +43,7 @@ export default function Contact() {
             boxShadow: '0 2px 5px rgba(0,0,0,0.2)'
           }}
         >
-          <span>←</span> Retour
+          <span>←</span> {t('common.back')}
         </button>
       </div>
 
@@ -81,7 +56,7 @@ export default function Contact() {
         color: 'transparent',
         textAlign: 'center'
       }}>
-        Contactez-nous
+        {t('contact.pageTitle')}
       </h1>
 
       <div style={{
@@ -93,181 +68,7 @@ export default function Contact() {
         boxShadow: '0 4px 15px rgba(0, 0, 0, 0.3)',
         border: '1px solid rgba(59, 130, 246, 0.3)'
       }}>
-        {submitStatus === 'success' ? (
-          <div style={{
-            backgroundColor: 'rgba(16, 185, 129, 0.2)',
-            border: '1px solid rgba(16, 185, 129, 0.5)',
-            borderRadius: '5px',
-            padding: '20px',
-            textAlign: 'center',
-            marginBottom: '20px'
-          }}>
-            <p style={{ fontSize: '1.1rem', color: '#10b981' }}>
-              Votre message a été envoyé avec succès ! Nous vous répondrons dans les plus brefs délais.
-            </p>
-            <button
-              onClick={() => setSubmitStatus(null)}
-              style={{
-                backgroundColor: 'rgba(59, 130, 246, 0.7)',
-                color: 'white',
-                border: 'none',
-                borderRadius: '4px',
-                padding: '8px 15px',
-                marginTop: '15px',
-                cursor: 'pointer'
-              }}
-            >
-              Envoyer un autre message
-            </button>
-          </div>
-        ) : (
-          <form onSubmit={handleSubmit} style={{ width: '100%' }}>
-            <div style={{ marginBottom: '20px' }}>
-              <label 
-                htmlFor="name"
-                style={{ 
-                  display: 'block', 
-                  marginBottom: '8px',
-                  fontSize: '0.9rem',
-                  color: 'rgba(255, 255, 255, 0.7)'
-                }}
-              >
-                Nom complet
-              </label>
-              <input
-                type="text"
-                id="name"
-                name="name"
-                value={formData.name}
-                onChange={handleChange}
-                required
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  backgroundColor: 'rgba(15, 23, 42, 0.7)',
-                  border: '1px solid rgba(59, 130, 246, 0.3)',
-                  borderRadius: '5px',
-                  color: 'white',
-                  fontSize: '1rem'
-                }}
-              />
-            </div>
-
-            <div style={{ marginBottom: '20px' }}>
-              <label 
-                htmlFor="email"
-                style={{ 
-                  display: 'block', 
-                  marginBottom: '8px',
-                  fontSize: '0.9rem',
-                  color: 'rgba(255, 255, 255, 0.7)'
-                }}
-              >
-                Email
-              </label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                required
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  backgroundColor: 'rgba(15, 23, 42, 0.7)',
-                  border: '1px solid rgba(59, 130, 246, 0.3)',
-                  borderRadius: '5px',
-                  color: 'white',
-                  fontSize: '1rem'
-                }}
-              />
-            </div>
-
-            <div style={{ marginBottom: '20px' }}>
-              <label 
-                htmlFor="subject"
-                style={{ 
-                  display: 'block', 
-                  marginBottom: '8px',
-                  fontSize: '0.9rem',
-                  color: 'rgba(255, 255, 255, 0.7)'
-                }}
-              >
-                Sujet
-              </label>
-              <input
-                type="text"
-                id="subject"
-                name="subject"
-                value={formData.subject}
-                onChange={handleChange}
-                required
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  backgroundColor: 'rgba(15, 23, 42, 0.7)',
-                  border: '1px solid rgba(59, 130, 246, 0.3)',
-                  borderRadius: '5px',
-                  color: 'white',
-                  fontSize: '1rem'
-                }}
-              />
-            </div>
-
-            <div style={{ marginBottom: '30px' }}>
-              <label 
-                htmlFor="message"
-                style={{ 
-                  display: 'block', 
-                  marginBottom: '8px',
-                  fontSize: '0.9rem',
-                  color: 'rgba(255, 255, 255, 0.7)'
-                }}
-              >
-                Message
-              </label>
-              <textarea
-                id="message"
-                name="message"
-                value={formData.message}
-                onChange={handleChange}
-                required
-                rows={6}
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  backgroundColor: 'rgba(15, 23, 42, 0.7)',
-                  border: '1px solid rgba(59, 130, 246, 0.3)',
-                  borderRadius: '5px',
-                  color: 'white',
-                  fontSize: '1rem',
-                  resize: 'vertical'
-                }}
-              />
-            </div>
-
-            <button
-              type="submit"
-              style={{
-                width: '100%',
-                padding: '12px',
-                backgroundColor: 'rgba(59, 130, 246, 0.8)',
-                border: 'none',
-                borderRadius: '5px',
-                color: 'white',
-                fontSize: '1rem',
-                fontWeight: '500',
-                cursor: 'pointer',
-                transition: 'background-color 0.2s'
-              }}
-              onMouseOver={(e) => e.currentTarget.style.backgroundColor = 'rgba(37, 99, 235, 0.9)'}
-              onMouseOut={(e) => e.currentTarget.style.backgroundColor = 'rgba(59, 130, 246, 0.8)'}
-            >
-              Envoyer le message
-            </button>
-          </form>
-        )}
+        <ContactForm variant="dark" />
       </div>
 
       <div style={{
@@ -283,7 +84,7 @@ export default function Contact() {
           marginBottom: '15px',
           color: 'rgba(59, 130, 246, 0.9)'
         }}>
-          Informations de contact
+          {t('contact.infoTitle')}
         </h2>
         
         <div style={{
@@ -303,7 +104,7 @@ export default function Contact() {
             alignItems: 'center'
           }}>
             <div style={{ fontSize: '24px', marginBottom: '10px' }}>📱</div>
-            <h3 style={{ margin: '0 0 5px 0', textAlign: 'center' }}>Téléphone</h3>
+            <h3 style={{ margin: '0 0 5px 0', textAlign: 'center' }}>{t('contact.phone')}</h3>
             <p style={{ margin: 0, color: 'rgba(255, 255, 255, 0.7)', textAlign: 'center' }}>
               +33 1 23 45 67 89
             </p>
@@ -319,7 +120,7 @@ export default function Contact() {
             alignItems: 'center'
           }}>
             <div style={{ fontSize: '24px', marginBottom: '10px' }}>✉️</div>
-            <h3 style={{ margin: '0 0 5px 0', textAlign: 'center' }}>Email</h3>
+            <h3 style={{ margin: '0 0 5px 0', textAlign: 'center' }}>{t('contact.email')}</h3>
             <p style={{ margin: 0, color: 'rgba(255, 255, 255, 0.7)', textAlign: 'center' }}>
               contact@votre-domaine.com
             </p>
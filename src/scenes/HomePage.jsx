@@ -1,148 +1,114 @@
 /**
- * Page d'accueil avec transitions fluides et préchargement optimisé
+ * Page d'accueil avec préchargement optimisé
+ * Introduction de l'expérience : au clic sur « Entrer », l'accueil s'efface et le
+ * visiteur rejoint le chalet, où la vidéo d'entrée se fond dans la scène 3D
+ * (voir CabinInterior). Le téléchargement du chalet commence dès le clic ; la
+ * vidéo est omise si elle n'a pas été chargée (connexion limitée), et un visiteur
+ * déjà venu (clé experienceStarted) peut entrer directement
  */
-import React, { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
 import useDeviceDetection from '../hooks/useDeviceDetection';
-import WelcomeOverlay from '../components/overlays/WelcomeOverlay';
+import useResourcePreload from '../hooks/useResourcePreload';
+import useTranslation from '../hooks/useTranslation';
+import { ENTRANCE_VIDEO } from '../constants/resources';
+import { SCENE_IDS } from '../services/sceneAssets';
+import SplinePreloader from '../components/3d/SplinePreloader';
 import UnifiedOrientationOverlay from '../components/mobile/UnifiedOrientationOverlay';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Visiteur ayant déjà atteint le chalet
+const EXPERIENCE_STARTED_KEY = 'experienceStarted';
+
+// Durée du fondu de sortie de l'accueil (ms)
+const EXIT_DURATION = 600;
+
+/**
+ * Indique si le visiteur est déjà entré dans le chalet lors d'une visite précédente
+ * @returns {Boolean}
+ */
+const hasStartedBefore = () => {
+  try {
+    return localStorage.getItem(EXPERIENCE_STARTED_KEY) === 'true';
+  } catch (error) {
+    logger.warn("Lecture de l'état de visite impossible:", error);
+    return false;
+  }
+};
 
 /**
- * Composant de page d'accueil avec transitions fluides optimisées
+ * Composant de page d'accueil
  */
 const HomePage = ({ 
   backgroundImage = './images/home-background.png',
   videoSrc = './videos/ENTRANCE_TM.mp4',
   previewBackgroundImage = './images/scene-preview.png'
 }) => {
+  const { t } = useTranslation();
   const navigate = useNavigate();
+  const [isExiting, setIsExiting] = useState(false);
+  const [isReturningVisitor] = useState(hasStartedBefore);
+  const exitTimerRef = useRef(null);
+  const hasLeftRef = useRef(false);
   const { isMobile, isTablet, isLandscape } = useDeviceDetection();
   const [textVisible, setTextVisible] = useState(false);
   const [buttonVisible, setButtonVisible] = useState(false);
   const [pageVisible, setPageVisible] = useState(false);
-  const [isPreloading, setIsPreloading] = useState(true);
-  const [preloadProgress, setPreloadProgress] = useState(0);
-  
-  // États pour la gestion des transitions
-  const [transitionPhase, setTransitionPhase] = useState('home'); // 'home', 'video', 'preview', 'experience'
-  const [homeExiting, setHomeExiting] = useState(false);
-  const [videoPlaying, setVideoPlaying] = useState(false);
-  const [showWelcomeOverlay, setShowWelcomeOverlay] = useState(false);
-  const [splineLoaded, setSplineLoaded] = useState(false);
+
+  // Ressources de la page, chargées en priorité par le gestionnaire partagé ;
+  // la vidéo d'entrée est ignorée en mode économie de données ou sur connexion lente,
+  // l'aperçu sert de fond à l'écran de chargement du chalet
+  const pageResources = useMemo(() => [
+    { type: 'image', src: backgroundImage },
+    { ...ENTRANCE_VIDEO, src: videoSrc },
+    { type: 'image', src: previewBackgroundImage }
+  ], [backgroundImage, videoSrc, previewBackgroundImage]);
+  const {
+    progress: preloadProgress,
+    isComplete: isPreloadComplete,
+    skipped: skippedResources
+  } = useResourcePreload(pageResources);
+  const isPreloading = !isPreloadComplete;
+  const skipVideo = skippedResources.includes(videoSrc);
   
   // État pour l'orientation (nouveau)
   const [showOrientationOverlay, setShowOrientationOverlay] = useState(
     (isMobile || isTablet) && !isLandscape
   );
   
-  // Références pour les éléments DOM
-  const videoRef = useRef(null);
-  const homeContainerRef = useRef(null);
-  
-  // Gestionnaire pour le clic sur le bouton d'entrée
-  const handleEnterClick = () => {
-    if (videoRef.current) {
-      // Commencer à animer la sortie de la page d'accueil
-      setHomeExiting(true);
-      
-      // IMPORTANT: Préparer la vidéo avant de débuter l'animation d'opacité
-      if (videoRef.current.readyState >= 3) {
-        // La vidéo est déjà prête, on peut la jouer immédiatement
-        // mais on attend d'abord que l'animation de sortie de home commence
-        videoRef.current.currentTime = 0; // S'assurer de commencer du début
-        
-        setTimeout(() => {
-          setTransitionPhase('video');
-          // Rendre la vidéo visible avant de la jouer pour éviter le flash
-          setVideoPlaying(true);
-          
-          // Laisser un court délai pour que l'opacité change
-          setTimeout(() => {
-            try {
-              const playPromise = videoRef.current.play();
-              if (playPromise !== undefined) {
-                playPromise.catch(err => {
-                  console.error('Autoplay prevented:', err);
-                  // En cas d'échec, passer directement à la phase d'aperçu
-                  handleVideoEnd();
-                });
-              }
-            } catch (err) {
-              console.error('Error playing video:', err);
-              // En cas d'erreur, passer à la phase d'aperçu
-              handleVideoEnd();
-            }
-          }, 50);
-        }, 200);
-      } else {
-        // La vidéo n'est pas encore prête, attendre qu'elle le soit
-        const checkReadyState = () => {
-          if (videoRef.current.readyState >= 3) {
-            setTransitionPhase('video');
-            setVideoPlaying(true);
-            
-            setTimeout(() => {
-              try {
-                videoRef.current.play();
-              } catch (err) {
-                console.error('Error playing video:', err);
-                handleVideoEnd();
-              }
-            }, 50);
-          } else {
-            // Vérifier à nouveau après un court délai
-            setTimeout(checkReadyState, 100);
-          }
-        };
-        
-        setTimeout(checkReadyState, 300);
-      }
-    } else {
-      // Fallback si la vidéo n'est pas disponible
-      handleVideoEnd();
-    }
-  };
+  useEffect(() => () => clearTimeout(exitTimerRef.current), []);
 
-  // Gestionnaire pour la fin de la vidéo de transition
-  const handleVideoEnd = () => {
-    // Commencer à afficher l'aperçu avec un fondu enchaîné
-    setTransitionPhase('preview');
-    
-    // Afficher le WelcomeOverlay après un court délai
-    setTimeout(() => {
-      setShowWelcomeOverlay(true);
-    }, 300);
-    
-    // Simuler le préchargement de Spline (à remplacer par la vraie logique)
-    if (!splineLoaded) {
-      // Simuler un chargement en arrière-plan
-      const fakeLoading = setTimeout(() => {
-        setSplineLoaded(true);
-      }, 3000);
-      
-      return () => clearTimeout(fakeLoading);
+  /**
+   * Entrée dans le chalet, une seule fois
+   * @param {Object|null} introHandoff - Vidéo à fondre dans la scène { videoSrc }, null sans vidéo
+   */
+  const enterExperience = useCallback((introHandoff) => {
+    if (hasLeftRef.current) return;
+    hasLeftRef.current = true;
+
+    try {
+      localStorage.setItem(EXPERIENCE_STARTED_KEY, 'true');
+    } catch (error) {
+      logger.warn("Enregistrement de l'état de visite impossible:", error);
     }
-  };
-  
-  // Gestionnaire pour la fermeture du WelcomeOverlay
-  const handleWelcomeClose = () => {
-    setShowWelcomeOverlay(false);
-    
-    // Petit délai avant de naviguer pour laisser le temps à l'overlay de disparaître
-    setTimeout(() => {
-      setTransitionPhase('experience');
-      navigate('/experience');
-      
-      // Sauvegarder l'état dans localStorage
-      try {
-        localStorage.setItem('experienceStarted', 'true');
-      } catch (err) {
-        console.error('Erreur lors de l\'enregistrement de l\'état:', err);
-      }
-    }, 300);
+
+    navigate('/experience', introHandoff ? { state: { introHandoff } } : undefined);
+  }, [navigate]);
+
+  // Clic sur « Entrer » : fondu de l'accueil, puis le chalet avec la vidéo d'entrée
+  const handleEnterClick = () => {
+    setIsExiting(true);
+    exitTimerRef.current = setTimeout(() => {
+      enterExperience(skipVideo ? null : { videoSrc });
+    }, EXIT_DURATION);
   };
 
+  // Visiteur déjà venu : accès direct, sans vidéo
+  const handleSkipIntro = () => enterExperience(null);
+
   // Gestionnaire pour fermer l'overlay d'orientation
   const handleOrientationClose = () => {
     setShowOrientationOverlay(false);
@@ -155,7 +121,7 @@ const HomePage = ({
     }
   };
 
-  // Effet pour l'animation d'entrée et le préchargement
+  // Effet pour l'animation d'entrée
   useEffect(() => {
     // Animation d'entrée
     const pageTimer = setTimeout(() => {
@@ -170,85 +136,6 @@ const HomePage = ({
       setButtonVisible(true);
     }, 2500);
     
-    // Précharger les ressources
-    const preloadResources = async () => {
-      try {
-        // Liste des ressources à précharger
-        const resourcesToPreload = [
-          backgroundImage,
-          videoSrc,
-          previewBackgroundImage
-        ];
-        
-        let loaded = 0;
-        
-        for (const resource of resourcesToPreload) {
-          await new Promise((resolve) => {
-            if (resource.endsWith('.mp4') || resource.endsWith('.webm')) {
-              // Utiliser directement la référence vidéo
-              if (!videoRef.current) {
-                videoRef.current = document.createElement('video');
-                videoRef.current.muted = true;
-                videoRef.current.playsInline = true;
-                videoRef.current.preload = 'auto';
-                videoRef.current.src = resource;
-              }
-              
-              const handleLoaded = () => {
-                loaded++;
-                setPreloadProgress(Math.floor((loaded / resourcesToPreload.length) * 100));
-                videoRef.current.removeEventListener('loadeddata', handleLoaded);
-                resolve();
-              };
-              
-              const handleError = () => {
-                loaded++;
-                setPreloadProgress(Math.floor((loaded / resourcesToPreload.length) * 100));
-                console.error(`Erreur lors du préchargement de ${resource}`);
-                videoRef.current.removeEventListener('error', handleError);
-                resolve();
-              };
-              
-              // Si la vidéo est déjà chargée
-              if (videoRef.current.readyState >= 3) {
-                loaded++;
-                setPreloadProgress(Math.floor((loaded / resourcesToPreload.length) * 100));
-                resolve();
-                return;
-              }
-              
-              videoRef.current.addEventListener('loadeddata', handleLoaded);
-              videoRef.current.addEventListener('error', handleError);
-            } else {
-              // Préchargement d'image
-              const img = new Image();
-              img.src = resource;
-              img.onload = () => {
-                loaded++;
-                setPreloadProgress(Math.floor((loaded / resourcesToPreload.length) * 100));
-                resolve();
-              };
-              img.onerror = () => {
-                loaded++;
-                setPreloadProgress(Math.floor((loaded / resourcesToPreload.length) * 100));
-                console.error(`Erreur lors du préchargement de ${resource}`);
-                resolve();
-              };
-            }
-          });
-        }
-        
-        // Préchargement terminé
-        setIsPreloading(false);
-      } catch (error) {
-        console.error('Erreur lors du préchargement:', error);
-        setIsPreloading(false);
-      }
-    };
-    
-    // Lancer le préchargement
-    preloadResources();
-    
     // Vérifier si l'invite d'orientation a déjà été rejetée
     const orientationDismissed = localStorage.getItem('orientationPromptDismissed') === 'true';
     if (orientationDismissed) {
@@ -261,7 +148,7 @@ const HomePage = ({
       clearTimeout(textTimer);
       clearTimeout(buttonTimer);
     };
-  }, [backgroundImage, videoSrc, previewBackgroundImage]);
+  }, []);
 
   // Styles pour l'interface
   const styles = {
@@ -279,9 +166,9 @@ const HomePage = ({
       overflow: 'hidden',
       zIndex: 1000,
       opacity: pageVisible ? 1 : 0,
-      transition: homeExiting ? 'opacity 0.6s ease-out' : 'opacity 1.2s ease-in',
-      ...(homeExiting && { opacity: 0 }),
-      pointerEvents: homeExiting ? 'none' : 'auto'
+      transition: isExiting ? 'opacity 0.6s ease-out' : 'opacity 1.2s ease-in',
+      ...(isExiting && { opacity: 0 }),
+      pointerEvents: isExiting ? 'none' : 'auto'
     },
     background: {
       position: 'absolute',
@@ -377,40 +264,16 @@ const HomePage = ({
       color: 'rgba(255, 255, 255, 0.7)',
       fontSize: '12px'
     },
-    videoContainer: {
-      position: 'fixed',
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: '100%',
-      zIndex: 2000, // Toujours au-dessus de la page d'accueil
-      opacity: videoPlaying ? 1 : 0,
-      transition: 'opacity 0.5s ease-in',
-      backgroundColor: '#000',
-      pointerEvents: transitionPhase === 'video' ? 'auto' : 'none'
-    },
-    video: {
-      width: '100%',
-      height: '100%',
-      objectFit: 'cover'
-    },
-    previewContainer: {
-      position: 'fixed',
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: '100%',
-      zIndex: 3000, // Au-dessus de tout
-      opacity: transitionPhase === 'preview' ? 1 : 0,
-      transition: 'opacity 0.8s ease-in',
-      backgroundColor: '#000',
-      pointerEvents: transitionPhase === 'preview' ? 'auto' : 'none'
-    },
-    previewBackground: {
-      width: '100%',
-      height: '100%',
-      objectFit: 'cover',
-      opacity: 0.7 // Légère opacité pour que le WelcomeOverlay soit plus lisible
+    skipIntroButton: {
+      background: 'transparent',
+      color: 'rgba(255, 255, 255, 0.85)',
+      border: 'none',
+      marginTop: '15px',
+      fontSize: '14px',
+      cursor: 'pointer',
+      textDecoration: 'underline',
+      opacity: buttonVisible ? 1 : 0,
+      transition: 'opacity 0.8s ease-out'
     }
   };
   
@@ -432,11 +295,11 @@ const HomePage = ({
       <style>{keyframes}</style>
       
       {/* Page d'accueil */}
-      <div ref={homeContainerRef} style={styles.container}>
+      <div style={styles.container}>
         {/* Image d'arrière-plan */}
         <img 
           src={backgroundImage} 
-          alt="Fond" 
+          alt={t('intro.backgroundAlt')} 
           style={{
             ...styles.background,
             transform: pageVisible ? 'scale(1)' : 'scale(1.05)',
@@ -452,8 +315,7 @@ const HomePage = ({
         <div style={styles.contentBox}>
           <h1 style={styles.title}>STUDIO TI MORNE</h1>
           <p style={styles.subtitle}>
-            Bienvenue dans notre univers créatif où l'innovation digitale rencontre l'expérience immersive. 
-            Un lieu unique où technologie et imagination fusionnent pour créer des expériences mémorables.
+            {t('intro.welcome')}
           </p>
           <button 
             style={styles.button}
@@ -462,8 +324,20 @@ const HomePage = ({
             onMouseOut={(e) => e.currentTarget.style.backgroundColor = '#2A9D8F'}
             disabled={isPreloading}
           >
-            Entrer
+            {t('intro.enter')}
           </button>
+
+          {/* Visiteur déjà venu : accès direct au chalet, sans vidéo */}
+          {isReturningVisitor && (
+            <button
+              type="button"
+              style={styles.skipIntroButton}
+              onClick={handleSkipIntro}
+              disabled={isPreloading}
+            >
+              {t('intro.skipIntro')}
+            </button>
+          )}
         </div>
         
         {/* Indicateur de préchargement */}
@@ -476,48 +350,15 @@ const HomePage = ({
               }}></div>
             </div>
             <div style={styles.progressText}>
-              Chargement {preloadProgress}%
+              {t('intro.preloading', { progress: preloadProgress })}
             </div>
           </div>
         )}
       </div>
       
-      {/* Conteneur vidéo - Toujours présent mais avec opacité 0 quand inactif */}
-      <div style={styles.videoContainer}>
-        <video 
-          ref={videoRef}
-          src={videoSrc}
-          preload="auto"
-          muted
-          playsInline
-          style={styles.video}
-          onEnded={handleVideoEnd}
-        />
-      </div>
+      {/* Téléchargement du chalet dès le départ de l'accueil, repris par la page du chalet */}
+      {isExiting && <SplinePreloader sceneId={SCENE_IDS.CABIN} />}
       
-      {/* Conteneur de prévisualisation avec WelcomeOverlay - Toujours présent mais avec opacité 0 quand inactif */}
-      <div style={styles.previewContainer}>
-        {/* Image de prévisualisation */}
-        <img
-          src={previewBackgroundImage}
-          alt="Aperçu"
-          style={styles.previewBackground}
-          onError={(e) => {
-            console.error("Impossible de charger l'image de prévisualisation");
-            e.target.style.display = 'none';
-          }}
-        />
-        
-        {/* WelcomeOverlay uniquement quand nécessaire */}
-        {showWelcomeOverlay && (
-          <WelcomeOverlay 
-            onClose={handleWelcomeClose} 
-            // Ne pas afficher la barre de chargement si Spline est déjà chargé
-            splineLoaded={splineLoaded}
-          />
-        )}
-      </div>
-
       {/* Message d'orientation discret pour appareils mobiles en mode portrait */}
       {(isMobile || isTablet) && !isLandscape && showOrientationOverlay && (
         <UnifiedOrientationOverlay
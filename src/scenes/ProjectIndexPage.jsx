@@ -0,0 +1,109 @@
+/**
+ * Index du portfolio (/projets)
+ * Liste les projets du manifeste, filtrables par étiquette (?tag=dataviz)
+ */
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { projectStyles } from '../constants/styles';
+import useDeviceDetection from '../hooks/useDeviceDetection';
+import useTranslation from '../hooks/useTranslation';
+import { getProjects, isProjectTag, PROJECT_TAGS } from '../services/projectManifest';
+import ProjectCard from '../components/projects/ProjectCard';
+
+const ACCENT = '#2A9D8F';
+
+export default function ProjectIndexPage() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { isMobile } = useDeviceDetection();
+  const { t, locale } = useTranslation();
+
+  // Une étiquette inconnue dans l'URL revient à afficher tous les projets
+  const requestedTag = searchParams.get('tag');
+  const activeTag = isProjectTag(requestedTag) ? requestedTag : null;
+  const projects = getProjects({ tag: activeTag, locale });
+
+  /**
+   * Applique un filtre en le reflétant dans l'URL
+   * @param {String|null} tag - Étiquette, ou null pour tout afficher
+   */
+  const selectTag = (tag) => {
+    setSearchParams(tag ? { tag } : {}, { replace: true });
+  };
+
+  const renderFilterButton = (tag, label) => {
+    const isActive = tag === activeTag;
+
+    return (
+      <button
+        key={tag || 'all'}
+        onClick={() => selectTag(tag)}
+        aria-pressed={isActive}
+        style={{
+          ...projectStyles.filterButton,
+          borderColor: ACCENT,
+          background: isActive ? ACCENT : 'transparent',
+          color: isActive ? 'white' : ACCENT
+        }}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  return (
+    <div style={{ ...projectStyles.page, height: '100vh', overflow: 'auto', background: 'white' }}>
+      {/* Bouton de retour */}
+      <button
+        onClick={() => navigate(-1)}
+        style={{ ...projectStyles.backButton, color: ACCENT, borderColor: ACCENT }}
+      >
+        <span style={{ fontSize: '18px' }}>←</span> {t('common.backToStudio')}
+      </button>
+
+      {/* Demi-cercle avec titre en haut de page */}
+      <div style={projectStyles.header}>
+        <div style={{
+          ...projectStyles.headerArc,
+          minWidth: isMobile ? '220px' : '260px',
+          height: isMobile ? '110px' : '130px'
+        }}>
+          <h1 style={{
+            ...projectStyles.title,
+            color: ACCENT,
+            fontSize: isMobile ? '1.8rem' : '2.2rem'
+          }}>
+            {t('projects.indexTitle')}
+          </h1>
+        </div>
+      </div>
+
+      <div style={{
+        ...projectStyles.content,
+        maxWidth: '1100px',
+        padding: isMobile ? '0 20px 60px' : '0 60px 80px'
+      }}>
+        <p style={{ ...projectStyles.paragraph, textAlign: 'center' }}>{t('projects.indexIntro')}</p>
+
+        {/* Filtres par étiquette */}
+        <div
+          role="group"
+          aria-label={t('projects.filterLabel')}
+          style={{ ...projectStyles.tags, justifyContent: 'center', marginBottom: '30px' }}
+        >
+          {renderFilterButton(null, t('projects.allTags'))}
+          {PROJECT_TAGS.map(tag => renderFilterButton(tag, t(`projects.tags.${tag}`)))}
+        </div>
+
+        {projects.length > 0 ? (
+          <div style={projectStyles.cardsContainer}>
+            {projects.map(project => (
+              <ProjectCard key={project.slug} project={project} />
+            ))}
+          </div>
+        ) : (
+          <p style={{ ...projectStyles.paragraph, textAlign: 'center' }}>{t('projects.empty')}</p>
+        )}
+      </div>
+    </div>
+  );
+}
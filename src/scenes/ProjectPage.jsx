@@ -0,0 +1,91 @@
+/**
+ * Page projet générique (/projets/:slug)
+ * Affiche la scène Spline en plein écran si le projet en possède une,
+ * sinon une page de présentation construite depuis le manifeste
+ */
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { projectStyles } from '../constants/styles';
+import useDeviceDetection from '../hooks/useDeviceDetection';
+import useTranslation from '../hooks/useTranslation';
+import { getProjectBySlug } from '../services/projectManifest';
+import { buildProjectIndexPath } from '../utils/projectRoutes';
+import ProjectDetails from '../components/projects/ProjectDetails';
+import ProjectSceneViewer from '../components/projects/ProjectSceneViewer';
+
+const DEFAULT_ACCENT = '#2A9D8F';
+
+export default function ProjectPage() {
+  const navigate = useNavigate();
+  const { slug } = useParams();
+  const { isMobile } = useDeviceDetection();
+  const { t, locale } = useTranslation();
+  const project = getProjectBySlug(slug, locale);
+
+  if (!project) {
+    return (
+      <div style={{ ...projectStyles.page, justifyContent: 'center', background: 'white', padding: '20px', boxSizing: 'border-box' }}>
+        <p style={{ ...projectStyles.paragraph, textAlign: 'center' }}>{t('projects.notFound')}</p>
+        <Link to={buildProjectIndexPath()} style={{ color: DEFAULT_ACCENT }}>
+          {t('projects.allProjects')}
+        </Link>
+      </div>
+    );
+  }
+
+  if (project.scene) {
+    return <ProjectSceneViewer key={project.slug} project={project} onBack={() => navigate(-1)} />;
+  }
+
+  const accent = project.theme?.accent || DEFAULT_ACCENT;
+
+  return (
+    <div style={{
+      ...projectStyles.page,
+      height: '100vh',
+      overflow: 'auto',
+      background: project.theme?.background || 'white'
+    }}>
+      {/* Bouton de retour */}
+      <button
+        onClick={() => navigate(-1)}
+        style={{ ...projectStyles.backButton, color: accent, borderColor: accent }}
+      >
+        <span style={{ fontSize: '18px' }}>←</span> {t('common.backToStudio')}
+      </button>
+
+      {/* Demi-cercle avec titre en haut de page */}
+      <div style={projectStyles.header}>
+        <div style={{
+          ...projectStyles.headerArc,
+          minWidth: isMobile ? '220px' : '260px',
+          height: isMobile ? '110px' : '130px'
+        }}>
+          <h1 style={{
+            ...projectStyles.title,
+            color: accent,
+            fontSize: isMobile ? '1.8rem' : '2.2rem'
+          }}>
+            {project.title}
+          </h1>
+        </div>
+      </div>
+
+      {/* Contenu principal en une colonne */}
+      <div style={{
+        ...projectStyles.content,
+        padding: isMobile ? '0 20px 60px' : '0 60px 80px'
+      }}>
+        {project.subtitle && (
+          <h2 style={projectStyles.subtitle}>{project.subtitle}</h2>
+        )}
+
+        <ProjectDetails project={project} isMobile={isMobile} />
+
+        <footer style={projectStyles.footer}>
+          {project.footer && <p>{project.footer}</p>}
+          <p>{t('projects.copyright', { year: new Date().getFullYear() })}</p>
+        </footer>
+      </div>
+    </div>
+  );
+}
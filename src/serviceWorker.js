@@ -0,0 +1,105 @@
+/**
+ * Service worker du site
+ * Gabarit complété au build par le plugin offlineServiceWorker (vite.config.js),
+ * qui remplace la version du cache et la liste des fichiers à mettre en cache
+ *
+ * - Fichiers du build (scripts, styles, scènes .splinecode) : cache d'abord
+ * - Pages : réseau d'abord, puis l'application en cache hors ligne
+ * - Ressources Spline distantes (scènes non copiées, modules du runtime) :
+ *   réponse en cache immédiate, rafraîchie en arrière-plan
+ */
+
+const CACHE_VERSION = '__CACHE_VERSION__';
+const PRECACHE_URLS = [/* __PRECACHE_URLS__ */];
+
+const CACHE_PREFIX = 'timorne-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+// Hôtes distants dont les réponses sont conservées pour le mode hors ligne
+const REMOTE_HOSTS = ['prod.spline.design', 'unpkg.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Supprimer les caches des déploiements précédents
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== RUNTIME_CACHE_NAME)
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Met une réponse en cache si elle est complète
+ * @param {Request} request - Requête d'origine
+ * @param {Response} response - Réponse du réseau
+ * @returns {Response} - La même réponse
+ */
+const putInRuntimeCache = (request, response) => {
+  if (response.ok && response.status === 200) {
+    const copy = response.clone();
+    caches.open(RUNTIME_CACHE_NAME).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+/**
+ * Réseau d'abord, avec l'application en cache en cas d'échec
+ * @param {Request} request - Requête de navigation
+ * @returns {Promise<Response>}
+ */
+const handleNavigation = (request) => (
+  fetch(request).catch(() => caches.match(PRECACHE_URLS[0]))
+);
+
+/**
+ * Cache d'abord, puis réseau (la réponse est alors mise en cache)
+ * @param {Request} request - Requête vers le site
+ * @returns {Promise<Response>}
+ */
+const handleStatic = (request) => (
+  caches.match(request).then(cached => cached || fetch(request).then(response => putInRuntimeCache(request, response)))
+);
+
+/**
+ * Réponse en cache immédiate, rafraîchie en arrière-plan
+ * @param {Request} request - Requête vers un hôte distant
+ * @returns {Promise<Response>}
+ */
+const handleRemote = (request) => (
+  caches.match(request).then((cached) => {
+    const network = fetch(request)
+      .then(response => putInRuntimeCache(request, response))
+      .catch(() => cached);
+
+    return cached || network;
+  })
+);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  // Les requêtes partielles (lecture vidéo) ne peuvent pas être mises en cache
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleStatic(request));
+  } else if (REMOTE_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleRemote(request));
+  }
+});
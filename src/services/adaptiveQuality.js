@@ -0,0 +1,119 @@
+/**
+ * Contrôleur de qualité adaptative
+ * Regroupe les durées d'images par fenêtres de mesure et change de niveau
+ * quand la fréquence reste sous la cible (baisse) ou nettement au-dessus (hausse).
+ * Les seuils distincts et le nombre de fenêtres consécutives exigé forment une
+ * hystérésis qui évite d'osciller entre deux niveaux.
+ * Module pur, sans dépendance au DOM : l'horloge est fournie par l'appelant.
+ */
+import { QUALITY_LEVELS, ADAPTIVE_QUALITY } from '../constants/quality';
+
+/**
+ * Crée un contrôleur de qualité adaptative
+ * @param {Object} options - Options du contrôleur
+ * @param {String} options.initialLevel - Niveau de départ (QUALITY_LEVELS)
+ * @param {Object} options.config - Seuils (voir ADAPTIVE_QUALITY)
+ * @param {Function} options.onChange - Appelée avec (level, fps) à chaque changement de niveau
+ * @returns {Object} - { addFrame, setLevel, getLevel, getFps, reset }
+ */
+export const createQualityController = ({
+  initialLevel = 'high',
+  config = ADAPTIVE_QUALITY,
+  onChange
+} = {}) => {
+  let levelIndex = Math.max(QUALITY_LEVELS.indexOf(initialLevel), 0);
+  let windowStart = null;
+  let windowFrames = 0;
+  let windowTime = 0;
+  let lowSamples = 0;
+  let highSamples = 0;
+  let warmupUntil = null;
+  let fps = null;
+
+  // Nouvelle période de chauffe : les mesures reprennent de zéro
+  const reset = (now = null) => {
+    windowStart = null;
+    windowFrames = 0;
+    windowTime = 0;
+    lowSamples = 0;
+    highSamples = 0;
+    warmupUntil = now === null ? null : now + config.warmupDuration;
+  };
+
+  const changeLevel = (index, now) => {
+    levelIndex = index;
+    reset(now);
+    onChange?.(QUALITY_LEVELS[levelIndex], fps);
+  };
+
+  /**
+   * Évalue une fenêtre de mesure terminée
+   * @param {Number} now - Horodatage de fin de fenêtre (ms)
+   */
+  const evaluateWindow = (now) => {
+    fps = windowFrames * 1000 / windowTime;
+
+    if (fps < config.targetFps) {
+      lowSamples += 1;
+      highSamples = 0;
+    } else if (fps >= config.headroomFps) {
+      highSamples += 1;
+      lowSamples = 0;
+    } else {
+      lowSamples = 0;
+      highSamples = 0;
+    }
+
+    if (lowSamples >= config.downgradeSamples && levelIndex > 0) {
+      changeLevel(levelIndex - 1, now);
+    } else if (highSamples >= config.upgradeSamples && levelIndex < QUALITY_LEVELS.length - 1) {
+      changeLevel(levelIndex + 1, now);
+    } else {
+      windowStart = now;
+      windowFrames = 0;
+      windowTime = 0;
+    }
+  };
+
+  /**
+   * Ajoute une image mesurée
+   * @param {Number} frameTime - Durée de l'image (ms)
+   * @param {Number} now - Horodatage de l'image (ms)
+   */
+  const addFrame = (frameTime, now) => {
+    if (warmupUntil === null) warmupUntil = now + config.warmupDuration;
+    if (now < warmupUntil || frameTime <= 0 || frameTime > config.maxFrameTime) return;
+
+    if (windowStart === null) windowStart = now;
+    windowFrames += 1;
+    windowTime += frameTime;
+
+    if (now - windowStart >= config.sampleDuration) {
+      evaluateWindow(now);
+    }
+  };
+
+  /**
+   * Impose un niveau (préférence manuelle) et relance la période de chauffe
+   * @param {String} level - Niveau (QUALITY_LEVELS)
+   * @param {Number} now - Horodatage courant (ms)
+   */
+  const setLevel = (level, now = null) => {
+    const index = QUALITY_LEVELS.indexOf(level);
+    if (index === -1) return;
+    levelIndex = index;
+    reset(now);
+  };
+
+  return {
+    addFrame,
+    setLevel,
+    getLevel: () => QUALITY_LEVELS[levelIndex],
+    getFps: () => fps,
+    reset
+  };
+};
+
+export default {
+  createQualityController
+};
@@ -0,0 +1,306 @@
+/**
+ * Machine à états de l'expérience du chalet
+ * Centralise l'état d'interaction (porte, vues, overlays, swipe) partagé
+ * entre la scène, les contrôles de caméra et l'interface.
+ * Module pur, sans dépendance au DOM : testable hors navigateur.
+ */
+
+// États principaux de l'expérience
+export const CABIN_STATES = {
+  TERRACE: 'terrace',           // Sur la terrasse, porte fermée ou ouverte
+  ENTERING: 'entering',         // Porte ouverte automatiquement, en approche du seuil
+  INTERIOR: 'interior',         // À l'intérieur du chalet, navigation libre
+  FOCUSED_VIEW: 'focusedView',  // Caméra verrouillée sur une vue (about, prestations...)
+  OVERLAY_OPEN: 'overlayOpen',  // Un overlay (contact, about, prestation) est affiché
+  PORTFOLIO: 'portfolio'        // Vue portfolio, contrôles conservés
+};
+
+// États de la porte portfolio
+export const DOOR_STATES = {
+  CLOSED: 'closed',
+  OPENING: 'opening',
+  OPEN: 'open',
+  CLOSING: 'closing'
+};
+
+// Événements acceptés par la machine
+export const CABIN_EVENTS = {
+  APPROACH_DOOR: 'APPROACH_DOOR',             // La caméra approche de la porte (ouverture auto)
+  OPEN_DOOR: 'OPEN_DOOR',                     // Ouverture manuelle de la porte
+  CLOSE_DOOR: 'CLOSE_DOOR',                   // Fermeture de la porte { by: 'proximity' | 'manual' }
+  DOOR_SETTLED: 'DOOR_SETTLED',               // Fin de l'animation d'ouverture ou de fermeture
+  CROSS_THRESHOLD_IN: 'CROSS_THRESHOLD_IN',   // Passage du seuil vers l'intérieur
+  CROSS_THRESHOLD_OUT: 'CROSS_THRESHOLD_OUT', // Passage du seuil vers la terrasse
+  FOCUS_VIEW: 'FOCUS_VIEW',                   // Animation vers une vue { view, buttonId }
+  OPEN_OVERLAY: 'OPEN_OVERLAY',               // Ouverture d'un overlay { overlay, drawerId }
+  CLOSE_OVERLAY: 'CLOSE_OVERLAY',             // Fermeture de l'overlay courant
+  ENTER_PORTFOLIO: 'ENTER_PORTFOLIO',         // Déplacement vers la vue portfolio
+  RETURN: 'RETURN',                           // Retour à la navigation libre
+  SWIPE_START: 'SWIPE_START',                 // Début d'un geste de swipe
+  SWIPE_END: 'SWIPE_END',                     // Fin d'un geste de swipe
+  RESET: 'RESET'                              // Réinitialisation complète
+};
+
+// États dans lesquels le visiteur se déplace librement
+const WALKING_STATES = [
+  CABIN_STATES.TERRACE,
+  CABIN_STATES.ENTERING,
+  CABIN_STATES.INTERIOR
+];
+
+/**
+ * Crée le contexte initial de la machine
+ * @returns {Object} - Contexte initial
+ */
+const createInitialContext = () => ({
+  doorState: DOOR_STATES.CLOSED, // État de la porte portfolio (DOOR_STATES)
+  doorOpen: false,              // La porte portfolio est-elle ouverte ou en ouverture
+  doorOpenedBy: null,           // 'proximity' | 'manual' | 'portfolio'
+  doorClosedBy: null,           // 'proximity' | 'manual'
+  walkingState: CABIN_STATES.TERRACE, // Dernier état de navigation libre (cible du retour)
+  view: null,                   // Vue de caméra active
+  buttonId: null,               // Bouton à l'origine de la vue ou de l'overlay
+  overlay: null,                // Overlay actuellement affiché
+  drawerId: null,               // Tiroir de prestation associé à l'overlay
+  lastOverlay: null,            // Dernier overlay fermé (contexte du bouton retour)
+  swiping: false                // Un swipe tactile est en cours
+});
+
+/**
+ * Crée l'instantané initial de la machine
+ * @param {Object} overrides - Surcharges optionnelles du contexte
+ * @returns {Object} - Instantané { state, context }
+ */
+export const createInitialSnapshot = (overrides = {}) => {
+  const context = { ...createInitialContext(), ...overrides };
+  return { state: context.walkingState, context };
+};
+
+/**
+ * Indique si la porte est ouverte ou en cours d'ouverture
+ * @param {Object} context - Contexte de la machine
+ * @returns {Boolean}
+ */
+const isDoorOpening = (context) => (
+  context.doorState === DOOR_STATES.OPEN || context.doorState === DOOR_STATES.OPENING
+);
+
+/**
+ * Contexte d'une ouverture de porte
+ * @param {Object} context - Contexte de la machine
+ * @param {String} by - Origine de l'ouverture
+ * @returns {Object} - Changements du contexte
+ */
+const openDoorContext = (context, by) => ({
+  doorState: isDoorOpening(context) ? context.doorState : DOOR_STATES.OPENING,
+  doorOpen: true,
+  doorOpenedBy: by
+});
+
+// Fermeture de la porte, refusée si elle est déjà fermée ou en fermeture
+const closeDoor = (context, { by = 'manual' } = {}) => (
+  isDoorOpening(context) ? {
+    context: { doorState: DOOR_STATES.CLOSING, doorOpen: false, doorOpenedBy: null, doorClosedBy: by }
+  } : null
+);
+
+// Transitions communes aux états de navigation libre
+const walkingTransitions = {
+  [CABIN_EVENTS.FOCUS_VIEW]: (context, { view, buttonId = null }) => ({
+    state: CABIN_STATES.FOCUSED_VIEW,
+    context: { view, buttonId, overlay: null, drawerId: null, lastOverlay: null }
+  }),
+  [CABIN_EVENTS.OPEN_OVERLAY]: (context, { overlay, drawerId = null, buttonId = null }) => ({
+    state: CABIN_STATES.OVERLAY_OPEN,
+    context: { overlay, drawerId, buttonId, lastOverlay: null }
+  }),
+  [CABIN_EVENTS.ENTER_PORTFOLIO]: (context) => ({
+    state: CABIN_STATES.PORTFOLIO,
+    context: {
+      ...openDoorContext(context, 'portfolio'),
+      view: 'portfolio',
+      overlay: null,
+      drawerId: null,
+      lastOverlay: null
+    }
+  })
+};
+
+// Transitions de retour vers la navigation libre
+const returnTransition = (context) => ({
+  state: context.walkingState,
+  context: { view: null, buttonId: null, overlay: null, drawerId: null, lastOverlay: null }
+});
+
+// Hors navigation libre, le passage du seuil met seulement à jour l'état de retour
+const thresholdTracking = {
+  [CABIN_EVENTS.CROSS_THRESHOLD_IN]: (context) => (
+    context.walkingState === CABIN_STATES.INTERIOR
+      ? null
+      : { context: { walkingState: CABIN_STATES.INTERIOR } }
+  ),
+  [CABIN_EVENTS.CROSS_THRESHOLD_OUT]: (context) => (
+    context.walkingState === CABIN_STATES.TERRACE
+      ? null
+      : { context: { walkingState: CABIN_STATES.TERRACE } }
+  )
+};
+
+// Table des transitions par état
+const TRANSITIONS = {
+  [CABIN_STATES.TERRACE]: {
+    ...walkingTransitions,
+    [CABIN_EVENTS.APPROACH_DOOR]: (context) => (
+      isDoorOpening(context) ? null : {
+        state: CABIN_STATES.ENTERING,
+        context: {
+          ...openDoorContext(context, 'proximity'),
+          walkingState: CABIN_STATES.ENTERING
+        }
+      }
+    ),
+    [CABIN_EVENTS.CROSS_THRESHOLD_IN]: () => ({
+      state: CABIN_STATES.INTERIOR,
+      context: { walkingState: CABIN_STATES.INTERIOR }
+    })
+  },
+
+  [CABIN_STATES.ENTERING]: {
+    ...walkingTransitions,
+    // Porte refermée avant le seuil : retour sur la terrasse
+    [CABIN_EVENTS.CLOSE_DOOR]: (context, payload) => {
+      const closing = closeDoor(context, payload);
+      return closing && {
+        state: CABIN_STATES.TERRACE,
+        context: { ...closing.context, walkingState: CABIN_STATES.TERRACE }
+      };
+    },
+    [CABIN_EVENTS.CROSS_THRESHOLD_IN]: () => ({
+      state: CABIN_STATES.INTERIOR,
+      context: { walkingState: CABIN_STATES.INTERIOR }
+    }),
+    [CABIN_EVENTS.CROSS_THRESHOLD_OUT]: () => ({
+      state: CABIN_STATES.TERRACE,
+      context: { walkingState: CABIN_STATES.TERRACE }
+    })
+  },
+
+  [CABIN_STATES.INTERIOR]: {
+    ...walkingTransitions,
+    [CABIN_EVENTS.CROSS_THRESHOLD_OUT]: () => ({
+      state: CABIN_STATES.TERRACE,
+      context: { walkingState: CABIN_STATES.TERRACE }
+    })
+  },
+
+  [CABIN_STATES.FOCUSED_VIEW]: {
+    ...walkingTransitions,
+    ...thresholdTracking,
+    [CABIN_EVENTS.RETURN]: returnTransition
+  },
+
+  [CABIN_STATES.OVERLAY_OPEN]: {
+    ...walkingTransitions,
+    ...thresholdTracking,
+    // L'overlay fermé laisse la caméra en place : le bouton retour reste actif
+    [CABIN_EVENTS.CLOSE_OVERLAY]: (context) => ({
+      state: CABIN_STATES.FOCUSED_VIEW,
+      context: { overlay: null, drawerId: null, lastOverlay: context.overlay }
+    }),
+    [CABIN_EVENTS.RETURN]: returnTransition
+  },
+
+  [CABIN_STATES.PORTFOLIO]: {
+    ...walkingTransitions,
+    ...thresholdTracking,
+    [CABIN_EVENTS.ENTER_PORTFOLIO]: () => null,
+    [CABIN_EVENTS.RETURN]: returnTransition
+  }
+};
+
+// Transitions valables quel que soit l'état
+const GLOBAL_TRANSITIONS = {
+  [CABIN_EVENTS.OPEN_DOOR]: (context) => (
+    isDoorOpening(context) ? null : { context: openDoorContext(context, 'manual') }
+  ),
+  [CABIN_EVENTS.CLOSE_DOOR]: closeDoor,
+  [CABIN_EVENTS.DOOR_SETTLED]: (context) => {
+    if (context.doorState === DOOR_STATES.OPENING) return { context: { doorState: DOOR_STATES.OPEN } };
+    if (context.doorState === DOOR_STATES.CLOSING) return { context: { doorState: DOOR_STATES.CLOSED } };
+    return null;
+  },
+  [CABIN_EVENTS.SWIPE_START]: (context) => (
+    context.swiping ? null : { context: { swiping: true } }
+  ),
+  [CABIN_EVENTS.SWIPE_END]: (context) => (
+    context.swiping ? { context: { swiping: false } } : null
+  ),
+  [CABIN_EVENTS.RESET]: () => createInitialSnapshot()
+};
+
+/**
+ * Calcule l'instantané suivant pour un événement donné (fonction pure)
+ * @param {Object} snapshot - Instantané courant { state, context }
+ * @param {String} event - Événement (CABIN_EVENTS)
+ * @param {Object} payload - Données de l'événement
+ * @returns {Object|null} - Nouvel instantané ou null si l'événement est refusé
+ */
+export const transition = (snapshot, event, payload = {}) => {
+  const handler = TRANSITIONS[snapshot.state]?.[event] || GLOBAL_TRANSITIONS[event];
+  if (!handler) return null;
+
+  const result = handler(snapshot.context, payload);
+  if (!result) return null;
+
+  return {
+    state: result.state || snapshot.state,
+    context: { ...snapshot.context, ...result.context }
+  };
+};
+
+/**
+ * Crée une instance de la machine à états du chalet
+ * @param {Object} initialContext - Surcharges optionnelles du contexte initial
+ * @returns {Object} - API de la machine (send, subscribe, getSnapshot...)
+ */
+export const createCabinStateMachine = (initialContext = {}) => {
+  let snapshot = createInitialSnapshot(initialContext);
+  const listeners = new Set();
+
+  const getSnapshot = () => snapshot;
+
+  const send = (event, payload = {}) => {
+    const next = transition(snapshot, event, payload);
+    if (!next) return false;
+
+    const previous = snapshot;
+    snapshot = next;
+    listeners.forEach(listener => listener(snapshot, { type: event, payload }, previous));
+    return true;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    send,
+    subscribe,
+    getSnapshot,
+    getState: () => snapshot.state,
+    getContext: () => snapshot.context,
+    matches: (...states) => states.includes(snapshot.state),
+    can: (event, payload = {}) => Boolean(transition(snapshot, event, payload)),
+    isWalking: () => WALKING_STATES.includes(snapshot.state)
+  };
+};
+
+export default {
+  CABIN_STATES,
+  DOOR_STATES,
+  CABIN_EVENTS,
+  createInitialSnapshot,
+  createCabinStateMachine,
+  transition
+};
@@ -0,0 +1,317 @@
+/**
+ * Tests de la machine à états du chalet
+ * Chaque couple état / événement est vérifié depuis un instantané type de l'état,
+ * puis le contexte des transitions de la porte, des vues et des overlays
+ * Lancement : npm test (node --test)
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CABIN_STATES,
+  CABIN_EVENTS,
+  DOOR_STATES,
+  createInitialSnapshot,
+  createCabinStateMachine,
+  transition
+} from './cabinStateMachine.js';
+
+const { TERRACE, ENTERING, INTERIOR, FOCUSED_VIEW, OVERLAY_OPEN, PORTFOLIO } = CABIN_STATES;
+const REFUSED = null;
+
+// Données transmises avec chaque événement
+const PAYLOADS = {
+  [CABIN_EVENTS.FOCUS_VIEW]: { view: 'about', buttonId: 'bouton-about' },
+  [CABIN_EVENTS.OPEN_OVERLAY]: { overlay: 'contact', buttonId: 'bouton-contact' },
+  [CABIN_EVENTS.CLOSE_DOOR]: { by: 'manual' }
+};
+
+/**
+ * Instantané type d'un état : porte fermée, sauf en approche (porte en ouverture)
+ * @param {String} state - État (CABIN_STATES)
+ * @returns {Object} - Instantané { state, context }
+ */
+const snapshotFor = (state) => {
+  switch (state) {
+    case ENTERING:
+      return {
+        state,
+        context: {
+          ...createInitialSnapshot().context,
+          walkingState: ENTERING,
+          doorState: DOOR_STATES.OPENING,
+          doorOpen: true,
+          doorOpenedBy: 'proximity'
+        }
+      };
+    case INTERIOR:
+      return createInitialSnapshot({ walkingState: INTERIOR });
+    case FOCUSED_VIEW:
+      return { state, context: { ...createInitialSnapshot().context, view: 'about' } };
+    case OVERLAY_OPEN:
+      return { state, context: { ...createInitialSnapshot().context, overlay: 'contact' } };
+    case PORTFOLIO:
+      return { state, context: { ...createInitialSnapshot().context, view: 'portfolio' } };
+    default:
+      return createInitialSnapshot();
+  }
+};
+
+// État atteint pour chaque couple état / événement (REFUSED : événement refusé)
+const EXPECTED = {
+  [TERRACE]: {
+    APPROACH_DOOR: ENTERING,
+    OPEN_DOOR: TERRACE,
+    CLOSE_DOOR: REFUSED,
+    DOOR_SETTLED: REFUSED,
+    CROSS_THRESHOLD_IN: INTERIOR,
+    CROSS_THRESHOLD_OUT: REFUSED,
+    FOCUS_VIEW: FOCUSED_VIEW,
+    OPEN_OVERLAY: OVERLAY_OPEN,
+    CLOSE_OVERLAY: REFUSED,
+    ENTER_PORTFOLIO: PORTFOLIO,
+    RETURN: REFUSED,
+    SWIPE_START: TERRACE,
+    SWIPE_END: REFUSED,
+    RESET: TERRACE
+  },
+  [ENTERING]: {
+    APPROACH_DOOR: REFUSED,
+    OPEN_DOOR: REFUSED,
+    CLOSE_DOOR: TERRACE,
+    DOOR_SETTLED: ENTERING,
+    CROSS_THRESHOLD_IN: INTERIOR,
+    CROSS_THRESHOLD_OUT: TERRACE,
+    FOCUS_VIEW: FOCUSED_VIEW,
+    OPEN_OVERLAY: OVERLAY_OPEN,
+    CLOSE_OVERLAY: REFUSED,
+    ENTER_PORTFOLIO: PORTFOLIO,
+    RETURN: REFUSED,
+    SWIPE_START: ENTERING,
+    SWIPE_END: REFUSED,
+    RESET: TERRACE
+  },
+  [INTERIOR]: {
+    APPROACH_DOOR: REFUSED,
+    OPEN_DOOR: INTERIOR,
+    CLOSE_DOOR: REFUSED,
+    DOOR_SETTLED: REFUSED,
+    CROSS_THRESHOLD_IN: REFUSED,
+    CROSS_THRESHOLD_OUT: TERRACE,
+    FOCUS_VIEW: FOCUSED_VIEW,
+    OPEN_OVERLAY: OVERLAY_OPEN,
+    CLOSE_OVERLAY: REFUSED,
+    ENTER_PORTFOLIO: PORTFOLIO,
+    RETURN: REFUSED,
+    SWIPE_START: INTERIOR,
+    SWIPE_END: REFUSED,
+    RESET: TERRACE
+  },
+  [FOCUSED_VIEW]: {
+    APPROACH_DOOR: REFUSED,
+    OPEN_DOOR: FOCUSED_VIEW,
+    CLOSE_DOOR: REFUSED,
+    DOOR_SETTLED: REFUSED,
+    CROSS_THRESHOLD_IN: FOCUSED_VIEW,
+    CROSS_THRESHOLD_OUT: REFUSED,
+    FOCUS_VIEW: FOCUSED_VIEW,
+    OPEN_OVERLAY: OVERLAY_OPEN,
+    CLOSE_OVERLAY: REFUSED,
+    ENTER_PORTFOLIO: PORTFOLIO,
+    RETURN: TERRACE,
+    SWIPE_START: FOCUSED_VIEW,
+    SWIPE_END: REFUSED,
+    RESET: TERRACE
+  },
+  [OVERLAY_OPEN]: {
+    APPROACH_DOOR: REFUSED,
+    OPEN_DOOR: OVERLAY_OPEN,
+    CLOSE_DOOR: REFUSED,
+    DOOR_SETTLED: REFUSED,
+    CROSS_THRESHOLD_IN: OVERLAY_OPEN,
+    CROSS_THRESHOLD_OUT: REFUSED,
+    FOCUS_VIEW: FOCUSED_VIEW,
+    OPEN_OVERLAY: OVERLAY_OPEN,
+    CLOSE_OVERLAY: FOCUSED_VIEW,
+    ENTER_PORTFOLIO: PORTFOLIO,
+    RETURN: TERRACE,
+    SWIPE_START: OVERLAY_OPEN,
+    SWIPE_END: REFUSED,
+    RESET: TERRACE
+  },
+  [PORTFOLIO]: {
+    APPROACH_DOOR: REFUSED,
+    OPEN_DOOR: PORTFOLIO,
+    CLOSE_DOOR: REFUSED,
+    DOOR_SETTLED: REFUSED,
+    CROSS_THRESHOLD_IN: PORTFOLIO,
+    CROSS_THRESHOLD_OUT: REFUSED,
+    FOCUS_VIEW: FOCUSED_VIEW,
+    OPEN_OVERLAY: OVERLAY_OPEN,
+    CLOSE_OVERLAY: REFUSED,
+    ENTER_PORTFOLIO: REFUSED,
+    RETURN: TERRACE,
+    SWIPE_START: PORTFOLIO,
+    SWIPE_END: REFUSED,
+    RESET: TERRACE
+  }
+};
+
+describe('table des transitions', () => {
+  it('couvre chaque état et chaque événement', () => {
+    assert.deepEqual(Object.keys(EXPECTED).sort(), Object.values(CABIN_STATES).sort());
+    Object.values(EXPECTED).forEach((events) => {
+      assert.deepEqual(Object.keys(events).sort(), Object.values(CABIN_EVENTS).sort());
+    });
+  });
+
+  Object.entries(EXPECTED).forEach(([state, events]) => {
+    Object.entries(events).forEach(([event, expected]) => {
+      it(`${state} + ${event} → ${expected ?? 'refusé'}`, () => {
+        const next = transition(snapshotFor(state), event, PAYLOADS[event]);
+        assert.equal(next?.state ?? REFUSED, expected);
+      });
+    });
+  });
+});
+
+describe('porte', () => {
+  it('suit le cycle fermée, en ouverture, ouverte, en fermeture', () => {
+    let snapshot = transition(createInitialSnapshot(), CABIN_EVENTS.OPEN_DOOR);
+    assert.equal(snapshot.context.doorState, DOOR_STATES.OPENING);
+    assert.equal(snapshot.context.doorOpen, true);
+    assert.equal(snapshot.context.doorOpenedBy, 'manual');
+
+    snapshot = transition(snapshot, CABIN_EVENTS.DOOR_SETTLED);
+    assert.equal(snapshot.context.doorState, DOOR_STATES.OPEN);
+
+    snapshot = transition(snapshot, CABIN_EVENTS.CLOSE_DOOR, { by: 'proximity' });
+    assert.equal(snapshot.context.doorState, DOOR_STATES.CLOSING);
+    assert.equal(snapshot.context.doorOpen, false);
+    assert.equal(snapshot.context.doorOpenedBy, null);
+    assert.equal(snapshot.context.doorClosedBy, 'proximity');
+
+    snapshot = transition(snapshot, CABIN_EVENTS.DOOR_SETTLED);
+    assert.equal(snapshot.context.doorState, DOOR_STATES.CLOSED);
+    assert.equal(transition(snapshot, CABIN_EVENTS.DOOR_SETTLED), null);
+  });
+
+  it("refuse une double ouverture, y compris pendant l'ouverture", () => {
+    const opening = transition(createInitialSnapshot(), CABIN_EVENTS.OPEN_DOOR);
+    assert.equal(transition(opening, CABIN_EVENTS.OPEN_DOOR), null);
+    assert.equal(transition(opening, CABIN_EVENTS.APPROACH_DOOR), null);
+  });
+
+  it('ferme par défaut à la main', () => {
+    const opening = transition(createInitialSnapshot(), CABIN_EVENTS.OPEN_DOOR);
+    assert.equal(transition(opening, CABIN_EVENTS.CLOSE_DOOR).context.doorClosedBy, 'manual');
+  });
+
+  it("ouvre à l'approche et passe en entrée", () => {
+    const snapshot = transition(createInitialSnapshot(), CABIN_EVENTS.APPROACH_DOOR);
+    assert.equal(snapshot.context.doorState, DOOR_STATES.OPENING);
+    assert.equal(snapshot.context.doorOpenedBy, 'proximity');
+    assert.equal(snapshot.context.walkingState, ENTERING);
+  });
+
+  it('ramène sur la terrasse une porte refermée avant le seuil', () => {
+    const snapshot = transition(snapshotFor(ENTERING), CABIN_EVENTS.CLOSE_DOOR, { by: 'proximity' });
+    assert.equal(snapshot.context.walkingState, TERRACE);
+    assert.equal(snapshot.context.doorState, DOOR_STATES.CLOSING);
+  });
+
+  it('ouvre la porte en entrant dans le portfolio sans relancer son animation', () => {
+    const fromClosed = transition(createInitialSnapshot(), CABIN_EVENTS.ENTER_PORTFOLIO);
+    assert.equal(fromClosed.context.doorState, DOOR_STATES.OPENING);
+    assert.equal(fromClosed.context.doorOpenedBy, 'portfolio');
+    assert.equal(fromClosed.context.view, 'portfolio');
+
+    const open = createInitialSnapshot({ doorState: DOOR_STATES.OPEN, doorOpen: true });
+    assert.equal(transition(open, CABIN_EVENTS.ENTER_PORTFOLIO).context.doorState, DOOR_STATES.OPEN);
+  });
+});
+
+describe('vues et overlays', () => {
+  it('garde le dernier overlay fermé pour le bouton retour', () => {
+    const snapshot = transition(snapshotFor(OVERLAY_OPEN), CABIN_EVENTS.CLOSE_OVERLAY);
+    assert.equal(snapshot.context.overlay, null);
+    assert.equal(snapshot.context.lastOverlay, 'contact');
+  });
+
+  it("revient à l'état de navigation suivi pendant la vue", () => {
+    const focused = transition(createInitialSnapshot(), CABIN_EVENTS.FOCUS_VIEW, PAYLOADS.FOCUS_VIEW);
+    const crossed = transition(focused, CABIN_EVENTS.CROSS_THRESHOLD_IN);
+    assert.equal(crossed.state, FOCUSED_VIEW);
+    assert.equal(crossed.context.walkingState, INTERIOR);
+
+    const returned = transition(crossed, CABIN_EVENTS.RETURN);
+    assert.equal(returned.state, INTERIOR);
+    assert.equal(returned.context.view, null);
+    assert.equal(returned.context.buttonId, null);
+  });
+
+  it("transmet la vue, l'overlay et le tiroir", () => {
+    const focused = transition(createInitialSnapshot(), CABIN_EVENTS.FOCUS_VIEW, PAYLOADS.FOCUS_VIEW);
+    assert.equal(focused.context.view, 'about');
+    assert.equal(focused.context.buttonId, 'bouton-about');
+
+    const overlay = transition(focused, CABIN_EVENTS.OPEN_OVERLAY, { overlay: 'prestation', drawerId: 'data' });
+    assert.equal(overlay.context.overlay, 'prestation');
+    assert.equal(overlay.context.drawerId, 'data');
+  });
+});
+
+describe('transitions globales', () => {
+  it('suit le swipe', () => {
+    const swiping = transition(createInitialSnapshot(), CABIN_EVENTS.SWIPE_START);
+    assert.equal(swiping.context.swiping, true);
+    assert.equal(transition(swiping, CABIN_EVENTS.SWIPE_START), null);
+    assert.equal(transition(swiping, CABIN_EVENTS.SWIPE_END).context.swiping, false);
+  });
+
+  it("réinitialise le contexte depuis n'importe quel état", () => {
+    Object.values(CABIN_STATES).forEach((state) => {
+      assert.deepEqual(transition(snapshotFor(state), CABIN_EVENTS.RESET), createInitialSnapshot());
+    });
+  });
+
+  it("ne modifie pas l'instantané reçu", () => {
+    const snapshot = createInitialSnapshot();
+    const copy = structuredClone(snapshot);
+    transition(snapshot, CABIN_EVENTS.APPROACH_DOOR);
+    assert.deepEqual(snapshot, copy);
+  });
+});
+
+describe('createCabinStateMachine', () => {
+  it('notifie les abonnés des transitions acceptées seulement', () => {
+    const machine = createCabinStateMachine();
+    const calls = [];
+    const unsubscribe = machine.subscribe((snapshot, event, previous) => {
+      calls.push({ state: snapshot.state, type: event.type, previous: previous.state });
+    });
+
+    assert.equal(machine.send(CABIN_EVENTS.RETURN), false);
+    assert.equal(machine.send(CABIN_EVENTS.APPROACH_DOOR), true);
+    assert.deepEqual(calls, [{ state: ENTERING, type: CABIN_EVENTS.APPROACH_DOOR, previous: TERRACE }]);
+
+    unsubscribe();
+    machine.send(CABIN_EVENTS.CROSS_THRESHOLD_IN);
+    assert.equal(calls.length, 1);
+    assert.equal(machine.getState(), INTERIOR);
+  });
+
+  it("indique sans rien changer si un événement serait accepté", () => {
+    const machine = createCabinStateMachine();
+    assert.equal(machine.can(CABIN_EVENTS.CLOSE_DOOR), false);
+    assert.equal(machine.can(CABIN_EVENTS.OPEN_DOOR), true);
+    assert.equal(machine.getContext().doorState, DOOR_STATES.CLOSED);
+  });
+
+  it('distingue la navigation libre des vues', () => {
+    const machine = createCabinStateMachine();
+    assert.equal(machine.isWalking(), true);
+    machine.send(CABIN_EVENTS.FOCUS_VIEW, PAYLOADS.FOCUS_VIEW);
+    assert.equal(machine.isWalking(), false);
+    assert.equal(machine.matches(FOCUSED_VIEW, OVERLAY_OPEN), true);
+  });
+});
@@ -0,0 +1,377 @@
+/**
+ * Service d'envoi des messages de contact
+ * Validation, protection anti-spam, envoi avec nouvelles tentatives
+ * et file d'attente hors ligne
+ */
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Point d'envoi configurable (serveur de remplacement local en développement).
+// Il doit accuser réception en JSON avec { ok: true } : toute autre réponse, comme la
+// page HTML renvoyée par un hébergement statique, est traitée comme un échec
+export const CONTACT_ENDPOINT = import.meta.env.VITE_CONTACT_ENDPOINT || '/api/contact';
+
+// Statuts possibles d'un envoi
+export const CONTACT_STATUS = {
+  IDLE: 'idle',
+  SENDING: 'sending',
+  SUCCESS: 'success',
+  QUEUED: 'queued',             // Hors ligne : message stocké, envoyé au retour du réseau
+  INVALID: 'invalid',           // Erreurs de validation
+  RATE_LIMITED: 'rateLimited',  // Trop de messages envoyés (HTTP 429)
+  ERROR: 'error'
+};
+
+// Nom du champ piège, invisible pour les visiteurs
+export const HONEYPOT_FIELD = 'website';
+
+// Durée minimale de remplissage du formulaire (un robot soumet instantanément)
+export const MIN_FILL_TIME = 3000;
+
+// Configuration des nouvelles tentatives
+const RETRY_CONFIG = {
+  retries: 3,
+  baseDelay: 800,
+  maxDelay: 8000
+};
+
+// Clé de stockage de la file d'attente hors ligne
+const QUEUE_STORAGE_KEY = 'contactQueue';
+
+// Limites de longueur des champs
+export const FIELD_LIMITS = {
+  name: 100,
+  email: 254,
+  subject: 150,
+  message: 5000
+};
+
+// Longueur minimale d'un message
+export const MIN_MESSAGE_LENGTH = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Valide les champs du formulaire de contact
+ * @param {Object} formData - Données { name, email, subject, message }
+ * @returns {Object} - { isValid, errors } où errors associe un code d'erreur à chaque champ invalide
+ * (clé du catalogue "contact.errors", paramètres disponibles dans FIELD_LIMITS et MIN_MESSAGE_LENGTH)
+ */
+export const validateContactForm = (formData) => {
+  const errors = {};
+  const name = (formData.name || '').trim();
+  const email = (formData.email || '').trim();
+  const subject = (formData.subject || '').trim();
+  const message = (formData.message || '').trim();
+
+  if (!name) {
+    errors.name = 'nameRequired';
+  } else if (name.length > FIELD_LIMITS.name) {
+    errors.name = 'nameTooLong';
+  }
+
+  if (!email) {
+    errors.email = 'emailRequired';
+  } else if (email.length > FIELD_LIMITS.email || !EMAIL_PATTERN.test(email)) {
+    errors.email = 'emailInvalid';
+  }
+
+  if (!subject) {
+    errors.subject = 'subjectRequired';
+  } else if (subject.length > FIELD_LIMITS.subject) {
+    errors.subject = 'subjectTooLong';
+  }
+
+  if (message.length < MIN_MESSAGE_LENGTH) {
+    errors.message = 'messageTooShort';
+  } else if (message.length > FIELD_LIMITS.message) {
+    errors.message = 'messageTooLong';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Détecte une soumission automatisée (champ piège rempli ou envoi trop rapide)
+ * @param {Object} formData - Données du formulaire, champ piège inclus
+ * @param {Number} startedAt - Horodatage de l'affichage du formulaire
+ * @returns {Boolean} - true si la soumission est probablement un spam
+ */
+export const isLikelySpam = (formData, startedAt) => {
+  if (formData[HONEYPOT_FIELD]) {
+    return true;
+  }
+
+  return Boolean(startedAt) && Date.now() - startedAt < MIN_FILL_TIME;
+};
+
+/**
+ * Attend un délai donné
+ * @param {Number} ms - Délai en millisecondes
+ * @returns {Promise} - Promesse résolue après le délai
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calcule le délai avant une nouvelle tentative (backoff exponentiel avec gigue)
+ * @param {Number} attempt - Numéro de la tentative (0 pour la première relance)
+ * @returns {Number} - Délai en millisecondes
+ */
+const getRetryDelay = (attempt) => {
+  const delay = RETRY_CONFIG.baseDelay * Math.pow(2, attempt);
+  const jitter = Math.random() * RETRY_CONFIG.baseDelay;
+  return Math.min(delay + jitter, RETRY_CONFIG.maxDelay);
+};
+
+/**
+ * Crée une erreur d'envoi typée
+ * @param {String} message - Message de l'erreur
+ * @param {String} code - Code ('network', 'rateLimited', 'rejected', 'server', 'unacknowledged')
+ * @param {Object} details - Informations complémentaires (status, retryAfter)
+ * @returns {Error} - Erreur enrichie
+ */
+const createSendError = (message, code, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Envoie un message au point de réception (une seule tentative)
+ * @param {Object} payload - Message à envoyer
+ * @returns {Promise<Object>} - Accusé de réception JSON du serveur ({ ok: true, ... })
+ */
+const postMessage = async (payload) => {
+  let response;
+
+  try {
+    response = await fetch(CONTACT_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    throw createSendError("Le serveur de contact est injoignable", 'network', { cause: error });
+  }
+
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get('Retry-After')) || 60;
+    throw createSendError("Trop de messages envoyés", 'rateLimited', { status: 429, retryAfter });
+  }
+
+  if (response.status >= 400 && response.status < 500) {
+    throw createSendError("Le message a été refusé par le serveur", 'rejected', { status: response.status });
+  }
+
+  if (!response.ok) {
+    throw createSendError("Erreur du serveur de contact", 'server', { status: response.status });
+  }
+
+  // Seul un accusé de réception explicite confirme l'envoi
+  const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+  const acknowledgement = isJson ? await response.json().catch(() => null) : null;
+  if (acknowledgement?.ok !== true) {
+    throw createSendError(
+      "Le point de réception n'a pas accusé réception du message",
+      'unacknowledged',
+      { status: response.status }
+    );
+  }
+
+  return acknowledgement;
+};
+
+/**
+ * Envoie un message avec nouvelles tentatives sur les erreurs réseau ou serveur
+ * @param {Object} payload - Message à envoyer
+ * @returns {Promise<Object>} - Réponse JSON du serveur
+ */
+export const sendWithRetry = async (payload) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await postMessage(payload);
+    } catch (error) {
+      const isRetryable = error.code === 'network' || error.code === 'server';
+      if (!isRetryable || attempt >= RETRY_CONFIG.retries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt);
+      logger.warn(`Échec de l'envoi (${error.code}), nouvelle tentative dans ${Math.round(delay)}ms`);
+      await wait(delay);
+    }
+  }
+};
+
+/**
+ * Lit la file d'attente hors ligne
+ * @returns {Array} - Messages en attente
+ */
+export const getQueuedMessages = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY)) || [];
+  } catch (e) {
+    logger.error("Erreur lors de la lecture de la file d'attente:", e);
+    return [];
+  }
+};
+
+/**
+ * Remplace le contenu de la file d'attente hors ligne
+ * @param {Array} queue - Messages en attente
+ */
+const saveQueue = (queue) => {
+  try {
+    if (queue.length) {
+      localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    } else {
+      localStorage.removeItem(QUEUE_STORAGE_KEY);
+    }
+  } catch (e) {
+    logger.error("Erreur lors de l'enregistrement de la file d'attente:", e);
+  }
+};
+
+/**
+ * Ajoute un message à la file d'attente hors ligne
+ * @param {Object} payload - Message à envoyer plus tard
+ */
+const queueMessage = (payload) => {
+  saveQueue([...getQueuedMessages(), payload]);
+  logger.log("Message de contact mis en file d'attente (hors ligne)");
+};
+
+// Évite deux vidages simultanés de la file
+let flushPromise = null;
+
+/**
+ * Envoie les messages en attente ; ceux qui échouent restent dans la file
+ * @returns {Promise<Number>} - Nombre de messages envoyés
+ */
+export const flushContactQueue = () => {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    const queue = getQueuedMessages();
+    const remaining = [];
+    let sent = 0;
+
+    for (const payload of queue) {
+      try {
+        await sendWithRetry(payload);
+        sent++;
+      } catch (error) {
+        // Un message refusé par le serveur ne sera jamais accepté : l'abandonner
+        if (error.code !== 'rejected') {
+          remaining.push(payload);
+        }
+      }
+    }
+
+    saveQueue(remaining);
+    if (sent) {
+      logger.log(`${sent} message(s) de contact envoyé(s) depuis la file d'attente`);
+    }
+    return sent;
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+};
+
+let isQueueListenerRegistered = false;
+
+/**
+ * Active l'envoi automatique de la file d'attente au retour du réseau
+ * Peut être appelée plusieurs fois sans effet de bord
+ */
+export const initContactQueue = () => {
+  if (isQueueListenerRegistered || typeof window === 'undefined') return;
+  isQueueListenerRegistered = true;
+
+  window.addEventListener('online', () => {
+    flushContactQueue();
+  });
+
+  if (navigator.onLine && getQueuedMessages().length) {
+    flushContactQueue();
+  }
+};
+
+/**
+ * Soumet un message de contact
+ * @param {Object} formData - Données du formulaire (champ piège inclus)
+ * @param {Object} options - Options d'envoi
+ * @param {Number} options.startedAt - Horodatage de l'affichage du formulaire
+ * @returns {Promise<Object>} - Résultat { status, errors, retryAfter }
+ */
+export const submitContactMessage = async (formData, { startedAt } = {}) => {
+  const { isValid, errors } = validateContactForm(formData);
+  if (!isValid) {
+    return { status: CONTACT_STATUS.INVALID, errors };
+  }
+
+  // Ne pas signaler la détection aux robots : simuler un succès
+  if (isLikelySpam(formData, startedAt)) {
+    logger.warn("Soumission de contact ignorée (anti-spam)");
+    return { status: CONTACT_STATUS.SUCCESS };
+  }
+
+  const payload = {
+    name: formData.name.trim(),
+    email: formData.email.trim(),
+    subject: formData.subject.trim(),
+    message: formData.message.trim(),
+    sentAt: new Date().toISOString(),
+    page: window.location.pathname
+  };
+
+  if (!navigator.onLine) {
+    queueMessage(payload);
+    return { status: CONTACT_STATUS.QUEUED };
+  }
+
+  try {
+    await sendWithRetry(payload);
+    return { status: CONTACT_STATUS.SUCCESS };
+  } catch (error) {
+    logger.error("Erreur lors de l'envoi du message de contact:", error);
+
+    if (error.code === 'rateLimited') {
+      return { status: CONTACT_STATUS.RATE_LIMITED, retryAfter: error.retryAfter };
+    }
+
+    // Réseau coupé pendant l'envoi : conserver le message
+    if (error.code === 'network') {
+      queueMessage(payload);
+      return { status: CONTACT_STATUS.QUEUED };
+    }
+
+    return { status: CONTACT_STATUS.ERROR };
+  }
+};
+
+export default {
+  CONTACT_ENDPOINT,
+  CONTACT_STATUS,
+  HONEYPOT_FIELD,
+  MIN_FILL_TIME,
+  FIELD_LIMITS,
+  MIN_MESSAGE_LENGTH,
+  validateContactForm,
+  isLikelySpam,
+  sendWithRetry,
+  getQueuedMessages,
+  flushContactQueue,
+  initContactQueue,
+  submitContactMessage
+};
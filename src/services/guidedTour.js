@@ -0,0 +1,183 @@
+/**
+ * Moteur de la visite guidée
+ * Enchaîne les étapes (déplacement, puis arrêt de durée configurable) et gère
+ * pause, reprise, passage à l'étape suivante et arrêt.
+ * Module pur : le déplacement de la caméra est fourni par l'appelant.
+ */
+import { TOUR_DEFAULT_DWELL } from '../constants/guidedTour';
+
+// États de la visite
+export const TOUR_STATUS = {
+  IDLE: 'idle',
+  PLAYING: 'playing',
+  PAUSED: 'paused'
+};
+
+// Phase de l'étape courante
+export const TOUR_PHASES = {
+  MOVING: 'moving',     // Déplacement de la caméra vers l'étape
+  DWELLING: 'dwelling'  // Arrêt sur l'étape, légende affichée
+};
+
+// Raisons de fin de visite transmises à onEnd
+export const TOUR_END_REASONS = {
+  COMPLETED: 'completed',   // Dernière étape atteinte
+  STOPPED: 'stopped',       // Arrêt demandé par le bouton de la visite
+  INTERRUPTED: 'interrupted', // Le visiteur a repris la main (molette, toucher, clavier)
+  HANDED_OVER: 'handedOver' // Une interaction de la scène prend le relais de la caméra
+};
+
+const IDLE_SNAPSHOT = { status: TOUR_STATUS.IDLE, stopIndex: -1, phase: null, loop: false };
+
+/**
+ * Crée une visite guidée
+ * @param {Object} options - Options de la visite
+ * @param {Array<Object>} options.stops - Étapes (voir constants/guidedTour)
+ * @param {Function} options.moveToStop - (stop, done) => annulation ; déplace la caméra puis appelle done
+ * @param {Function} options.onArrive - Appelée à l'arrivée sur une étape
+ * @param {Function} options.onEnd - Appelée à la fin de la visite avec sa raison (TOUR_END_REASONS)
+ * @returns {Object} - API de la visite (start, pause, resume, skip, stop, subscribe...)
+ */
+export const createGuidedTour = ({ stops, moveToStop, onArrive, onEnd }) => {
+  let snapshot = IDLE_SNAPSHOT;
+  const listeners = new Set();
+
+  // Déplacement en cours, minuterie d'arrêt et temps d'arrêt restant
+  let cancelMove = null;
+  let dwellTimer = null;
+  let dwellStartedAt = 0;
+  let dwellRemaining = 0;
+  // Jeton invalidant les fins de déplacement d'une étape abandonnée
+  let moveToken = 0;
+
+  const setSnapshot = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach(listener => listener(snapshot));
+  };
+
+  const clearPending = () => {
+    moveToken += 1;
+    if (cancelMove) {
+      cancelMove();
+      cancelMove = null;
+    }
+    if (dwellTimer) {
+      clearTimeout(dwellTimer);
+      dwellTimer = null;
+    }
+  };
+
+  const end = (reason) => {
+    if (snapshot.status === TOUR_STATUS.IDLE) return;
+
+    clearPending();
+    setSnapshot(IDLE_SNAPSHOT);
+    if (onEnd) onEnd(reason);
+  };
+
+  const startDwell = (duration) => {
+    dwellStartedAt = Date.now();
+    dwellRemaining = duration;
+    dwellTimer = setTimeout(() => goTo(snapshot.stopIndex + 1), duration);
+  };
+
+  const arrive = (index) => {
+    cancelMove = null;
+    const stop = stops[index];
+    setSnapshot({ phase: TOUR_PHASES.DWELLING });
+    if (onArrive) onArrive(stop);
+
+    const dwell = stop.dwell ?? TOUR_DEFAULT_DWELL;
+    if (snapshot.status === TOUR_STATUS.PLAYING) {
+      startDwell(dwell);
+    } else {
+      // En pause : l'arrêt complet commencera à la reprise
+      dwellRemaining = dwell;
+    }
+  };
+
+  const goTo = (requestedIndex) => {
+    clearPending();
+
+    let index = requestedIndex;
+    if (index >= stops.length) {
+      if (!snapshot.loop) {
+        end(TOUR_END_REASONS.COMPLETED);
+        return;
+      }
+      index = 0;
+    }
+
+    setSnapshot({ stopIndex: index, phase: TOUR_PHASES.MOVING });
+
+    const token = moveToken;
+    cancelMove = moveToStop(stops[index], () => {
+      if (token === moveToken) arrive(index);
+    }) || null;
+  };
+
+  const start = ({ loop = false } = {}) => {
+    if (snapshot.status !== TOUR_STATUS.IDLE || stops.length === 0) return false;
+
+    setSnapshot({ status: TOUR_STATUS.PLAYING, loop });
+    goTo(0);
+    return true;
+  };
+
+  const pause = () => {
+    if (snapshot.status !== TOUR_STATUS.PLAYING) return false;
+
+    // Le déplacement en cours se termine ; seul l'arrêt est suspendu
+    if (dwellTimer) {
+      clearTimeout(dwellTimer);
+      dwellTimer = null;
+      dwellRemaining = Math.max(0, dwellRemaining - (Date.now() - dwellStartedAt));
+    }
+    setSnapshot({ status: TOUR_STATUS.PAUSED });
+    return true;
+  };
+
+  const resume = () => {
+    if (snapshot.status !== TOUR_STATUS.PAUSED) return false;
+
+    setSnapshot({ status: TOUR_STATUS.PLAYING });
+    if (snapshot.phase === TOUR_PHASES.DWELLING) {
+      startDwell(dwellRemaining);
+    }
+    return true;
+  };
+
+  const skip = () => {
+    if (snapshot.status === TOUR_STATUS.IDLE) return false;
+
+    goTo(snapshot.stopIndex + 1);
+    return true;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Libère le déplacement et les minuteries sans notifier la fin de visite (démontage)
+  const destroy = () => clearPending();
+
+  return {
+    start,
+    pause,
+    resume,
+    skip,
+    stop: (reason = TOUR_END_REASONS.STOPPED) => end(reason),
+    subscribe,
+    getSnapshot: () => snapshot,
+    isActive: () => snapshot.status !== TOUR_STATUS.IDLE,
+    destroy
+  };
+};
+
+export default {
+  TOUR_STATUS,
+  TOUR_PHASES,
+  TOUR_END_REASONS,
+  createGuidedTour
+};
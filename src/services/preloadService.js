@@ -1,22 +1,26 @@
 /**
  * Service de préchargement des ressources
- * Gère le préchargement des images, vidéos et scripts pour optimiser l'expérience
+ * Gère le préchargement des images, vidéos et scripts pour optimiser l'expérience ;
+ * toutes les vues passent par le gestionnaire partagé (services/resourceManager)
  */
-
-// Stockage pour les ressources déjà préchargées
-const cachedResources = new Set();
+import { createResourceManager } from './resourceManager';
+import { RESOURCE_PRIORITIES, HOME_RESOURCES } from '../constants/resources';
 
 /**
  * Précharge une image et retourne une promesse
  * @param {String} src - URL de l'image à précharger
+ * @param {AbortSignal} signal - Interrompt le chargement
  * @returns {Promise} - Promesse résolue lorsque l'image est chargée
  */
-export const preloadImage = (src) => {
+export const preloadImage = (src, signal) => {
   return new Promise((resolve, reject) => {
     const img = new Image();
-    img.src = src;
     img.onload = () => resolve(src);
     img.onerror = () => reject(new Error(`Impossible de charger l'image: ${src}`));
+    signal?.addEventListener('abort', () => {
+      img.src = '';
+    }, { once: true });
+    img.src = src;
   });
 };
 
@@ -24,9 +28,10 @@ export const preloadImage = (src) => {
  * Précharge une vidéo et retourne une promesse
  * @param {String} src - URL de la vidéo à précharger
  * @param {Boolean} preloadMetadata - Si true, précharge uniquement les métadonnées
+ * @param {AbortSignal} signal - Interrompt le chargement
  * @returns {Promise} - Promesse résolue lorsque la vidéo est chargée
  */
-export const preloadVideo = (src, preloadMetadata = false) => {
+export const preloadVideo = (src, preloadMetadata = false, signal = null) => {
   return new Promise((resolve, reject) => {
     const video = document.createElement('video');
     video.preload = preloadMetadata ? 'metadata' : 'auto';
@@ -42,6 +47,13 @@ export const preloadVideo = (src, preloadMetadata = false) => {
     video.addEventListener('error', () => {
       reject(new Error(`Impossible de charger la vidéo: ${src}`));
     });
+
+    // Vider la source arrête le téléchargement en cours
+    signal?.addEventListener('abort', () => {
+      video.removeAttribute('src');
+      video.load();
+      reject(new Error(`Chargement de la vidéo annulé: ${src}`));
+    }, { once: true });
   });
 };
 
@@ -63,10 +75,7 @@ export const preloadScript = (src) => {
     script.src = src;
     script.async = true;
     
-    script.onload = () => {
-      cachedResources.add(src);
-      resolve(src);
-    };
+    script.onload = () => resolve(src);
     script.onerror = () => reject(new Error(`Impossible de charger le script: ${src}`));
     
     document.body.appendChild(script);
@@ -74,108 +83,50 @@ export const preloadScript = (src) => {
 };
 
 /**
- * Précharge un groupe de ressources et suit la progression
- * @param {Object} resources - Objet contenant les ressources à précharger par type
- * @param {Function} onProgress - Callback de progression (0-100)
- * @param {Function} onComplete - Callback appelé lorsque tout est chargé
- * @param {Function} onError - Callback d'erreur
+ * Télécharge un fichier (scène, données...) pour le mettre en cache
+ * @param {String} src - URL du fichier
+ * @param {AbortSignal} signal - Interrompt le téléchargement
+ * @returns {Promise} - Promesse résolue lorsque le fichier est reçu
  */
-export const preloadResourceGroup = ({ images = [], videos = [], scripts = [] }, onProgress, onComplete, onError) => {
-  // Filtrer les ressources déjà chargées
-  const filteredImages = images.filter(src => !cachedResources.has(src));
-  const filteredVideos = videos.filter(src => !cachedResources.has(src));
-  const filteredScripts = scripts.filter(src => !cachedResources.has(src));
-  
-  const resources = [
-    ...filteredImages.map(src => ({ type: 'image', src })),
-    ...filteredVideos.map(src => ({ type: 'video', src })),
-    ...filteredScripts.map(src => ({ type: 'script', src }))
-  ];
-  
-  const totalResources = resources.length;
-  
-  if (totalResources === 0) {
-    if (onComplete) onComplete();
-    return;
+export const preloadFile = (src, signal) => (
+  fetch(src, { signal }).then((response) => {
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.blob();
+  })
+);
+
+// Gestionnaire partagé par toute l'application : file unique, priorités et dédoublonnage
+export const resourceManager = createResourceManager({
+  loaders: {
+    image: preloadImage,
+    video: (src, signal) => preloadVideo(src, false, signal),
+    script: preloadScript,
+    file: preloadFile
   }
-  
-  let loadedCount = 0;
-  let hasError = false;
-  
-  const updateProgress = () => {
-    loadedCount++;
-    const percentage = Math.floor((loadedCount / totalResources) * 100);
-    
-    if (onProgress) onProgress(percentage);
-    
-    if (loadedCount === totalResources && !hasError) {
-      if (onComplete) onComplete();
-    }
-  };
-  
-  const handleError = (error) => {
-    hasError = true;
-    if (onError) onError(error);
-  };
-  
-  resources.forEach(resource => {
-    let loadPromise;
-    
-    switch (resource.type) {
-      case 'image':
-        loadPromise = preloadImage(resource.src);
-        break;
-      case 'video':
-        loadPromise = preloadVideo(resource.src);
-        break;
-      case 'script':
-        loadPromise = preloadScript(resource.src);
-        break;
-      default:
-        console.warn(`Type de ressource inconnu: ${resource.type}`);
-        updateProgress();
-        return;
-    }
-    
-    loadPromise
-      .then(src => {
-        cachedResources.add(src);
-        updateProgress();
-      })
-      .catch(error => {
-        console.error(`Erreur lors du préchargement de ${resource.src}:`, error);
-        updateProgress();
-        handleError(error);
-      });
-  });
-};
+});
 
 /**
  * Précharge les ressources essentielles pour l'application
+ * La vidéo d'entrée est ignorée en mode économie de données ou sur connexion lente
  * @param {Function} onProgress - Callback de progression (0-100)
- * @returns {Promise} - Promesse résolue lorsque toutes les ressources sont chargées
+ * @param {AbortSignal} signal - Abandon du préchargement
+ * @returns {Promise<Object>} - { loaded, skipped, failed } ; les échecs ne bloquent pas l'expérience
  */
-export const preloadEssentialResources = (onProgress) => {
-  return new Promise((resolve, reject) => {
-    const essentialResources = {
-      images: [
-        '/images/home-background.png',
-        // Utilisez un fallback si nécessaire
-        // '/images/fallback-background.jpg',
-      ],
-      videos: [
-        '/videos/ENTRANCE_TM.mp4'
-      ],
-      scripts: [
-        // Essayez la dernière version si la version spécifique échoue
-        'https://unpkg.com/@splinetool/runtime@latest/build/spline.js'
-      ]
-    };
-    
-    preloadResourceGroup(essentialResources, onProgress, resolve, (error) => {
-      console.warn("Erreur de préchargement, mais on continue:", error);
-      // Résoudre au lieu de rejeter pour éviter de bloquer l'expérience
-      resolve();
-    });
-  });
-};
\ No newline at end of file
+export const preloadEssentialResources = (onProgress, signal) => (
+  // Pas de script distant : le runtime Spline est inclus dans le bundle
+  // (version fixée par package-lock.json) et mis en cache par le service worker
+  resourceManager.preloadGroup(HOME_RESOURCES, {
+    priority: RESOURCE_PRIORITIES.CRITICAL,
+    signal,
+    onProgress
+  })
+);
+
+export default {
+  preloadImage,
+  preloadVideo,
+  preloadScript,
+  preloadFile,
+  resourceManager,
+  preloadEssentialResources
+};
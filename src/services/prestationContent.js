@@ -0,0 +1,52 @@
+/**
+ * Contenu des tiroirs de prestation
+ * Charge les fichiers src/content/prestations/*.json (validés au build
+ * par la configuration Vite) et résout la langue demandée avec repli
+ */
+import { DEFAULT_LOCALE, LOCALE_FALLBACKS } from '../i18n';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Fichiers de contenu, regroupés par slug
+const CONTENT_FILES = import.meta.glob('../content/prestations/*.json', {
+  eager: true,
+  import: 'default'
+});
+
+const PRESTATIONS = Object.fromEntries(
+  Object.entries(CONTENT_FILES)
+    .filter(([path]) => !path.endsWith('.schema.json'))
+    .map(([, prestation]) => [prestation.slug, prestation])
+);
+
+/**
+ * Liste les slugs des prestations disponibles
+ * @returns {Array<String>} - Slugs
+ */
+export const getPrestationSlugs = () => Object.keys(PRESTATIONS);
+
+/**
+ * Retourne le contenu d'une prestation dans la langue demandée
+ * @param {String} slug - Slug de la prestation (DRAWER_MAPPINGS)
+ * @param {String} locale - Code de langue
+ * @returns {Object|null} - Contenu { title, sections } ou null si inconnu
+ */
+export const getPrestationContent = (slug, locale = DEFAULT_LOCALE) => {
+  const prestation = PRESTATIONS[slug];
+
+  if (!prestation) {
+    logger.warn(`Aucun contenu pour la prestation: ${slug}`);
+    return null;
+  }
+
+  const chain = [locale, ...(LOCALE_FALLBACKS[locale] || []), DEFAULT_LOCALE];
+  const resolvedLocale = chain.find(candidate => prestation.locales[candidate]);
+
+  return prestation.locales[resolvedLocale];
+};
+
+export default {
+  getPrestationSlugs,
+  getPrestationContent
+};
@@ -0,0 +1,120 @@
+/**
+ * Manifeste des projets du portfolio
+ * Charge les fichiers src/content/projects/*.json (validés au build
+ * par la configuration Vite) et résout les textes dans la langue demandée
+ */
+import { DEFAULT_LOCALE, LOCALE_FALLBACKS } from '../i18n';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Étiquettes de filtrage de l'index, dans l'ordre d'affichage
+export const PROJECT_TAGS = ['dataviz', '3d', 'site'];
+
+// Fichiers du manifeste
+const PROJECT_FILES = import.meta.glob('../content/projects/*.json', {
+  eager: true,
+  import: 'default'
+});
+
+// Projets triés selon leur position dans l'index
+const PROJECTS = Object.entries(PROJECT_FILES)
+  .filter(([path]) => !path.endsWith('.schema.json'))
+  .map(([, project]) => project)
+  .sort((a, b) => a.order - b.order);
+
+/**
+ * Langues consultées pour une langue donnée, de la plus prioritaire à la moins prioritaire
+ * @param {String} locale - Code de langue
+ * @returns {Array<String>} - Chaîne de repli
+ */
+const getLocaleChain = (locale) => [locale, ...(LOCALE_FALLBACKS[locale] || []), DEFAULT_LOCALE];
+
+/**
+ * Choisit la traduction d'un texte localisé { fr, en, gcf }
+ * @param {Object} text - Texte localisé
+ * @param {String} locale - Code de langue
+ * @returns {String} - Texte dans la langue la plus proche
+ */
+const pickLocalized = (text, locale) => {
+  const match = getLocaleChain(locale).find(candidate => text[candidate]);
+  return text[match];
+};
+
+/**
+ * Résout un projet dans une langue : les champs absents d'une traduction
+ * partielle sont repris des langues de repli
+ * @param {Object} project - Entrée du manifeste
+ * @param {String} locale - Code de langue
+ * @returns {Object} - Projet aplati { slug, tags, status, title, summary, sections, gallery, credits, ... }
+ */
+const localizeProject = (project, locale) => {
+  const { locales, gallery = [], credits = [], ...metadata } = project;
+  const texts = getLocaleChain(locale)
+    .reverse()
+    .reduce((merged, candidate) => ({ ...merged, ...locales[candidate] }), {});
+
+  return {
+    ...metadata,
+    sections: [],
+    ...texts,
+    gallery: gallery.map(image => ({ ...image, alt: pickLocalized(image.alt, locale) })),
+    credits: credits.map(credit => ({ ...credit, role: pickLocalized(credit.role, locale) }))
+  };
+};
+
+/**
+ * Liste les projets, éventuellement filtrés par étiquette
+ * @param {Object} options - { tag, locale }
+ * @returns {Array<Object>} - Projets résolus dans la langue demandée
+ */
+export const getProjects = ({ tag = null, locale = DEFAULT_LOCALE } = {}) => (
+  PROJECTS
+    .filter(project => !tag || project.tags.includes(tag))
+    .map(project => localizeProject(project, locale))
+);
+
+/**
+ * Retourne un projet par son slug
+ * @param {String} slug - Slug du projet
+ * @param {String} locale - Code de langue
+ * @returns {Object|null} - Projet résolu ou null si inconnu
+ */
+export const getProjectBySlug = (slug, locale = DEFAULT_LOCALE) => {
+  const project = PROJECTS.find(candidate => candidate.slug === slug);
+
+  if (!project) {
+    logger.warn(`Projet inconnu: ${slug}`);
+    return null;
+  }
+
+  return localizeProject(project, locale);
+};
+
+/**
+ * Retourne les projets liés à un projet
+ * @param {Object} project - Projet résolu
+ * @param {String} locale - Code de langue
+ * @returns {Array<Object>} - Projets liés résolus
+ */
+export const getRelatedProjects = (project, locale = DEFAULT_LOCALE) => (
+  (project.related || [])
+    .map(slug => PROJECTS.find(candidate => candidate.slug === slug))
+    .filter(Boolean)
+    .map(related => localizeProject(related, locale))
+);
+
+/**
+ * Vérifie qu'une étiquette de filtrage existe
+ * @param {String} tag - Étiquette
+ * @returns {Boolean} - true si l'étiquette est connue
+ */
+export const isProjectTag = (tag) => PROJECT_TAGS.includes(tag);
+
+export default {
+  PROJECT_TAGS,
+  getProjects,
+  getProjectBySlug,
+  getRelatedProjects,
+  isProjectTag
+};
@@ -0,0 +1,396 @@
+/**
+ * Gestionnaire de ressources
+ * File de chargement unique partagée par toutes les vues : chaque ressource a une
+ * priorité (critique, vue suivante, inactivité), le nombre de chargements simultanés
+ * est limité, une même ressource demandée par plusieurs appelants n'est chargée
+ * qu'une fois et un chargement abandonné par tous ses appelants est interrompu.
+ * Les ressources lourdes sont ignorées en mode économie de données ou sur
+ * connexion lente.
+ * Les fonctions de chargement par type sont fournies par l'appelant
+ * (voir services/preloadService).
+ */
+import {
+  RESOURCE_PRIORITIES,
+  RESOURCE_PRIORITY_ORDER,
+  RESOURCE_CONCURRENCY,
+  SLOW_CONNECTION_TYPES,
+  MIN_DOWNLINK_FOR_HEAVY
+} from '../constants/resources';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// États d'une ressource
+export const RESOURCE_STATUS = {
+  QUEUED: 'queued',
+  LOADING: 'loading',
+  LOADED: 'loaded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Lit l'état de la connexion (Network Information API, absente de certains navigateurs)
+ * @returns {Object} - { saveData, effectiveType, downlink, isConstrained }
+ */
+export const readNetworkProfile = () => {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+  const saveData = Boolean(connection?.saveData);
+  const effectiveType = connection?.effectiveType || null;
+  const downlink = typeof connection?.downlink === 'number' ? connection.downlink : null;
+
+  return {
+    saveData,
+    effectiveType,
+    downlink,
+    isConstrained: saveData
+      || SLOW_CONNECTION_TYPES.includes(effectiveType)
+      || (downlink !== null && downlink > 0 && downlink < MIN_DOWNLINK_FOR_HEAVY)
+  };
+};
+
+/**
+ * Erreur d'abandon, identique à celle de fetch
+ * @returns {Error}
+ */
+export const createAbortError = () => {
+  const error = new Error('Chargement annulé');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Indique si une erreur provient d'un abandon
+ * @param {Error} error - Erreur reçue
+ * @returns {Boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Clé d'une ressource : adresse absolue, pour que './a.png' et '/a.png' ne fassent qu'un
+ * @param {Object} resource - Ressource ({ key, src })
+ * @returns {String}
+ */
+const getResourceKey = (resource) => {
+  if (resource.key) return resource.key;
+
+  try {
+    return new URL(resource.src, document.baseURI).href;
+  } catch (error) {
+    logger.warn(`Adresse de ressource invalide: ${resource.src}`, error);
+    return resource.src;
+  }
+};
+
+const getRank = (priority) => {
+  const rank = RESOURCE_PRIORITY_ORDER.indexOf(priority);
+  return rank === -1 ? RESOURCE_PRIORITY_ORDER.length - 1 : rank;
+};
+
+/**
+ * Crée un gestionnaire de ressources
+ * @param {Object} options - Options du gestionnaire
+ * @param {Object} options.loaders - Fonctions de chargement par type : (src, signal) => Promise
+ * @param {Object} options.concurrency - Chargements simultanés par priorité (voir RESOURCE_CONCURRENCY)
+ * @param {Function} options.getNetwork - Lecture de l'état de la connexion
+ * @returns {Object} - { request, preloadGroup, getStatus, forget, getState, subscribe }
+ */
+export const createResourceManager = ({
+  loaders = {},
+  concurrency = RESOURCE_CONCURRENCY,
+  getNetwork = readNetworkProfile
+} = {}) => {
+  const entries = new Map();
+  const queue = [];
+  const listeners = new Set();
+  let active = 0;
+  let sequence = 0;
+  let idleHandle = null;
+
+  const notify = () => {
+    listeners.forEach(listener => listener());
+  };
+
+  const settle = (entry, status, error = null) => {
+    entry.status = status;
+    entry.controller = null;
+
+    if (status === RESOURCE_STATUS.FAILED) {
+      entry.reject(error);
+    } else {
+      entry.resolve(status);
+    }
+  };
+
+  // Une ressource de moindre priorité attend que les plus urgentes aient démarré
+  const hasMoreUrgentWork = (priority) => {
+    const rank = getRank(priority);
+    return Array.from(entries.values()).some(entry => (
+      getRank(entry.priority) < rank
+      && (entry.status === RESOURCE_STATUS.QUEUED || entry.status === RESOURCE_STATUS.LOADING)
+    ));
+  };
+
+  const start = (entry) => {
+    const loader = entry.resource.load || loaders[entry.resource.type];
+    const controller = new AbortController();
+
+    entry.status = RESOURCE_STATUS.LOADING;
+    entry.controller = controller;
+    active += 1;
+
+    Promise.resolve()
+      .then(() => {
+        if (!loader) throw new Error(`Type de ressource inconnu: ${entry.resource.type}`);
+        return loader(entry.resource.src, controller.signal);
+      })
+      .then(() => {
+        settle(entry, RESOURCE_STATUS.LOADED);
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) {
+          entry.reject(createAbortError());
+          return;
+        }
+        logger.warn(`Préchargement impossible: ${entry.resource.src}`, error);
+        settle(entry, RESOURCE_STATUS.FAILED, error);
+      })
+      .finally(() => {
+        active -= 1;
+        notify();
+        pump();
+      });
+  };
+
+  const scheduleIdle = () => {
+    if (idleHandle !== null) return;
+
+    const onIdle = () => {
+      idleHandle = null;
+      pump(true);
+    };
+    idleHandle = typeof window !== 'undefined' && window.requestIdleCallback
+      ? window.requestIdleCallback(onIdle, { timeout: 2000 })
+      : setTimeout(onIdle, 200);
+  };
+
+  /**
+   * Démarre les ressources en attente dans la limite des chargements simultanés
+   * @param {Boolean} isIdle - true si appelé pendant une période d'inactivité du navigateur
+   */
+  const pump = (isIdle = false) => {
+    queue.sort((a, b) => (getRank(a.priority) - getRank(b.priority)) || (a.sequence - b.sequence));
+
+    while (queue.length > 0) {
+      const next = queue[0];
+
+      if (active >= (concurrency[next.priority] ?? 1) || hasMoreUrgentWork(next.priority)) break;
+
+      if (next.priority === RESOURCE_PRIORITIES.IDLE && !isIdle) {
+        scheduleIdle();
+        break;
+      }
+
+      queue.shift();
+      start(next);
+    }
+  };
+
+  // Un appelant abandonne : la ressource est retirée ou interrompue s'il était le dernier
+  const release = (entry) => {
+    entry.callers -= 1;
+    if (entry.callers > 0) return;
+
+    if (entry.status === RESOURCE_STATUS.QUEUED) {
+      queue.splice(queue.indexOf(entry), 1);
+      entries.delete(entry.key);
+      entry.reject(createAbortError());
+      notify();
+    } else if (entry.status === RESOURCE_STATUS.LOADING) {
+      // Oubliée dès maintenant : une nouvelle demande relancera un chargement
+      entries.delete(entry.key);
+      entry.controller.abort();
+    }
+  };
+
+  /**
+   * Demande le chargement d'une ressource
+   * @param {Object} resource - { type, src, heavy, key, load } ; load remplace la fonction du type
+   * @param {Object} options - Options de la demande
+   * @param {String} options.priority - Priorité (RESOURCE_PRIORITIES)
+   * @param {AbortSignal} options.signal - Abandon de la demande par cet appelant
+   * @returns {Promise<String>} - Statut final (loaded ou skipped), rejetée en cas d'échec ou d'abandon
+   */
+  const request = (resource, { priority = RESOURCE_PRIORITIES.IDLE, signal } = {}) => {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    const key = getResourceKey(resource);
+    let entry = entries.get(key);
+
+    // Un échec précédent peut être retenté
+    if (entry?.status === RESOURCE_STATUS.FAILED) {
+      entries.delete(key);
+      entry = null;
+    }
+
+    if (!entry) {
+      entry = {
+        key,
+        resource,
+        priority,
+        sequence: sequence++,
+        status: RESOURCE_STATUS.QUEUED,
+        callers: 0,
+        controller: null
+      };
+      entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+      // Les appelants reçoivent leur propre promesse : pas de rejet non intercepté ici
+      entry.promise.catch(() => {});
+      entries.set(key, entry);
+
+      if (resource.heavy && getNetwork().isConstrained) {
+        logger.log(`Ressource lourde ignorée (connexion limitée): ${resource.src}`);
+        settle(entry, RESOURCE_STATUS.SKIPPED);
+        notify();
+        return entry.promise;
+      }
+
+      queue.push(entry);
+    } else if (entry.status === RESOURCE_STATUS.QUEUED && getRank(priority) < getRank(entry.priority)) {
+      // Demandée plus urgemment par un autre appelant
+      entry.priority = priority;
+    }
+
+    if (entry.status === RESOURCE_STATUS.LOADED || entry.status === RESOURCE_STATUS.SKIPPED) {
+      return entry.promise;
+    }
+
+    entry.callers += 1;
+    const currentEntry = entry;
+
+    const result = new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(createAbortError());
+        release(currentEntry);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      currentEntry.promise.then(
+        (status) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(status);
+        },
+        (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+
+    notify();
+    pump();
+    return result;
+  };
+
+  /**
+   * Charge un groupe de ressources en suivant la progression
+   * Seules les ressources chargées (ou volontairement ignorées) font avancer la
+   * progression : les échecs sont rapportés à part
+   * @param {Array<Object>} resources - Ressources à charger
+   * @param {Object} options - Options du groupe
+   * @param {String} options.priority - Priorité (RESOURCE_PRIORITIES)
+   * @param {AbortSignal} options.signal - Abandon du groupe
+   * @param {Function} options.onProgress - Appelée avec la progression (0-100)
+   * @returns {Promise<Object>} - { loaded, skipped, failed } (listes d'adresses), rejetée en cas d'abandon
+   */
+  const preloadGroup = (resources, { priority, signal, onProgress } = {}) => {
+    const result = { loaded: [], skipped: [], failed: [] };
+
+    if (resources.length === 0) {
+      onProgress?.(100);
+      return Promise.resolve(result);
+    }
+
+    const report = () => {
+      const done = result.loaded.length + result.skipped.length;
+      onProgress?.(Math.floor((done / resources.length) * 100));
+    };
+
+    return Promise.all(resources.map(resource => (
+      request(resource, { priority, signal })
+        .then((status) => {
+          result[status === RESOURCE_STATUS.SKIPPED ? 'skipped' : 'loaded'].push(resource.src);
+          report();
+        })
+        .catch((error) => {
+          if (isAbortError(error)) throw error;
+          result.failed.push(resource.src);
+        })
+    ))).then(() => result);
+  };
+
+  /**
+   * Statut d'une ressource
+   * @param {Object|String} resource - Ressource ou adresse
+   * @returns {String|null} - Statut (RESOURCE_STATUS) ou null si jamais demandée
+   */
+  const getStatus = (resource) => {
+    const key = getResourceKey(typeof resource === 'string' ? { src: resource } : resource);
+    return entries.get(key)?.status || null;
+  };
+
+  /**
+   * Oublie une ressource terminée (libérée par son propriétaire) : une prochaine demande la rechargera
+   * @param {Object|String} resource - Ressource ou adresse
+   */
+  const forget = (resource) => {
+    const key = getResourceKey(typeof resource === 'string' ? { src: resource } : resource);
+    const entry = entries.get(key);
+    if (!entry || entry.status === RESOURCE_STATUS.QUEUED || entry.status === RESOURCE_STATUS.LOADING) return;
+
+    entries.delete(key);
+    notify();
+  };
+
+  /**
+   * Vue d'ensemble de la file
+   * @returns {Object} - Nombre de ressources par statut et état de la connexion
+   */
+  const getState = () => {
+    const counts = Object.values(RESOURCE_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+    entries.forEach((entry) => {
+      counts[entry.status] += 1;
+    });
+    return { ...counts, network: getNetwork() };
+  };
+
+  /**
+   * Abonnement aux changements de la file
+   * @param {Function} listener - Appelée sans argument à chaque changement
+   * @returns {Function} - Désabonnement
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    request,
+    preloadGroup,
+    getStatus,
+    forget,
+    getState,
+    subscribe
+  };
+};
+
+export default {
+  RESOURCE_STATUS,
+  readNetworkProfile,
+  createAbortError,
+  isAbortError,
+  createResourceManager
+};
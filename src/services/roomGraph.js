@@ -0,0 +1,73 @@
+/**
+ * Graphe des pièces
+ * Résout les pièces et les portes qui les relient (constants/rooms).
+ * Module pur : le chargement des scènes et la transition sont gérés par useRoomNavigation.
+ */
+import { ROOMS, ROOM_DOORS } from '../constants/rooms';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+/**
+ * Crée le graphe des pièces
+ * Une porte à double sens produit deux arêtes, la seconde utilisant
+ * returnObjectId et returnArrival
+ * @param {Object} rooms - Pièces indexées par identifiant
+ * @param {Array<Object>} doors - Portes { id, from, to, objectId, arrival, twoWay, returnObjectId, returnArrival }
+ * @returns {Object} - { getRoom, getDoorsFrom, findDoor, getNeighbours }
+ */
+export const createRoomGraph = (rooms = ROOMS, doors = ROOM_DOORS) => {
+  const edges = doors.flatMap((door) => {
+    if (!rooms[door.from] || !rooms[door.to]) {
+      logger.warn(`Porte ignorée, pièce inconnue: ${door.id} (${door.from} -> ${door.to})`);
+      return [];
+    }
+
+    const forward = {
+      id: door.id,
+      from: door.from,
+      to: door.to,
+      objectId: door.objectId,
+      arrival: door.arrival || null
+    };
+    if (!door.twoWay) return [forward];
+
+    return [forward, {
+      id: `${door.id}:retour`,
+      from: door.to,
+      to: door.from,
+      objectId: door.returnObjectId || door.objectId,
+      arrival: door.returnArrival || null
+    }];
+  });
+
+  const getRoom = (roomId) => rooms[roomId] || null;
+
+  const getDoorsFrom = (roomId) => edges.filter(edge => edge.from === roomId);
+
+  /**
+   * Porte correspondant à un objet de la scène d'une pièce
+   * @param {String} roomId - Pièce courante
+   * @param {String} objectId - Identifiant de l'objet activé
+   * @returns {Object|null} - Arête { id, from, to, objectId, arrival } ou null
+   */
+  const findDoor = (roomId, objectId) => (
+    objectId ? edges.find(edge => edge.from === roomId && edge.objectId === objectId) || null : null
+  );
+
+  // Pièces atteignables en une porte, à précharger
+  const getNeighbours = (roomId) => (
+    [...new Set(getDoorsFrom(roomId).map(edge => edge.to))].map(getRoom)
+  );
+
+  return {
+    getRoom,
+    getDoorsFrom,
+    findDoor,
+    getNeighbours
+  };
+};
+
+export default {
+  createRoomGraph
+};
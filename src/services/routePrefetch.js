@@ -0,0 +1,173 @@
+/**
+ * Préchargement anticipé des pages
+ * Prépare le code d'une page et, pour une page projet, sa scène Spline avant que
+ * le visiteur ne clique : chaque page préparée est une « cible » abandonnable,
+ * confiée au gestionnaire de ressources avec la priorité « vue suivante ».
+ * Le nombre de cibles simultanées et de scènes gardées en mémoire est limité
+ * (ROUTE_PREFETCH), et les scènes sont ignorées sur connexion limitée.
+ */
+import { resourceManager } from './preloadService';
+import { RESOURCE_STATUS, isAbortError } from './resourceManager';
+import { getProjectBySlug } from './projectManifest';
+import { getSceneUrl, loadScene, releaseScene } from './sceneAssets';
+import { PROJECTS_BASE_PATH } from '../utils/projectRoutes';
+import { RESOURCE_PRIORITIES, ROUTE_PREFETCH } from '../constants/resources';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Modules des pages chargées à la demande (partagés avec React.lazy dans App.jsx)
+export const ROUTE_MODULES = {
+  contact: () => import('../scenes/Contact'),
+  projectIndex: () => import('../scenes/ProjectIndexPage'),
+  project: () => import('../scenes/ProjectPage')
+};
+
+/**
+ * Ressources nécessaires à l'affichage d'une route
+ * @param {String} route - Chemin de la page (ex: "/projets/eoliennes")
+ * @returns {Array<Object>} - Ressources pour le gestionnaire (module de la page, scène éventuelle)
+ */
+export const getRouteResources = (route) => {
+  const [path] = route.split('?');
+
+  if (path === PROJECTS_BASE_PATH) {
+    return [{ key: 'module:projectIndex', type: 'module', src: path, load: ROUTE_MODULES.projectIndex }];
+  }
+
+  if (path.startsWith(`${PROJECTS_BASE_PATH}/`)) {
+    const slug = path.slice(PROJECTS_BASE_PATH.length + 1);
+    const sceneId = getProjectBySlug(slug)?.scene;
+    const resources = [{ key: 'module:project', type: 'module', src: path, load: ROUTE_MODULES.project }];
+
+    if (sceneId && getSceneUrl(sceneId)) {
+      resources.push({
+        key: `scene:${sceneId}`,
+        type: 'scene',
+        src: getSceneUrl(sceneId),
+        sceneId,
+        heavy: true,
+        load: (src, signal) => loadScene(sceneId, { signal })
+      });
+    }
+
+    return resources;
+  }
+
+  if (path === '/contact') {
+    return [{ key: 'module:contact', type: 'module', src: path, load: ROUTE_MODULES.contact }];
+  }
+
+  return [];
+};
+
+/**
+ * Crée le gestionnaire de préchargement anticipé
+ * @param {Object} options - Options
+ * @param {Object} options.manager - Gestionnaire de ressources
+ * @param {Object} options.budget - Limites (voir ROUTE_PREFETCH)
+ * @returns {Object} - { prefetch, cancel, cancelAll, getTargets }
+ */
+export const createRoutePrefetcher = ({
+  manager = resourceManager,
+  budget = ROUTE_PREFETCH
+} = {}) => {
+  // Cibles en cours, dans l'ordre de leur demande : route -> AbortController
+  const targets = new Map();
+  // Scènes anticipées gardées en mémoire, de la plus ancienne à la plus récente
+  const retainedScenes = [];
+
+  // Libère les scènes anticipées les plus anciennes au-delà du budget
+  const retainScene = (sceneId) => {
+    const index = retainedScenes.indexOf(sceneId);
+    if (index !== -1) retainedScenes.splice(index, 1);
+    retainedScenes.push(sceneId);
+
+    while (retainedScenes.length > budget.maxRetainedScenes) {
+      const released = retainedScenes.shift();
+      releaseScene(released);
+      manager.forget({ key: `scene:${released}` });
+      logger.log(`Scène anticipée libérée (budget atteint): ${released}`);
+    }
+  };
+
+  /**
+   * Abandonne la préparation d'une page
+   * Ce qui est déjà téléchargé est conservé
+   * @param {String} route - Chemin de la page
+   */
+  const cancel = (route) => {
+    const controller = targets.get(route);
+    if (!controller) return;
+
+    targets.delete(route);
+    controller.abort();
+  };
+
+  /**
+   * Prépare une page
+   * @param {String} route - Chemin de la page
+   * @returns {Boolean} - true si une préparation a démarré
+   */
+  const prefetch = (route) => {
+    if (targets.has(route)) return false;
+
+    const resources = getRouteResources(route);
+    if (resources.length === 0) return false;
+
+    // Budget : la cible la plus ancienne laisse la place
+    while (targets.size >= budget.maxTargets) {
+      cancel(targets.keys().next().value);
+    }
+
+    const controller = new AbortController();
+    targets.set(route, controller);
+    logger.log(`Préparation anticipée de la page ${route}`);
+
+    const requests = resources.map(resource => (
+      manager.request(resource, { priority: RESOURCE_PRIORITIES.NEXT_ROUTE, signal: controller.signal })
+        .then((status) => {
+          if (resource.sceneId && status !== RESOURCE_STATUS.SKIPPED) retainScene(resource.sceneId);
+        })
+        .catch((error) => {
+          if (!isAbortError(error)) {
+            logger.warn(`Préparation anticipée incomplète pour ${route}:`, error);
+          }
+        })
+    ));
+
+    // Page prête : la cible ne compte plus dans le budget
+    Promise.all(requests).then(() => {
+      if (targets.get(route) === controller) targets.delete(route);
+    });
+
+    return true;
+  };
+
+  /**
+   * Abandonne toutes les préparations
+   * @param {String} except - Page à poursuivre (celle vers laquelle le visiteur navigue)
+   */
+  const cancelAll = (except = null) => {
+    Array.from(targets.keys())
+      .filter(route => route !== except)
+      .forEach(cancel);
+  };
+
+  return {
+    prefetch,
+    cancel,
+    cancelAll,
+    getTargets: () => Array.from(targets.keys())
+  };
+};
+
+// Préparations partagées : le budget de scènes en mémoire vaut pour toute la visite
+export const routePrefetcher = createRoutePrefetcher();
+
+export default {
+  ROUTE_MODULES,
+  getRouteResources,
+  createRoutePrefetcher,
+  routePrefetcher
+};
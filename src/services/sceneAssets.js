@@ -0,0 +1,181 @@
+/**
+ * Adresses et chargement des scènes Spline
+ * Les scènes déclarées dans src/assets/scenes/scenes.json sont servies par le
+ * site lui-même (copie vérifiée par son empreinte, hachée au build, voir
+ * vite.config.js) ; l'URL Spline d'origine n'est utilisée que pour une scène
+ * encore sans empreinte, ou en développement quand la copie locale est indisponible.
+ * Les fichiers téléchargés restent en mémoire jusqu'à leur libération
+ */
+import sceneUrls from 'virtual:spline-scenes';
+import { createAbortError } from './resourceManager';
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+// Identifiants des scènes utilisées par l'expérience
+export const SCENE_IDS = {
+  CABIN: 'cabin',
+  EOLIENNES: 'eoliennes'
+};
+
+/**
+ * Retourne l'URL d'une scène
+ * @param {String} id - Identifiant de la scène (clé de scenes.json)
+ * @returns {String|null} - URL du fichier .splinecode ou null si inconnue
+ */
+export const getSceneUrl = (id) => {
+  const url = sceneUrls[id];
+
+  if (!url) {
+    logger.warn(`Scène Spline inconnue: ${id}`);
+    return null;
+  }
+
+  return url;
+};
+
+// Chargements en cours ou terminés, par identifiant de scène :
+// { promise, url (adresse blob une fois téléchargée), listeners, controller, callers }
+const sceneLoads = new Map();
+
+/**
+ * Lit le corps d'une réponse par morceaux en signalant les octets reçus
+ * @param {Response} response - Réponse de fetch
+ * @param {Function} onChunk - Appelée avec (loaded, total) ; total vaut 0 si la taille est inconnue
+ * @returns {Promise<Blob>}
+ */
+const readWithProgress = async (response, onChunk) => {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+
+  // Flux non disponible : lecture en un bloc
+  if (!response.body || !response.body.getReader) {
+    const blob = await response.blob();
+    onChunk(blob.size, total || blob.size);
+    return blob;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onChunk(loaded, total);
+  }
+
+  return new Blob(chunks);
+};
+
+/**
+ * Télécharge le fichier d'une scène en suivant la progression octet par octet
+ * Le fichier est conservé en mémoire (adresse blob) : le runtime Spline le lit
+ * ensuite sans nouvelle requête. Un même fichier n'est téléchargé qu'une fois,
+ * les appels simultanés partagent le même téléchargement, interrompu quand tous
+ * ses appelants y ont renoncé
+ * @param {String} id - Identifiant de la scène (clé de scenes.json)
+ * @param {Object} options - Options du chargement
+ * @param {Function} options.onProgress - Appelée avec (loaded, total) ; total vaut 0 si la taille est inconnue
+ * @param {AbortSignal} options.signal - Abandon par cet appelant ; sans signal, le téléchargement va à son terme
+ * @returns {Promise<String>} - Adresse blob de la scène
+ */
+export const loadScene = (id, { onProgress, signal } = {}) => {
+  const url = getSceneUrl(id);
+  if (!url) return Promise.reject(new Error(`Scène Spline inconnue: ${id}`));
+  // Appelant ayant déjà renoncé : il ne doit pas retenir le téléchargement partagé
+  if (signal?.aborted) return Promise.reject(createAbortError());
+
+  let load = sceneLoads.get(id);
+
+  if (!load) {
+    load = { url: null, listeners: new Set(), controller: new AbortController(), callers: 0 };
+
+    load.promise = fetch(url, { signal: load.controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return readWithProgress(response, (loaded, total) => {
+          load.listeners.forEach(listener => listener(loaded, total));
+        });
+      })
+      .then((blob) => {
+        load.url = URL.createObjectURL(blob);
+        logger.log(`Scène chargée: ${id} (${Math.round(blob.size / 1024)} Ko)`);
+        return load.url;
+      })
+      .catch((error) => {
+        if (sceneLoads.get(id) === load) sceneLoads.delete(id);
+        throw error;
+      })
+      .finally(() => load.listeners.clear());
+
+    sceneLoads.set(id, load);
+  }
+
+  if (load.url) return load.promise;
+
+  const currentLoad = load;
+  currentLoad.callers += 1;
+  if (onProgress) currentLoad.listeners.add(onProgress);
+
+  signal?.addEventListener('abort', () => {
+    currentLoad.listeners.delete(onProgress);
+    currentLoad.callers -= 1;
+
+    // Plus personne n'attend la scène : le téléchargement est interrompu
+    if (currentLoad.callers === 0 && !currentLoad.url) {
+      sceneLoads.delete(id);
+      currentLoad.controller.abort();
+      logger.log(`Chargement de la scène ${id} interrompu`);
+    }
+  }, { once: true });
+
+  return load.promise;
+};
+
+/**
+ * Retourne l'adresse blob d'une scène déjà téléchargée
+ * @param {String} id - Identifiant de la scène
+ * @returns {String|null} - Adresse blob, ou null si la scène n'est pas encore en mémoire
+ */
+export const getLoadedSceneUrl = (id) => sceneLoads.get(id)?.url || null;
+
+/**
+ * Libère le fichier d'une scène gardé en mémoire
+ * Le prochain chargement le télécharge de nouveau
+ * @param {String} id - Identifiant de la scène
+ */
+export const releaseScene = (id) => {
+  const load = sceneLoads.get(id);
+  if (!load) return;
+
+  if (load.url) URL.revokeObjectURL(load.url);
+  sceneLoads.delete(id);
+};
+
+/**
+ * Précharge le fichier d'une scène pour qu'elle s'affiche sans attente
+ * @param {String} id - Identifiant de la scène (clé de scenes.json)
+ * @returns {Promise<Boolean>} - true si la scène est disponible
+ */
+export const preloadScene = (id) => (
+  loadScene(id)
+    .then(() => {
+      logger.log(`Scène préchargée: ${id}`);
+      return true;
+    })
+    .catch((error) => {
+      logger.warn(`Préchargement de la scène ${id} impossible:`, error);
+      return false;
+    })
+);
+
+export default {
+  SCENE_IDS,
+  getSceneUrl,
+  loadScene,
+  getLoadedSceneUrl,
+  releaseScene,
+  preloadScene
+};
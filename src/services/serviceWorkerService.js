@@ -0,0 +1,54 @@
+/**
+ * Enregistrement du service worker (mode hors ligne)
+ * Le fichier sw.js est généré au build uniquement : rien n'est enregistré en développement
+ */
+import debugUtils from '../utils/debugUtils';
+
+const { logger } = debugUtils;
+
+const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+/**
+ * Enregistre le service worker une fois la page chargée
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Enregistrement, ou null si indisponible
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const register = () => {
+      navigator.serviceWorker.register(SERVICE_WORKER_URL)
+        .then((registration) => {
+          logger.log('Service worker enregistré');
+
+          // Une nouvelle version prend le relais au prochain chargement
+          registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+              if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                logger.log('Nouvelle version du site mise en cache');
+              }
+            });
+          });
+
+          resolve(registration);
+        })
+        .catch((error) => {
+          logger.warn("Échec de l'enregistrement du service worker:", error);
+          resolve(null);
+        });
+    };
+
+    if (document.readyState === 'complete') {
+      register();
+    } else {
+      window.addEventListener('load', register, { once: true });
+    }
+  });
+};
+
+export default {
+  registerServiceWorker
+};
@@ -1,179 +1,648 @@
 /**
  * Utilitaires d'animation
- * Fournit des fonctions pour animer différentes propriétés de manière fluide
+ * Moteur d'interpolation cadencé par les horodatages de requestAnimationFrame :
+ * easings nommés ou courbes de Bézier, ressorts amortis, timelines (enchaînement,
+ * pause, recherche) et reprise de la vitesse d'une animation interrompue
  */
 
 // Collection de fonctions d'easing
 const easingFunctions = {
-    // Linéaire
-    linear: t => t,
-    
-    // Fonctions cubiques
-    easeInCubic: t => t * t * t,
-    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
-    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
-    
-    // Fonctions quadratiques
-    easeInQuad: t => t * t,
-    easeOutQuad: t => 1 - (1 - t) * (1 - t),
-    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
-    
-    // Fonctions exponentielles
-    easeInExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
-    easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
-    easeInOutExpo: t => 
-      t === 0 ? 0 : 
-      t === 1 ? 1 : 
-      t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : 
-      (2 - Math.pow(2, -20 * t + 10)) / 2
-  };
-  
-  // Interpolation linéaire entre deux valeurs
-  const lerp = (start, end, progress) => start + (end - start) * progress;
-  
-  /**
-   * Applique une valeur à une propriété d'un objet, avec support pour les propriétés imbriquées
-   * @param {Object} obj - L'objet à modifier
-   * @param {String} prop - La propriété à modifier (ex: "position.x")
-   * @param {*} value - La valeur à appliquer
-   */
-  const applyValue = (obj, prop, value) => {
-    if (!obj) return;
-    
-    const props = prop.split('.');
-    const lastProp = props.pop();
-    const target = props.reduce((o, p) => o && o[p], obj);
-    
-    if (target) {
-      target[lastProp] = value;
+  // Linéaire
+  linear: t => t,
+
+  // Fonctions cubiques
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+
+  // Fonctions quadratiques
+  easeInQuad: t => t * t,
+  easeOutQuad: t => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+
+  // Fonctions exponentielles
+  easeInExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+  easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+  easeInOutExpo: t =>
+    t === 0 ? 0 :
+    t === 1 ? 1 :
+    t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 :
+    (2 - Math.pow(2, -20 * t + 10)) / 2
+};
+
+// Paramètres par défaut des ressorts (raideur, amortissement, masse)
+const SPRING_DEFAULTS = { stiffness: 170, damping: 26, mass: 1 };
+
+// Durée maximale simulée pour un ressort qui ne se stabilise pas (ms)
+const MAX_SPRING_DURATION = 10000;
+
+// Pas d'échantillonnage pour estimer la durée d'un ressort (ms)
+const SPRING_SAMPLE_STEP = 16;
+
+// Interpolation linéaire entre deux valeurs
+const lerp = (start, end, progress) => start + (end - start) * progress;
+
+/**
+ * Crée une fonction d'easing à partir d'une courbe de Bézier cubique,
+ * avec les mêmes points de contrôle que cubic-bezier() en CSS
+ * @param {Number} x1 - Abscisse du premier point de contrôle (entre 0 et 1)
+ * @param {Number} y1 - Ordonnée du premier point de contrôle
+ * @param {Number} x2 - Abscisse du second point de contrôle (entre 0 et 1)
+ * @param {Number} y2 - Ordonnée du second point de contrôle
+ * @returns {Function} - Fonction d'easing (progression linéaire -> progression)
+ */
+const cubicBezier = (x1, y1, x2, y2) => {
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = t => ((ax * t + bx) * t + cx) * t;
+  const sampleY = t => ((ay * t + by) * t + cy) * t;
+  const sampleSlopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+  // Paramètre t de la courbe pour une abscisse : Newton, puis dichotomie si la pente s'annule
+  const solveT = (x) => {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) return t;
+      const slope = sampleSlopeX(t);
+      if (Math.abs(slope) < 1e-6) break;
+      t -= error / slope;
     }
+
+    let low = 0;
+    let high = 1;
+    t = x;
+    for (let i = 0; i < 30; i++) {
+      const value = sampleX(t);
+      if (Math.abs(value - x) < 1e-6) return t;
+      if (value < x) low = t;
+      else high = t;
+      t = (low + high) / 2;
+    }
+    return t;
   };
-  
-  /**
-   * Anime une propriété d'un objet avec une fonction d'easing
-   * @param {Object} options - Options d'animation
-   * @param {Object} options.object - L'objet à animer
-   * @param {String} options.property - La propriété à animer (peut être imbriquée comme "position.x")
-   * @param {*} options.from - Valeur de départ
-   * @param {*} options.to - Valeur d'arrivée
-   * @param {Number} options.duration - Durée de l'animation en ms
-   * @param {String|Function} options.easingFn - Fonction d'easing à utiliser
-   * @param {Function} options.onProgress - Callback appelé à chaque étape de l'animation
-   * @param {Function} options.onComplete - Callback appelé à la fin de l'animation
-   * @returns {Number} - ID d'animation qui peut être utilisé pour l'annuler
-   */
-  const animate = ({ 
-    object, 
-    property, 
-    from, 
-    to, 
-    duration = 1000, 
-    easingFn = 'easeOutCubic',
-    onProgress = null,
-    onComplete = null 
-  }) => {
-    if (!object || to === undefined) return null;
-    
-    const startTime = Date.now();
-    const easing = typeof easingFn === 'function' ? easingFn : easingFunctions[easingFn];
-    
-    if (!easing) {
-      console.warn(`La fonction d'easing "${easingFn}" n'existe pas, utilisation de "easeOutCubic"`);
-      easingFn = easingFunctions.easeOutCubic;
+
+  return t => (t <= 0 ? 0 : t >= 1 ? 1 : sampleY(solveT(t)));
+};
+
+/**
+ * Résout une easing : nom de easingFunctions, fonction, ou points de Bézier [x1, y1, x2, y2]
+ * @param {String|Function|Array<Number>} easing - Easing demandée
+ * @returns {Function} - Fonction d'easing
+ */
+const resolveEasing = (easing) => {
+  if (typeof easing === 'function') return easing;
+  if (Array.isArray(easing) && easing.length === 4) return cubicBezier(...easing);
+  if (easingFunctions[easing]) return easingFunctions[easing];
+
+  console.warn(`La fonction d'easing "${easing}" n'existe pas, utilisation de "easeOutCubic"`);
+  return easingFunctions.easeOutCubic;
+};
+
+/**
+ * Applique une valeur à une propriété d'un objet, avec support pour les propriétés imbriquées
+ * @param {Object} obj - L'objet à modifier
+ * @param {String} prop - La propriété à modifier (ex: "position.x")
+ * @param {*} value - La valeur à appliquer
+ */
+const applyValue = (obj, prop, value) => {
+  if (!obj) return;
+
+  const props = prop.split('.');
+  const lastProp = props.pop();
+  const target = props.reduce((o, p) => o && o[p], obj);
+
+  if (target) {
+    target[lastProp] = value;
+  }
+};
+
+/**
+ * Lit une propriété d'un objet, avec support pour les propriétés imbriquées
+ * @param {Object} obj - L'objet à lire
+ * @param {String} prop - La propriété à lire (ex: "position.x")
+ * @returns {*} - Valeur de la propriété ou undefined
+ */
+const readValue = (obj, prop) => prop.split('.').reduce((o, p) => (o ? o[p] : undefined), obj);
+
+/**
+ * Mouvement interpolé par une easing sur une durée fixe.
+ * Une vitesse initiale non nulle (reprise d'une animation interrompue) est raccordée
+ * par un terme d'Hermite qui s'annule aux deux extrémités : la courbe part à cette
+ * vitesse exacte puis rejoint le profil de l'easing.
+ * @param {Object} options - { from, to, duration, easing, velocity (unités par ms) }
+ * @returns {Object} - { duration, sample(time) }
+ */
+const createEasedMotion = ({ from, to, duration, easing, velocity = 0 }) => {
+  const ease = resolveEasing(easing);
+  const delta = to - from;
+  const startSlope = (ease(1e-4) - ease(0)) / 1e-4;
+  const correction = velocity * duration - startSlope * delta;
+
+  return {
+    duration,
+    sample: (time) => {
+      if (duration <= 0 || time >= duration) return to;
+      const s = Math.max(0, time / duration);
+      const hermite = velocity ? s * (1 - s) * (1 - s) * correction : 0;
+      return from + delta * ease(s) + hermite;
     }
-    
-    // ID d'animation pour pouvoir l'annuler
-    const animationId = requestAnimationFrame(function step() {
-      const elapsedTime = Date.now() - startTime;
-      const progress = Math.min(elapsedTime / duration, 1);
-      const easedProgress = easing(progress);
-      
-      // Valeur à appliquer
-      let value;
-      
-      // Gestion différente selon le type de from/to
-      if (typeof from === 'object' && from !== null && typeof to === 'object' && to !== null) {
-        // Objet (ex: {x: 0, y: 0, z: 0})
-        Object.entries(from).forEach(([key, startVal]) => {
-          if (to[key] !== undefined) {
-            value = lerp(startVal, to[key], easedProgress);
-            applyValue(object, `${property}.${key}`, value);
-          }
-        });
-      } else {
-        // Valeur simple
-        value = lerp(from, to, easedProgress);
-        applyValue(object, property, value);
-      }
-      
-      // Appeler le callback de progression si fourni
-      if (onProgress) {
-        onProgress(easedProgress, value);
-      }
-      
-      if (progress < 1) {
-        requestAnimationFrame(step);
-      } else if (onComplete) {
-        onComplete();
+  };
+};
+
+/**
+ * Mouvement d'un ressort amorti (solution analytique de l'oscillateur harmonique),
+ * ce qui permet de l'échantillonner à n'importe quel instant pour la recherche
+ * @param {Object} options - { from, to, velocity (unités par ms), stiffness, damping, mass, restDelta }
+ * @returns {Object} - { duration, sample(time) }
+ */
+const createSpringMotion = ({
+  from,
+  to,
+  velocity = 0,
+  stiffness = SPRING_DEFAULTS.stiffness,
+  damping = SPRING_DEFAULTS.damping,
+  mass = SPRING_DEFAULTS.mass,
+  restDelta
+}) => {
+  const omega = Math.sqrt(stiffness / mass);
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+  const x0 = from - to;
+  const v0 = velocity * 1000; // Unités par seconde
+
+  // Écart à la cible en fonction du temps (secondes)
+  let displacement;
+  if (zeta < 1) {
+    const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+    const b = (v0 + zeta * omega * x0) / omegaD;
+    displacement = t => Math.exp(-zeta * omega * t) * (x0 * Math.cos(omegaD * t) + b * Math.sin(omegaD * t));
+  } else if (zeta === 1) {
+    displacement = t => Math.exp(-omega * t) * (x0 + (v0 + omega * x0) * t);
+  } else {
+    const root = omega * Math.sqrt(zeta * zeta - 1);
+    const r1 = -zeta * omega + root;
+    const r2 = -zeta * omega - root;
+    const c2 = (v0 - r1 * x0) / (r2 - r1);
+    const c1 = x0 - c2;
+    displacement = t => c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t);
+  }
+
+  // Tolérance proportionnelle à l'amplitude du mouvement
+  const amplitude = Math.abs(x0) + Math.abs(v0) / omega;
+  const tolerance = restDelta ?? Math.max(amplitude * 1e-3, 1e-4);
+
+  // Premier instant où le ressort reste dans la tolérance, à l'arrêt
+  let duration = 0;
+  if (amplitude > 0) {
+    duration = MAX_SPRING_DURATION;
+    for (let time = 0; time < MAX_SPRING_DURATION; time += SPRING_SAMPLE_STEP) {
+      const current = displacement(time / 1000);
+      const next = displacement((time + SPRING_SAMPLE_STEP) / 1000);
+      if (Math.abs(current) < tolerance && Math.abs(next - current) < tolerance) {
+        duration = time;
+        break;
       }
-    });
-    
-    return animationId;
+    }
+  }
+
+  return {
+    duration,
+    sample: time => (time >= duration ? to : to + displacement(Math.max(0, time) / 1000))
   };
-  
-  /**
-   * Annule une animation en cours
-   * @param {Number} animationId - ID de l'animation à annuler
-   */
-  const cancelAnimation = (animationId) => {
-    if (animationId) {
-      cancelAnimationFrame(animationId);
+};
+
+/**
+ * Vitesse d'un mouvement à un instant donné (différence centrée)
+ * @param {Object} motion - Mouvement (createEasedMotion ou createSpringMotion)
+ * @param {Number} time - Instant local en ms
+ * @returns {Number} - Vitesse en unités par ms
+ */
+const motionVelocity = (motion, time) => {
+  if (time >= motion.duration) return 0;
+  return motion.sample(time + 0.5) - motion.sample(time - 0.5);
+};
+
+/**
+ * Boucle requestAnimationFrame unique partagée par toutes les timelines
+ */
+const createTicker = () => {
+  const callbacks = new Set();
+  let frameId = null;
+
+  const loop = (timestamp) => {
+    frameId = null;
+    // Copie : un callback peut se retirer pendant la boucle
+    [...callbacks].forEach(callback => callback(timestamp));
+    if (callbacks.size > 0 && frameId === null) {
+      frameId = requestAnimationFrame(loop);
+    }
+  };
+
+  return {
+    add: (callback) => {
+      callbacks.add(callback);
+      if (frameId === null) frameId = requestAnimationFrame(loop);
+    },
+    remove: (callback) => {
+      callbacks.delete(callback);
+      if (callbacks.size === 0 && frameId !== null) {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
     }
   };
-  
-  /**
-   * Anime plusieurs propriétés d'un ou plusieurs objets en même temps
-   * @param {Array} animations - Tableau d'objets d'options pour la fonction animate
-   * @param {Function} onAllComplete - Callback appelé quand toutes les animations sont terminées
-   */
-  const animateMultiple = (animations, onAllComplete) => {
-    if (!animations || animations.length === 0) {
-      if (onAllComplete) onAllComplete();
+};
+
+const ticker = createTicker();
+
+// Animation en cours par objet et propriété, pour reprendre sa vitesse si on l'interrompt
+const runningTracks = new WeakMap();
+
+const getRunningTrack = (object, property) => runningTracks.get(object)?.get(property) || null;
+
+const setRunningTrack = (track) => {
+  if (!track.object) return;
+  if (!runningTracks.has(track.object)) runningTracks.set(track.object, new Map());
+  runningTracks.get(track.object).set(track.property, track);
+};
+
+const releaseRunningTrack = (track) => {
+  const tracks = track.object ? runningTracks.get(track.object) : null;
+  if (tracks?.get(track.property) === track) tracks.delete(track.property);
+};
+
+const isVector = value => typeof value === 'object' && value !== null;
+
+/**
+ * Prépare une piste de timeline : une propriété (nombre ou vecteur {x, y, z}) d'un objet
+ * @param {Object} options - Options de la piste (voir createTimeline().add)
+ * @param {Number} start - Début de la piste dans la timeline (ms)
+ * @param {*} previousTo - Valeur d'arrivée de la piste précédente sur la même propriété
+ * @returns {Object} - Piste
+ */
+const createTrack = ({
+  object = null,
+  property = '',
+  from,
+  to,
+  duration = 1000,
+  delay = 0,
+  easing,
+  easingFn = 'easeOutCubic',
+  spring = null,
+  velocity,
+  velocityUnit,
+  apply = null,
+  onUpdate,
+  onProgress = null,
+  onComplete = null
+}, start, previousTo) => {
+  const keys = isVector(to) ? Object.keys(to) : null;
+
+  // Départ implicite : fin de la piste précédente, sinon valeur actuelle de l'objet
+  let origin = from ?? previousTo;
+  if (origin === undefined && object) {
+    const current = readValue(object, property);
+    origin = keys && isVector(current)
+      ? Object.fromEntries(keys.map(key => [key, current[key]]))
+      : current;
+  }
+  // Comme auparavant, seules les clés présentes au départ et à l'arrivée sont animées
+  const animatedKeys = keys ? keys.filter(key => isVector(origin) && origin[key] !== undefined) : null;
+
+  const track = {
+    object,
+    property,
+    to,
+    apply,
+    velocityUnit,
+    start: start + delay,
+    duration: 0,
+    motions: null,
+    localTime: 0,
+    activated: false,
+    interrupted: false,
+    done: false,
+    // Un ressort rapporte une progression linéaire dans le temps
+    ease: spring ? easingFunctions.linear : resolveEasing(easing ?? easingFn),
+    onUpdate: onUpdate ?? onProgress,
+    onComplete
+  };
+
+  const buildMotion = (motionFrom, motionTo, initialSpeed = 0) => (spring
+    ? createSpringMotion({ ...(isVector(spring) ? spring : {}), from: motionFrom, to: motionTo, velocity: initialSpeed })
+    : createEasedMotion({ from: motionFrom, to: motionTo, duration, easing: track.ease, velocity: initialSpeed }));
+
+  // (Re)construit les mouvements, éventuellement avec une vitesse initiale par clé
+  track.build = (initialVelocity) => {
+    const velocityOf = key => (isVector(initialVelocity) ? initialVelocity[key] || 0 : initialVelocity || 0);
+    track.motions = animatedKeys
+      ? Object.fromEntries(animatedKeys.map(key => [key, buildMotion(origin[key], to[key], velocityOf(key))]))
+      : { value: buildMotion(origin, to, velocityOf()) };
+    track.duration = Math.max(0, ...Object.values(track.motions).map(motion => motion.duration));
+  };
+
+  // Vitesse courante de la piste (par clé pour un vecteur), en unités par ms
+  track.getVelocity = () => {
+    if (!animatedKeys) return motionVelocity(track.motions.value, track.localTime);
+    return Object.fromEntries(animatedKeys.map(key => [key, motionVelocity(track.motions[key], track.localTime)]));
+  };
+
+  track.hasExplicitVelocity = velocity !== undefined;
+  track.build(velocity);
+  return track;
+};
+
+/**
+ * Vitesse d'une piste interrompue exprimée dans les unités de celle qui la remplace.
+ * Une piste de progression (0 à 1) déclare avec velocityUnit la grandeur que
+ * représente une unité (l'angle d'un slerp par exemple) pour que la vitesse réelle soit conservée.
+ * @param {Object} running - Piste interrompue
+ * @param {Object} track - Nouvelle piste
+ * @returns {Number|Object} - Vitesse initiale de la nouvelle piste
+ */
+const convertVelocity = (running, track) => {
+  const velocity = running.getVelocity();
+  if (running.velocityUnit === undefined && track.velocityUnit === undefined) return velocity;
+
+  const isScalar = typeof velocity === 'number';
+  if (!isScalar || !(running.velocityUnit > 0) || !(track.velocityUnit > 0)) return 0;
+  return velocity * running.velocityUnit / track.velocityUnit;
+};
+
+/**
+ * Démarre une piste : interrompt l'animation en cours sur la même propriété
+ * et reprend sa vitesse pour éviter tout à-coup
+ * @param {Object} track - Piste à démarrer
+ */
+const activateTrack = (track) => {
+  track.activated = true;
+  if (!track.object) return;
+
+  const running = getRunningTrack(track.object, track.property);
+  if (running && running !== track && !running.done) {
+    running.interrupted = true;
+    if (!track.hasExplicitVelocity) track.build(convertVelocity(running, track));
+  }
+  setRunningTrack(track);
+};
+
+/**
+ * Applique une piste à l'instant donné de sa timeline
+ * @param {Object} track - Piste
+ * @param {Number} time - Temps de la timeline (ms)
+ */
+const renderTrack = (track, time) => {
+  if (time < track.start || track.interrupted) return;
+  if (!track.activated) activateTrack(track);
+
+  const localTime = time - track.start;
+  track.localTime = localTime;
+
+  const entries = Object.entries(track.motions);
+  let value;
+  if (entries.length === 1 && entries[0][0] === 'value') {
+    value = entries[0][1].sample(localTime);
+    if (track.apply) track.apply(value);
+    else if (track.object) applyValue(track.object, track.property, value);
+  } else {
+    value = {};
+    entries.forEach(([key, motion]) => {
+      value[key] = motion.sample(localTime);
+      if (!track.apply) applyValue(track.object, `${track.property}.${key}`, value[key]);
+    });
+    if (track.apply) track.apply(value);
+  }
+
+  const progress = track.duration > 0 ? Math.min(localTime / track.duration, 1) : 1;
+  if (track.onUpdate) track.onUpdate(track.ease(progress), value);
+
+  if (localTime >= track.duration && !track.done) {
+    track.done = true;
+    releaseRunningTrack(track);
+    if (track.onComplete) track.onComplete();
+  }
+};
+
+/**
+ * Crée une timeline : des pistes placées dans le temps, jouées ensemble ou enchaînées,
+ * avec pause, reprise et recherche
+ * @param {Object} options - Options de la timeline
+ * @param {Boolean} options.autoplay - Démarre à la prochaine image (true par défaut)
+ * @param {Function} options.onUpdate - Appelée à chaque image avec (temps, durée)
+ * @param {Function} options.onComplete - Appelée quand la timeline atteint sa fin
+ * @returns {Object} - API de la timeline (add, play, pause, resume, seek, cancel, finished...)
+ */
+const createTimeline = ({ autoplay = true, onUpdate = null, onComplete = null } = {}) => {
+  const tracks = [];
+  let time = 0;
+  let lastTimestamp = null;
+  let state = 'idle';
+  let resolveFinished;
+  const finished = new Promise(resolve => { resolveFinished = resolve; });
+
+  const getDuration = () => tracks.reduce((max, track) => Math.max(max, track.start + track.duration), 0);
+
+  const render = () => {
+    tracks.forEach(track => renderTrack(track, time));
+    if (onUpdate) onUpdate(time, getDuration());
+  };
+
+  const tick = (timestamp) => {
+    if (lastTimestamp !== null) time += timestamp - lastTimestamp;
+    lastTimestamp = timestamp;
+
+    const duration = getDuration();
+    if (time < duration) {
+      render();
       return;
     }
-    
-    let completed = 0;
-    const animationIds = [];
-    
-    animations.forEach((animOptions) => {
-      const onOriginalComplete = animOptions.onComplete;
-      
-      animOptions.onComplete = () => {
+
+    time = duration;
+    render();
+    state = 'finished';
+    ticker.remove(tick);
+    if (onComplete) onComplete();
+    resolveFinished(true);
+  };
+
+  const timeline = {
+    /**
+     * Ajoute une piste
+     * @param {Object} options - { object, property, from, to, duration, delay, easing,
+     *   spring (true ou { stiffness, damping, mass }), velocity, onUpdate, onComplete,
+     *   apply (applique la valeur à la place de object[property]), velocityUnit }
+     * @param {Number|String} position - Début : ms absolues, '+=ms' / '-=ms' après la fin
+     *   actuelle, '<' avec la piste précédente ; par défaut à la suite
+     * @returns {Object} - La timeline, pour chaîner les appels
+     */
+    add: (options, position) => {
+      const end = getDuration();
+      const previous = tracks[tracks.length - 1];
+      let start = end;
+      if (typeof position === 'number') {
+        start = position;
+      } else if (position === '<') {
+        start = previous ? previous.start : 0;
+      } else if (typeof position === 'string' && /^[+-]=/.test(position)) {
+        start = Math.max(0, end + Number(position.replace('=', '')));
+      }
+
+      const sameProperty = [...tracks].reverse().find(track =>
+        options.object && track.object === options.object && track.property === options.property);
+
+      tracks.push(createTrack(options, start, sameProperty?.to));
+      tracks.sort((a, b) => a.start - b.start);
+      return timeline;
+    },
+
+    play: () => {
+      if (state === 'playing' || state === 'finished' || state === 'cancelled') return timeline;
+      state = 'playing';
+      lastTimestamp = null;
+      ticker.add(tick);
+      return timeline;
+    },
+
+    pause: () => {
+      if (state !== 'playing') return timeline;
+      state = 'paused';
+      ticker.remove(tick);
+      return timeline;
+    },
+
+    resume: () => timeline.play(),
+
+    /**
+     * Place la timeline à un instant et applique les valeurs correspondantes
+     * @param {Number} target - Instant en ms
+     */
+    seek: (target) => {
+      if (state === 'cancelled') return timeline;
+      time = Math.min(Math.max(0, target), getDuration());
+      lastTimestamp = null;
+      render();
+      return timeline;
+    },
+
+    // Arrête la timeline sans appeler les callbacks de fin
+    cancel: () => {
+      if (state === 'finished' || state === 'cancelled') return;
+      state = 'cancelled';
+      ticker.remove(tick);
+      tracks.forEach(releaseRunningTrack);
+      resolveFinished(false);
+    },
+
+    getTime: () => time,
+    getDuration,
+    isPlaying: () => state === 'playing',
+    // Promesse résolue à true en fin de timeline, à false si elle est annulée
+    finished
+  };
+
+  if (autoplay) timeline.play();
+  return timeline;
+};
+
+// Timelines lancées par animate, indexées par leur ID
+const playbacks = new Map();
+let nextAnimationId = 1;
+
+/**
+ * Anime une propriété d'un objet avec une easing ou un ressort
+ * @param {Object} options - Options d'animation
+ * @param {Object} options.object - L'objet à animer
+ * @param {String} options.property - La propriété à animer (peut être imbriquée comme "position.x")
+ * @param {*} options.from - Valeur de départ (valeur actuelle si omise)
+ * @param {*} options.to - Valeur d'arrivée
+ * @param {Number} options.duration - Durée de l'animation en ms (ignorée par les ressorts)
+ * @param {String|Function|Array} options.easingFn - Easing : nom, fonction ou points de Bézier
+ * @param {Boolean|Object} options.spring - Ressort { stiffness, damping, mass } à la place de l'easing
+ * @param {Function} options.onProgress - Callback appelé à chaque étape de l'animation
+ * @param {Function} options.onComplete - Callback appelé à la fin de l'animation
+ * @returns {Number} - ID d'animation qui peut être utilisé pour l'annuler
+ */
+const animate = (options) => {
+  if (!options.object || options.to === undefined) return null;
+
+  const animationId = nextAnimationId++;
+  const timeline = createTimeline({ onComplete: () => playbacks.delete(animationId) });
+  timeline.add(options);
+  playbacks.set(animationId, timeline);
+
+  return animationId;
+};
+
+/**
+ * Annule une animation en cours
+ * @param {Number} animationId - ID de l'animation à annuler
+ */
+const cancelAnimation = (animationId) => {
+  const timeline = playbacks.get(animationId);
+  if (timeline) {
+    timeline.cancel();
+    playbacks.delete(animationId);
+  }
+};
+
+/**
+ * Anime plusieurs propriétés d'un ou plusieurs objets en même temps
+ * @param {Array} animations - Tableau d'objets d'options pour la fonction animate
+ * @param {Function} onAllComplete - Callback appelé quand toutes les animations sont terminées
+ * @returns {Function} - Fonction pour annuler toutes les animations
+ */
+const animateMultiple = (animations, onAllComplete) => {
+  if (!animations || animations.length === 0) {
+    if (onAllComplete) onAllComplete();
+    return () => {};
+  }
+
+  let completed = 0;
+  const timeline = createTimeline();
+
+  animations.forEach((animOptions) => {
+    timeline.add({
+      ...animOptions,
+      onComplete: () => {
         // Appeler le callback original s'il existe
-        if (onOriginalComplete) onOriginalComplete();
-        
-        // Vérifier si toutes les animations sont terminées
+        if (animOptions.onComplete) animOptions.onComplete();
+
+        // Une piste interrompue ne se termine pas : onAllComplete n'est alors pas appelé
         completed++;
         if (completed === animations.length && onAllComplete) {
           onAllComplete();
         }
-      };
-      
-      // Lancer l'animation et stocker son ID
-      const animId = animate(animOptions);
-      animationIds.push(animId);
-    });
-    
-    // Retourner une fonction pour annuler toutes les animations
-    return () => {
-      animationIds.forEach(id => cancelAnimation(id));
-    };
-  };
-  
-  export default {
-    easingFunctions,
-    lerp,
-    animate,
-    cancelAnimation,
-    animateMultiple
-  };
\ No newline at end of file
+      }
+    }, 0);
+  });
+
+  return timeline.cancel;
+};
+
+export {
+  easingFunctions,
+  lerp,
+  cubicBezier,
+  resolveEasing,
+  createTimeline,
+  animate,
+  cancelAnimation,
+  animateMultiple
+};
+
+export default {
+  easingFunctions,
+  lerp,
+  cubicBezier,
+  resolveEasing,
+  createTimeline,
+  animate,
+  cancelAnimation,
+  animateMultiple
+};
@@ -0,0 +1,302 @@
+/**
+ * Rails de caméra
+ * Courbes Catmull-Rom passant par des points de passage nommés, paramétrées
+ * par la distance parcourue, et réseau de rails reliés par des embranchements
+ */
+import { normalizeAngle, getLookRotation } from './cameraUtils';
+
+// Nombre d'échantillons par segment pour la table des longueurs
+const DEFAULT_SAMPLES_PER_SEGMENT = 24;
+
+// Écart angulaire au-delà duquel le regard ne choisit plus de branche (60°)
+const MAX_BRANCH_ANGLE = Math.PI / 3;
+
+/**
+ * Interpolation Catmull-Rom uniforme sur un axe
+ * @param {Number} p0 - Point précédent
+ * @param {Number} p1 - Début du segment
+ * @param {Number} p2 - Fin du segment
+ * @param {Number} p3 - Point suivant
+ * @param {Number} t - Paramètre dans le segment (0-1)
+ * @returns {Number} - Valeur interpolée
+ */
+const catmullRom = (p0, p1, p2, p3, t) => {
+  const t2 = t * t;
+  const t3 = t2 * t;
+
+  return 0.5 * (
+    (2 * p1) +
+    (-p0 + p2) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+  );
+};
+
+/**
+ * Point d'une courbe Catmull-Rom
+ * @param {Array<Object>} points - Points de contrôle {x, y, z}
+ * @param {Number} u - Paramètre global (0 à points.length - 1)
+ * @returns {Object} - Position {x, y, z}
+ */
+const evaluateCurve = (points, u) => {
+  const lastIndex = points.length - 1;
+  const segment = Math.min(Math.floor(u), lastIndex - 1);
+  const t = u - segment;
+
+  // Les extrémités sont dupliquées pour que la courbe passe par le premier et le dernier point
+  const p0 = points[Math.max(segment - 1, 0)];
+  const p1 = points[segment];
+  const p2 = points[segment + 1];
+  const p3 = points[Math.min(segment + 2, lastIndex)];
+
+  return {
+    x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+    y: catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+    z: catmullRom(p0.z, p1.z, p2.z, p3.z, t)
+  };
+};
+
+/**
+ * Distance entre deux points 3D
+ * @param {Object} a - Premier point {x, y, z}
+ * @param {Object} b - Second point {x, y, z}
+ * @returns {Number} - Distance
+ */
+const distanceBetween = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+/**
+ * Crée un rail à partir de points de passage nommés
+ * @param {Object} definition - { id, zone, waypoints: [{ name, position, lookAt }] }
+ * @param {Object} origin - Décalage appliqué aux coordonnées x et y (position initiale de la caméra)
+ * @param {Number} samplesPerSegment - Précision de la table des longueurs
+ * @returns {Object} - Rail { id, zone, length, waypoints, getPointAt, getOrientationAt, ... }
+ */
+export const createRail = ({ id, zone, waypoints }, origin = { x: 0, y: 0 }, samplesPerSegment = DEFAULT_SAMPLES_PER_SEGMENT) => {
+  if (!waypoints || waypoints.length < 2) {
+    throw new Error(`Le rail ${id} doit comporter au moins deux points de passage`);
+  }
+
+  const offset = point => point && { x: point.x + origin.x, y: point.y + origin.y, z: point.z };
+  const points = waypoints.map(waypoint => offset(waypoint.position));
+
+  // Table des longueurs : paramètre de courbe -> distance cumulée
+  const sampleCount = (points.length - 1) * samplesPerSegment;
+  const samples = [{ u: 0, distance: 0, point: points[0] }];
+  for (let i = 1; i <= sampleCount; i++) {
+    const u = i / samplesPerSegment;
+    const point = evaluateCurve(points, u);
+    const previous = samples[i - 1];
+    samples.push({ u, distance: previous.distance + distanceBetween(previous.point, point), point });
+  }
+  const length = samples[samples.length - 1].distance;
+
+  /**
+   * Paramètre de courbe correspondant à une distance parcourue
+   * @param {Number} distance - Distance depuis le début du rail
+   * @returns {Number} - Paramètre global
+   */
+  const distanceToParameter = (distance) => {
+    const clamped = Math.max(0, Math.min(length, distance));
+    let low = 0;
+    let high = samples.length - 1;
+
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (samples[middle].distance < clamped) low = middle;
+      else high = middle;
+    }
+
+    const span = samples[high].distance - samples[low].distance;
+    const ratio = span > 0 ? (clamped - samples[low].distance) / span : 0;
+    return samples[low].u + (samples[high].u - samples[low].u) * ratio;
+  };
+
+  const resolvedWaypoints = waypoints.map((waypoint, index) => ({
+    name: waypoint.name,
+    position: points[index],
+    lookAt: offset(waypoint.lookAt) || null,
+    distance: samples[index * samplesPerSegment].distance
+  }));
+
+  /**
+   * Position sur le rail
+   * @param {Number} distance - Distance depuis le début du rail
+   * @returns {Object} - Position {x, y, z}
+   */
+  const getPointAt = distance => evaluateCurve(points, distanceToParameter(distance));
+
+  /**
+   * Direction de la courbe (vers la fin du rail)
+   * @param {Number} distance - Distance depuis le début du rail
+   * @returns {Object} - Vecteur unitaire {x, y, z}
+   */
+  const getTangentAt = (distance) => {
+    const step = Math.min(1, length / 2);
+    const from = getPointAt(Math.min(distance, length - step));
+    const to = getPointAt(Math.min(distance, length - step) + step);
+    const norm = distanceBetween(from, to) || 1;
+    return { x: (to.x - from.x) / norm, y: (to.y - from.y) / norm, z: (to.z - from.z) / norm };
+  };
+
+  /**
+   * Rotation de la caméra sur le rail : vers la cible du segment en marche avant
+   * (fondue vers la cible du segment suivant), le long de la courbe sinon
+   * @param {Number} distance - Distance depuis le début du rail
+   * @param {Number} direction - 1 vers la fin du rail, -1 vers le début
+   * @returns {Object} - Rotation en radians {x, y}
+   */
+  const getOrientationAt = (distance, direction = 1) => {
+    const position = getPointAt(distance);
+    const tangent = getTangentAt(distance);
+    const alongCurve = {
+      x: position.x + tangent.x * direction,
+      y: position.y + tangent.y * direction,
+      z: position.z + tangent.z * direction
+    };
+
+    if (direction < 0) {
+      return getLookRotation(position, alongCurve);
+    }
+
+    const index = resolvedWaypoints.findIndex((waypoint, i) => (
+      i === resolvedWaypoints.length - 1 || resolvedWaypoints[i + 1].distance > distance
+    ));
+    const current = resolvedWaypoints[Math.min(index, resolvedWaypoints.length - 2)];
+    const next = resolvedWaypoints[Math.min(index + 1, resolvedWaypoints.length - 1)];
+
+    const from = getLookRotation(position, current.lookAt || alongCurve);
+    const to = getLookRotation(position, next.lookAt || alongCurve);
+    const span = next.distance - current.distance;
+    const ratio = span > 0 ? Math.max(0, Math.min(1, (distance - current.distance) / span)) : 0;
+
+    return {
+      x: from.x + (to.x - from.x) * ratio,
+      y: from.y + normalizeAngle(to.y - from.y) * ratio
+    };
+  };
+
+  /**
+   * Distance d'un point de passage depuis le début du rail
+   * @param {String} name - Nom du point de passage
+   * @returns {Number|null} - Distance ou null si inconnu
+   */
+  const getWaypointDistance = (name) => {
+    const waypoint = resolvedWaypoints.find(candidate => candidate.name === name);
+    return waypoint ? waypoint.distance : null;
+  };
+
+  /**
+   * Distance du point du rail le plus proche d'une position
+   * @param {Object} position - Position {x, y, z}
+   * @returns {Number} - Distance depuis le début du rail
+   */
+  const getNearestDistance = position => samples.reduce((nearest, sample) => (
+    distanceBetween(sample.point, position) < distanceBetween(nearest.point, position) ? sample : nearest
+  )).distance;
+
+  return {
+    id,
+    zone,
+    length,
+    waypoints: resolvedWaypoints,
+    getPointAt,
+    getTangentAt,
+    getOrientationAt,
+    getWaypointDistance,
+    getNearestDistance
+  };
+};
+
+/**
+ * Crée un réseau de rails reliés par des embranchements
+ * Un rail peut se prolonger en plusieurs branches ({ branches, defaultBranch }) ;
+ * chaque branche démarre au dernier point de passage du rail dont elle est issue
+ * @param {Object} definitions - Rails par identifiant
+ * @param {Object} origin - Position initiale de la caméra {x, y}
+ * @returns {Object} - Réseau { rails, getRail, getParent, advance }
+ */
+export const createRailNetwork = (definitions, origin) => {
+  const rails = Object.fromEntries(
+    Object.entries(definitions).map(([id, definition]) => [id, createRail({ id, ...definition }, origin)])
+  );
+
+  /**
+   * Retourne le rail dont une branche est issue
+   * @param {String} railId - Identifiant de la branche
+   * @returns {String|null} - Identifiant du rail parent ou null pour un rail principal
+   */
+  const getParent = railId => (
+    Object.keys(definitions).find(id => (definitions[id].branches || []).includes(railId)) || null
+  );
+
+  /**
+   * Choisit la branche la plus proche de la direction du regard
+   * @param {String} railId - Rail qui se termine par l'embranchement
+   * @param {Number} yaw - Lacet de la caméra en radians
+   * @returns {String} - Identifiant de la branche
+   */
+  const chooseBranch = (railId, yaw) => {
+    const { branches, defaultBranch = branches[0] } = definitions[railId];
+    const candidates = branches.map((branchId) => {
+      const branch = rails[branchId];
+      const heading = getLookRotation(branch.getPointAt(0), branch.getPointAt(Math.min(branch.length, 100))).y;
+      return { branchId, angle: Math.abs(normalizeAngle(heading - yaw)) };
+    });
+    const best = candidates.reduce((a, b) => (b.angle < a.angle ? b : a));
+
+    return best.angle <= MAX_BRANCH_ANGLE ? best.branchId : defaultBranch;
+  };
+
+  /**
+   * Avance sur le réseau d'une distance donnée, en changeant de rail aux embranchements
+   * @param {Object} position - { railId, distance }
+   * @param {Number} delta - Distance à parcourir (positive vers la fin du rail)
+   * @param {Number} yaw - Lacet de la caméra, pour le choix de branche
+   * @returns {Object} - { railId, distance, boundary } où boundary vaut 'start', 'end' ou null
+   */
+  const advance = ({ railId, distance }, delta, yaw = 0) => {
+    let current = { railId, distance: distance + delta };
+
+    // Une avance ne traverse au plus que quelques embranchements
+    for (let hop = 0; hop < Object.keys(rails).length; hop++) {
+      const rail = rails[current.railId];
+
+      if (current.distance > rail.length) {
+        if (!definitions[current.railId].branches) {
+          return { railId: current.railId, distance: rail.length, boundary: 'end' };
+        }
+        current = { railId: chooseBranch(current.railId, yaw), distance: current.distance - rail.length };
+        continue;
+      }
+
+      if (current.distance < 0) {
+        const parentId = getParent(current.railId);
+        if (!parentId) {
+          return { railId: current.railId, distance: 0, boundary: 'start' };
+        }
+        current = { railId: parentId, distance: rails[parentId].length + current.distance };
+        continue;
+      }
+
+      break;
+    }
+
+    return { ...current, boundary: null };
+  };
+
+  return {
+    rails,
+    getRail: railId => rails[railId],
+    getParent,
+    advance
+  };
+};
+
+// Réexportée pour les imports existants ; définie dans cameraUtils
+export { getLookRotation };
+
+export default {
+  getLookRotation,
+  createRail,
+  createRailNetwork
+};
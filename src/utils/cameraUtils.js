@@ -2,6 +2,7 @@
  * Utilitaires pour la manipulation de la caméra
  * Fournit des fonctions pour extraire et manipuler les paramètres de caméra
  */
+import { CABIN_SCENE_CONFIG } from '../constants/sceneConfig';
 
 // Conversion entre degrés et radians
 const DEG_TO_RAD = Math.PI / 180;
@@ -104,6 +105,161 @@ export const normalizeAngle = (angle) => {
   return angle;
 };
 
+/**
+ * Rotation de caméra (tangage et lacet) pour regarder d'un point vers un autre
+ * La caméra regarde vers -Z lorsque sa rotation est nulle
+ * @param {Object} from - Position de la caméra {x, y, z}
+ * @param {Object} to - Point visé {x, y, z}
+ * @returns {Object} - Rotation en radians {x, y}
+ */
+export const getLookRotation = (from, to) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dz = to.z - from.z;
+
+  return {
+    x: Math.atan2(dy, Math.hypot(dx, dz)),
+    y: Math.atan2(-dx, -dz)
+  };
+};
+
+/**
+ * Convertit une rotation d'Euler en quaternion (mêmes conventions que Three.js)
+ * @param {Object} rotation - Rotation en radians {x, y, z}
+ * @param {String} order - Ordre des axes ('XYZ' ou 'YXZ')
+ * @returns {Object} - Quaternion {x, y, z, w}
+ */
+export const eulerToQuaternion = ({ x = 0, y = 0, z = 0 }, order = 'XYZ') => {
+  const c1 = Math.cos(x / 2);
+  const c2 = Math.cos(y / 2);
+  const c3 = Math.cos(z / 2);
+  const s1 = Math.sin(x / 2);
+  const s2 = Math.sin(y / 2);
+  const s3 = Math.sin(z / 2);
+
+  if (order === 'YXZ') {
+    return {
+      x: s1 * c2 * c3 + c1 * s2 * s3,
+      y: c1 * s2 * c3 - s1 * c2 * s3,
+      z: c1 * c2 * s3 - s1 * s2 * c3,
+      w: c1 * c2 * c3 + s1 * s2 * s3
+    };
+  }
+
+  return {
+    x: s1 * c2 * c3 + c1 * s2 * s3,
+    y: c1 * s2 * c3 - s1 * c2 * s3,
+    z: c1 * c2 * s3 + s1 * s2 * c3,
+    w: c1 * c2 * c3 - s1 * s2 * s3
+  };
+};
+
+/**
+ * Convertit un quaternion en rotation d'Euler (mêmes conventions que Three.js)
+ * @param {Object} q - Quaternion {x, y, z, w}
+ * @param {String} order - Ordre des axes ('XYZ' ou 'YXZ')
+ * @returns {Object} - Rotation en radians {x, y, z}
+ */
+export const quaternionToEuler = ({ x, y, z, w }, order = 'XYZ') => {
+  // Termes utiles de la matrice de rotation
+  const m11 = 1 - 2 * (y * y + z * z);
+  const m12 = 2 * (x * y - w * z);
+  const m13 = 2 * (x * z + w * y);
+  const m21 = 2 * (x * y + w * z);
+  const m22 = 1 - 2 * (x * x + z * z);
+  const m23 = 2 * (y * z - w * x);
+  const m31 = 2 * (x * z - w * y);
+  const m32 = 2 * (y * z + w * x);
+  const m33 = 1 - 2 * (x * x + y * y);
+
+  if (order === 'YXZ') {
+    const pitch = Math.asin(-clamp(m23, -1, 1));
+    return Math.abs(m23) < 0.9999999
+      ? { x: pitch, y: Math.atan2(m13, m33), z: Math.atan2(m21, m22) }
+      : { x: pitch, y: Math.atan2(-m31, m11), z: 0 };
+  }
+
+  const yaw = Math.asin(clamp(m13, -1, 1));
+  return Math.abs(m13) < 0.9999999
+    ? { x: Math.atan2(-m23, m33), y: yaw, z: Math.atan2(-m12, m11) }
+    : { x: Math.atan2(m32, m22), y: yaw, z: 0 };
+};
+
+/**
+ * Interpolation sphérique entre deux quaternions, par le plus court chemin
+ * @param {Object} a - Quaternion de départ
+ * @param {Object} b - Quaternion d'arrivée
+ * @param {Number} t - Progression (0-1)
+ * @returns {Object} - Quaternion interpolé
+ */
+export const slerpQuaternions = (a, b, t) => {
+  let dot = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+
+  // q et -q représentent la même orientation : prendre le plus court des deux arcs
+  const sign = dot < 0 ? -1 : 1;
+  dot *= sign;
+
+  let weightA = 1 - t;
+  let weightB = t * sign;
+
+  // Orientations très proches : une interpolation linéaire suffit et évite la division par ~0
+  if (dot < 0.9995) {
+    const theta = Math.acos(dot);
+    const sinTheta = Math.sin(theta);
+    weightA = Math.sin((1 - t) * theta) / sinTheta;
+    weightB = Math.sin(t * theta) / sinTheta * sign;
+  }
+
+  const result = {
+    x: a.x * weightA + b.x * weightB,
+    y: a.y * weightA + b.y * weightB,
+    z: a.z * weightA + b.z * weightB,
+    w: a.w * weightA + b.w * weightB
+  };
+  const length = Math.hypot(result.x, result.y, result.z, result.w) || 1;
+
+  return {
+    x: result.x / length,
+    y: result.y / length,
+    z: result.z / length,
+    w: result.w / length
+  };
+};
+
+/**
+ * Angle de la rotation qui mène d'une orientation à l'autre
+ * @param {Object} a - Premier quaternion
+ * @param {Object} b - Second quaternion
+ * @returns {Number} - Angle en radians (0 à PI)
+ */
+export const angleBetweenQuaternions = (a, b) => {
+  const dot = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+  return 2 * Math.acos(Math.min(1, dot));
+};
+
+/**
+ * Prépare l'interpolation d'une rotation de caméra par quaternions
+ * Les angles d'Euler interpolés axe par axe font le grand tour au passage de ±PI
+ * et ondulent quand tangage et lacet changent ensemble ; le slerp suit l'arc le plus court.
+ * @param {Object} from - Rotation de départ en radians {x, y, z}
+ * @param {Object} to - Rotation d'arrivée en radians {x, y, z}
+ * @param {String} order - Ordre des axes de la caméra ('XYZ' par défaut)
+ * @returns {Object} - { angle, at(progress) -> rotation {x, y, z} en radians }
+ */
+export const createRotationInterpolator = (from, to, order = 'XYZ') => {
+  const start = eulerToQuaternion(from, order);
+  const end = eulerToQuaternion(to, order);
+
+  return {
+    angle: angleBetweenQuaternions(start, end),
+    at: (progress) => {
+      if (progress <= 0) return { x: from.x, y: from.y, z: from.z || 0 };
+      if (progress >= 1) return { x: to.x, y: to.y, z: to.z || 0 };
+      return quaternionToEuler(slerpQuaternions(start, end, progress), order);
+    }
+  };
+};
+
 /**
  * Crée un état de caméra à partir de l'objet caméra actuel
  * @param {Object} camera - Objet caméra
@@ -146,25 +302,22 @@ export const isCameraNearPosition = (camera, position, threshold = 10) => {
 
 /**
  * Obtient les limites de la zone de mouvement de la caméra
- * @returns {Object} - Limites de la zone
+ * Repères en Z du chalet ; le trajet de la caméra lui-même est défini
+ * par les rails de constants/cameraRails
+ * @param {Object} limits - Limites chargées avec la scène (voir utils/sceneConfig),
+ * celles de constants/sceneConfig par défaut
+ * @returns {Object} - Limites de la zone { minZ, maxZ, doorThreshold, doorTrigger }
  */
-export const getCameraLimits = () => {
-  return {
-    minZ: -3200,      // Limite avant (fond du chalet)
-    maxZ: 1200,       // Limite arrière (extérieur de la terrasse)
-    doorThreshold: -800, // Seuil de la porte
-    doorTrigger: -400,  // Position de déclenchement de la porte
-  };
-};
+export const getCameraLimits = (limits = CABIN_SCENE_CONFIG.limits) => ({ ...limits });
 
 /**
  * Vérifie si la caméra est dans la zone de la terrasse
  * @param {Number} positionZ - Position Z de la caméra
+ * @param {Object} limits - Limites de la scène (voir getCameraLimits)
  * @returns {Boolean} - true si la caméra est sur la terrasse
  */
-export const isOnTerrace = (positionZ) => {
-  const limits = getCameraLimits();
-  return positionZ > limits.doorThreshold;
+export const isOnTerrace = (positionZ, limits) => {
+  return positionZ > getCameraLimits(limits).doorThreshold;
 };
 
 export default {
@@ -174,6 +327,12 @@ export default {
   calculateDistance,
   clamp,
   normalizeAngle,
+  getLookRotation,
+  eulerToQuaternion,
+  quaternionToEuler,
+  slerpQuaternions,
+  angleBetweenQuaternions,
+  createRotationInterpolator,
   createCameraState,
   isCameraNearPosition,
   getCameraLimits,
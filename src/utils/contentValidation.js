@@ -0,0 +1,156 @@
+/**
+ * Validation des fichiers de contenu éditorial
+ * Interprète le sous-ensemble de JSON Schema utilisé par src/content
+ * (type, required, properties, additionalProperties, items, minItems,
+ * minLength, pattern, enum, $ref local)
+ * Module sans dépendance : importé aussi par la configuration Vite
+ */
+
+/**
+ * Résout une référence locale (#/definitions/...)
+ * @param {Object} rootSchema - Schéma racine
+ * @param {String} ref - Référence
+ * @returns {Object} - Sous-schéma
+ */
+const resolveRef = (rootSchema, ref) => (
+  ref.replace(/^#\//, '').split('/').reduce((node, part) => node?.[part], rootSchema)
+);
+
+/**
+ * Type JSON d'une valeur
+ * @param {*} value - Valeur à tester
+ * @returns {String} - "array", "null", "object", "string", "number", "boolean"
+ */
+const getJsonType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+/**
+ * Valide une valeur contre un schéma
+ * @param {*} value - Valeur à valider
+ * @param {Object} schema - Schéma (ou sous-schéma)
+ * @param {Object} rootSchema - Schéma racine, pour les références
+ * @param {String} path - Chemin de la valeur, pour les messages
+ * @returns {Array<String>} - Erreurs trouvées
+ */
+const validateNode = (value, schema, rootSchema, path) => {
+  if (schema.$ref) {
+    return validateNode(value, resolveRef(rootSchema, schema.$ref), rootSchema, path);
+  }
+
+  const type = getJsonType(value);
+  if (schema.type && schema.type !== type) {
+    return [`${path} : ${schema.type} attendu, ${type} trouvé`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} : valeur "${value}" non autorisée (${schema.enum.join(', ')})`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${path} : texte vide`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} : "${value}" ne respecte pas le format ${schema.pattern}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} : au moins ${schema.minItems} élément(s) attendu(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateNode(item, schema.items, rootSchema, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} : champ obligatoire manquant`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(...validateNode(child, properties[key], rootSchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} : champ inconnu`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Valide un document contre un schéma JSON
+ * @param {*} document - Document à valider
+ * @param {Object} schema - Schéma racine
+ * @returns {Array<String>} - Erreurs trouvées (vide si le document est valide)
+ */
+export const validateAgainstSchema = (document, schema) => (
+  validateNode(document, schema, schema, '$')
+);
+
+/**
+ * Valide le contenu d'une prestation : schéma puis règles non exprimables dans le schéma
+ * @param {Object} prestation - Contenu d'un fichier src/content/prestations/*.json
+ * @param {Object} schema - Schéma des prestations
+ * @returns {Array<String>} - Erreurs trouvées
+ */
+export const validatePrestation = (prestation, schema) => {
+  const errors = validateAgainstSchema(prestation, schema);
+  if (errors.length > 0) return errors;
+
+  Object.entries(prestation.locales).forEach(([locale, content]) => {
+    content.sections.forEach((section, index) => {
+      const path = `$.locales.${locale}.sections[${index}]`;
+
+      if (!section.title && !section.description && !section.services) {
+        errors.push(`${path} : section vide (titre, description ou services attendus)`);
+      }
+      if (section.cta?.action === 'link' && !section.cta.href) {
+        errors.push(`${path}.cta.href : lien obligatoire pour l'action "link"`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Valide une entrée du manifeste des projets : schéma puis règles propres au portfolio
+ * Les projets liés sont vérifiés à l'échelle de la collection (voir vite.config.js)
+ * @param {Object} project - Contenu d'un fichier src/content/projects/*.json
+ * @param {Object} schema - Schéma des projets
+ * @returns {Array<String>} - Erreurs trouvées
+ */
+export const validateProject = (project, schema) => {
+  const errors = validateAgainstSchema(project, schema);
+  if (errors.length > 0) return errors;
+
+  if (new Set(project.tags).size !== project.tags.length) {
+    errors.push('$.tags : étiquette en double');
+  }
+  if ((project.related || []).includes(project.slug)) {
+    errors.push('$.related : un projet ne peut pas être lié à lui-même');
+  }
+
+  return errors;
+};
+
+export default {
+  validateAgainstSchema,
+  validatePrestation,
+  validateProject
+};
@@ -0,0 +1,103 @@
+/**
+ * Utilitaires pour les liens profonds de l'expérience 3D
+ * Convertit les URL (/experience/prestations/data-visualisation, ?view=about)
+ * en vues de caméra et inversement
+ */
+import { VIEW_MAPPINGS, DRAWER_MAPPINGS, getDrawerBySlug } from '../constants/viewMappings';
+import { CABIN_STATES } from '../services/cabinStateMachine';
+
+// Chemin de base de l'expérience
+export const EXPERIENCE_BASE_PATH = '/experience';
+
+// Vue dans laquelle s'ouvrent les tiroirs de prestation
+export const DRAWER_PARENT_VIEW = 'prestations';
+
+/**
+ * Construit le chemin canonique d'une cible de l'expérience
+ * @param {Object} target - Cible { view, drawerId }
+ * @returns {String} - Chemin (ex: "/experience/prestations/data-visualisation")
+ */
+export const buildExperiencePath = ({ view = null, drawerId = null } = {}) => {
+  const drawer = drawerId ? DRAWER_MAPPINGS[drawerId] : null;
+
+  if (drawer) {
+    return `${EXPERIENCE_BASE_PATH}/${DRAWER_PARENT_VIEW}/${drawer.slug}`;
+  }
+
+  if (view && VIEW_MAPPINGS[view]) {
+    return `${EXPERIENCE_BASE_PATH}/${view}`;
+  }
+
+  return EXPERIENCE_BASE_PATH;
+};
+
+/**
+ * Extrait la cible de l'expérience depuis une URL
+ * Les paramètres de requête (?view=, ?drawer=) sont acceptés comme alternative au chemin
+ * @param {Object} location - Emplacement { pathname, search }
+ * @returns {Object} - Cible { view, drawerId } (valeurs null si absentes ou inconnues)
+ */
+export const parseExperienceLocation = ({ pathname = '', search = '' }) => {
+  const segments = pathname
+    .slice(EXPERIENCE_BASE_PATH.length)
+    .split('/')
+    .filter(Boolean);
+  const params = new URLSearchParams(search);
+
+  const viewName = segments[0] || params.get('view');
+  const drawerSlug = segments[1] || params.get('drawer');
+
+  const drawer = drawerSlug ? getDrawerBySlug(drawerSlug) : null;
+  if (drawer) {
+    return { view: DRAWER_PARENT_VIEW, drawerId: drawer.id };
+  }
+
+  return {
+    view: viewName && VIEW_MAPPINGS[viewName] ? viewName : null,
+    drawerId: null
+  };
+};
+
+/**
+ * Détermine le chemin correspondant à un instantané de la machine à états
+ * @param {Object} snapshot - Instantané { state, context } de cabinStateMachine
+ * @returns {String} - Chemin canonique de l'expérience
+ */
+export const getExperiencePathForSnapshot = ({ state, context }) => {
+  switch (state) {
+    case CABIN_STATES.OVERLAY_OPEN:
+      if (context.overlay === 'prestation') {
+        return buildExperiencePath({ drawerId: context.drawerId });
+      }
+      // Les overlays about et contact correspondent à leur vue
+      return buildExperiencePath({ view: context.view || context.overlay });
+
+    case CABIN_STATES.FOCUSED_VIEW:
+      return buildExperiencePath({ view: context.view });
+
+    case CABIN_STATES.PORTFOLIO:
+      return buildExperiencePath({ view: 'portfolio' });
+
+    default:
+      return EXPERIENCE_BASE_PATH;
+  }
+};
+
+/**
+ * Liste les chemins traversés avant d'atteindre une cible
+ * (un tiroir s'ouvre après l'animation vers la vue prestations)
+ * @param {Object} target - Cible { view, drawerId }
+ * @returns {Array<String>} - Chemins intermédiaires
+ */
+export const getIntermediatePaths = ({ drawerId = null } = {}) => (
+  drawerId ? [buildExperiencePath({ view: DRAWER_PARENT_VIEW })] : []
+);
+
+export default {
+  EXPERIENCE_BASE_PATH,
+  DRAWER_PARENT_VIEW,
+  buildExperiencePath,
+  parseExperienceLocation,
+  getExperiencePathForSnapshot,
+  getIntermediatePaths
+};
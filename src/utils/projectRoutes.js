@@ -0,0 +1,39 @@
+/**
+ * Utilitaires pour les routes du portfolio
+ * Pages projet (/projets/eoliennes), index filtré (/projets?tag=dataviz)
+ * et redirection des anciennes adresses
+ */
+
+// Chemin de base du portfolio
+export const PROJECTS_BASE_PATH = '/projets';
+
+// Anciennes pages projet, conservées comme redirections
+export const LEGACY_PROJECT_ROUTES = {
+  '/dataviz/eoliennes': 'eoliennes',
+  '/dataviz/sargasses': 'sargasses',
+  '/conception': 'conception',
+  '/recif-corallien': 'recif-corallien'
+};
+
+/**
+ * Construit le chemin de la page d'un projet
+ * @param {String} slug - Slug du projet
+ * @returns {String} - Chemin (ex: "/projets/eoliennes")
+ */
+export const buildProjectPath = (slug) => `${PROJECTS_BASE_PATH}/${slug}`;
+
+/**
+ * Construit le chemin de l'index, éventuellement filtré par étiquette
+ * @param {String} tag - Étiquette de filtrage (optionnelle)
+ * @returns {String} - Chemin (ex: "/projets?tag=dataviz")
+ */
+export const buildProjectIndexPath = (tag = null) => (
+  tag ? `${PROJECTS_BASE_PATH}?tag=${encodeURIComponent(tag)}` : PROJECTS_BASE_PATH
+);
+
+export default {
+  PROJECTS_BASE_PATH,
+  LEGACY_PROJECT_ROUTES,
+  buildProjectPath,
+  buildProjectIndexPath
+};
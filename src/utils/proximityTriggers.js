@@ -0,0 +1,170 @@
+/**
+ * Déclencheurs de proximité
+ * Volumes d'entrée/sortie en coordonnées de scène (sphère ou boîte), évalués
+ * à chaque image par la boucle d'animation de la caméra (useCameraControls)
+ * Chaque volume a une marge de sortie (hystérésis) pour qu'une caméra arrêtée
+ * sur son bord ne le déclenche pas en boucle
+ */
+import splineHelpers from './splineHelpers';
+import debugUtils from './debugUtils';
+
+const { logger } = debugUtils;
+
+// Marge de sortie par défaut, en unités de scène
+export const DEFAULT_TRIGGER_HYSTERESIS = 50;
+
+/**
+ * Distance d'un point au volume d'un déclencheur (0 ou moins à l'intérieur)
+ * Une sphère est mesurée en 3D, une boîte sur le plan XZ
+ * @param {Object} volume - { center, radius } ou { minX, maxX, minZ, maxZ }
+ * @param {Object} point - { x, y, z }
+ * @returns {Number}
+ */
+const distanceToVolume = (volume, point) => {
+  if (volume.center) {
+    const { center } = volume;
+    return Math.hypot(
+      point.x - center.x,
+      (point.y ?? center.y) - center.y,
+      point.z - center.z
+    ) - volume.radius;
+  }
+
+  const dx = Math.max(volume.minX - point.x, 0, point.x - volume.maxX);
+  const dz = Math.max(volume.minZ - point.z, 0, point.z - volume.maxZ);
+  return Math.hypot(dx, dz);
+};
+
+/**
+ * Émet l'événement Spline d'un déclencheur
+ * @param {Object} splineApp - L'instance Spline
+ * @param {Object} splineEvent - { name, objectId, reverseOnExit }
+ * @param {Boolean} isEnter - true à l'entrée, false à la sortie
+ */
+const emitSplineEvent = (splineApp, splineEvent, isEnter) => {
+  if (!splineEvent || !splineApp) return;
+
+  if (isEnter) {
+    splineHelpers.emitEvent(splineApp, splineEvent.name || 'mouseUp', splineEvent.objectId);
+  } else if (splineEvent.reverseOnExit) {
+    splineHelpers.emitEventReverse(splineApp, splineEvent.name || 'mouseUp', splineEvent.objectId);
+  }
+};
+
+/**
+ * Crée le moteur de déclencheurs de proximité
+ * @returns {Object} - { register, unregister, reset, update, clear }
+ */
+export const createProximityTriggers = () => {
+  const triggers = new Map();
+
+  /**
+   * Enregistre un déclencheur (remplace celui de même identifiant)
+   * @param {Object} trigger - Déclencheur
+   * @param {String} trigger.id - Identifiant
+   * @param {Object} trigger.volume - Sphère { center: { x, y, z }, radius } ou boîte { minX, maxX, minZ, maxZ }
+   * @param {Number} trigger.hysteresis - Distance à parcourir hors du volume avant la sortie
+   * @param {Boolean} trigger.once - Retire le déclencheur après sa première entrée
+   * @param {Number} trigger.cooldown - Délai minimal entre deux entrées (ms)
+   * @param {Function} trigger.condition - (context) => Boolean, condition supplémentaire à l'entrée
+   * @param {Function} trigger.onEnter - Appelée à l'entrée avec le contexte
+   * @param {Function} trigger.onExit - Appelée à la sortie avec le contexte
+   * @param {Object} trigger.splineEvent - Événement Spline { name, objectId, reverseOnExit }
+   * @returns {Function} - Retire le déclencheur
+   */
+  const register = (trigger) => {
+    if (!trigger?.id || !trigger.volume) {
+      logger.warn('Déclencheur de proximité ignoré: identifiant ou volume manquant', trigger);
+      return () => {};
+    }
+
+    // Valeurs par défaut appliquées après coup : une option transmise à undefined ne les efface pas
+    const entry = {
+      ...trigger,
+      hysteresis: trigger.hysteresis ?? DEFAULT_TRIGGER_HYSTERESIS,
+      once: trigger.once ?? false,
+      cooldown: trigger.cooldown ?? 0,
+      inside: false,
+      lastEnterTime: -Infinity
+    };
+    triggers.set(trigger.id, entry);
+
+    return () => {
+      if (triggers.get(trigger.id) === entry) {
+        triggers.delete(trigger.id);
+      }
+    };
+  };
+
+  const unregister = (id) => triggers.delete(id);
+
+  // Réarme un déclencheur comme si la caméra était hors de son volume
+  const reset = (id) => {
+    const trigger = triggers.get(id);
+    if (trigger) {
+      trigger.inside = false;
+      trigger.lastEnterTime = -Infinity;
+    }
+  };
+
+  /**
+   * Évalue les déclencheurs pour une position de caméra
+   * @param {Object} position - Position de la caméra { x, y, z }
+   * @param {Object} context - Contexte transmis aux callbacks ({ splineApp, direction, zone... })
+   * @param {Number} now - Horodatage courant (ms)
+   */
+  const update = (position, context = {}, now = performance.now()) => {
+    if (!position) return;
+
+    triggers.forEach((trigger) => {
+      const distance = distanceToVolume(trigger.volume, position);
+      const callbackContext = { ...context, position, distance, triggerId: trigger.id };
+
+      if (!trigger.inside) {
+        if (distance > 0) return;
+        if (now - trigger.lastEnterTime < trigger.cooldown) return;
+        if (trigger.condition && !trigger.condition(callbackContext)) return;
+
+        trigger.inside = true;
+        trigger.lastEnterTime = now;
+
+        try {
+          emitSplineEvent(context.splineApp, trigger.splineEvent, true);
+          trigger.onEnter?.(callbackContext);
+        } catch (error) {
+          logger.error(`Erreur du déclencheur de proximité ${trigger.id} à l'entrée:`, error);
+        }
+
+        if (trigger.once) {
+          triggers.delete(trigger.id);
+        }
+        return;
+      }
+
+      if (distance <= trigger.hysteresis) return;
+
+      trigger.inside = false;
+      try {
+        emitSplineEvent(context.splineApp, trigger.splineEvent, false);
+        trigger.onExit?.(callbackContext);
+      } catch (error) {
+        logger.error(`Erreur du déclencheur de proximité ${trigger.id} à la sortie:`, error);
+      }
+    });
+  };
+
+  const clear = () => triggers.clear();
+
+  return {
+    register,
+    unregister,
+    reset,
+    update,
+    clear
+  };
+};
+
+export default {
+  DEFAULT_TRIGGER_HYSTERESIS,
+  createProximityTriggers
+};
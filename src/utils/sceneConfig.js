@@ -0,0 +1,115 @@
+/**
+ * Chargement de la configuration de scène
+ * Complète la configuration par défaut (constants/sceneConfig) avec les variables
+ * définies dans la scène Spline : limites, seuils de porte, zones praticables
+ * et points de retour de la caméra
+ */
+import { extractCameraParameters } from './cameraUtils';
+import debugUtils from './debugUtils';
+import {
+  CABIN_SCENE_CONFIG,
+  SCENE_VARIABLES,
+  WALKABLE_BOX_SUFFIXES
+} from '../constants/sceneConfig';
+
+const { logger } = debugUtils;
+
+/**
+ * Lit une variable numérique
+ * @param {Object} variables - Variables de la scène Spline
+ * @param {String} name - Nom de la variable
+ * @param {Number} fallback - Valeur si la variable est absente ou invalide
+ * @returns {Number}
+ */
+const readNumber = (variables, name, fallback) => {
+  const value = parseFloat(variables[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Boîtes d'une zone praticable définies dans Spline, numérotées à partir de 1
+ * @param {Object} variables - Variables de la scène Spline
+ * @param {String} zoneId - Identifiant de la zone (préfixe des variables)
+ * @returns {Array<Object>} - Boîtes { name, minX, maxX, minZ, maxZ } (vide si aucune)
+ */
+const readWalkableBoxes = (variables, zoneId) => {
+  const boxes = [];
+
+  for (let index = 1; ; index++) {
+    const names = WALKABLE_BOX_SUFFIXES.map(suffix => `${zoneId}Box${index}${suffix}`);
+    const values = names.map(name => readNumber(variables, name, null));
+    if (values.some(value => value === null)) break;
+
+    const [minX, maxX, minZ, maxZ] = values;
+    boxes.push({ name: `${zoneId}-${index}`, minX, maxX, minZ, maxZ });
+  }
+
+  return boxes;
+};
+
+/**
+ * Configuration de la scène, variables Spline prioritaires sur les valeurs par défaut
+ * @param {Object} splineApp - L'instance Spline
+ * @param {Object} baseConfig - Configuration par défaut de la scène
+ * @returns {Object} - { rails, railStart, limits, doorApproachDistance, doorCloseDistance, walkableZones, returnAnchors }
+ * où chaque point de retour vaut { position, rotation } (rotation en degrés)
+ */
+export const loadSceneConfig = (splineApp, baseConfig = CABIN_SCENE_CONFIG) => {
+  let variables = {};
+  try {
+    variables = splineApp?.getVariables?.() || {};
+  } catch (error) {
+    logger.error('Erreur lors de la lecture des variables de la scène:', error);
+  }
+
+  const { limits } = baseConfig;
+
+  const walkableZones = baseConfig.walkableZones.map((zone) => {
+    const boxes = readWalkableBoxes(variables, zone.id);
+    return {
+      ...zone,
+      speedMultiplier: readNumber(variables, `${zone.id}SpeedMultiplier`, zone.speedMultiplier),
+      boxes: boxes.length > 0 ? boxes : zone.boxes
+    };
+  });
+
+  const returnAnchors = Object.fromEntries(
+    Object.entries(baseConfig.returnAnchors).map(([name, anchor]) => {
+      const fromScene = extractCameraParameters(splineApp, anchor.variablePrefix);
+      return [name, fromScene || { position: anchor.position, rotation: anchor.rotation }];
+    })
+  );
+
+  const config = {
+    ...baseConfig,
+    limits: {
+      minZ: readNumber(variables, SCENE_VARIABLES.LIMIT_MIN_Z, limits.minZ),
+      maxZ: readNumber(variables, SCENE_VARIABLES.LIMIT_MAX_Z, limits.maxZ),
+      doorThreshold: readNumber(variables, SCENE_VARIABLES.DOOR_THRESHOLD_Z, limits.doorThreshold),
+      doorTrigger: readNumber(variables, SCENE_VARIABLES.DOOR_TRIGGER_Z, limits.doorTrigger)
+    },
+    doorApproachDistance: readNumber(
+      variables,
+      SCENE_VARIABLES.DOOR_APPROACH_DISTANCE,
+      baseConfig.doorApproachDistance
+    ),
+    doorCloseDistance: readNumber(
+      variables,
+      SCENE_VARIABLES.DOOR_CLOSE_DISTANCE,
+      baseConfig.doorCloseDistance
+    ),
+    walkableZones,
+    returnAnchors
+  };
+
+  logger.log('Configuration de scène chargée', {
+    variablesDisponibles: Object.keys(variables).length,
+    config
+  });
+
+  return config;
+};
+
+export default {
+  loadSceneConfig
+};
@@ -141,6 +141,39 @@ export const listEvents = (splineApp) => {
   }
 };
 
+/**
+ * Applique un niveau de qualité et une résolution de rendu à une instance Spline
+ * Chaque réglage n'est appliqué que si le runtime l'expose
+ * @param {Object} splineApp - Instance Spline
+ * @param {Object} quality - { qualityLevel, pixelRatio }
+ * @returns {Boolean} - true si au moins un réglage a été appliqué
+ */
+export const applyRenderQuality = (splineApp, { qualityLevel, pixelRatio }) => {
+  if (!splineApp) return false;
+
+  let applied = false;
+  try {
+    if (qualityLevel && typeof splineApp.setQuality === 'function') {
+      splineApp.setQuality(qualityLevel);
+      applied = true;
+    }
+
+    if (pixelRatio) {
+      const renderer = typeof splineApp.setPixelRatio === 'function' ? splineApp : splineApp._renderer;
+      if (renderer && typeof renderer.setPixelRatio === 'function') {
+        renderer.setPixelRatio(pixelRatio);
+        applied = true;
+      }
+    }
+
+    logger.log(`Qualité de rendu: ${qualityLevel}, résolution x${pixelRatio}`);
+  } catch (error) {
+    logger.error("Erreur lors de l'application de la qualité de rendu:", error);
+  }
+
+  return applied;
+};
+
 /**
  * Analyse une instance Spline et journalise ses caractéristiques
  * @param {Object} splineApp - Instance Spline
@@ -178,5 +211,6 @@ export default {
   findObjectByName,
   listVariables,
   listEvents,
+  applyRenderQuality,
   analyzeSplineInstance
 };
\ No newline at end of file
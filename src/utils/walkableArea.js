@@ -0,0 +1,111 @@
+/**
+ * Zones praticables de la caméra
+ * Union de boîtes alignées sur les axes (plan XZ), regroupées en zones,
+ * avec glissement le long des bords pour les déplacements qui en sortent
+ */
+import { clamp } from './cameraUtils';
+
+/**
+ * Indique si un point est dans une boîte (bords inclus)
+ * @param {Object} box - { minX, maxX, minZ, maxZ }
+ * @param {Object} point - { x, z }
+ * @returns {Boolean}
+ */
+const isInBox = (box, point) => (
+  point.x >= box.minX && point.x <= box.maxX &&
+  point.z >= box.minZ && point.z <= box.maxZ
+);
+
+/**
+ * Crée les zones praticables
+ * @param {Array<Object>} zones - Zones { id, speedMultiplier, boxes } (voir constants/walkableAreas)
+ * @param {Object} origin - Décalage appliqué à x (position initiale de la caméra)
+ * @returns {Object} - { zones, getZoneAt, contains, clampPoint, constrainMove }
+ */
+export const createWalkableArea = (zones, origin = { x: 0 }) => {
+  const offsetX = origin.x || 0;
+
+  const resolvedZones = zones.map(zone => ({
+    ...zone,
+    boxes: zone.boxes.map(box => ({ ...box, minX: box.minX + offsetX, maxX: box.maxX + offsetX }))
+  }));
+  const boxes = resolvedZones.flatMap(zone => zone.boxes);
+
+  /**
+   * Zone contenant un point
+   * @param {Object} point - { x, z }
+   * @returns {Object|null} - Zone { id, speedMultiplier, boxes } ou null hors des zones
+   */
+  const getZoneAt = (point) => (
+    resolvedZones.find(zone => zone.boxes.some(box => isInBox(box, point))) || null
+  );
+
+  const contains = (point) => boxes.some(box => isInBox(box, point));
+
+  /**
+   * Point praticable le plus proche
+   * @param {Object} point - { x, z }
+   * @returns {Object} - { x, z }
+   */
+  const clampPoint = (point) => {
+    if (contains(point)) return { x: point.x, z: point.z };
+
+    const nearest = boxes.reduce((best, box) => {
+      const x = clamp(point.x, box.minX, box.maxX);
+      const z = clamp(point.z, box.minZ, box.maxZ);
+      const distance = Math.hypot(x - point.x, z - point.z);
+      return !best || distance < best.distance ? { x, z, distance } : best;
+    }, null);
+
+    return nearest ? { x: nearest.x, z: nearest.z } : { x: point.x, z: point.z };
+  };
+
+  /**
+   * Avance le long d'un axe jusqu'au bord des boîtes contenant le point de départ
+   * @param {Object} point - Point de départ praticable { x, z }
+   * @param {String} axis - 'x' ou 'z'
+   * @param {Number} target - Coordonnée visée sur cet axe
+   * @returns {Number} - Coordonnée atteinte
+   */
+  const slideAxis = (point, axis, target) => {
+    const moved = { ...point, [axis]: target };
+    if (contains(moved)) return target;
+
+    const min = axis === 'x' ? 'minX' : 'minZ';
+    const max = axis === 'x' ? 'maxX' : 'maxZ';
+
+    // Parmi les boîtes traversées, garder celle qui laisse aller le plus loin
+    return boxes
+      .filter(box => isInBox(box, point))
+      .map(box => clamp(target, box[min], box[max]))
+      .reduce((best, value) => (Math.abs(target - value) < Math.abs(target - best) ? value : best), point[axis]);
+  };
+
+  /**
+   * Contraint un déplacement aux zones praticables
+   * Un déplacement qui sort d'une zone glisse le long du bord : la composante
+   * parallèle au mur est conservée, la composante qui le traverse est arrêtée
+   * @param {Object} from - Position actuelle { x, z }
+   * @param {Object} to - Position visée { x, z }
+   * @returns {Object} - Position atteinte { x, z }
+   */
+  const constrainMove = (from, to) => {
+    if (contains(to)) return { x: to.x, z: to.z };
+    if (!contains(from)) return clampPoint(to);
+
+    const afterX = { x: slideAxis(from, 'x', to.x), z: from.z };
+    return { x: afterX.x, z: slideAxis(afterX, 'z', to.z) };
+  };
+
+  return {
+    zones: resolvedZones,
+    getZoneAt,
+    contains,
+    clampPoint,
+    constrainMove
+  };
+};
+
+export default {
+  createWalkableArea
+};
@@ -1,7 +1,337 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { basename, join, resolve } from 'node:path'
+import { validatePrestation, validateProject } from './src/utils/contentValidation.js'
+
+// Serveur de remplacement pour le formulaire de contact en développement.
+// Reçoit le POST JSON de contactService et applique une limite de débit simple.
+// Il n'existe pas une fois le site publié : le build avertit si aucun point de
+// réception réel (VITE_CONTACT_ENDPOINT) n'est configuré.
+function contactStandIn({ path = '/api/contact', maxPerMinute = 5 } = {}) {
+  const recentRequests = new Map()
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.statusCode = status
+    res.setHeader('Content-Type', 'application/json')
+    Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value))
+    res.end(JSON.stringify(body))
+  }
+
+  return {
+    name: 'contact-stand-in',
+    configResolved(config) {
+      if (config.command === 'build' && !config.env.VITE_CONTACT_ENDPOINT) {
+        config.logger.warn(
+          `[contact] VITE_CONTACT_ENDPOINT non défini : le formulaire enverra vers ${path}, ` +
+          "qui n'existe qu'en développement, et chaque envoi échouera"
+        )
+      }
+    },
+    configureServer(server) {
+      server.middlewares.use(path, (req, res) => {
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Méthode non autorisée' }, { Allow: 'POST' })
+          return
+        }
+
+        // Limite de débit par adresse
+        const now = Date.now()
+        const address = req.socket.remoteAddress || 'local'
+        const timestamps = (recentRequests.get(address) || []).filter(time => now - time < 60000)
+        if (timestamps.length >= maxPerMinute) {
+          sendJson(res, 429, { error: 'Trop de messages' }, { 'Retry-After': '60' })
+          return
+        }
+        recentRequests.set(address, [...timestamps, now])
+
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+          let message
+          try {
+            message = JSON.parse(body)
+          } catch {
+            sendJson(res, 400, { error: 'JSON invalide' })
+            return
+          }
+
+          if (!message.name || !message.email || !message.message) {
+            sendJson(res, 422, { error: 'Champs obligatoires manquants' })
+            return
+          }
+
+          // Aucune donnée personnelle dans le terminal
+          server.config.logger.info(`[contact] Message reçu (${message.message.length} caractères)`)
+          sendJson(res, 200, { ok: true, receivedAt: new Date().toISOString() })
+        })
+      })
+    },
+  }
+}
+
+const SCENES_REGISTRY_FILE = 'src/assets/scenes/scenes.json'
+const SCENE_REGISTRY = JSON.parse(readFileSync(resolve(SCENES_REGISTRY_FILE), 'utf-8'))
+
+const CONTENT_COLLECTIONS = [
+  { dir: 'src/content/prestations', schemaFile: 'prestation.schema.json', validate: validatePrestation },
+  { dir: 'src/content/projects', schemaFile: 'project.schema.json', validate: validateProject },
+]
+
+// Validation des fichiers de contenu (src/content) contre leur schéma.
+// Fait échouer le build, et affiche l'erreur dans le navigateur en développement.
+function contentCheck({ collections = CONTENT_COLLECTIONS } = {}) {
+  const contentDirs = collections.map(({ dir }) => resolve(dir))
+
+  const checkCollection = ({ dir, schemaFile, validate }) => {
+    const contentDir = resolve(dir)
+    const schema = JSON.parse(readFileSync(join(contentDir, schemaFile), 'utf-8'))
+    const files = readdirSync(contentDir).filter(file => file.endsWith('.json') && file !== schemaFile)
+    const slugs = new Map()
+    const errors = []
+
+    const entries = files.map((file) => {
+      try {
+        return { file, entry: JSON.parse(readFileSync(join(contentDir, file), 'utf-8')) }
+      } catch (e) {
+        errors.push(`${dir}/${file} : JSON invalide (${e.message})`)
+        return null
+      }
+    }).filter(Boolean)
+
+    entries.forEach(({ file, entry }) => {
+      validate(entry, schema).forEach(error => errors.push(`${dir}/${file} ${error}`))
+
+      if (entry.slug && entry.slug !== basename(file, '.json')) {
+        errors.push(`${dir}/${file} : le slug "${entry.slug}" doit correspondre au nom du fichier`)
+      }
+      if (entry.scene && !SCENE_REGISTRY[entry.scene]) {
+        errors.push(`${dir}/${file} : scène "${entry.scene}" absente de ${SCENES_REGISTRY_FILE}`)
+      }
+      if (slugs.has(entry.slug)) {
+        errors.push(`${dir}/${file} : slug "${entry.slug}" déjà utilisé par ${slugs.get(entry.slug)}`)
+      }
+      slugs.set(entry.slug, file)
+    })
+
+    // Les projets liés doivent exister dans la même collection
+    entries.forEach(({ file, entry }) => {
+      (entry.related || [])
+        .filter(slug => !slugs.has(slug))
+        .forEach(slug => errors.push(`${dir}/${file} : projet lié inconnu "${slug}"`))
+    })
+
+    return { files: files.map(file => join(contentDir, file)), errors }
+  }
+
+  const collectErrors = () => collections.reduce((result, collection) => {
+    const { files, errors } = checkCollection(collection)
+    return { files: [...result.files, ...files], errors: [...result.errors, ...errors] }
+  }, { files: [], errors: [] })
+
+  const formatErrors = errors => `Contenu invalide :\n  ${errors.join('\n  ')}`
+
+  return {
+    name: 'content-check',
+    buildStart() {
+      const { files, errors } = collectErrors()
+      files.forEach(file => this.addWatchFile(file))
+
+      if (errors.length > 0) {
+        this.error(formatErrors(errors))
+      }
+    },
+    handleHotUpdate({ file, server }) {
+      if (!contentDirs.some(dir => file.startsWith(dir))) return
+
+      const { errors } = collectErrors()
+      if (errors.length > 0) {
+        server.config.logger.error(formatErrors(errors))
+        server.ws.send({ type: 'error', err: { message: formatErrors(errors), stack: '' } })
+      }
+    },
+  }
+}
+
+// Scènes Spline auto-hébergées.
+// src/assets/scenes/scenes.json associe à chaque scène son URL Spline et l'empreinte
+// SHA-256 du fichier publié. Les fichiers sont gardés hors du dépôt, dans un cache
+// (node_modules/.cache/spline-scenes) complété par téléchargement, puis servis depuis
+// le site avec un nom haché. Le build échoue si une scène est indisponible ou ne
+// correspond pas à son empreinte ; une scène encore sans empreinte (sha256 null)
+// reste chargée depuis Spline, avec un avertissement. Après une republication sur Spline,
+// `npm run scenes:update` retélécharge les scènes et réécrit leurs empreintes.
+// Le module virtuel "virtual:spline-scenes" expose l'URL de chaque scène.
+const SCENES_MODULE_ID = 'virtual:spline-scenes'
+const SCENES_DEV_PATH = '/spline-scenes/'
+const SCENES_CACHE_DIR = 'node_modules/.cache/spline-scenes'
+const SCENES_UPDATE_MODE = 'scenes-update'
+
+const hashContent = content => createHash('sha256').update(content).digest('hex')
+
+function splineScenes({
+  registryFile = SCENES_REGISTRY_FILE,
+  registry = SCENE_REGISTRY,
+  cacheDir = SCENES_CACHE_DIR,
+  downloadTimeout = 30000,
+} = {}) {
+  const cachePath = resolve(cacheDir)
+  const resolvedId = `\0${SCENES_MODULE_ID}`
+  const fileRefs = new Map()
+  // Copie vérifiée de chaque scène disponible : id -> chemin dans le cache
+  const localFiles = new Map()
+  let command = 'serve'
+  let isUpdate = false
+  let logger = console
+
+  const getCachedPath = (id, sha256) => join(cachePath, `${id}.${sha256.slice(0, 16)}.splinecode`)
+
+  const download = async (url) => {
+    const response = await fetch(url, { signal: AbortSignal.timeout(downloadTimeout) })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return new Uint8Array(await response.arrayBuffer())
+  }
+
+  // Copie locale d'une scène : lue dans le cache, sinon téléchargée et contrôlée.
+  // En mode mise à jour, la scène publiée est toujours retéléchargée et son empreinte retenue.
+  const resolveScene = async (id, { url, sha256 }) => {
+    if (!isUpdate) {
+      const cached = getCachedPath(id, sha256)
+      if (existsSync(cached) && hashContent(readFileSync(cached)) === sha256) return cached
+    }
+
+    const content = await download(url)
+    const actual = hashContent(content)
+    if (!isUpdate && actual !== sha256) {
+      throw new Error(`la scène publiée (sha256 ${actual}) ne correspond pas à l'empreinte attendue`)
+    }
+
+    mkdirSync(cachePath, { recursive: true })
+    const file = getCachedPath(id, actual)
+    writeFileSync(file, content)
+    registry[id].sha256 = actual
+    logger.info(`[spline-scenes] Scène "${id}" téléchargée (sha256 ${actual.slice(0, 16)})`)
+    return file
+  }
+
+  const prepareScenes = async () => {
+    localFiles.clear()
+    const failures = []
+    const unpinned = []
+
+    for (const [id, scene] of Object.entries(registry)) {
+      // Scène sans empreinte : pas de copie vérifiable, elle reste chargée depuis Spline
+      if (!isUpdate && !scene.sha256) {
+        unpinned.push(id)
+        continue
+      }
+      try {
+        localFiles.set(id, await resolveScene(id, scene))
+      } catch (e) {
+        failures.push(`"${id}" : ${e.message}`)
+      }
+    }
+
+    if (isUpdate) {
+      writeFileSync(resolve(registryFile), `${JSON.stringify(registry, null, 2)}\n`)
+      logger.info(`[spline-scenes] Empreintes mises à jour dans ${registryFile}`)
+    }
+
+    return { failures, unpinned }
+  }
+
+  return {
+    name: 'spline-scenes',
+    configResolved(config) {
+      command = config.command
+      isUpdate = config.mode === SCENES_UPDATE_MODE
+      logger = config.logger
+    },
+    async buildStart() {
+      const { failures, unpinned } = await prepareScenes()
+
+      if (unpinned.length > 0) {
+        logger.warn(`[spline-scenes] Scènes sans empreinte dans ${registryFile}, chargées depuis Spline : ` +
+          `${unpinned.join(', ')} (npm run scenes:update les télécharge et fixe leurs empreintes)`)
+      }
+
+      if (failures.length > 0) {
+        const message = `Scènes Spline indisponibles :\n  ${failures.join('\n  ')}\n` +
+          '  (npm run scenes:update retélécharge les scènes et réécrit leurs empreintes)'
+        if (command === 'build') this.error(message)
+        // En développement seulement, ces scènes restent chargées depuis Spline
+        logger.warn(`[spline-scenes] ${message}`)
+      }
+
+      if (command !== 'build') return
+      localFiles.forEach((file, id) => {
+        fileRefs.set(id, this.emitFile({
+          type: 'asset',
+          name: `${id}.splinecode`,
+          source: readFileSync(file),
+        }))
+      })
+    },
+    resolveId(id) {
+      if (id === SCENES_MODULE_ID) return resolvedId
+    },
+    load(id) {
+      if (id !== resolvedId) return
+
+      const entries = Object.entries(registry).map(([sceneId, { url }]) => {
+        if (fileRefs.has(sceneId)) {
+          return `  ${JSON.stringify(sceneId)}: import.meta.ROLLUP_FILE_URL_${fileRefs.get(sceneId)}`
+        }
+        const localUrl = localFiles.has(sceneId) ? `${SCENES_DEV_PATH}${sceneId}.splinecode` : url
+        return `  ${JSON.stringify(sceneId)}: ${JSON.stringify(localUrl)}`
+      })
+
+      return `export default {\n${entries.join(',\n')}\n}\n`
+    },
+    configureServer(server) {
+      server.middlewares.use(SCENES_DEV_PATH, (req, res, next) => {
+        const id = basename(req.url.split('?')[0], '.splinecode')
+        if (!localFiles.has(id)) {
+          next()
+          return
+        }
+        res.setHeader('Content-Type', 'application/octet-stream')
+        res.end(readFileSync(localFiles.get(id)))
+      })
+    },
+  }
+}
+
+// Service worker de mise en cache hors ligne.
+// Le gabarit src/serviceWorker.js reçoit la liste des fichiers du build et une
+// version dérivée de leurs noms hachés : chaque déploiement invalide l'ancien cache.
+function offlineServiceWorker({ template = 'src/serviceWorker.js', fileName = 'sw.js' } = {}) {
+  let base = '/'
+
+  return {
+    name: 'offline-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(options, bundle) {
+      const precacheUrls = [
+        base,
+        ...Object.keys(bundle).filter(file => !file.endsWith('.map')).sort().map(file => `${base}${file}`),
+      ]
+      const version = createHash('sha256').update(precacheUrls.join('\n')).digest('hex').slice(0, 12)
+
+      const source = readFileSync(resolve(template), 'utf-8')
+        .replace("'__CACHE_VERSION__'", JSON.stringify(version))
+        .replace('[/* __PRECACHE_URLS__ */]', JSON.stringify(precacheUrls, null, 2))
+
+      this.emitFile({ type: 'asset', fileName, source })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), contactStandIn(), contentCheck(), splineScenes(), offlineServiceWorker()],
 })